@@ -11,23 +11,40 @@
 const express = require("express");
 const router = express.Router();
 const crypto = require("crypto");
-
-// Initialize Supabase client (optional - only if credentials are provided)
-let supabase = null;
-try {
-  if (process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY) {
-    const { createClient } = require("@supabase/supabase-js");
-    supabase = createClient(
-      process.env.SUPABASE_URL,
-      process.env.SUPABASE_SERVICE_ROLE_KEY
-    );
-    console.log("✅ Supabase client initialized");
-  } else {
-    console.log("⚠️ Supabase credentials not found - running in offline mode (no database)");
-  }
-} catch (error) {
-  console.log("⚠️ Supabase initialization failed - running in offline mode:", error.message);
-}
+const { ROLES, requireRole } = require("./middleware/auth");
+const {
+  reserveInventory,
+  commitInventory,
+  releaseInventory,
+} = require("./services/inventoryService");
+const { notify, alertStaff } = require("./services/notifications");
+const {
+  earnPoints,
+  reverseRedemption,
+  reapplyRedemption,
+} = require("./services/loyaltyService");
+const { createFulfillment } = require("./services/fulfillmentService");
+const { DEFAULT_CURRENCY } = require("./config/currency.config");
+const supabase = require("./config/database");
+const ordersRepository = require("./repositories/orders");
+const callbackEventsRepository = require("./repositories/callbackEvents");
+const transactionStore = require("./utils/transactionStore");
+const { checkTransition } = require("./services/paymentStatus");
+const { DEFAULT_PROVIDER, getProvider } = require("./services/payments");
+const {
+  verifyCallbackOrigin,
+  confirmSuccessfulPayment,
+} = require("./services/callbackVerification");
+const { CALLBACK_CONFIRM_SUCCESS } = require("./config/callback.config");
+const {
+  reportPayment,
+  findPaymentMismatches,
+  latePaymentMismatch,
+  reviewReason,
+} = require("./services/paymentReview");
+const { logger, setCorrelationId } = require("./utils/logger");
+
+const log = logger.child({ module: "callback" });
 
 /**
  * CALLBACK PAYLOAD STRUCTURE (from MTN MoMo)
@@ -44,7 +61,7 @@ try {
  *   "currency": "LRD",
  *   "payer": {
  *     "partyIdType": "MSISDN",
- *     "partyId": "231770123456"
+ *     "partyId": "231886123456"
  *   },
  *   "payerMessage": "Payment message",
  *   "payeeNote": "Note",
@@ -53,19 +70,9 @@ try {
  * }
  */
 
-// In-memory store (shared with main server)
-let transactionStore = new Map();
-
 // Event listeners for real-time notifications
 const callbackListeners = new Set();
 
-/**
- * Set the transaction store (for dependency injection)
- */
-function setTransactionStore(store) {
-  transactionStore = store;
-}
-
 /**
  * Register a callback listener for real-time updates
  * Useful for WebSocket implementations
@@ -78,6 +85,13 @@ function unregisterCallbackListener(listener) {
   callbackListeners.delete(listener);
 }
 
+/**
+ * Number of registered listeners (e.g. open status streams)
+ */
+function listenerCount() {
+  return callbackListeners.size;
+}
+
 /**
  * Notify all registered listeners about transaction update
  */
@@ -86,7 +100,7 @@ function notifyListeners(transactionData) {
     try {
       listener(transactionData);
     } catch (error) {
-      console.error("Error notifying listener:", error);
+      log.error("Listener notification failed", { error });
     }
   });
 }
@@ -112,47 +126,154 @@ function verifyCallbackSignature(payload, signature, secret) {
   );
 }
 
+/**
+ * Apply a terminal status update to an order
+ * The transition is checked against services/paymentStatus, so once an order
+ * is final the side effects (email, inventory, loyalty, fulfillment) run only
+ * once even when the callback, a status poll and the reconciliation worker
+ * race.
+ * @param {string} source - What reported the status (recorded in the history)
+ * @param {object} details - Extra context for the history entry
+ * @returns {object} { order, skipped } - skipped is true when the order's
+ *   current status does not allow the transition
+ */
+async function applyTerminalStatus(
+  referenceId,
+  newStatus,
+  updateData,
+  source,
+  details
+) {
+  try {
+    const order = await ordersRepository.transitionStatus(
+      referenceId,
+      newStatus,
+      { changes: updateData, source, details },
+    );
+    if (order) {
+      return { order, skipped: false };
+    }
+
+    // Nothing updated - either there is no order, or it is already final
+    if (await ordersRepository.findByReference(referenceId)) {
+      return { order: null, skipped: true };
+    }
+  } catch (error) {
+    log.error("Order status update failed", { referenceId, error });
+    return { order: null, skipped: false };
+  }
+
+  // No order record (payment started without customer details, or offline
+  // after a restart) - claim the transition in the transaction store instead
+  let skipped = false;
+  await transactionStore.update(referenceId, (cached) => {
+    if (
+      cached?.processedAt &&
+      !checkTransition(referenceId, cached.status, newStatus, source)
+    ) {
+      skipped = true;
+      return undefined;
+    }
+    return {
+      ...(cached || { referenceId }),
+      status: newStatus,
+      processedAt: new Date().toISOString(),
+    };
+  });
+  return { order: null, skipped };
+}
+
+/**
+ * Current payment status of an order, or of a cached payment without one
+ */
+async function currentPaymentStatus(referenceId) {
+  const order = await ordersRepository.findByReference(referenceId);
+  if (order) {
+    return order.payment_status;
+  }
+  const cached = await transactionStore.get(referenceId);
+  return cached?.processedAt ? cached.status : null;
+}
+
 /**
  * Process successful payment
+ * @param {string} source - callback, status_check, reconciliation or review
+ * @param {object} [options]
+ * @param {object[]} [options.reports] - What MTN reported (see
+ *   services/paymentReview); a payment that does not match its order is
+ *   held for review instead
  */
-async function processSuccessfulPayment(transactionData) {
-  console.log("✅ Processing successful payment:", transactionData.referenceId);
+async function processSuccessfulPayment(
+  transactionData,
+  source = "callback",
+  { reports = [] } = {}
+) {
+  log.info("Processing successful payment", {
+    referenceId: transactionData.referenceId,
+    source
+  });
 
   try {
-    let updatedOrder = null;
+    const mismatches = await findPaymentMismatches(
+      transactionData.referenceId,
+      reports
+    );
+    if (mismatches.length > 0) {
+      return processUnderReviewPayment(transactionData, mismatches, source);
+    }
 
-    // Update transaction in Supabase database (if connected)
-    if (supabase) {
-      const updateData = {
+    const { order: updatedOrder, skipped } = await applyTerminalStatus(
+      transactionData.referenceId,
+      "SUCCESSFUL",
+      {
         payment_status: "SUCCESSFUL",
         payment_confirmed_at: new Date().toISOString(),
         financial_transaction_id: transactionData.financialTransactionId || null,
         callback_received: true,
         callback_data: transactionData,
         last_status_check: new Date().toISOString(),
-      };
-
-      const { data, error: dbError } = await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("reference_id", transactionData.referenceId)
-        .select()
-        .single();
+      },
+      source,
+      { financialTransactionId: transactionData.financialTransactionId || null }
+    );
 
-      if (dbError) {
-        console.error("❌ Database update error:", dbError);
-      } else {
-        updatedOrder = data;
-        console.log("✅ Order updated in database:", updatedOrder.id);
+    if (skipped) {
+      // Confirmed after the deadline: the order's stock and redeemed points
+      // were released when it expired, so staff decide what happens to it
+      if (
+        (await currentPaymentStatus(transactionData.referenceId)) === "EXPIRED"
+      ) {
+        return processUnderReviewPayment(
+          transactionData,
+          [latePaymentMismatch(source)],
+          source
+        );
       }
+
+      log.info("Payment already processed, skipping side effects", {
+        referenceId: transactionData.referenceId
+      });
+      return (
+        (await transactionStore.get(transactionData.referenceId)) ||
+        transactionData
+      );
+    }
+
+    if (updatedOrder) {
+      log.info("Order updated", {
+        referenceId: transactionData.referenceId,
+        orderId: updatedOrder.id
+      });
     } else {
-      console.log("⚠️ Skipping database update (offline mode)");
+      log.info("No order record, updated transaction store only", {
+        referenceId: transactionData.referenceId
+      });
     }
 
-    // Update in-memory store
+    // Update transaction store
     transactionData.status = "SUCCESSFUL";
     transactionData.processedAt = new Date().toISOString();
-    transactionStore.set(transactionData.referenceId, transactionData);
+    await transactionStore.set(transactionData.referenceId, transactionData);
 
     // Notify listeners (WebSocket, etc.)
     notifyListeners(transactionData);
@@ -171,7 +292,10 @@ async function processSuccessfulPayment(transactionData) {
 
     return updatedOrder || transactionData;
   } catch (error) {
-    console.error("❌ Error processing successful payment:", error);
+    log.error("Successful payment processing failed", {
+      referenceId: transactionData.referenceId,
+      error
+    });
     throw error;
   }
 }
@@ -179,44 +303,58 @@ async function processSuccessfulPayment(transactionData) {
 /**
  * Process failed payment
  */
-async function processFailedPayment(transactionData, reason) {
-  console.log("❌ Processing failed payment:", transactionData.referenceId);
+async function processFailedPayment(
+  transactionData,
+  reason,
+  source = "callback"
+) {
+  log.info("Processing failed payment", {
+    referenceId: transactionData.referenceId,
+    reason,
+    source
+  });
 
   try {
-    let updatedOrder = null;
-
-    // Update transaction in Supabase database (if connected)
-    if (supabase) {
-      const updateData = {
+    const { order: updatedOrder, skipped } = await applyTerminalStatus(
+      transactionData.referenceId,
+      "FAILED",
+      {
         payment_status: "FAILED",
         failure_reason: reason || "Unknown",
         callback_received: true,
         callback_data: transactionData,
         last_status_check: new Date().toISOString(),
-      };
+      },
+      source,
+      { reason: reason || "Unknown" }
+    );
 
-      const { data, error: dbError } = await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("reference_id", transactionData.referenceId)
-        .select()
-        .single();
+    if (skipped) {
+      log.info("Payment already finalized, ignoring FAILED status", {
+        referenceId: transactionData.referenceId
+      });
+      return (
+        (await transactionStore.get(transactionData.referenceId)) ||
+        transactionData
+      );
+    }
 
-      if (dbError) {
-        console.error("❌ Database update error:", dbError);
-      } else {
-        updatedOrder = data;
-        console.log("✅ Order marked as failed in database:", updatedOrder.id);
-      }
+    if (updatedOrder) {
+      log.info("Order marked as failed", {
+        referenceId: transactionData.referenceId,
+        orderId: updatedOrder.id
+      });
     } else {
-      console.log("⚠️ Skipping database update (offline mode)");
+      log.info("No order record, updated transaction store only", {
+        referenceId: transactionData.referenceId
+      });
     }
 
-    // Update in-memory store
+    // Update transaction store
     transactionData.status = "FAILED";
     transactionData.failureReason = reason || "Unknown";
     transactionData.processedAt = new Date().toISOString();
-    transactionStore.set(transactionData.referenceId, transactionData);
+    await transactionStore.set(transactionData.referenceId, transactionData);
 
     // Notify listeners
     notifyListeners(transactionData);
@@ -224,160 +362,371 @@ async function processFailedPayment(transactionData, reason) {
     // Send failure notification to customer
     await sendFailureNotification(updatedOrder || transactionData, reason);
 
+    // Return held stock and redeemed points
+    await releaseHeldInventory(updatedOrder || transactionData);
+    await returnRedeemedPoints(updatedOrder || transactionData);
+
     // Log for analytics
     logFailedTransaction(transactionData);
 
     return updatedOrder || transactionData;
   } catch (error) {
-    console.error("❌ Error processing failed payment:", error);
+    log.error("Failed payment processing failed", {
+      referenceId: transactionData.referenceId,
+      error
+    });
     throw error;
   }
 }
 
 /**
- * Process pending payment (payment initiated but not yet confirmed)
+ * Process expired payment (no final status from MTN before the deadline)
  */
-async function processPendingPayment(transactionData) {
-  console.log("⏳ Processing pending payment:", transactionData.referenceId);
+async function processExpiredPayment(
+  transactionData,
+  source = "reconciliation"
+) {
+  log.info("Processing expired payment", {
+    referenceId: transactionData.referenceId,
+    source
+  });
 
   try {
-    let updatedOrder = null;
+    const { order: updatedOrder, skipped } = await applyTerminalStatus(
+      transactionData.referenceId,
+      "EXPIRED",
+      {
+        payment_status: "EXPIRED",
+        failure_reason: "EXPIRED",
+        last_status_check: new Date().toISOString(),
+      },
+      source
+    );
+
+    if (skipped) {
+      log.info("Payment already finalized, not expiring", {
+        referenceId: transactionData.referenceId
+      });
+      return (
+        (await transactionStore.get(transactionData.referenceId)) ||
+        transactionData
+      );
+    }
+
+    if (updatedOrder) {
+      log.info("Order marked as expired", {
+        referenceId: transactionData.referenceId,
+        orderId: updatedOrder.id
+      });
+    } else {
+      log.info("No order record, updated transaction store only", {
+        referenceId: transactionData.referenceId
+      });
+    }
+
+    // Update transaction store
+    transactionData.status = "EXPIRED";
+    transactionData.failureReason = "EXPIRED";
+    transactionData.processedAt = new Date().toISOString();
+    await transactionStore.set(transactionData.referenceId, transactionData);
+
+    // Notify listeners
+    notifyListeners(transactionData);
+
+    // Return held stock and redeemed points
+    await releaseHeldInventory(updatedOrder || transactionData);
+    await returnRedeemedPoints(updatedOrder || transactionData);
+
+    return updatedOrder || transactionData;
+  } catch (error) {
+    log.error("Expired payment processing failed", {
+      referenceId: transactionData.referenceId,
+      error
+    });
+    throw error;
+  }
+}
+
+/**
+ * Hold a payment that does not match its order (amount, currency or payer)
+ * None of the success side effects run: the stock stays held (a late payment's
+ * was already released when it expired) and staff are alerted to approve or
+ * reject it (POST /api/momo/reviews/:referenceId).
+ */
+async function processUnderReviewPayment(
+  transactionData,
+  mismatches,
+  source = "callback"
+) {
+  const reason = reviewReason(mismatches);
+  log.warn("Holding payment for review", {
+    referenceId: transactionData.referenceId,
+    reason,
+    source
+  });
 
-    // Update transaction in Supabase database (if connected)
-    if (supabase) {
-      const updateData = {
-        payment_status: "PENDING",
+  try {
+    const { order: updatedOrder, skipped } = await applyTerminalStatus(
+      transactionData.referenceId,
+      "UNDER_REVIEW",
+      {
+        payment_status: "UNDER_REVIEW",
+        review_reason: reason,
+        review_mismatches: mismatches,
+        financial_transaction_id: transactionData.financialTransactionId || null,
         callback_received: true,
         callback_data: transactionData,
         last_status_check: new Date().toISOString(),
-      };
+      },
+      source,
+      { reason, mismatches }
+    );
 
-      const { data, error: dbError } = await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("reference_id", transactionData.referenceId)
-        .select()
-        .single();
+    if (skipped) {
+      log.info("Payment already finalized, not holding for review", {
+        referenceId: transactionData.referenceId
+      });
+      return (
+        (await transactionStore.get(transactionData.referenceId)) ||
+        transactionData
+      );
+    }
 
-      if (dbError) {
-        console.error("❌ Database update error:", dbError);
-      } else {
-        updatedOrder = data;
-      }
+    if (updatedOrder) {
+      log.info("Order held for review", {
+        referenceId: transactionData.referenceId,
+        orderId: updatedOrder.id
+      });
     } else {
-      console.log("⚠️ Skipping database update (offline mode)");
+      log.info("No order record, updated transaction store only", {
+        referenceId: transactionData.referenceId
+      });
     }
 
-    // Update in-memory store
+    // Update transaction store
+    transactionData.status = "UNDER_REVIEW";
+    transactionData.reviewReason = reason;
+    transactionData.reviewMismatches = mismatches;
+    transactionData.processedAt = new Date().toISOString();
+    await transactionStore.set(transactionData.referenceId, transactionData);
+
+    // Notify listeners
+    notifyListeners(transactionData);
+
+    // Alert staff
+    try {
+      await alertStaff("payment_review", updatedOrder || transactionData, {
+        reason,
+        mismatches,
+      });
+    } catch (error) {
+      log.error("Review alert failed", {
+        referenceId: transactionData.referenceId,
+        error
+      });
+    }
+
+    return updatedOrder || transactionData;
+  } catch (error) {
+    log.error("Holding payment for review failed", {
+      referenceId: transactionData.referenceId,
+      error
+    });
+    throw error;
+  }
+}
+
+/**
+ * Process pending payment (payment initiated but not yet confirmed)
+ * A PENDING that arrives after the payment was finalized is ignored, so a
+ * late or replayed callback cannot move an order back to PENDING.
+ */
+async function processPendingPayment(transactionData, source = "callback") {
+  log.info("Processing pending payment", {
+    referenceId: transactionData.referenceId,
+    source
+  });
+
+  try {
+    const referenceId = transactionData.referenceId;
+    const order = await ordersRepository.findByReference(referenceId);
+    const cached = order ? null : await transactionStore.get(referenceId);
+    // Cached entries only carry a final status once processedAt is set
+    const currentStatus =
+      order?.payment_status || (cached?.processedAt ? cached.status : null);
+
+    if (
+      currentStatus &&
+      currentStatus !== "PENDING" &&
+      !checkTransition(referenceId, currentStatus, "PENDING", source)
+    ) {
+      log.info("Payment already finalized, ignoring PENDING status", {
+        referenceId
+      });
+      return order || cached;
+    }
+
+    const changes = {
+      callback_received: true,
+      callback_data: transactionData,
+      last_status_check: new Date().toISOString(),
+    };
+    let updatedOrder = null;
+
+    if (order?.payment_status === "PENDING") {
+      // Already PENDING - keep the latest callback details
+      updatedOrder = await ordersRepository.updateOrder(referenceId, changes);
+    } else if (order) {
+      updatedOrder = await ordersRepository.transitionStatus(
+        referenceId,
+        "PENDING",
+        { changes, source },
+      );
+    }
+
+    // Update transaction store
     transactionData.status = "PENDING";
     transactionData.lastUpdated = new Date().toISOString();
-    transactionStore.set(transactionData.referenceId, transactionData);
+    await transactionStore.set(referenceId, transactionData);
 
     // Notify listeners
     notifyListeners(transactionData);
 
     return updatedOrder || transactionData;
   } catch (error) {
-    console.error("❌ Error processing pending payment:", error);
+    log.error("Pending payment processing failed", {
+      referenceId: transactionData.referenceId,
+      error
+    });
     throw error;
   }
 }
 
 /**
- * Send confirmation email to customer
- * Replace with your email service (SendGrid, AWS SES, Resend, etc.)
+ * Route a transaction fetched from the MoMo API (status poll or
+ * reconciliation) through the same processors the callback uses
+ * @param {string} referenceId - X-Reference-Id of the request to pay
+ * @param {object} transaction - Response of GET /requesttopay/{referenceId}
+ * @param {string} source - status_check or reconciliation (status history)
+ * @returns {object} Updated order or transaction data
+ */
+async function processTransactionStatus(
+  referenceId,
+  transaction,
+  source = "status_check"
+) {
+  const reason =
+    typeof transaction.reason === "object"
+      ? transaction.reason?.code
+      : transaction.reason || null;
+
+  const transactionData = {
+    ...((await transactionStore.get(referenceId)) || {}),
+    referenceId,
+    financialTransactionId: transaction.financialTransactionId || null,
+    externalId: transaction.externalId || null,
+    amount: transaction.amount || null,
+    currency: transaction.currency || null,
+    status: transaction.status,
+    payer: transaction.payer || {},
+    payerPhone: transaction.payer?.partyId || null,
+    reason,
+  };
+
+  switch (transaction.status) {
+    case "SUCCESSFUL":
+      return processSuccessfulPayment(transactionData, source, {
+        reports: [reportPayment("momo", transaction)],
+      });
+    case "FAILED":
+      return processFailedPayment(transactionData, reason, source);
+    default:
+      return transactionData;
+  }
+}
+
+/**
+ * Send payment confirmation (email/SMS) to customer
  */
 async function sendConfirmationEmail(order) {
   try {
-    console.log("📧 Sending confirmation email to:", order.customer_email);
-
-    // Example: Using Resend or any email service
-    /*
-    const { Resend } = require('resend');
-    const resend = new Resend(process.env.RESEND_API_KEY);
-
-    await resend.emails.send({
-      from: 'orders@litwaypicks.com',
-      to: order.customer_email,
-      subject: 'Payment Successful - Order Confirmation',
-      html: `
-        <h2>Payment Successful!</h2>
-        <p>Dear ${order.customer_first_name},</p>
-        <p>Your payment of ${order.amount} ${order.currency} has been received.</p>
-        <p>Order ID: ${order.external_id}</p>
-        <p>Reference: ${order.reference_id}</p>
-        <p>Transaction ID: ${order.financial_transaction_id}</p>
-        <p>We'll send you shipping updates soon!</p>
-      `,
+    log.info("Sending payment confirmation", {
+      referenceId: order.reference_id || order.referenceId,
+      email: order.customer_email
     });
-    */
-
+    await notify("payment_received", order);
     return true;
   } catch (error) {
-    console.error("📧 Email send error:", error);
+    log.error("Payment confirmation failed", { error });
     return false;
   }
 }
 
 /**
- * Send failure notification to customer
+ * Send failure notification (email/SMS) to customer
  */
 async function sendFailureNotification(order, reason) {
   try {
-    console.log("📧 Sending failure notification to:", order.customer_email);
-
-    // Send email or SMS notification
-    /*
-    await resend.emails.send({
-      from: 'orders@litwaypicks.com',
-      to: order.customer_email,
-      subject: 'Payment Failed - Order Not Completed',
-      html: `
-        <h2>Payment Failed</h2>
-        <p>Dear ${order.customer_first_name},</p>
-        <p>Unfortunately, your payment could not be processed.</p>
-        <p>Reason: ${reason}</p>
-        <p>Please try again or contact support at support@litwaypicks.com</p>
-      `,
+    log.info("Sending payment failure notification", {
+      referenceId: order.reference_id || order.referenceId,
+      email: order.customer_email
     });
-    */
-
+    await notify("payment_failed", order, { reason });
     return true;
   } catch (error) {
-    console.error("📧 Notification send error:", error);
+    log.error("Payment failure notification failed", { error });
     return false;
   }
 }
 
+/**
+ * ID the order's stock and redeemed points are held under (set by /pay;
+ * orders from before reservation IDs used their externalId)
+ */
+function holdIdOf(order) {
+  return (
+    order.reservation_id ||
+    order.reservationId ||
+    order.external_id ||
+    order.externalId
+  );
+}
+
 /**
  * Update inventory after successful payment
+ * Commits the stock reserved when /pay created the order
  */
 async function updateInventory(order) {
   try {
-    console.log("📦 Updating inventory for:", order.reference_id);
-
-    // Update your inventory in Supabase
-    if (order.items && Array.isArray(order.items)) {
-      for (const item of order.items) {
-        // Decrement inventory quantity
-        /*
-        const { error } = await supabase
-          .from('products')
-          .update({ 
-            stock: supabase.raw('stock - ?', [item.quantity])
-          })
-          .eq('id', item.id);
-
-        if (error) {
-          console.error(`❌ Failed to update inventory for ${item.name}:`, error);
-        }
-        */
+    const reservationId = holdIdOf(order);
+    log.info("Committing inventory", { reservationId });
+
+    if (reservationId) {
+      const committed = await commitInventory(reservationId);
+      if (!committed) {
+        log.warn("No held inventory to commit", { reservationId });
       }
     }
 
     return true;
   } catch (error) {
-    console.error("📦 Inventory update error:", error);
+    log.error("Inventory commit failed", { error });
+    return false;
+  }
+}
+
+/**
+ * Release stock held for an order whose payment failed or expired
+ */
+async function releaseHeldInventory(order) {
+  try {
+    const reservationId = holdIdOf(order);
+    if (reservationId && (await releaseInventory(reservationId))) {
+      log.info("Released held inventory", { reservationId });
+    }
+    return true;
+  } catch (error) {
+    log.error("Inventory release failed", { error });
     return false;
   }
 }
@@ -387,87 +736,157 @@ async function updateInventory(order) {
  */
 async function awardLoyaltyPoints(order) {
   try {
-    console.log("🎁 Awarding loyalty points:", order.reference_id);
-
-    // Points are already calculated and stored in order.points_earned
-    // You might want to create a separate loyalty_transactions table
-    /*
-    const { error } = await supabase
-      .from('loyalty_transactions')
-      .insert({
-        customer_email: order.customer_email,
-        points: order.points_earned,
-        order_id: order.id,
-        transaction_type: 'earned',
-        description: `Purchase - Order ${order.external_id}`,
-      });
+    log.info("Awarding loyalty points", { referenceId: order.reference_id });
 
-    if (error) {
-      console.error('❌ Failed to award loyalty points:', error);
+    const entry = await earnPoints(order);
+    if (entry) {
+      log.info("Loyalty points credited", {
+        referenceId: order.reference_id,
+        points: entry.points
+      });
     }
-    */
 
     return true;
   } catch (error) {
-    console.error("🎁 Loyalty points error:", error);
+    log.error("Loyalty points award failed", { error });
     return false;
   }
 }
 
+/**
+ * Return loyalty points redeemed on an order whose payment failed or expired
+ */
+async function returnRedeemedPoints(order) {
+  try {
+    const holdId = holdIdOf(order);
+    if (holdId && (await reverseRedemption(holdId))) {
+      log.info("Returned redeemed points", {
+        externalId: order.external_id || order.externalId
+      });
+    }
+    return true;
+  } catch (error) {
+    log.error("Loyalty reversal failed", { error });
+    return false;
+  }
+}
+
+/**
+ * Hold stock and redeemed points again for a late payment staff are
+ * approving: both were returned when the order expired
+ * @returns {object} { success } or { success: false, message, errors? }
+ */
+async function holdLatePayment(order) {
+  const holdId = holdIdOf(order);
+
+  const reservation = await reserveInventory(holdId, order.items || []);
+  if (!reservation.success) {
+    return {
+      success: false,
+      message: "Some items are out of stock",
+      errors: reservation.errors
+    };
+  }
+
+  const redemption = await reapplyRedemption(holdId);
+  if (!redemption.success) {
+    await releaseInventory(holdId);
+    return { success: false, message: redemption.error };
+  }
+
+  log.info("Held stock and points for late payment", { holdId });
+  return { success: true };
+}
+
+/**
+ * Give back what holdLatePayment held when the approval did not go through
+ */
+async function releaseLatePayment(order) {
+  await releaseHeldInventory(order);
+  await returnRedeemedPoints(order);
+}
+
 /**
  * Trigger order fulfillment process
+ * Creates the pending fulfillment the delivery team works from
  */
 async function triggerOrderFulfillment(order) {
   try {
-    console.log("🚚 Triggering order fulfillment:", order.reference_id);
-
-    // Create fulfillment record or trigger webhook to fulfillment service
-    /*
-    const { error } = await supabase
-      .from('fulfillments')
-      .insert({
-        order_id: order.id,
-        status: 'pending',
-        delivery_address: order.delivery_address,
-        delivery_city: order.delivery_city,
-        delivery_state: order.delivery_state,
-        customer_phone: order.customer_phone,
-        items: order.items,
-      });
+    log.info("Triggering order fulfillment", {
+      externalId: order.external_id || order.externalId
+    });
 
-    if (error) {
-      console.error('❌ Failed to create fulfillment:', error);
+    const { fulfillment, created } = await createFulfillment(order);
+    if (created) {
+      notifyListeners(fulfillmentEvent(fulfillment));
     }
-    */
 
     return true;
   } catch (error) {
-    console.error("🚚 Order fulfillment error:", error);
+    log.error("Order fulfillment failed", { error });
     return false;
   }
 }
 
+/**
+ * Listener payload for a fulfillment change
+ */
+function fulfillmentEvent(fulfillment) {
+  return {
+    event: "fulfillment.updated",
+    referenceId: fulfillment.reference_id,
+    externalId: fulfillment.external_id,
+    fulfillmentStatus: fulfillment.status,
+    fulfillment,
+  };
+}
+
 /**
  * Log failed transaction for analytics
  */
 function logFailedTransaction(transactionData) {
   try {
-    console.log("📊 Logging failed transaction:", {
+    log.info("Payment failed", {
       referenceId: transactionData.referenceId,
       reason: transactionData.failureReason || transactionData.reason,
       amount: transactionData.amount,
-      phone: transactionData.payer?.partyId,
+      phone: transactionData.payer?.partyId
     });
 
     // Log to your analytics service
     // analytics.track('payment_failed', transactionData);
   } catch (error) {
-    console.error("📊 Analytics logging error:", error);
+    log.error("Analytics logging failed", { error });
   }
 }
 
 /**
- * Main callback handler endpoint (POST as requested)
+ * Reference ID a callback is for
+ * A callback without X-Reference-Id is matched to its order by externalId,
+ * so the provider's status API is asked about the reference ID it knows.
+ * Falls back to the externalId when no order has it.
+ */
+async function resolveReferenceId(referenceId, externalId) {
+  if (referenceId || !externalId) {
+    return referenceId || null;
+  }
+  const order = await ordersRepository.findByExternalId(externalId);
+  return order?.reference_id || externalId;
+}
+
+/**
+ * Process a MoMo callback (POST /callback and replays)
+ * @param {object} headers - Request headers (lower-case names)
+ * @param {object} callbackPayload - Callback body
+ * @param {object} [options]
+ * @param {boolean} [options.replay] - A stored event being re-run; its origin
+ *   was verified when it was received
+ * @param {string} [options.ip] - Source IP of the request
+ * @param {string} [options.token] - Callback token from the callback URL
+ * @param {object} [options.provider] - Payment provider that sent the
+ *   callback (default MTN, see services/payments)
+ * @returns {object} { statusCode, body, verified } - the response for the
+ *   provider, and whether the callback passed the origin checks
  * 
  * ============================================================
  * MTN MoMo Callback Payload Examples
@@ -518,117 +937,143 @@ function logFailedTransaction(transactionData) {
  * - EXPIRED
  * ============================================================
  */
-router.post("/callback", async (req, res) => {
+async function handleCallback(
+  headers,
+  callbackPayload,
+  { replay = false, ip, token, provider = getProvider() } = {}
+) {
   const startTime = Date.now();
+  // Whether the callback passed the signature, IP and token checks (replays
+  // passed them when first received)
+  let verified = false;
 
   try {
-    // Log incoming callback
-    console.log("=".repeat(80));
-    console.log("📥 CALLBACK RECEIVED:", new Date().toISOString());
-    console.log("=".repeat(80));
-    console.log("Headers:", JSON.stringify(req.headers, null, 2));
-    console.log("Body:", JSON.stringify(req.body, null, 2));
+    // Full payload for debugging (credentials and customer data are masked
+    // by the logger)
+    log.debug(replay ? "Callback replayed" : "Callback received", {
+      provider: provider.name,
+      headers,
+      body: callbackPayload
+    });
 
     // ============================================================
     // EXTRACT IMPORTANT KEYS FROM CALLBACK PAYLOAD
     // ============================================================
-    const callbackPayload = req.body;
-    
+    // The provider maps its payload to MoMo's transaction fields
+    const callback = provider.parseCallback(headers, callbackPayload);
+
     // Core transaction identifiers
-    const financialTransactionId = callbackPayload.financialTransactionId || null;
-    const externalId = callbackPayload.externalId || null;
-    const referenceId = req.headers["x-reference-id"] || callbackPayload.referenceId || externalId;
+    const financialTransactionId = callback.financialTransactionId || null;
+    const externalId = callback.externalId || null;
+    const referenceId = await resolveReferenceId(callback.referenceId, externalId);
     
     // Transaction details
-    const amount = callbackPayload.amount || null;
-    const currency = callbackPayload.currency || null;
-    const status = callbackPayload.status || null;
+    const amount = callback.amount || null;
+    const currency = callback.currency || null;
+    const status = callback.status || null;
     
     // Payer information
-    const payer = callbackPayload.payer || {};
-    const payerIdType = payer.partyIdType || null;  // Usually "MSISDN"
-    const payerPhone = payer.partyId || null;       // Phone number (e.g., "231886000000")
+    const payer = callback.payer || {};
+    const payerIdType = callback.payerIdType || null;  // Usually "MSISDN"
+    const payerPhone = callback.payerPhone || null;    // Phone number (e.g., "231886000000")
     
     // Additional info
-    const payeeNote = callbackPayload.payeeNote || null;
-    const payerMessage = callbackPayload.payerMessage || null;
-    const reason = callbackPayload.reason || null;  // Only present if FAILED
+    const payeeNote = callback.payeeNote || null;
+    const payerMessage = callback.payerMessage || null;
+    const reason = callback.reason || null;  // Only present if FAILED
     
-    // Log extracted values
-    console.log("\n📋 EXTRACTED CALLBACK DATA:");
-    console.log("------------------------------------------------------------");
-    console.log("  Financial Transaction ID:", financialTransactionId || "(not provided)");
-    console.log("  External ID:             ", externalId);
-    console.log("  Reference ID:            ", referenceId);
-    console.log("  Amount:                  ", amount, currency);
-    console.log("  Status:                  ", status);
-    console.log("  Payer Phone:             ", payerPhone, `(${payerIdType})`);
-    console.log("  Payee Note:              ", payeeNote || "(not provided)");
-    console.log("  Payer Message:           ", payerMessage || "(not provided)");
-    console.log("  Failure Reason:          ", reason || "N/A");
-    console.log("------------------------------------------------------------\n");
-
     // ============================================================
     // VALIDATION
     // ============================================================
     if (!referenceId && !externalId && !financialTransactionId) {
-      console.error("❌ No identifier found in callback");
-      return res.status(400).json({
-        success: false,
-        message: "Reference ID, External ID, or Financial Transaction ID is required",
-      });
+      log.warn("Callback rejected: no identifier", { provider: provider.name });
+      return {
+        statusCode: 400,
+        body: {
+          success: false,
+          message: "Reference ID, External ID, or Financial Transaction ID is required",
+        },
+      };
     }
 
     // Use the best available identifier
     const transactionId = referenceId || externalId || financialTransactionId;
 
     // Verify callback signature (if implemented by MTN)
-    const signature = req.headers["x-momo-signature"];
+    // Replays were verified when they were received; the stored body may not
+    // serialize byte for byte as it was signed
+    const signature = headers["x-momo-signature"];
     const secret = process.env.MOMO_CALLBACK_SECRET;
 
-    if (secret && signature) {
-      const isValid = verifyCallbackSignature(req.body, signature, secret);
+    if (secret && signature && !replay) {
+      const isValid = verifyCallbackSignature(
+        callbackPayload,
+        signature,
+        secret
+      );
       if (!isValid) {
-        console.error("❌ Invalid callback signature");
-        return res.status(401).json({
-          success: false,
-          message: "Invalid signature",
+        log.warn("Callback rejected: invalid signature", {
+          referenceId: transactionId
         });
+        return {
+          statusCode: 401,
+          body: {
+            success: false,
+            message: "Invalid signature",
+          },
+        };
       }
     }
 
+    // Source IP allow-list and per-payment callback token
+    if (!replay) {
+      const rejection = await verifyCallbackOrigin({
+        ip,
+        token,
+        referenceId: transactionId,
+        externalId,
+      });
+      if (rejection) {
+        log.warn("Callback rejected", {
+          referenceId: transactionId,
+          reason: rejection,
+          ip
+        });
+        return {
+          statusCode: 403,
+          body: {
+            success: false,
+            message: rejection,
+          },
+        };
+      }
+    }
+    verified = true;
+
     // ============================================================
     // BUILD TRANSACTION DATA OBJECT
     // ============================================================
-    // Get existing transaction data from in-memory store
-    let transactionData = transactionStore.get(transactionId);
+    // Get existing transaction data from the transaction store
+    let transactionData = await transactionStore.get(transactionId);
 
     if (!transactionData) {
-      console.warn("⚠️ Transaction not found in store, fetching from database");
+      log.warn("Transaction not found in store, looking up the order", {
+        referenceId: transactionId
+      });
 
-      // Try to get from database (if connected)
-      if (supabase) {
-        const { data: order } = await supabase
-          .from("orders")
-          .select("*")
-          .or(`reference_id.eq.${transactionId},external_id.eq.${externalId}`)
-          .single();
-
-        if (order) {
-          transactionData = {
-            referenceId: order.reference_id || transactionId,
-            orderId: order.id,
-            status: order.payment_status,
-            createdAt: order.created_at,
-          };
-        } else {
-          transactionData = {
-            referenceId: transactionId,
-            createdAt: new Date().toISOString(),
-          };
-        }
+      const order =
+        (await ordersRepository.findByReference(transactionId)) ||
+        (externalId ? await ordersRepository.findByExternalId(externalId) : null);
+
+      if (order) {
+        transactionData = {
+          referenceId: order.reference_id || transactionId,
+          orderId: order.id,
+          status: order.payment_status,
+          createdAt: order.created_at,
+          correlationId: order.correlation_id,
+        };
       } else {
-        // Offline mode - create new transaction data
         transactionData = {
           referenceId: transactionId,
           createdAt: new Date().toISOString(),
@@ -636,11 +1081,27 @@ router.post("/callback", async (req, res) => {
       }
     }
 
+    // Log the rest of the callback under the correlation ID of the /pay
+    // request that started the payment
+    setCorrelationId(transactionData.correlationId);
+    log.info(replay ? "Callback replayed" : "Callback received", {
+      provider: provider.name,
+      referenceId: transactionId,
+      externalId,
+      financialTransactionId,
+      status,
+      amount,
+      currency,
+      payerPhone,
+      reason
+    });
+
     // Update transaction data with ALL callback fields
     transactionData = {
       ...transactionData,
       // Identifiers
       referenceId: transactionId,
+      provider: provider.name,
       financialTransactionId,
       externalId,
       // Transaction details
@@ -664,205 +1125,342 @@ router.post("/callback", async (req, res) => {
     // ============================================================
     // PROCESS BASED ON STATUS
     // ============================================================
-    // TODO: Add your custom business logic here based on status
-    // Examples:
-    // - SUCCESSFUL: Fulfill order, send confirmation, update inventory
-    // - FAILED: Notify customer, log for analytics, release held inventory
-    // - PENDING: Update UI, send "waiting" notification
-    // - CREATED: Initial state, payment request acknowledged
-
+    // The process* functions apply the status through services/paymentStatus
+    // and run its side effects once per payment
     switch (status) {
       case "SUCCESSFUL":
-        console.log("✅ Payment SUCCESSFUL");
-        // TODO: Implement your success logic
-        // - Send confirmation email/SMS
-        // - Update order status to "paid"
-        // - Trigger fulfillment/shipping
-        // - Award loyalty points
-        // - Update inventory
-        await processSuccessfulPayment(transactionData);
+        // Never mark an order paid on the callback alone - the provider's
+        // own record must say SUCCESSFUL, and both must match the order
+        const reports = [reportPayment("callback", callback)];
+
+        if (CALLBACK_CONFIRM_SUCCESS) {
+          const confirmation = await confirmSuccessfulPayment(
+            transactionId,
+            provider
+          );
+          if (!confirmation.confirmed) {
+            log.error("Payment not confirmed", {
+              referenceId: transactionId,
+              reason: confirmation.reason
+            });
+            return {
+              statusCode: 503,
+              body: {
+                success: false,
+                message: confirmation.reason,
+              },
+              verified,
+            };
+          }
+          transactionData.financialTransactionId =
+            confirmation.transaction.financialTransactionId ||
+            financialTransactionId;
+          reports.push(reportPayment("momo", confirmation.transaction));
+        }
+
+        await processSuccessfulPayment(transactionData, "callback", {
+          reports,
+        });
         break;
 
       case "FAILED":
-        console.log("❌ Payment FAILED");
-        // TODO: Implement your failure logic
-        // - Send failure notification
-        // - Release any held inventory
-        // - Log failure reason for analytics
-        // - Offer retry option
+        // Emails the customer and releases the held stock and points
         await processFailedPayment(transactionData, reason);
         break;
 
       case "PENDING":
       case "CREATED":
-        console.log("⏳ Payment PENDING/CREATED");
-        // TODO: Implement your pending logic
-        // - Update UI to show "waiting for confirmation"
-        // - Start timeout for checking status
-        // - Send "payment in progress" notification
+        // Still waiting: reconciliation picks the payment up if no final
+        // callback arrives
         await processPendingPayment(transactionData);
         break;
 
       default:
-        console.warn("⚠️ Unknown payment status:", status);
-        // TODO: Handle unknown status
-        // - Log for investigation
-        // - Possibly treat as pending
-        transactionStore.set(transactionId, transactionData);
+        log.warn("Unknown payment status", {
+          referenceId: transactionId,
+          status
+        });
+        // Kept for investigation; the order is not changed
+        await transactionStore.set(transactionId, transactionData);
     }
 
     // ============================================================
     // RESPOND TO MTN MOMO
     // ============================================================
     const processingTime = Date.now() - startTime;
-    console.log(`✅ Callback processed in ${processingTime}ms`);
-    console.log("=".repeat(80));
-
-    // Must respond with 200 OK to acknowledge receipt
-    res.status(200).json({
-      success: true,
-      message: "Callback received and processed",
+    log.info("Callback processed", {
       referenceId: transactionId,
-      financialTransactionId,
-      externalId,
       status,
-      processingTime: `${processingTime}ms`,
+      processingTimeMs: processingTime
     });
+
+    // Must respond with 200 OK to acknowledge receipt
+    return {
+      statusCode: 200,
+      body: {
+        success: true,
+        message: "Callback received and processed",
+        referenceId: transactionId,
+        financialTransactionId,
+        externalId,
+        status,
+        processingTime: `${processingTime}ms`,
+      },
+      verified,
+    };
   } catch (error) {
-    console.error("❌ Callback processing error:", error);
-    console.error("Stack trace:", error.stack);
+    log.error("Callback processing failed", { error });
 
     // Still respond with 200 to avoid MTN retries
     // Log the error for investigation
-    res.status(200).json({
-      success: false,
-      message: "Callback received but processing failed",
-      error: error.message,
-    });
+    return {
+      statusCode: 200,
+      body: {
+        success: false,
+        message: "Callback received but processing failed",
+        error: error.message,
+      },
+      verified,
+    };
   }
-});
+}
 
 /**
- * Get callback history (for debugging)
+ * Store a callback in the event log, process it and record the outcome
+ * Used by POST /callback and by replays (services/callbackReplay.js)
+ * @param {object} headers - Request headers (lower-case names)
+ * @param {object} body - Callback payload
+ * @param {object} [options]
+ * @param {string} [options.provider] - Name of the payment provider the
+ *   callback is from (default "mtn")
+ * @param {string} [options.source] - The provider's name, or "replay"
+ * @param {string|number} [options.replayOf] - ID of the event being replayed
+ * @param {string} [options.ip] - Source IP of the request
+ * @param {string} [options.token] - Callback token from the callback URL
+ * @returns {object} { statusCode, body, verified, event }
  */
-router.get("/callback/history/:referenceId", async (req, res) => {
-  const { referenceId } = req.params;
-
-  try {
-    // Check in-memory store first
-    const inMemoryData = transactionStore.get(referenceId);
-
-    // Get from database (if connected)
-    let order = null;
-    if (supabase) {
-      const { data, error } = await supabase
-        .from("orders")
-        .select("*")
-        .eq("reference_id", referenceId)
-        .single();
-
-      if (!error) {
-        order = data;
-      }
-    }
-
-    if (!order && !inMemoryData) {
-      return res.status(404).json({
+async function receiveCallback(
+  headers,
+  body,
+  {
+    provider: providerName = DEFAULT_PROVIDER,
+    source = providerName,
+    replayOf,
+    ip,
+    token,
+  } = {}
+) {
+  const provider = getProvider(providerName);
+  if (!provider) {
+    return {
+      statusCode: 404,
+      body: {
         success: false,
-        message: "Transaction not found",
-        databaseConnected: !!supabase,
-      });
-    }
+        message: `Unknown payment provider: ${providerName}`,
+      },
+      event: null,
+    };
+  }
 
-    res.json({
-      success: true,
-      transaction: order || inMemoryData,
-      inMemory: !!inMemoryData,
-      inDatabase: !!order,
-      databaseConnected: !!supabase,
+  let event = null;
+  try {
+    event = await callbackEventsRepository.recordEvent({
+      headers,
+      body,
+      referenceId: provider.parseCallback(headers, body || {}).referenceId,
+      source,
+      provider: provider.name,
+      replayOf,
+      remoteIp: ip,
     });
   } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch transaction",
-      error: error.message,
-    });
+    // Never lose a payment update because the event log is unavailable
+    log.error("Callback event log failed", { error });
+  }
+
+  const result = await handleCallback(headers, body || {}, {
+    replay: source === "replay",
+    ip,
+    token,
+    provider,
+  });
+
+  if (event) {
+    // 4xx: the callback itself was refused; 5xx: it may succeed on replay
+    const outcome =
+      result.statusCode >= 500
+        ? "failed"
+        : result.statusCode !== 200
+        ? "rejected"
+        : result.body.success
+        ? "processed"
+        : "failed";
+    try {
+      event =
+        (await callbackEventsRepository.recordOutcome(event.id, {
+          outcome,
+          error: result.body.success
+            ? null
+            : result.body.error || result.body.message,
+          verified: result.verified === true,
+        })) || event;
+    } catch (error) {
+      log.error("Callback event log failed", { eventId: event.id, error });
+    }
   }
+
+  return { ...result, event };
+}
+
+/**
+ * Main callback handler endpoint (POST as requested)
+ * Every callback is stored in `callback_events` before it is processed.
+ * MTN calls the URL sent with the request to pay: CALLBACK_URL?token=...
+ * Other providers call back on /callback/<provider> (see below).
+ * Roles: public (called by MTN)
+ */
+router.post("/callback", async (req, res) => {
+  const { statusCode, body } = await receiveCallback(req.headers, req.body, {
+    ip: req.ip,
+    token: req.query.token,
+  });
+  res.status(statusCode).json(body);
 });
 
 /**
- * Get callback logs (for debugging)
+ * Get callback history (for debugging)
+ * Includes the order's payment status timeline
+ * Roles: admin, support
  */
-router.get("/callback-logs", async (req, res) => {
-  try {
-    // If database is connected, fetch from there
-    if (supabase) {
-      const { data: orders, error } = await supabase
-        .from("orders")
-        .select(
-          "reference_id, payment_status, callback_received, callback_data, created_at, last_status_check, financial_transaction_id"
-        )
-        .eq("callback_received", true)
-        .order("last_status_check", { ascending: false })
-        .limit(50);
-
-      if (error) throw error;
+router.get(
+  "/callback/history/:referenceId",
+  requireRole([ROLES.ADMIN, ROLES.SUPPORT]),
+  async (req, res) => {
+    const { referenceId } = req.params;
+
+    try {
+      // Check the transaction store first
+      const cachedData = await transactionStore.get(referenceId);
+
+      const order = await ordersRepository.findByReference(referenceId);
+
+      if (!order && !cachedData) {
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+          databaseConnected: !!supabase,
+        });
+      }
+
+      // Every accepted status change, oldest first
+      const history = await ordersRepository.getStatusHistory(referenceId);
 
       res.json({
         success: true,
-        count: orders.length,
-        logs: orders,
-        source: "database",
+        transaction: order || cachedData,
+        cached: !!cachedData,
+        inDatabase: !!order,
+        databaseConnected: !!supabase,
+        history: history.map((entry) => ({
+          from: entry.from_status,
+          to: entry.to_status,
+          source: entry.source,
+          at: entry.created_at,
+          details: entry.details,
+        })),
       });
-    } else {
-      // Return in-memory transactions
-      const inMemoryLogs = Array.from(transactionStore.values()).map((tx) => ({
-        reference_id: tx.referenceId,
-        payment_status: tx.status,
-        callback_received: true,
-        callback_data: tx,
-        created_at: tx.createdAt,
-        last_status_check: tx.processedAt || tx.lastUpdated,
-        financial_transaction_id: tx.financialTransactionId,
-      }));
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch transaction",
+        error: error.message,
+      });
+    }
+  }
+);
 
-      res.json({
-        success: true,
-        count: inMemoryLogs.length,
-        logs: inMemoryLogs,
-        source: "memory",
-        note: "Database not connected - showing in-memory transactions only",
+/**
+ * Get callback logs (for debugging)
+ * Roles: admin, support
+ */
+router.get(
+  "/callback-logs",
+  requireRole([ROLES.ADMIN, ROLES.SUPPORT]),
+  async (req, res) => {
+    try {
+      // If database is connected, fetch from there
+      if (supabase) {
+        const orders = await ordersRepository.listOrders({
+          callbackReceived: true,
+          orderBy: "last_status_check",
+          limit: 50,
+        });
+        const logs = orders.map((order) => ({
+          reference_id: order.reference_id,
+          payment_status: order.payment_status,
+          callback_received: order.callback_received,
+          callback_data: order.callback_data,
+          created_at: order.created_at,
+          last_status_check: order.last_status_check,
+          financial_transaction_id: order.financial_transaction_id,
+        }));
+
+        res.json({
+          success: true,
+          count: logs.length,
+          logs,
+          source: "database",
+        });
+      } else {
+        // Return transactions from the transaction store
+        const cachedLogs = (await transactionStore.values()).map((tx) => ({
+          reference_id: tx.referenceId,
+          payment_status: tx.status,
+          callback_received: true,
+          callback_data: tx,
+          created_at: tx.createdAt,
+          last_status_check: tx.processedAt || tx.lastUpdated,
+          financial_transaction_id: tx.financialTransactionId,
+        }));
+
+        res.json({
+          success: true,
+          count: cachedLogs.length,
+          logs: cachedLogs,
+          source: "transaction_store",
+          note: "Database not connected - showing cached transactions only",
+        });
+      }
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch callback logs",
+        error: error.message,
       });
     }
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Failed to fetch callback logs",
-      error: error.message,
-    });
   }
-});
+);
 
 /**
  * Test callback endpoint (for development)
+ * Roles: admin
  */
-router.post("/callback/test", async (req, res) => {
-  console.log("🧪 Test callback triggered");
+router.post("/callback/test", requireRole([ROLES.ADMIN]), async (req, res) => {
 
   const testCallback = {
     referenceId: req.body.referenceId || "test-" + Date.now(),
     financialTransactionId: "TEST-" + Math.random().toString(36).substring(7),
     externalId: req.body.externalId || "ORDER-TEST",
     amount: req.body.amount || "100",
-    currency: req.body.currency || "LRD",
+    currency: req.body.currency || DEFAULT_CURRENCY,
     status: req.body.status || "SUCCESSFUL",
     payer: {
       partyIdType: "MSISDN",
-      partyId: "231770123456",
+      partyId: "231886123456",
     },
   };
 
-  console.log("Test callback data:", testCallback);
+  log.info("Test callback generated", { testCallback });
 
   res.json({
     success: true,
@@ -872,12 +1470,34 @@ router.post("/callback/test", async (req, res) => {
   });
 });
 
+/**
+ * Callback endpoint of a payment provider (e.g. /callback/orange)
+ * Declared after /callback/test so that route keeps working.
+ * Roles: public (called by the provider)
+ */
+router.post("/callback/:provider", async (req, res) => {
+  const { statusCode, body } = await receiveCallback(req.headers, req.body, {
+    provider: req.params.provider,
+    ip: req.ip,
+    token: req.query.token,
+  });
+  res.status(statusCode).json(body);
+});
+
 module.exports = {
   router,
-  setTransactionStore,
   registerCallbackListener,
   unregisterCallbackListener,
+  listenerCount,
+  notifyListeners,
+  fulfillmentEvent,
   processSuccessfulPayment,
   processFailedPayment,
   processPendingPayment,
+  processExpiredPayment,
+  processUnderReviewPayment,
+  processTransactionStatus,
+  holdLatePayment,
+  releaseLatePayment,
+  receiveCallback,
 };
@@ -4,10 +4,7 @@ const cors = require("cors");
 require("dotenv").config();
 
 // Import callback handler
-const {
-  router: callbackRouter,
-  setTransactionStore,
-} = require("./MoMoCallbackHandler");
+const { router: callbackRouter } = require("./MoMoCallbackHandler");
 
 // Import configuration
 const supabase = require("./config/database");
@@ -19,26 +16,51 @@ const {
   MOMO_API_USER_ID,
   MOMO_API_KEY,
 } = require("./config/momo.config");
+const {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+} = require("./config/currency.config");
+const { TRUST_PROXY } = require("./config/callback.config");
+const { LOG_LEVEL } = require("./config/logging.config");
+const { requestContext } = require("./middleware/requestContext");
+const { logger } = require("./utils/logger");
 
 // Import routes
 const paymentRoutes = require("./routes/payment.routes");
 const transactionRoutes = require("./routes/transaction.routes");
+const refundRoutes = require("./routes/refund.routes");
+const loyaltyRoutes = require("./routes/loyalty.routes");
+const orderRoutes = require("./routes/order.routes");
+const streamRoutes = require("./routes/stream.routes");
+const callbackEventsRoutes = require("./routes/callbackEvents.routes");
+const reviewRoutes = require("./routes/review.routes");
+const adminRoutes = require("./routes/admin.routes");
 
-// Import transaction store
-const pendingTransactions = require("./utils/transactionStore");
+// Import background workers
+const {
+  startReconciliationWorker,
+} = require("./services/reconciliationWorker");
+const { startNotificationWorker } = require("./services/notifications");
+const { startEviction } = require("./utils/transactionStore");
 
 // Initialize Express app
 const app = express();
+app.set("trust proxy", TRUST_PROXY); // req.ip for the callback IP allow-list
+app.use(requestContext); // Correlation ID and request log
 app.use(cors());
 app.use(bodyParser.json());
 
-// Share transaction store with callback handler
-setTransactionStore(pendingTransactions);
-
 // Mount routes
 app.use("/api/momo", paymentRoutes);
 app.use("/api/momo", transactionRoutes);
+app.use("/api/momo", refundRoutes);
 app.use("/api/momo", callbackRouter);
+app.use("/api/momo", streamRoutes);
+app.use("/api/momo", callbackEventsRoutes);
+app.use("/api/momo", reviewRoutes);
+app.use("/api/loyalty", loyaltyRoutes);
+app.use("/api/orders", orderRoutes);
+app.use("/api/admin", adminRoutes);
 
 // Health Check - GET
 app.get("/", (req, res) => {
@@ -60,24 +82,36 @@ app.post("/", (req, res) => {
   });
 });
 
-const PORT = process.env.PORT || 5000;
-app.listen(PORT, () => {
-  console.log(`🚀 Server running on port ${PORT}`);
-  console.log(`📍 Environment: ${MOMO_ENVIRONMENT}`);
-  console.log(`💱 Currency: LRD (Liberian Dollar)`);
-  console.log(`🌐 Base URL: ${MOMO_BASE_URL}`);
-  console.log(`🔗 Callback URL: ${CALLBACK_URL}`);
-  console.log(
-    `💾 Supabase: ${supabase ? "Connected" : "Not configured (offline mode)"}`,
-  );
-  console.log("\n" + "=".repeat(60));
-  console.log("🔍 Configuration Check:");
-  console.log("=".repeat(60));
-  console.log(
-    "✓ Subscription Key:",
-    MOMO_SUBSCRIPTION_KEY ? "SET" : "❌ MISSING",
-  );
-  console.log("✓ API User ID:", MOMO_API_USER_ID ? "SET" : "❌ MISSING");
-  console.log("✓ API Key:", MOMO_API_KEY ? "SET" : "❌ MISSING");
-  console.log("=".repeat(60) + "\n");
-});
+// Start the server when run directly (tests import the app instead)
+if (require.main === module) {
+  const PORT = process.env.PORT || 5000;
+  app.listen(PORT, () => {
+    logger.info("Server started", {
+      port: Number(PORT),
+      environment: MOMO_ENVIRONMENT,
+      currencies: SUPPORTED_CURRENCIES,
+      defaultCurrency: DEFAULT_CURRENCY,
+      baseUrl: MOMO_BASE_URL,
+      callbackUrl: CALLBACK_URL,
+      database: supabase ? "connected" : "offline",
+      logLevel: LOG_LEVEL,
+    });
+
+    // Missing MoMo credentials
+    for (const [setting, value] of Object.entries({
+      MOMO_SUBSCRIPTION_KEY,
+      MOMO_API_USER_ID,
+      MOMO_API_KEY,
+    })) {
+      if (!value) {
+        logger.warn("MoMo setting missing", { setting });
+      }
+    }
+
+    startReconciliationWorker();
+    startNotificationWorker();
+    startEviction();
+  });
+}
+
+module.exports = app;
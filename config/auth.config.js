@@ -0,0 +1,46 @@
+require("dotenv").config();
+
+// Roles recognised by the auth middleware
+const ROLES = {
+  ADMIN: "admin",
+  SUPPORT: "support",
+  STOREFRONT: "storefront",
+};
+
+/**
+ * Parse API_KEYS ("role:key,role:key") into [{ role, key }]
+ */
+function parseApiKeys(value) {
+  if (!value) {
+    return [];
+  }
+
+  return value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const separator = entry.indexOf(":");
+      return {
+        role: entry.slice(0, separator).trim(),
+        key: entry.slice(separator + 1).trim(),
+      };
+    })
+    .filter(({ role, key }) => Object.values(ROLES).includes(role) && key);
+}
+
+const API_KEYS = parseApiKeys(process.env.API_KEYS);
+
+// HMAC secret for signed (HS256) JWTs
+const AUTH_JWT_SECRET = process.env.AUTH_JWT_SECRET || null;
+
+// Lifetime of storefront status tokens issued by /pay (default: 24 hours)
+const STATUS_TOKEN_TTL_SECONDS =
+  parseInt(process.env.STATUS_TOKEN_TTL_SECONDS, 10) || 24 * 60 * 60;
+
+module.exports = {
+  ROLES,
+  API_KEYS,
+  AUTH_JWT_SECRET,
+  STATUS_TOKEN_TTL_SECONDS,
+};
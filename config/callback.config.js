@@ -0,0 +1,39 @@
+require("dotenv").config();
+
+/**
+ * Parse a comma-separated list
+ */
+function parseList(value) {
+  return (value || "")
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean);
+}
+
+// Source IPs (or IPv4 CIDR ranges) allowed to POST /callback
+// Empty allows any source; set it to MTN's callback addresses in production
+const CALLBACK_ALLOWED_IPS = parseList(process.env.CALLBACK_ALLOWED_IPS);
+
+// Express "trust proxy" setting, so the allow-list sees the client IP behind
+// a load balancer (e.g. "1" on Render). Unset trusts no proxy.
+const TRUST_PROXY = process.env.TRUST_PROXY
+  ? /^\d+$/.test(process.env.TRUST_PROXY)
+    ? parseInt(process.env.TRUST_PROXY, 10)
+    : process.env.TRUST_PROXY
+  : false;
+
+// Each payment's callback URL carries an unguessable token; callbacks
+// without the matching token are rejected (default: on)
+const CALLBACK_REQUIRE_TOKEN = process.env.CALLBACK_REQUIRE_TOKEN !== "false";
+
+// SUCCESSFUL callbacks are confirmed with the MoMo status API before the
+// order is marked paid (default: on)
+const CALLBACK_CONFIRM_SUCCESS =
+  process.env.CALLBACK_CONFIRM_SUCCESS !== "false";
+
+module.exports = {
+  CALLBACK_ALLOWED_IPS,
+  TRUST_PROXY,
+  CALLBACK_REQUIRE_TOKEN,
+  CALLBACK_CONFIRM_SUCCESS,
+};
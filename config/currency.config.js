@@ -0,0 +1,68 @@
+require("dotenv").config();
+
+/**
+ * Parse a comma-separated list of currency codes
+ */
+function parseCurrencies(value) {
+  return value
+    .split(",")
+    .map((code) => code.trim().toUpperCase())
+    .filter(Boolean);
+}
+
+/**
+ * Parse EXCHANGE_RATES ("FROM:TO=rate,...") into { "FROM:TO": rate }
+ * The inverse of each pair is added unless it is configured explicitly
+ */
+function parseExchangeRates(value) {
+  const rates = {};
+  if (!value) {
+    return rates;
+  }
+
+  const pairs = value
+    .split(",")
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [pair, rate] = entry.split("=");
+      const [from, to] = (pair || "").split(":").map((c) => c.trim());
+      return {
+        from: (from || "").toUpperCase(),
+        to: (to || "").toUpperCase(),
+        rate: parseFloat(rate),
+      };
+    })
+    .filter(({ from, to, rate }) => from && to && rate > 0);
+
+  for (const { from, to, rate } of pairs) {
+    rates[`${from}:${to}`] = rate;
+  }
+  for (const { from, to, rate } of pairs) {
+    if (!(`${to}:${from}` in rates)) {
+      rates[`${to}:${from}`] = 1 / rate;
+    }
+  }
+  return rates;
+}
+
+// Currencies an order may be charged in
+const SUPPORTED_CURRENCIES = parseCurrencies(
+  process.env.SUPPORTED_CURRENCIES || "LRD,USD",
+);
+
+// Currency charged when /pay does not specify one
+const DEFAULT_CURRENCY = (process.env.DEFAULT_CURRENCY || "USD").toUpperCase();
+
+// Currency product prices are stored in
+const CATALOG_CURRENCY = (process.env.CATALOG_CURRENCY || "USD").toUpperCase();
+
+// Conversion rates, e.g. "USD:LRD=190" means 1 USD = 190 LRD
+const EXCHANGE_RATES = parseExchangeRates(process.env.EXCHANGE_RATES);
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  CATALOG_CURRENCY,
+  EXCHANGE_RATES,
+};
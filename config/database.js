@@ -1,4 +1,5 @@
 require("dotenv").config();
+const { logger } = require("../utils/logger");
 
 // Initialize Supabase client (optional - only if credentials are provided)
 let supabase = null;
@@ -9,17 +10,16 @@ try {
       process.env.SUPABASE_URL,
       process.env.SUPABASE_SERVICE_ROLE_KEY
     );
-    console.log("✅ Supabase client initialized");
+    logger.info("Supabase client initialized");
   } else {
-    console.log(
-      "⚠️ Supabase credentials not found - running in offline mode (no database)"
+    logger.warn(
+      "Supabase credentials not found - running in offline mode (no database)"
     );
   }
 } catch (error) {
-  console.log(
-    "⚠️ Supabase initialization failed - running in offline mode:",
-    error.message
-  );
+  logger.error("Supabase initialization failed - running in offline mode", {
+    error
+  });
 }
 
 module.exports = supabase;
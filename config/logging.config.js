@@ -0,0 +1,16 @@
+require("dotenv").config();
+
+const LOG_LEVELS = ["debug", "info", "warn", "error", "silent"];
+
+// Lowest level written (see utils/logger.js): debug, info, warn, error or
+// silent (default: info)
+const LOG_LEVEL = LOG_LEVELS.includes(
+  (process.env.LOG_LEVEL || "").toLowerCase(),
+)
+  ? process.env.LOG_LEVEL.toLowerCase()
+  : "info";
+
+module.exports = {
+  LOG_LEVELS,
+  LOG_LEVEL,
+};
@@ -0,0 +1,28 @@
+require("dotenv").config();
+
+/**
+ * Read a non-negative number setting; 0 is a valid value (e.g. a 0 earn rate
+ * turns earning off), anything unparseable falls back to the default
+ */
+function parseRate(value, fallback) {
+  const rate = parseFloat(value);
+  return Number.isFinite(rate) && rate >= 0 ? rate : fallback;
+}
+
+// Points earned per unit of currency paid (default: 1 point per 1.00)
+const LOYALTY_EARN_RATE = parseRate(process.env.LOYALTY_EARN_RATE, 1);
+
+// Currency value of one point when redeemed (default: 0.01)
+const LOYALTY_POINT_VALUE = parseRate(process.env.LOYALTY_POINT_VALUE, 0.01);
+
+// Largest share of the subtotal that may be paid with points (default: 50%)
+const LOYALTY_MAX_REDEMPTION_RATE = parseRate(
+  process.env.LOYALTY_MAX_REDEMPTION_RATE,
+  0.5,
+);
+
+module.exports = {
+  LOYALTY_EARN_RATE,
+  LOYALTY_POINT_VALUE,
+  LOYALTY_MAX_REDEMPTION_RATE,
+};
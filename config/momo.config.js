@@ -13,6 +13,31 @@ const MOMO_ENVIRONMENT = process.env.MOMO_ENVIRONMENT || "mtnliberia";
 const CALLBACK_URL =
   process.env.CALLBACK_URL || "https://www.litwaypicks.com/api/momo/callback";
 
+// Disbursement product (refunds/payouts) has its own subscription and API user
+const MOMO_DISBURSEMENT_SUBSCRIPTION_KEY =
+  process.env.MOMO_DISBURSEMENT_SUBSCRIPTION_KEY;
+const MOMO_DISBURSEMENT_API_USER_ID = process.env.MOMO_DISBURSEMENT_API_USER_ID;
+const MOMO_DISBURSEMENT_API_KEY = process.env.MOMO_DISBURSEMENT_API_KEY;
+
+// HTTP client (services/momoClient.js)
+// Timeout of each call to MTN (default: 15 seconds)
+const MOMO_TIMEOUT_MS = parseInt(process.env.MOMO_TIMEOUT_MS, 10) || 15000;
+
+// Extra attempts for GETs that time out or get a 5xx/429 (default: 2; 0
+// disables retries), with jittered exponential backoff from
+// MOMO_RETRY_BASE_MS (default: 500ms)
+const MOMO_RETRY_ATTEMPTS = /^\d+$/.test(process.env.MOMO_RETRY_ATTEMPTS)
+  ? parseInt(process.env.MOMO_RETRY_ATTEMPTS, 10)
+  : 2;
+const MOMO_RETRY_BASE_MS = parseInt(process.env.MOMO_RETRY_BASE_MS, 10) || 500;
+
+// Consecutive failures (timeouts, network errors, 5xx) that open the circuit
+// breaker; calls then fail immediately until the cooldown has passed
+const MOMO_BREAKER_THRESHOLD =
+  parseInt(process.env.MOMO_BREAKER_THRESHOLD, 10) || 5;
+const MOMO_BREAKER_COOLDOWN_MS =
+  parseInt(process.env.MOMO_BREAKER_COOLDOWN_MS, 10) || 30000;
+
 module.exports = {
   MOMO_BASE_URL,
   MOMO_SUBSCRIPTION_KEY,
@@ -20,4 +45,12 @@ module.exports = {
   MOMO_API_KEY,
   MOMO_ENVIRONMENT,
   CALLBACK_URL,
+  MOMO_DISBURSEMENT_SUBSCRIPTION_KEY,
+  MOMO_DISBURSEMENT_API_USER_ID,
+  MOMO_DISBURSEMENT_API_KEY,
+  MOMO_TIMEOUT_MS,
+  MOMO_RETRY_ATTEMPTS,
+  MOMO_RETRY_BASE_MS,
+  MOMO_BREAKER_THRESHOLD,
+  MOMO_BREAKER_COOLDOWN_MS,
 };
@@ -0,0 +1,78 @@
+require("dotenv").config();
+const path = require("path");
+
+// Providers default to "console" outside production; in production nothing
+// is sent until one is chosen
+const DEFAULT_PROVIDER =
+  process.env.NODE_ENV === "production" ? "none" : "console";
+
+// Email provider: "smtp", "http" (Resend-compatible API), "console" or "none"
+const EMAIL_PROVIDER = process.env.EMAIL_PROVIDER || DEFAULT_PROVIDER;
+
+// SMS provider: "http" (SMS gateway), "console" or "none"
+const SMS_PROVIDER = process.env.SMS_PROVIDER || DEFAULT_PROVIDER;
+
+const EMAIL_FROM = process.env.EMAIL_FROM || "orders@litwaypicks.com";
+const SUPPORT_EMAIL = process.env.SUPPORT_EMAIL || "support@litwaypicks.com";
+
+// Staff alerts (e.g. payments held for review); "none" disables them
+const ALERT_EMAIL = process.env.ALERT_EMAIL || SUPPORT_EMAIL;
+
+// Customer-facing tracking page; the order's external ID is appended
+const ORDER_TRACKING_URL =
+  process.env.ORDER_TRACKING_URL || "https://www.litwaypicks.com/track/";
+
+// SMTP
+const SMTP_HOST = process.env.SMTP_HOST;
+const SMTP_PORT = parseInt(process.env.SMTP_PORT, 10) || 587;
+const SMTP_SECURE = process.env.SMTP_SECURE === "true";
+const SMTP_USER = process.env.SMTP_USER;
+const SMTP_PASS = process.env.SMTP_PASS;
+
+// HTTP email API
+const EMAIL_API_URL =
+  process.env.EMAIL_API_URL || "https://api.resend.com/emails";
+const EMAIL_API_KEY = process.env.EMAIL_API_KEY || process.env.RESEND_API_KEY;
+
+// SMS gateway
+const SMS_API_URL = process.env.SMS_API_URL;
+const SMS_API_KEY = process.env.SMS_API_KEY;
+const SMS_SENDER = process.env.SMS_SENDER || "LitwayPicks";
+
+// Console provider also appends messages to this file (if set)
+const NOTIFICATION_FILE =
+  process.env.NOTIFICATION_FILE ||
+  (process.env.NODE_ENV === "production"
+    ? null
+    : path.join(__dirname, "..", "logs", "notifications.log"));
+
+// Outbox retries
+const NOTIFICATION_MAX_ATTEMPTS =
+  parseInt(process.env.NOTIFICATION_MAX_ATTEMPTS, 10) || 5;
+const NOTIFICATION_RETRY_BASE_MS =
+  parseInt(process.env.NOTIFICATION_RETRY_BASE_MS, 10) || 30 * 1000;
+const NOTIFICATION_POLL_INTERVAL_MS =
+  parseInt(process.env.NOTIFICATION_POLL_INTERVAL_MS, 10) || 30 * 1000;
+
+module.exports = {
+  EMAIL_PROVIDER,
+  SMS_PROVIDER,
+  EMAIL_FROM,
+  SUPPORT_EMAIL,
+  ALERT_EMAIL,
+  ORDER_TRACKING_URL,
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  EMAIL_API_URL,
+  EMAIL_API_KEY,
+  SMS_API_URL,
+  SMS_API_KEY,
+  SMS_SENDER,
+  NOTIFICATION_FILE,
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_BASE_MS,
+  NOTIFICATION_POLL_INTERVAL_MS,
+};
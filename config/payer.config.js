@@ -0,0 +1,16 @@
+require("dotenv").config();
+
+// Check every /pay payer with MTN's account holder lookup, not only requests
+// with `verifyPayer: true` (default: off)
+const PAYER_VERIFICATION_REQUIRED =
+  process.env.PAYER_VERIFICATION_REQUIRED === "true";
+
+// Lowest name similarity (0-1) between the registered MoMo name and the
+// customer's first/last name that counts as a match
+const PAYER_NAME_MATCH_THRESHOLD =
+  parseFloat(process.env.PAYER_NAME_MATCH_THRESHOLD) || 0.75;
+
+module.exports = {
+  PAYER_VERIFICATION_REQUIRED,
+  PAYER_NAME_MATCH_THRESHOLD,
+};
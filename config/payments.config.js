@@ -0,0 +1,13 @@
+require("dotenv").config();
+
+// Payment providers customers can pay with (see services/payments), e.g.
+// "mtn,orange". A payment goes to the provider the customer chose, or to
+// the one serving their phone number's operator.
+const PAYMENT_PROVIDERS = (process.env.PAYMENT_PROVIDERS || "mtn")
+  .split(",")
+  .map((name) => name.trim().toLowerCase())
+  .filter(Boolean);
+
+module.exports = {
+  PAYMENT_PROVIDERS,
+};
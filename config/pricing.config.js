@@ -0,0 +1,22 @@
+require("dotenv").config();
+const path = require("path");
+
+// JSON catalog used when Supabase is offline
+const CATALOG_FILE =
+  process.env.CATALOG_FILE ||
+  path.join(__dirname, "..", "data", "catalog.json");
+
+// What /pay does when client totals differ from the server-side price:
+// "reject" returns 409 with the correct totals, "correct" charges the
+// server-side total instead
+const PRICING_MISMATCH_POLICY =
+  process.env.PRICING_MISMATCH_POLICY === "correct" ? "correct" : "reject";
+
+// Largest quantity of a single product accepted per order
+const MAX_ITEM_QUANTITY = parseInt(process.env.MAX_ITEM_QUANTITY, 10) || 100;
+
+module.exports = {
+  CATALOG_FILE,
+  PRICING_MISMATCH_POLICY,
+  MAX_ITEM_QUANTITY,
+};
@@ -0,0 +1,36 @@
+require("dotenv").config();
+
+// Background reconciliation of PENDING orders whose callback never arrived
+const RECONCILE_ENABLED = process.env.RECONCILE_ENABLED !== "false";
+
+// How often the worker scans for stuck orders (default: 1 minute)
+const RECONCILE_INTERVAL_MS =
+  parseInt(process.env.RECONCILE_INTERVAL_MS, 10) || 60 * 1000;
+
+// Only orders PENDING for longer than this are checked (default: 2 minutes)
+const RECONCILE_MIN_AGE_MS =
+  parseInt(process.env.RECONCILE_MIN_AGE_MS, 10) || 2 * 60 * 1000;
+
+// Orders still PENDING after this are marked EXPIRED (default: 1 hour)
+const RECONCILE_EXPIRE_AFTER_MS =
+  parseInt(process.env.RECONCILE_EXPIRE_AFTER_MS, 10) || 60 * 60 * 1000;
+
+// Backoff between checks of the same order (doubles up to the max)
+const RECONCILE_BACKOFF_BASE_MS =
+  parseInt(process.env.RECONCILE_BACKOFF_BASE_MS, 10) || 60 * 1000;
+const RECONCILE_BACKOFF_MAX_MS =
+  parseInt(process.env.RECONCILE_BACKOFF_MAX_MS, 10) || 15 * 60 * 1000;
+
+// Maximum number of orders checked per scan
+const RECONCILE_BATCH_SIZE =
+  parseInt(process.env.RECONCILE_BATCH_SIZE, 10) || 50;
+
+module.exports = {
+  RECONCILE_ENABLED,
+  RECONCILE_INTERVAL_MS,
+  RECONCILE_MIN_AGE_MS,
+  RECONCILE_EXPIRE_AFTER_MS,
+  RECONCILE_BACKOFF_BASE_MS,
+  RECONCILE_BACKOFF_MAX_MS,
+  RECONCILE_BATCH_SIZE,
+};
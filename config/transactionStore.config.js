@@ -0,0 +1,39 @@
+require("dotenv").config();
+const path = require("path");
+
+const hasDatabase = !!(
+  process.env.SUPABASE_URL && process.env.SUPABASE_SERVICE_ROLE_KEY
+);
+
+// Transaction store backend: "memory", "file" or "supabase"
+// Defaults to Supabase when configured, otherwise a local file in
+// production (so pending payments survive restarts) and memory elsewhere
+const TRANSACTION_STORE =
+  process.env.TRANSACTION_STORE ||
+  (hasDatabase
+    ? "supabase"
+    : process.env.NODE_ENV === "production"
+      ? "file"
+      : "memory");
+
+// JSON file used by the file backend; processes sharing it coordinate
+// through a lock file next to it
+const TRANSACTION_STORE_FILE =
+  process.env.TRANSACTION_STORE_FILE ||
+  path.join(__dirname, "..", "storage", "transactions.json");
+
+// Entries are evicted this long after their last update (default: 24 hours)
+const TRANSACTION_STORE_TTL_MS =
+  parseInt(process.env.TRANSACTION_STORE_TTL_MS, 10) || 24 * 60 * 60 * 1000;
+
+// How often expired entries are swept (default: 5 minutes)
+const TRANSACTION_STORE_SWEEP_INTERVAL_MS =
+  parseInt(process.env.TRANSACTION_STORE_SWEEP_INTERVAL_MS, 10) ||
+  5 * 60 * 1000;
+
+module.exports = {
+  TRANSACTION_STORE,
+  TRANSACTION_STORE_FILE,
+  TRANSACTION_STORE_TTL_MS,
+  TRANSACTION_STORE_SWEEP_INTERVAL_MS,
+};
@@ -0,0 +1,174 @@
+const crypto = require("crypto");
+const {
+  ROLES,
+  API_KEYS,
+  AUTH_JWT_SECRET,
+  STATUS_TOKEN_TTL_SECONDS,
+} = require("../config/auth.config");
+const jwt = require("../utils/jwt");
+
+/**
+ * Compare two strings in constant time
+ */
+function safeEqual(a, b) {
+  const hashA = crypto.createHash("sha256").update(String(a)).digest();
+  const hashB = crypto.createHash("sha256").update(String(b)).digest();
+  return crypto.timingSafeEqual(hashA, hashB);
+}
+
+/**
+ * Short, non-reversible ID of an API key, safe to store and log
+ */
+function keyFingerprint(key) {
+  return crypto.createHash("sha256").update(key).digest("hex").slice(0, 12);
+}
+
+/**
+ * Resolve the caller from an X-API-Key header or an
+ * "Authorization: Bearer <api key | JWT>" header
+ *
+ * Browser EventSource cannot send headers, so streaming routes may also
+ * accept a `?token=` query parameter. Query strings end up in proxy logs
+ * and browser history, so only storefront status tokens (scoped to one
+ * order) are accepted there - never API keys or other JWTs.
+ *
+ * `customer` is only set from a customer token: a storefront JWT with a
+ * `cust` claim (lower-cased email, or phone) and no `ref`, signed by the
+ * storefront once the customer has signed in. Status tokens from /pay
+ * never identify a customer - their contact details were typed in at
+ * checkout.
+ *
+ * `subject` says who the caller is, for audit trails: the JWT's `sub`
+ * claim, or for an API key a fingerprint of the key (never the key itself).
+ *
+ * @param {object} [options] - { allowQueryToken }
+ * @returns {object|null} { role, subject, referenceId?, externalId?,
+ *   customer?, via }
+ */
+function resolvePrincipal(req, options = {}) {
+  const authorization = req.get("Authorization") || "";
+  const bearer = authorization.startsWith("Bearer ")
+    ? authorization.slice(7).trim()
+    : null;
+  const queryToken =
+    options.allowQueryToken && typeof req.query?.token === "string"
+      ? req.query.token
+      : null;
+  const headerCredential = req.get("X-API-Key") || bearer;
+  const credential = headerCredential || queryToken;
+
+  if (!credential) {
+    return null;
+  }
+
+  if (headerCredential) {
+    const apiKey = API_KEYS.find(({ key }) => safeEqual(key, credential));
+    if (apiKey) {
+      return {
+        role: apiKey.role,
+        subject: `api_key:${keyFingerprint(apiKey.key)}`,
+        via: "api_key",
+      };
+    }
+  }
+
+  if (AUTH_JWT_SECRET) {
+    const payload = jwt.verify(credential, AUTH_JWT_SECRET);
+    const statusToken = payload?.role === ROLES.STOREFRONT && payload.ref;
+    if (
+      payload &&
+      Object.values(ROLES).includes(payload.role) &&
+      (headerCredential || statusToken)
+    ) {
+      return {
+        role: payload.role,
+        subject: typeof payload.sub === "string" ? payload.sub : null,
+        referenceId: payload.ref || null,
+        externalId: payload.ext || null,
+        customer:
+          !payload.ref && typeof payload.cust === "string"
+            ? payload.cust.trim().toLowerCase() || null
+            : null,
+        via: "jwt",
+      };
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Require the caller to hold one of the given roles
+ *
+ * Storefront callers are additionally limited to their own data: pass
+ * `{ ownOrderParam: "referenceId" }` to compare the route parameter with the
+ * reference ID in the token, or `{ ownCustomerParam: "customer" }` to compare
+ * it with the token's customer. Routes without either reject storefront.
+ *
+ * @param {string[]} roles - Roles allowed to call the route
+ * @param {object} [options] - { ownOrderParam, ownCustomerParam, allowQueryToken }
+ */
+function requireRole(roles, options = {}) {
+  return (req, res, next) => {
+    const principal = resolvePrincipal(req, options);
+
+    if (!principal) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required",
+      });
+    }
+
+    if (!roles.includes(principal.role)) {
+      return res.status(403).json({
+        success: false,
+        message: "You do not have access to this resource",
+      });
+    }
+
+    if (principal.role === ROLES.STOREFRONT) {
+      const ownOrder =
+        options.ownOrderParam &&
+        principal.referenceId &&
+        req.params[options.ownOrderParam] === principal.referenceId;
+      const ownCustomer =
+        options.ownCustomerParam &&
+        principal.customer &&
+        String(req.params[options.ownCustomerParam]).toLowerCase() ===
+          principal.customer;
+
+      if (!ownOrder && !ownCustomer) {
+        return res.status(403).json({
+          success: false,
+          message: "Storefront tokens can only access their own order",
+        });
+      }
+    }
+
+    req.principal = principal;
+    next();
+  };
+}
+
+/**
+ * Issue a storefront token scoped to a single order
+ * @returns {string|null} Signed token, or null if AUTH_JWT_SECRET is not set
+ */
+function issueStatusToken(referenceId, externalId) {
+  if (!AUTH_JWT_SECRET) {
+    return null;
+  }
+
+  return jwt.sign(
+    { role: ROLES.STOREFRONT, ref: referenceId, ext: externalId },
+    AUTH_JWT_SECRET,
+    STATUS_TOKEN_TTL_SECONDS,
+  );
+}
+
+module.exports = {
+  ROLES,
+  requireRole,
+  resolvePrincipal,
+  issueStatusToken,
+};
@@ -0,0 +1,45 @@
+const crypto = require("crypto");
+const { AsyncResource } = require("async_hooks");
+const { logger, runWithCorrelationId } = require("../utils/logger");
+
+// Client-supplied correlation IDs are only reused when they look like one
+const CORRELATION_ID_PATTERN = /^[\w.:-]{1,100}$/;
+
+const log = logger.child({ module: "http" });
+
+/**
+ * Give each request a correlation ID (the caller's X-Correlation-Id, or a
+ * new one), echo it in the response and log the request once it finishes
+ *
+ * Everything logged while the request is handled carries the ID (see
+ * utils/logger.js). Only the path is logged: query strings can hold
+ * callback and status tokens.
+ */
+function requestContext(req, res, next) {
+  const supplied = req.get("X-Correlation-Id");
+  const correlationId =
+    supplied && CORRELATION_ID_PATTERN.test(supplied)
+      ? supplied
+      : crypto.randomUUID();
+  const startTime = Date.now();
+
+  req.correlationId = correlationId;
+  res.set("X-Correlation-Id", correlationId);
+
+  runWithCorrelationId(correlationId, () => {
+    res.on(
+      "finish",
+      AsyncResource.bind(() => {
+        log.info("Request handled", {
+          method: req.method,
+          path: req.originalUrl.split("?")[0],
+          status: res.statusCode,
+          durationMs: Date.now() - startTime,
+        });
+      }),
+    );
+    next();
+  });
+}
+
+module.exports = { requestContext };
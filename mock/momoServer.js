@@ -0,0 +1,419 @@
+/**
+ * Mock MTN MoMo Collection API
+ *
+ * Implements the endpoints used by services/momoService.js so the app can
+ * run end to end without network access:
+ * - POST /collection/token/
+ * - POST /collection/v1_0/requesttopay
+ * - GET  /collection/v1_0/requesttopay/:referenceId
+ * - GET  /collection/v1_0/accountholder/msisdn/:msisdn/basicuserinfo
+ * - GET  /collection/v1_0/account/balance[/:currency]
+ *
+ * Outcomes are scripted by payer MSISDN (see mock/scenarios.js). When a
+ * transaction resolves, a callback is POSTed to the request's X-Callback-Url,
+ * or to the configured callback URL.
+ *
+ * Run it with `npm run mock-momo` and start the app with
+ * MOMO_BASE_URL=http://localhost:8090 and
+ * CALLBACK_URL=http://localhost:3000/api/momo/callback.
+ */
+
+const express = require("express");
+const axios = require("axios");
+const crypto = require("crypto");
+const { DEFAULT_NAME, DEFAULT_SCENARIOS } = require("./scenarios");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "mock-momo" });
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Create a mock MoMo server
+ * @param {object} [options]
+ * @param {string} [options.callbackUrl] - Where callbacks are sent when the
+ *   request has no X-Callback-Url header
+ * @param {number} [options.callbackDelayMs] - Default delay before a
+ *   transaction resolves (default 2000)
+ * @param {number} [options.timeoutMs] - How long TIMEOUT requests hang before
+ *   the connection is dropped (default 120000)
+ * @param {object} [options.scenarios] - Extra scenarios by MSISDN
+ * @param {string[]} [options.currencies] - Accepted currencies
+ * @param {object} [options.balance] - { availableBalance, currency }
+ * @returns {object} { app, listen, close, setScenario, getTransaction, reset }
+ */
+function createMockMomoServer(options = {}) {
+  const callbackUrl = options.callbackUrl || null;
+  const callbackDelayMs = options.callbackDelayMs ?? 2000;
+  const timeoutMs = options.timeoutMs ?? 120000;
+  const currencies = options.currencies || ["LRD", "USD"];
+  const balance = options.balance || {
+    availableBalance: "250000.00",
+    currency: "LRD",
+  };
+
+  const scenarios = new Map(
+    Object.entries({ ...DEFAULT_SCENARIOS, ...(options.scenarios || {}) }),
+  );
+  const transactions = new Map();
+  const tokens = new Map();
+  const timers = new Set();
+  let server = null;
+
+  const app = express();
+  app.use(express.json());
+
+  function schedule(fn, delayMs) {
+    const timer = setTimeout(() => {
+      timers.delete(timer);
+      fn();
+    }, delayMs);
+    timers.add(timer);
+  }
+
+  function scenarioFor(msisdn) {
+    return scenarios.get(String(msisdn)) || { outcome: "SUCCESSFUL" };
+  }
+
+  // Public shape of a transaction, as returned by GET requesttopay
+  function transactionBody(transaction) {
+    return {
+      financialTransactionId: transaction.financialTransactionId || undefined,
+      externalId: transaction.externalId,
+      amount: transaction.amount,
+      currency: transaction.currency,
+      payer: transaction.payer,
+      payerMessage: transaction.payerMessage,
+      payeeNote: transaction.payeeNote,
+      status: transaction.status,
+      reason: transaction.reason || undefined,
+    };
+  }
+
+  async function sendCallback(transaction) {
+    const url = transaction.callbackUrl || callbackUrl;
+    if (!url) {
+      return;
+    }
+
+    try {
+      await axios.post(url, transactionBody(transaction), {
+        headers: {
+          "Content-Type": "application/json",
+          "X-Reference-Id": transaction.referenceId,
+        },
+        timeout: 10000,
+      });
+      transaction.callbackSentAt = new Date().toISOString();
+      log.info("Callback sent", {
+        referenceId: transaction.referenceId,
+        status: transaction.status,
+      });
+    } catch (error) {
+      transaction.callbackError = error.message;
+      log.error("Callback failed", {
+        referenceId: transaction.referenceId,
+        error,
+      });
+    }
+  }
+
+  function resolveTransaction(transaction, scenario) {
+    if (scenario.outcome === "SUCCESSFUL") {
+      transaction.status = "SUCCESSFUL";
+      transaction.financialTransactionId = String(
+        crypto.randomInt(100000000, 999999999),
+      );
+    } else {
+      transaction.status = "FAILED";
+      transaction.reason = scenario.reason || "INTERNAL_PROCESSING_ERROR";
+    }
+    transaction.resolvedAt = new Date().toISOString();
+
+    if (scenario.callback !== false) {
+      return sendCallback(transaction);
+    }
+  }
+
+  // ------------------------------------------------------------
+  // Authentication
+  // ------------------------------------------------------------
+
+  function requireSubscriptionKey(req, res, next) {
+    if (!req.get("Ocp-Apim-Subscription-Key")) {
+      return res.status(401).json({
+        statusCode: 401,
+        message:
+          "Access denied due to missing subscription key. Make sure to include subscription key when making requests to an API.",
+      });
+    }
+    next();
+  }
+
+  function requireAccessToken(req, res, next) {
+    const token = (req.get("Authorization") || "").replace(/^Bearer /, "");
+    const expiresAt = tokens.get(token);
+
+    if (!expiresAt || expiresAt < Date.now()) {
+      return res.status(401).json({
+        code: "INVALID_TOKEN",
+        message: "Access token is missing, invalid or expired",
+      });
+    }
+    if (!req.get("X-Target-Environment")) {
+      return res.status(400).json({
+        code: "NOT_ALLOWED_TARGET_ENVIRONMENT",
+        message: "X-Target-Environment header is required",
+      });
+    }
+    next();
+  }
+
+  app.post("/collection/token/", requireSubscriptionKey, (req, res) => {
+    const authorization = req.get("Authorization") || "";
+    const credentials = authorization.startsWith("Basic ")
+      ? Buffer.from(authorization.slice(6), "base64").toString()
+      : "";
+    const [apiUser, apiKey] = credentials.split(":");
+
+    if (!apiUser || !apiKey || apiUser === "undefined") {
+      return res.status(401).json({ error: "login_failed" });
+    }
+
+    const accessToken = crypto.randomBytes(24).toString("hex");
+    tokens.set(accessToken, Date.now() + 3600 * 1000);
+
+    res.json({
+      access_token: accessToken,
+      token_type: "access_token",
+      expires_in: 3600,
+    });
+  });
+
+  // ------------------------------------------------------------
+  // Request to Pay
+  // ------------------------------------------------------------
+
+  app.post(
+    "/collection/v1_0/requesttopay",
+    requireSubscriptionKey,
+    requireAccessToken,
+    (req, res) => {
+      const referenceId = req.get("X-Reference-Id");
+      const { amount, currency, externalId, payer } = req.body || {};
+
+      if (!referenceId || !UUID_PATTERN.test(referenceId)) {
+        return res.status(400).json({
+          code: "INVALID_REFERENCE_ID",
+          message: "X-Reference-Id must be a UUID v4",
+        });
+      }
+      if (transactions.has(referenceId)) {
+        return res.status(409).json({
+          code: "RESOURCE_ALREADY_EXIST",
+          message: "Duplicated reference id. Creation of resource failed.",
+        });
+      }
+      if (!(parseFloat(amount) > 0) || !payer?.partyId) {
+        return res.status(400).json({
+          code: "INVALID_REQUEST",
+          message: "amount and payer.partyId are required",
+        });
+      }
+      if (!currencies.includes(currency)) {
+        return res.status(500).json({
+          code: "INVALID_CURRENCY",
+          message: "Currency not supported.",
+        });
+      }
+
+      const scenario = scenarioFor(payer.partyId);
+
+      if (scenario.outcome === "TIMEOUT") {
+        log.info("Timing out requesttopay", { referenceId });
+        schedule(() => req.socket.destroy(), timeoutMs);
+        return;
+      }
+      if (scenario.outcome === "ERROR") {
+        return res.status(500).json({
+          code: "INTERNAL_PROCESSING_ERROR",
+          message: "An internal error occurred while processing.",
+        });
+      }
+
+      const transaction = {
+        referenceId,
+        externalId,
+        amount: String(amount),
+        currency,
+        payer,
+        payerMessage: req.body.payerMessage,
+        payeeNote: req.body.payeeNote,
+        status: "PENDING",
+        callbackUrl: req.get("X-Callback-Url") || null,
+        createdAt: new Date().toISOString(),
+      };
+      transactions.set(referenceId, transaction);
+
+      if (scenario.outcome !== "PENDING") {
+        schedule(
+          () => resolveTransaction(transaction, scenario),
+          scenario.callbackDelayMs ?? callbackDelayMs,
+        );
+      }
+
+      res.status(202).end();
+    },
+  );
+
+  app.get(
+    "/collection/v1_0/requesttopay/:referenceId",
+    requireSubscriptionKey,
+    requireAccessToken,
+    (req, res) => {
+      const transaction = transactions.get(req.params.referenceId);
+      if (!transaction) {
+        return res.status(404).json({
+          code: "RESOURCE_NOT_FOUND",
+          message: "Requested resource was not found.",
+        });
+      }
+      res.json(transactionBody(transaction));
+    },
+  );
+
+  // ------------------------------------------------------------
+  // Account holder and balance
+  // ------------------------------------------------------------
+
+  app.get(
+    "/collection/v1_0/accountholder/:idType/:msisdn/basicuserinfo",
+    requireSubscriptionKey,
+    requireAccessToken,
+    (req, res) => {
+      const scenario = scenarioFor(req.params.msisdn);
+      if (scenario.registered === false) {
+        return res.status(404).json({
+          code: "NOT_FOUND",
+          message: "Account holder not found.",
+        });
+      }
+
+      const name = scenario.name || DEFAULT_NAME;
+      res.json({
+        given_name: name.given_name,
+        family_name: name.family_name,
+        name: `${name.given_name} ${name.family_name}`,
+        locale: "en_LR",
+        gender: "",
+        birthdate: "",
+      });
+    },
+  );
+
+  app.get(
+    [
+      "/collection/v1_0/account/balance",
+      "/collection/v1_0/account/balance/:currency",
+    ],
+    requireSubscriptionKey,
+    requireAccessToken,
+    (req, res) => {
+      const currency = req.params.currency || balance.currency;
+      if (!currencies.includes(currency)) {
+        return res.status(500).json({
+          code: "INVALID_CURRENCY",
+          message: "Currency not supported.",
+        });
+      }
+      res.json({ availableBalance: balance.availableBalance, currency });
+    },
+  );
+
+  // ------------------------------------------------------------
+  // Mock controls
+  // ------------------------------------------------------------
+
+  app.get("/mock/transactions", (req, res) => {
+    res.json(Array.from(transactions.values()));
+  });
+
+  app.put("/mock/scenarios/:msisdn", (req, res) => {
+    scenarios.set(req.params.msisdn, req.body || {});
+    res.json({ msisdn: req.params.msisdn, scenario: req.body });
+  });
+
+  app.post("/mock/reset", (req, res) => {
+    reset();
+    res.json({ success: true });
+  });
+
+  /**
+   * Override the scenario for an MSISDN
+   */
+  function setScenario(msisdn, scenario) {
+    scenarios.set(String(msisdn), scenario);
+  }
+
+  function getTransaction(referenceId) {
+    return transactions.get(referenceId) || null;
+  }
+
+  /**
+   * Forget transactions, tokens and pending timers
+   */
+  function reset() {
+    timers.forEach(clearTimeout);
+    timers.clear();
+    transactions.clear();
+    tokens.clear();
+  }
+
+  /**
+   * Start listening
+   * @returns {Promise<object>} The http.Server
+   */
+  function listen(port = 0) {
+    return new Promise((resolve) => {
+      server = app.listen(port, () => resolve(server));
+    });
+  }
+
+  /**
+   * Stop the server, dropping hanging requests and pending callbacks
+   */
+  function close() {
+    reset();
+    if (!server) {
+      return Promise.resolve();
+    }
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return { app, listen, close, setScenario, getTransaction, reset };
+}
+
+module.exports = { createMockMomoServer };
+
+if (require.main === module) {
+  require("dotenv").config();
+
+  const port = parseInt(process.env.MOCK_MOMO_PORT, 10) || 8090;
+  const mock = createMockMomoServer({
+    callbackUrl:
+      process.env.CALLBACK_URL || "http://localhost:3000/api/momo/callback",
+    callbackDelayMs:
+      parseInt(process.env.MOCK_MOMO_CALLBACK_DELAY_MS, 10) || undefined,
+  });
+
+  mock.listen(port).then(() => {
+    log.info("Mock MoMo server running", {
+      url: `http://localhost:${port}`,
+      usage: `Start the app with MOMO_BASE_URL=http://localhost:${port}`,
+      scenarios:
+        "Payers 231880000001-012 fail, 020 stays pending, 021 calls back late, 022 never calls back, 023 times out, 024 errors; others succeed",
+    });
+  });
+}
@@ -0,0 +1,62 @@
+/**
+ * Mock MoMo scenarios
+ *
+ * The outcome of a request-to-pay is chosen by the payer's MSISDN. Numbers
+ * not listed here succeed with the default callback delay.
+ *
+ * Scenario fields:
+ * - outcome: SUCCESSFUL | FAILED | PENDING (never resolves) |
+ *   TIMEOUT (requesttopay POST never answers) | ERROR (requesttopay POST 500)
+ * - reason: failure reason for FAILED (MTN Collection API codes)
+ * - callbackDelayMs: delay before the transaction resolves and the callback
+ *   is sent (defaults to the server's callbackDelayMs)
+ * - callback: false to resolve the transaction without sending a callback
+ * - registered: false to return 404 from basicuserinfo
+ * - name: { given_name, family_name } returned by basicuserinfo
+ */
+
+const DEFAULT_NAME = { given_name: "Test", family_name: "Customer" };
+
+// Failure reasons documented for Collection requesttopay
+const FAILURE_REASONS = [
+  "PAYER_NOT_FOUND",
+  "NOT_ENOUGH_FUNDS",
+  "PAYER_LIMIT_REACHED",
+  "APPROVAL_REJECTED",
+  "EXPIRED",
+  "TRANSACTION_CANCELED",
+  "LOW_BALANCE_OR_PAYEE_LIMIT_REACHED_OR_NOT_ALLOWED",
+  "INTERNAL_PROCESSING_ERROR",
+  "SERVICE_UNAVAILABLE",
+  "NOT_ALLOWED",
+  "PAYEE_NOT_ALLOWED_TO_RECEIVE",
+  "PAYMENT_NOT_APPROVED",
+];
+
+const DEFAULT_SCENARIOS = {
+  231880000000: { outcome: "SUCCESSFUL" },
+
+  // 231880000001 - 231880000012: one number per failure reason
+  ...Object.fromEntries(
+    FAILURE_REASONS.map((reason, index) => [
+      `2318800000${String(index + 1).padStart(2, "0")}`,
+      {
+        outcome: "FAILED",
+        reason,
+        ...(reason === "PAYER_NOT_FOUND" ? { registered: false } : {}),
+      },
+    ]),
+  ),
+
+  231880000020: { outcome: "PENDING" },
+  231880000021: { outcome: "SUCCESSFUL", callbackDelayMs: 30000 },
+  231880000022: { outcome: "SUCCESSFUL", callback: false },
+  231880000023: { outcome: "TIMEOUT" },
+  231880000024: { outcome: "ERROR" },
+};
+
+module.exports = {
+  DEFAULT_NAME,
+  FAILURE_REASONS,
+  DEFAULT_SCENARIOS,
+};
@@ -0,0 +1,16 @@
+/**
+ * Error for a failed callback events query
+ * `code` carries the database error code so callers can tell conflicts from
+ * outages.
+ */
+class CallbackEventsRepositoryError extends Error {
+  constructor(operation, cause) {
+    super(`Callback events ${operation} failed: ${cause.message}`);
+    this.name = "CallbackEventsRepositoryError";
+    this.operation = operation;
+    this.code = cause.code || null;
+    this.cause = cause;
+  }
+}
+
+module.exports = { CallbackEventsRepositoryError };
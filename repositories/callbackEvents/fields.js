@@ -0,0 +1,45 @@
+// Credentials are never stored, even if a caller sends them to /callback
+const REDACTED_HEADERS = ["authorization", "cookie", "x-api-key"];
+
+/**
+ * Columns of a new event, derived from the callback as it was received
+ * The reference ID is the one the provider's callback parser found, or is
+ * resolved as for MTN callbacks, so events can be found by the order they
+ * belong to.
+ */
+function newEventFields({
+  headers = {},
+  body = {},
+  referenceId,
+  source,
+  provider,
+  replayOf,
+  remoteIp,
+}) {
+  return {
+    received_at: new Date().toISOString(),
+    headers: Object.fromEntries(
+      Object.entries(headers).filter(
+        ([name]) => !REDACTED_HEADERS.includes(name.toLowerCase()),
+      ),
+    ),
+    body,
+    reference_id:
+      referenceId ||
+      headers["x-reference-id"] ||
+      body.referenceId ||
+      body.externalId ||
+      null,
+    status: body.status || null,
+    remote_ip: remoteIp || null,
+    source: source || "mtn",
+    provider: provider || "mtn",
+    replay_of: replayOf || null,
+    outcome: "received",
+    verified: false,
+    error: null,
+    processed_at: null,
+  };
+}
+
+module.exports = { newEventFields };
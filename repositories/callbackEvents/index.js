@@ -0,0 +1,44 @@
+/**
+ * Callback Events Repository
+ *
+ * Every inbound MoMo callback is stored as received (headers, body, receive
+ * time) in `callback_events`, then the processing outcome is written once:
+ * `processed`, `failed` (with the error) or `rejected` (the callback failed
+ * validation), with `verified` set when the callback passed the signature,
+ * IP and token checks. Replays are stored as new events with
+ * `source: "replay"` and `replay_of` pointing at the original, so the
+ * original is never changed.
+ * Callbacks from a provider have its name as `source` ("mtn"); every event
+ * records the `provider` it is for.
+ *
+ * Supabase-backed when the database is configured, otherwise an in-memory
+ * implementation with the same interface (offline mode). Every method is
+ * async and throws CallbackEventsRepositoryError when the query fails.
+ *
+ *   recordEvent({ headers, body, referenceId, source, provider, replayOf,
+ *                 remoteIp })                        -> event
+ *   recordOutcome(id, { outcome, error, verified })  -> event | null (null
+ *                                                      when already set)
+ *   findById(id)                                     -> event | null
+ *   listEvents({ from, to, referenceId, source, ascending, limit })
+ *                                                    -> event[] (`to` is
+ *                                                      exclusive)
+ */
+
+const supabase = require("../../config/database");
+const { CallbackEventsRepositoryError } = require("./errors");
+const {
+  createSupabaseCallbackEventsRepository,
+} = require("./supabaseRepository");
+const { createMemoryCallbackEventsRepository } = require("./memoryRepository");
+
+const repository = supabase
+  ? createSupabaseCallbackEventsRepository({ supabase })
+  : createMemoryCallbackEventsRepository();
+
+module.exports = {
+  ...repository,
+  CallbackEventsRepositoryError,
+  createSupabaseCallbackEventsRepository,
+  createMemoryCallbackEventsRepository,
+};
@@ -0,0 +1,71 @@
+const { newEventFields } = require("./fields");
+
+// Oldest events are dropped beyond this, so offline mode stays bounded
+const MAX_EVENTS = 1000;
+
+/**
+ * In-process callback events repository, used in offline mode
+ * Events are lost on restart.
+ */
+function createMemoryCallbackEventsRepository({ maxEvents = MAX_EVENTS } = {}) {
+  // Oldest first
+  const events = [];
+  let nextId = 1;
+
+  // Rows are copied in and out so callers never share a mutable event
+  const clone = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+  const find = (id) => events.find((e) => String(e.id) === String(id));
+
+  return {
+    name: "memory",
+
+    async recordEvent(callback) {
+      const row = { id: nextId++, ...clone(newEventFields(callback)) };
+      events.push(row);
+      if (events.length > maxEvents) {
+        events.shift();
+      }
+      return clone(row);
+    },
+
+    async recordOutcome(id, { outcome, error = null, verified = false }) {
+      const row = find(id);
+      if (!row || row.outcome !== "received") {
+        return null;
+      }
+      Object.assign(row, {
+        outcome,
+        error,
+        verified,
+        processed_at: new Date().toISOString(),
+      });
+      return clone(row);
+    },
+
+    async findById(id) {
+      return clone(find(id));
+    },
+
+    async listEvents({
+      from,
+      to,
+      referenceId,
+      source,
+      ascending = false,
+      limit = 100,
+    } = {}) {
+      const start = from ? new Date(from).getTime() : null;
+      const end = to ? new Date(to).getTime() : null;
+      const list = events
+        .filter((e) => !start || new Date(e.received_at).getTime() >= start)
+        .filter((e) => !end || new Date(e.received_at).getTime() < end)
+        .filter((e) => !referenceId || e.reference_id === referenceId)
+        .filter((e) => !source || e.source === source);
+
+      return (ascending ? list : list.reverse()).slice(0, limit).map(clone);
+    },
+  };
+}
+
+module.exports = { createMemoryCallbackEventsRepository };
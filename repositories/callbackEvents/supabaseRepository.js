@@ -0,0 +1,80 @@
+const { CallbackEventsRepositoryError } = require("./errors");
+const { newEventFields } = require("./fields");
+
+/**
+ * Callback events repository backed by the Supabase `callback_events` table
+ */
+function createSupabaseCallbackEventsRepository({ supabase }) {
+  const events = () => supabase.from("callback_events");
+
+  // Return the data of a query, or throw its error
+  async function run(query, operation) {
+    const { data, error } = await query;
+    if (error) {
+      throw new CallbackEventsRepositoryError(operation, error);
+    }
+    return data;
+  }
+
+  return {
+    name: "supabase",
+
+    async recordEvent(callback) {
+      return run(
+        events().insert(newEventFields(callback)).select().single(),
+        "recordEvent",
+      );
+    },
+
+    /**
+     * The outcome is written once; the received headers and body never change
+     */
+    async recordOutcome(id, { outcome, error = null, verified = false }) {
+      return run(
+        events()
+          .update({
+            outcome,
+            error,
+            verified,
+            processed_at: new Date().toISOString(),
+          })
+          .eq("id", id)
+          .eq("outcome", "received")
+          .select()
+          .maybeSingle(),
+        "recordOutcome",
+      );
+    },
+
+    async findById(id) {
+      return run(events().select("*").eq("id", id).maybeSingle(), "findById");
+    },
+
+    async listEvents({
+      from,
+      to,
+      referenceId,
+      source,
+      ascending = false,
+      limit = 100,
+    } = {}) {
+      let query = events().select("*");
+      if (from) {
+        query = query.gte("received_at", new Date(from).toISOString());
+      }
+      if (to) {
+        query = query.lt("received_at", new Date(to).toISOString());
+      }
+      if (referenceId) {
+        query = query.eq("reference_id", referenceId);
+      }
+      if (source) {
+        query = query.eq("source", source);
+      }
+
+      return run(query.order("id", { ascending }).limit(limit), "listEvents");
+    },
+  };
+}
+
+module.exports = { createSupabaseCallbackEventsRepository };
@@ -0,0 +1,16 @@
+/**
+ * Error for a failed orders query
+ * `code` carries the database error code (e.g. "23505" for a duplicate
+ * external ID) so callers can tell conflicts from outages.
+ */
+class OrdersRepositoryError extends Error {
+  constructor(operation, cause) {
+    super(`Orders ${operation} failed: ${cause.message}`);
+    this.name = "OrdersRepositoryError";
+    this.operation = operation;
+    this.code = cause.code || null;
+    this.cause = cause;
+  }
+}
+
+module.exports = { OrdersRepositoryError };
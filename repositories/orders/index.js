@@ -0,0 +1,55 @@
+/**
+ * Orders Repository
+ *
+ * The only module that queries the `orders` table. Routes, the callback
+ * handler and workers go through these methods, so lookups, status
+ * transitions and error handling behave the same everywhere.
+ *
+ * Supabase-backed when the database is configured, otherwise an in-memory
+ * implementation with the same interface (offline mode). Every method is
+ * async, returns plain order rows (or null when nothing matched) and throws
+ * OrdersRepositoryError when the query fails.
+ *
+ * Payment status changes go through transitionStatus, which enforces the
+ * transitions in services/paymentStatus and records each accepted change
+ * (and the order's creation) in `order_status_history`.
+ *
+ *   createOrder(fields, { source })      -> order
+ *   findById(id)                         -> order | null
+ *   findByReference(referenceId)         -> order | null
+ *   findByExternalId(externalId)         -> order | null
+ *   findByFinancialTransactionId(id)     -> order | null
+ *   assignReference(id, referenceId)     -> order | null
+ *   transitionStatus(referenceId, status, { changes, source, details })
+ *                                        -> order | null (null when the
+ *                                           transition is not allowed)
+ *   failUnsentOrder(id, reason, { source })
+ *                                        -> order | null (PENDING orders
+ *                                           whose payment request was
+ *                                           never sent)
+ *   updateOrder(referenceId, changes)    -> order | null (not for status)
+ *   listOrders({ status, callbackReceived, hasReference, createdBefore,
+ *                dueBefore, confirmedFrom, confirmedBefore, orderBy,
+ *                ascending, limit })     -> order[] (status may be a list;
+ *                                           confirmedBefore is exclusive;
+ *                                           dueBefore matches orders whose
+ *                                           next_reconcile_at is unset or
+ *                                           not after it)
+ *   getStatusHistory(referenceId)        -> history entries, oldest first
+ */
+
+const supabase = require("../../config/database");
+const { OrdersRepositoryError } = require("./errors");
+const { createSupabaseOrdersRepository } = require("./supabaseRepository");
+const { createMemoryOrdersRepository } = require("./memoryRepository");
+
+const repository = supabase
+  ? createSupabaseOrdersRepository({ supabase })
+  : createMemoryOrdersRepository();
+
+module.exports = {
+  ...repository,
+  OrdersRepositoryError,
+  createSupabaseOrdersRepository,
+  createMemoryOrdersRepository,
+};
@@ -0,0 +1,187 @@
+const { v4: uuidv4 } = require("uuid");
+const { OrdersRepositoryError } = require("./errors");
+const { checkTransition } = require("../../services/paymentStatus");
+
+/**
+ * In-process orders repository, used in offline mode
+ * Orders are lost on restart; the transaction store keeps the payment state.
+ */
+function createMemoryOrdersRepository() {
+  // id -> order row
+  const orders = new Map();
+  // Status changes, oldest first
+  const history = [];
+  let nextHistoryId = 1;
+
+  // Rows are copied in and out so callers never share a mutable order
+  const clone = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+  const find = (predicate) =>
+    Array.from(orders.values()).find(predicate) || null;
+
+  function change(row, changes) {
+    Object.assign(row, clone(changes));
+    return clone(row);
+  }
+
+  function recordHistory(row, fromStatus, source, details) {
+    history.push({
+      id: nextHistoryId++,
+      order_id: row.id,
+      reference_id: row.reference_id,
+      external_id: row.external_id,
+      from_status: fromStatus,
+      to_status: row.payment_status,
+      source: source || null,
+      details: clone(details || null),
+      created_at: new Date().toISOString(),
+    });
+  }
+
+  return {
+    name: "memory",
+
+    async createOrder(fields, { source = "pay" } = {}) {
+      if (
+        fields.external_id &&
+        find((o) => o.external_id === fields.external_id)
+      ) {
+        throw new OrdersRepositoryError("createOrder", {
+          code: "23505",
+          message: `duplicate external_id ${fields.external_id}`,
+        });
+      }
+
+      const row = {
+        id: uuidv4(),
+        created_at: new Date().toISOString(),
+        ...clone(fields),
+      };
+      orders.set(row.id, row);
+      recordHistory(row, null, source);
+      return clone(row);
+    },
+
+    async findById(id) {
+      return clone(orders.get(id));
+    },
+
+    async findByReference(referenceId) {
+      return clone(find((o) => o.reference_id === referenceId));
+    },
+
+    async findByExternalId(externalId) {
+      return clone(find((o) => o.external_id === externalId));
+    },
+
+    async findByFinancialTransactionId(financialTransactionId) {
+      return clone(
+        find((o) => o.financial_transaction_id === financialTransactionId),
+      );
+    },
+
+    async assignReference(id, referenceId) {
+      const row = orders.get(id);
+      if (!row) {
+        return null;
+      }
+      history
+        .filter((entry) => entry.order_id === id)
+        .forEach((entry) => (entry.reference_id = referenceId));
+      return change(row, { reference_id: referenceId });
+    },
+
+    async transitionStatus(
+      referenceId,
+      status,
+      { changes = {}, source, details } = {},
+    ) {
+      const row = find((o) => o.reference_id === referenceId);
+      const fromStatus = row?.payment_status;
+      if (!row || !checkTransition(referenceId, fromStatus, status, source)) {
+        return null;
+      }
+
+      const order = change(row, { ...changes, payment_status: status });
+      recordHistory(row, fromStatus, source, details);
+      return order;
+    },
+
+    async failUnsentOrder(id, reason, { source = "pay" } = {}) {
+      const row = orders.get(id);
+      if (!row || row.payment_status !== "PENDING" || row.reference_id) {
+        return null;
+      }
+
+      const order = change(row, {
+        payment_status: "FAILED",
+        failure_reason: reason,
+      });
+      recordHistory(row, "PENDING", source, { reason });
+      return order;
+    },
+
+    async updateOrder(referenceId, changes) {
+      const row = find((o) => o.reference_id === referenceId);
+      return row ? change(row, changes) : null;
+    },
+
+    async listOrders({
+      status,
+      callbackReceived,
+      hasReference,
+      createdBefore,
+      dueBefore,
+      confirmedFrom,
+      confirmedBefore,
+      orderBy = "created_at",
+      ascending = false,
+      limit = 100,
+    } = {}) {
+      const cutoff = createdBefore ? new Date(createdBefore).getTime() : null;
+      const due = dueBefore ? new Date(dueBefore).getTime() : null;
+      const statuses = status && [].concat(status);
+      const confirmed = (o) => new Date(o.payment_confirmed_at).getTime();
+
+      return Array.from(orders.values())
+        .filter((o) => !statuses || statuses.includes(o.payment_status))
+        .filter(
+          (o) =>
+            callbackReceived === undefined ||
+            !!o.callback_received === callbackReceived,
+        )
+        .filter((o) => !hasReference || o.reference_id)
+        .filter((o) => !cutoff || new Date(o.created_at).getTime() < cutoff)
+        .filter(
+          (o) =>
+            !due ||
+            !o.next_reconcile_at ||
+            new Date(o.next_reconcile_at).getTime() <= due,
+        )
+        .filter(
+          (o) =>
+            !confirmedFrom || confirmed(o) >= new Date(confirmedFrom).getTime(),
+        )
+        .filter(
+          (o) =>
+            !confirmedBefore ||
+            confirmed(o) < new Date(confirmedBefore).getTime(),
+        )
+        .sort((a, b) => {
+          const order =
+            a[orderBy] > b[orderBy] ? 1 : a[orderBy] < b[orderBy] ? -1 : 0;
+          return ascending ? order : -order;
+        })
+        .slice(0, limit)
+        .map(clone);
+    },
+
+    async getStatusHistory(referenceId) {
+      return history
+        .filter((entry) => entry.reference_id === referenceId)
+        .map(clone);
+    },
+  };
+}
+
+module.exports = { createMemoryOrdersRepository };
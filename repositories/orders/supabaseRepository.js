@@ -0,0 +1,250 @@
+const { OrdersRepositoryError } = require("./errors");
+const { checkTransition } = require("../../services/paymentStatus");
+const { logger } = require("../../utils/logger");
+
+const log = logger.child({ module: "orders" });
+
+// Attempts for a transition that keeps losing the race to another writer
+const MAX_TRANSITION_ATTEMPTS = 3;
+
+/**
+ * Orders repository backed by the Supabase `orders` and
+ * `order_status_history` tables
+ */
+function createSupabaseOrdersRepository({ supabase }) {
+  const orders = () => supabase.from("orders");
+
+  // Return the data of a query, or throw its error
+  async function run(query, operation) {
+    const { data, error } = await query;
+    if (error) {
+      throw new OrdersRepositoryError(operation, error);
+    }
+    return data;
+  }
+
+  // The status change has already been applied, so a failed history
+  // insert is logged rather than thrown
+  async function recordHistory(order, fromStatus, source, details) {
+    const { error } = await supabase.from("order_status_history").insert({
+      order_id: order.id,
+      reference_id: order.reference_id,
+      external_id: order.external_id,
+      from_status: fromStatus,
+      to_status: order.payment_status,
+      source: source || null,
+      details: details || null,
+      created_at: new Date().toISOString(),
+    });
+
+    if (error) {
+      log.error("Order status history insert failed", {
+        referenceId: order.reference_id,
+        error,
+      });
+    }
+  }
+
+  return {
+    name: "supabase",
+
+    async createOrder(fields, { source = "pay" } = {}) {
+      const order = await run(
+        orders().insert(fields).select().single(),
+        "createOrder",
+      );
+      await recordHistory(order, null, source);
+      return order;
+    },
+
+    async findById(id) {
+      return run(orders().select("*").eq("id", id).maybeSingle(), "findById");
+    },
+
+    async findByReference(referenceId) {
+      return run(
+        orders().select("*").eq("reference_id", referenceId).maybeSingle(),
+        "findByReference",
+      );
+    },
+
+    async findByExternalId(externalId) {
+      return run(
+        orders().select("*").eq("external_id", externalId).maybeSingle(),
+        "findByExternalId",
+      );
+    },
+
+    async findByFinancialTransactionId(financialTransactionId) {
+      return run(
+        orders()
+          .select("*")
+          .eq("financial_transaction_id", financialTransactionId)
+          .limit(1)
+          .maybeSingle(),
+        "findByFinancialTransactionId",
+      );
+    },
+
+    async assignReference(id, referenceId) {
+      const order = await run(
+        orders()
+          .update({ reference_id: referenceId })
+          .eq("id", id)
+          .select()
+          .maybeSingle(),
+        "assignReference",
+      );
+
+      // Entries written before the reference existed can now be found by it
+      if (order) {
+        const { error } = await supabase
+          .from("order_status_history")
+          .update({ reference_id: referenceId })
+          .eq("order_id", id);
+
+        if (error) {
+          log.error("Order status history update failed", {
+            referenceId,
+            error,
+          });
+        }
+      }
+      return order;
+    },
+
+    /**
+     * Compare-and-set on the status that was read, so two writers racing
+     * on the same order cannot both apply a transition
+     */
+    async transitionStatus(
+      referenceId,
+      status,
+      { changes = {}, source, details } = {},
+    ) {
+      for (let attempt = 0; attempt < MAX_TRANSITION_ATTEMPTS; attempt++) {
+        const current = await this.findByReference(referenceId);
+        if (
+          !current ||
+          !checkTransition(referenceId, current.payment_status, status, source)
+        ) {
+          return null;
+        }
+
+        const order = await run(
+          orders()
+            .update({ ...changes, payment_status: status })
+            .eq("reference_id", referenceId)
+            .eq("payment_status", current.payment_status)
+            .select()
+            .maybeSingle(),
+          "transitionStatus",
+        );
+
+        if (order) {
+          await recordHistory(order, current.payment_status, source, details);
+          return order;
+        }
+        // Another writer changed the status first - check against the new one
+      }
+      return null;
+    },
+
+    /**
+     * The order has no reference ID until the provider accepts the request,
+     * so it is matched by ID (and only while it is PENDING without one)
+     */
+    async failUnsentOrder(id, reason, { source = "pay" } = {}) {
+      const order = await run(
+        orders()
+          .update({ payment_status: "FAILED", failure_reason: reason })
+          .eq("id", id)
+          .eq("payment_status", "PENDING")
+          .is("reference_id", null)
+          .select()
+          .maybeSingle(),
+        "failUnsentOrder",
+      );
+
+      if (order) {
+        await recordHistory(order, "PENDING", source, { reason });
+      }
+      return order;
+    },
+
+    async updateOrder(referenceId, changes) {
+      return run(
+        orders()
+          .update(changes)
+          .eq("reference_id", referenceId)
+          .select()
+          .maybeSingle(),
+        "updateOrder",
+      );
+    },
+
+    async listOrders({
+      status,
+      callbackReceived,
+      hasReference,
+      createdBefore,
+      dueBefore,
+      confirmedFrom,
+      confirmedBefore,
+      orderBy = "created_at",
+      ascending = false,
+      limit = 100,
+    } = {}) {
+      let query = orders().select("*");
+      if (Array.isArray(status)) {
+        query = query.in("payment_status", status);
+      } else if (status) {
+        query = query.eq("payment_status", status);
+      }
+      if (callbackReceived !== undefined) {
+        query = query.eq("callback_received", callbackReceived);
+      }
+      if (hasReference) {
+        query = query.not("reference_id", "is", null);
+      }
+      if (createdBefore) {
+        query = query.lt("created_at", new Date(createdBefore).toISOString());
+      }
+      if (dueBefore) {
+        query = query.or(
+          `next_reconcile_at.is.null,next_reconcile_at.lte.${new Date(dueBefore).toISOString()}`,
+        );
+      }
+      if (confirmedFrom) {
+        query = query.gte(
+          "payment_confirmed_at",
+          new Date(confirmedFrom).toISOString(),
+        );
+      }
+      if (confirmedBefore) {
+        query = query.lt(
+          "payment_confirmed_at",
+          new Date(confirmedBefore).toISOString(),
+        );
+      }
+
+      return run(
+        query.order(orderBy, { ascending }).limit(limit),
+        "listOrders",
+      );
+    },
+
+    async getStatusHistory(referenceId) {
+      return run(
+        supabase
+          .from("order_status_history")
+          .select("*")
+          .eq("reference_id", referenceId)
+          .order("id", { ascending: true }),
+        "getStatusHistory",
+      );
+    },
+  };
+}
+
+module.exports = { createSupabaseOrdersRepository };
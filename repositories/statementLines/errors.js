@@ -0,0 +1,16 @@
+/**
+ * Error for a failed statement lines query
+ * `code` carries the database error code so callers can tell conflicts from
+ * outages.
+ */
+class StatementLinesRepositoryError extends Error {
+  constructor(operation, cause) {
+    super(`Statement lines ${operation} failed: ${cause.message}`);
+    this.name = "StatementLinesRepositoryError";
+    this.operation = operation;
+    this.code = cause.code || null;
+    this.cause = cause;
+  }
+}
+
+module.exports = { StatementLinesRepositoryError };
@@ -0,0 +1,35 @@
+/**
+ * Statement Lines Repository
+ *
+ * Lines imported from MoMo collection statement exports (see
+ * services/settlementReconciliation), one row per MTN financial transaction
+ * ID. Importing the same statement again updates its lines rather than
+ * duplicating them.
+ *
+ * Supabase-backed when the database is configured, otherwise an in-memory
+ * implementation with the same interface (offline mode). Every method is
+ * async and throws StatementLinesRepositoryError when the query fails.
+ *
+ *   saveLines(lines)        -> saved lines (upserted by
+ *                              financial_transaction_id)
+ *   listLines({ date })     -> lines with that statement_date (YYYY-MM-DD),
+ *                              oldest first
+ */
+
+const supabase = require("../../config/database");
+const { StatementLinesRepositoryError } = require("./errors");
+const {
+  createSupabaseStatementLinesRepository,
+} = require("./supabaseRepository");
+const { createMemoryStatementLinesRepository } = require("./memoryRepository");
+
+const repository = supabase
+  ? createSupabaseStatementLinesRepository({ supabase })
+  : createMemoryStatementLinesRepository();
+
+module.exports = {
+  ...repository,
+  StatementLinesRepositoryError,
+  createSupabaseStatementLinesRepository,
+  createMemoryStatementLinesRepository,
+};
@@ -0,0 +1,40 @@
+/**
+ * In-process statement lines repository, used in offline mode
+ * Lines are lost on restart.
+ */
+function createMemoryStatementLinesRepository() {
+  // financial_transaction_id -> line
+  const lines = new Map();
+  let nextId = 1;
+
+  // Rows are copied in and out so callers never share a mutable line
+  const clone = (row) => (row ? JSON.parse(JSON.stringify(row)) : null);
+
+  return {
+    name: "memory",
+
+    async saveLines(rows) {
+      return rows.map((row) => {
+        const existing = lines.get(row.financial_transaction_id);
+        const saved = { id: existing?.id || nextId++, ...clone(row) };
+        lines.set(row.financial_transaction_id, saved);
+        return clone(saved);
+      });
+    },
+
+    async listLines({ date }) {
+      return Array.from(lines.values())
+        .filter((line) => line.statement_date === date)
+        .sort((a, b) =>
+          a.transacted_at > b.transacted_at
+            ? 1
+            : a.transacted_at < b.transacted_at
+              ? -1
+              : 0,
+        )
+        .map(clone);
+    },
+  };
+}
+
+module.exports = { createMemoryStatementLinesRepository };
@@ -0,0 +1,45 @@
+const { StatementLinesRepositoryError } = require("./errors");
+
+/**
+ * Statement lines repository backed by the Supabase `statement_lines` table
+ */
+function createSupabaseStatementLinesRepository({ supabase }) {
+  const lines = () => supabase.from("statement_lines");
+
+  // Return the data of a query, or throw its error
+  async function run(query, operation) {
+    const { data, error } = await query;
+    if (error) {
+      throw new StatementLinesRepositoryError(operation, error);
+    }
+    return data;
+  }
+
+  return {
+    name: "supabase",
+
+    async saveLines(rows) {
+      if (rows.length === 0) {
+        return [];
+      }
+      return run(
+        lines()
+          .upsert(rows, { onConflict: "financial_transaction_id" })
+          .select(),
+        "saveLines",
+      );
+    },
+
+    async listLines({ date }) {
+      return run(
+        lines()
+          .select("*")
+          .eq("statement_date", date)
+          .order("transacted_at", { ascending: true }),
+        "listLines",
+      );
+    },
+  };
+}
+
+module.exports = { createSupabaseStatementLinesRepository };
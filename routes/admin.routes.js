@@ -0,0 +1,101 @@
+const express = require("express");
+const router = express.Router();
+const {
+  SettlementError,
+  importStatement,
+  reconcileDate,
+  exceptionsCsv,
+} = require("../services/settlementReconciliation");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "admin" });
+
+const STAFF = [ROLES.ADMIN, ROLES.SUPPORT];
+
+// Statement exports are sent as the raw CSV body
+const csvBody = express.text({
+  type: ["text/csv", "text/plain"],
+  limit: "10mb",
+});
+
+function settlementErrorResponse(res, error, message) {
+  if (error instanceof SettlementError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  log.error("Settlement reconciliation failed", { error });
+  res.status(500).json({
+    success: false,
+    message,
+    error: error.message,
+  });
+}
+
+/**
+ * POST /api/admin/reconciliation/statements
+ * Import a MoMo collection statement export
+ * Body: the CSV file (Content-Type: text/csv)
+ * Roles: admin
+ */
+router.post(
+  "/reconciliation/statements",
+  requireRole([ROLES.ADMIN]),
+  csvBody,
+  async (req, res) => {
+    if (typeof req.body !== "string" || !req.body.trim()) {
+      return res.status(400).json({
+        success: false,
+        message: "Send the statement CSV with Content-Type: text/csv",
+      });
+    }
+
+    try {
+      const result = await importStatement(req.body);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      settlementErrorResponse(res, error, "Failed to import statement");
+    }
+  },
+);
+
+/**
+ * GET /api/admin/reconciliation/:date
+ * Statement lines for a day (YYYY-MM-DD, UTC) compared with the orders
+ * marked paid that day
+ * Roles: admin, support
+ */
+router.get("/reconciliation/:date", requireRole(STAFF), async (req, res) => {
+  try {
+    const report = await reconcileDate(req.params.date);
+    res.json({ success: true, ...report });
+  } catch (error) {
+    settlementErrorResponse(res, error, "Failed to reconcile statement");
+  }
+});
+
+/**
+ * GET /api/admin/reconciliation/:date/exceptions.csv
+ * The day's exceptions as a CSV download
+ * Roles: admin, support
+ */
+router.get(
+  "/reconciliation/:date/exceptions.csv",
+  requireRole(STAFF),
+  async (req, res) => {
+    try {
+      const report = await reconcileDate(req.params.date);
+      res
+        .type("text/csv")
+        .attachment(`reconciliation-exceptions-${report.date}.csv`)
+        .send(exceptionsCsv(report));
+    } catch (error) {
+      settlementErrorResponse(res, error, "Failed to reconcile statement");
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,137 @@
+const express = require("express");
+const router = express.Router();
+const callbackEventsRepository = require("../repositories/callbackEvents");
+const {
+  CallbackReplayError,
+  MAX_RANGE_EVENTS,
+  replayEvent,
+  replayEvents,
+} = require("../services/callbackReplay");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "callback-events" });
+
+const STAFF = [ROLES.ADMIN, ROLES.SUPPORT];
+
+function replayErrorResponse(res, error) {
+  if (error instanceof CallbackReplayError) {
+    return res.status(error.statusCode).json({
+      success: false,
+      message: error.message,
+    });
+  }
+
+  log.error("Callback replay failed", { error });
+  res.status(500).json({
+    success: false,
+    message: "Failed to replay callbacks",
+    error: error.message,
+  });
+}
+
+/**
+ * GET /api/momo/callback-events
+ * Stored callbacks, newest first
+ * Query: from, to (received_at, to exclusive), referenceId, source, limit
+ * Roles: admin, support
+ */
+router.get("/callback-events", requireRole(STAFF), async (req, res) => {
+  const { from, to, referenceId, source } = req.query;
+  const limit = Math.min(
+    parseInt(req.query.limit, 10) || 100,
+    MAX_RANGE_EVENTS,
+  );
+
+  if ((from && isNaN(new Date(from))) || (to && isNaN(new Date(to)))) {
+    return res.status(400).json({
+      success: false,
+      message: "from and to must be dates",
+    });
+  }
+
+  try {
+    const events = await callbackEventsRepository.listEvents({
+      from,
+      to,
+      referenceId,
+      source,
+      limit,
+    });
+    res.json({ success: true, count: events.length, events });
+  } catch (error) {
+    log.error("Callback event list failed", { error });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch callback events",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/momo/callback-events/:id
+ * One stored callback with its headers, body and outcome
+ * Roles: admin, support
+ */
+router.get("/callback-events/:id", requireRole(STAFF), async (req, res) => {
+  try {
+    const event = await callbackEventsRepository.findById(req.params.id);
+    if (!event) {
+      return res.status(404).json({
+        success: false,
+        message: "Callback event not found",
+      });
+    }
+    res.json({ success: true, event });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch callback event",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/momo/callback-events/replay
+ * Replay every callback received from a payment provider in a date range,
+ * oldest first
+ * Body: { from, to, referenceId?, provider? } - to is exclusive; provider
+ * defaults to "mtn"
+ * Roles: admin
+ */
+router.post(
+  "/callback-events/replay",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    const { from, to, referenceId, provider } = req.body || {};
+
+    try {
+      const result = await replayEvents({ from, to, referenceId, provider });
+      res.json({ success: true, ...result });
+    } catch (error) {
+      replayErrorResponse(res, error);
+    }
+  },
+);
+
+/**
+ * POST /api/momo/callback-events/:id/replay
+ * Re-run one stored callback through the callback handler
+ * Roles: admin
+ */
+router.post(
+  "/callback-events/:id/replay",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    try {
+      const result = await replayEvent(req.params.id);
+      res.json({ success: true, ...result });
+    } catch (error) {
+      replayErrorResponse(res, error);
+    }
+  },
+);
+
+module.exports = router;
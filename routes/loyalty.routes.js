@@ -0,0 +1,93 @@
+const express = require("express");
+const router = express.Router();
+const {
+  customerKey,
+  getBalance,
+  getHistory,
+  reverseEarnedPoints,
+} = require("../services/loyaltyService");
+const {
+  LOYALTY_EARN_RATE,
+  LOYALTY_POINT_VALUE,
+  LOYALTY_MAX_REDEMPTION_RATE,
+} = require("../config/loyalty.config");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "loyalty" });
+
+/**
+ * GET /api/loyalty/:customer
+ * Points balance and ledger history (customer = email or phone)
+ * Roles: admin, support, storefront (own customer only)
+ */
+router.get(
+  "/:customer",
+  requireRole([ROLES.ADMIN, ROLES.SUPPORT, ROLES.STOREFRONT], {
+    ownCustomerParam: "customer",
+  }),
+  async (req, res) => {
+    try {
+      const customer = customerKey(req.params.customer);
+      const history = await getHistory(customer);
+      const balance = await getBalance(customer);
+
+      res.json({
+        success: true,
+        customer,
+        balance,
+        pointValue: LOYALTY_POINT_VALUE,
+        earnRate: LOYALTY_EARN_RATE,
+        maxRedemptionRate: LOYALTY_MAX_REDEMPTION_RATE,
+        history,
+      });
+    } catch (error) {
+      log.error("Loyalty lookup failed", { error });
+      res.status(500).json({
+        success: false,
+        message: "Failed to fetch loyalty points",
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * POST /api/loyalty/chargeback/:externalId
+ * Reverse the points earned on an order after a chargeback
+ * Roles: admin
+ */
+router.post(
+  "/chargeback/:externalId",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    try {
+      const { externalId } = req.params;
+      const entry = await reverseEarnedPoints(
+        { external_id: externalId },
+        1,
+        `chargeback:${externalId}`,
+      );
+
+      res.json({
+        success: true,
+        message: entry
+          ? `${-entry.points} points reversed`
+          : "No points left to reverse for this order",
+        entry,
+      });
+    } catch (error) {
+      log.error("Loyalty chargeback failed", {
+        externalId: req.params.externalId,
+        error,
+      });
+      res.status(500).json({
+        success: false,
+        message: "Failed to reverse loyalty points",
+        error: error.message,
+      });
+    }
+  },
+);
+
+module.exports = router;
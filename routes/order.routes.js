@@ -0,0 +1,174 @@
+const express = require("express");
+const router = express.Router();
+const {
+  FULFILLMENT_STATUSES,
+  FulfillmentTransitionError,
+  getFulfillment,
+  listFulfillments,
+  transitionFulfillment,
+} = require("../services/fulfillmentService");
+const { notify } = require("../services/notifications");
+const { ORDER_TRACKING_URL } = require("../config/notifications.config");
+const { notifyListeners, fulfillmentEvent } = require("../MoMoCallbackHandler");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "orders" });
+
+const STAFF = [ROLES.ADMIN, ROLES.SUPPORT];
+
+/**
+ * GET /api/orders/fulfillments
+ * List fulfillments (optionally ?status=packed)
+ * Roles: admin, support
+ */
+router.get("/fulfillments", requireRole(STAFF), async (req, res) => {
+  try {
+    const fulfillments = await listFulfillments({ status: req.query.status });
+    res.json({
+      success: true,
+      count: fulfillments.length,
+      fulfillments,
+    });
+  } catch (error) {
+    log.error("Fulfillments list failed", { error });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch fulfillments",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * GET /api/orders/:externalId/fulfillment
+ * Full fulfillment record, including rider and delivery notes
+ * Roles: admin, support
+ */
+router.get("/:externalId/fulfillment", requireRole(STAFF), async (req, res) => {
+  try {
+    const fulfillment = await getFulfillment(req.params.externalId);
+    if (!fulfillment) {
+      return res.status(404).json({
+        success: false,
+        message: "Fulfillment not found",
+      });
+    }
+    res.json({ success: true, fulfillment });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch fulfillment",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/orders/:externalId/fulfillment
+ * Move an order to its next fulfillment status
+ * Body: { status, riderName?, riderPhone?, notes? }
+ * Roles: admin
+ */
+router.post(
+  "/:externalId/fulfillment",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    const { externalId } = req.params;
+    const { status, riderName, riderPhone, notes } = req.body || {};
+
+    if (!FULFILLMENT_STATUSES.includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: `status must be one of: ${FULFILLMENT_STATUSES.join(", ")}`,
+      });
+    }
+
+    try {
+      const fulfillment = await transitionFulfillment(externalId, status, {
+        riderName,
+        riderPhone,
+        notes,
+        actor: req.principal.role,
+        actorSubject: req.principal.subject,
+      });
+
+      if (!fulfillment) {
+        return res.status(404).json({
+          success: false,
+          message: "Fulfillment not found",
+        });
+      }
+
+      log.info("Fulfillment status updated", { externalId, status });
+      notifyListeners(fulfillmentEvent(fulfillment));
+
+      if (status === "dispatched") {
+        await notify("order_shipped", fulfillment, {
+          riderName: fulfillment.rider_name,
+          trackingUrl: `${ORDER_TRACKING_URL}${encodeURIComponent(externalId)}`,
+        }).catch((error) =>
+          log.error("Shipping notification failed", { externalId, error }),
+        );
+      }
+
+      res.json({ success: true, fulfillment });
+    } catch (error) {
+      if (error instanceof FulfillmentTransitionError) {
+        return res.status(409).json({
+          success: false,
+          message: error.message,
+          currentStatus: error.from,
+          allowedStatuses: error.allowed,
+        });
+      }
+
+      log.error("Fulfillment update failed", {
+        externalId: req.params.externalId,
+        error,
+      });
+      res.status(500).json({
+        success: false,
+        message: "Failed to update fulfillment",
+        error: error.message,
+      });
+    }
+  },
+);
+
+/**
+ * GET /api/orders/:externalId/tracking
+ * Customer-facing delivery tracking (no addresses, phones or internal notes)
+ * Roles: public
+ */
+router.get("/:externalId/tracking", async (req, res) => {
+  try {
+    const fulfillment = await getFulfillment(req.params.externalId);
+    if (!fulfillment) {
+      return res.status(404).json({
+        success: false,
+        message: "Tracking information not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      externalId: fulfillment.external_id,
+      status: fulfillment.status,
+      riderName: fulfillment.rider_name,
+      timeline: (fulfillment.history || []).map((entry) => ({
+        status: entry.status,
+        at: entry.at,
+      })),
+      updatedAt: fulfillment.updated_at,
+    });
+  } catch (error) {
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch tracking information",
+      error: error.message,
+    });
+  }
+});
+
+module.exports = router;
@@ -1,13 +1,186 @@
 const express = require("express");
 const router = express.Router();
-const supabase = require("../config/database");
-const { getAccessToken, requestToPay } = require("../services/momoService");
-const { formatLiberianPhone } = require("../utils/phoneFormatter");
-const pendingTransactions = require("../utils/transactionStore");
+const crypto = require("crypto");
+const { formatMomoPhone } = require("../utils/phoneFormatter");
+const { selectProvider } = require("../services/payments");
+const { ProviderUnavailableError } = require("../services/payments/errors");
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+const idempotencyStore = require("../utils/idempotencyStore");
+const {
+  ROLES,
+  issueStatusToken,
+  resolvePrincipal,
+} = require("../middleware/auth");
+const {
+  priceOrder,
+  applyDiscount,
+  findPriceMismatches,
+} = require("../services/catalogService");
+const { PRICING_MISMATCH_POLICY } = require("../config/pricing.config");
+const {
+  reserveInventory,
+  releaseInventory,
+} = require("../services/inventoryService");
+const {
+  customerKey,
+  pointsForAmount,
+  quoteRedemption,
+  redeemPoints,
+  reverseRedemption,
+} = require("../services/loyaltyService");
+const {
+  CATALOG_CURRENCY,
+  resolveCurrency,
+  quoteCharge,
+} = require("../services/currencyService");
+const { createCallbackToken } = require("../services/callbackVerification");
+const { verifyPayer } = require("../services/payerVerification");
+const { PAYER_VERIFICATION_REQUIRED } = require("../config/payer.config");
+const { logger, getCorrelationId } = require("../utils/logger");
+
+const log = logger.child({ module: "pay" });
+
+const CUSTOMER_SIGN_IN_REQUIRED = {
+  success: false,
+  code: "CUSTOMER_SIGN_IN_REQUIRED",
+  message: "Sign in to redeem loyalty points",
+};
+
+const DUPLICATE_EXTERNAL_ID = {
+  success: false,
+  code: "DUPLICATE_EXTERNAL_ID",
+  message:
+    "An order with this externalId already exists. Retry with the same Idempotency-Key, or use a new externalId.",
+};
+
+const PAYER_NOT_REGISTERED = {
+  success: false,
+  code: "PAYER_NOT_REGISTERED",
+  message: "This number is not registered for MTN Mobile Money",
+};
+
+const PAYER_LOOKUP_FAILED = {
+  success: false,
+  message: "Could not verify the MoMo account, please try again",
+};
+
+/**
+ * Reject a phone number the payment provider cannot charge, e.g. an Orange
+ * number for MTN Mobile Money (see utils/phoneFormatter), or an unknown
+ * provider
+ */
+function phoneErrorResponse(res, phoneResult) {
+  return res.status(400).json({
+    success: false,
+    code: phoneResult.code,
+    message: phoneResult.error,
+    ...(phoneResult.carrier ? { carrier: phoneResult.carrier } : {}),
+  });
+}
+
+/**
+ * Whether the caller may see the (masked) name on a MoMo account: staff or
+ * a signed-in customer (customer token). Anyone else could use it to find
+ * out who owns any phone number.
+ */
+function maySeePayerName(req) {
+  const principal = resolvePrincipal(req);
+  return (
+    !!principal && (principal.role !== ROLES.STOREFRONT || !!principal.customer)
+  );
+}
+
+/**
+ * Whether a payment request certainly never reached the customer: it failed
+ * before it was sent (no reference ID, or the circuit breaker was open), or
+ * the provider refused it. After a timeout or 5xx the provider may have sent
+ * the prompt.
+ */
+function requestDefinitelyRefused(error) {
+  if (!error.referenceId || error instanceof ProviderUnavailableError) {
+    return true;
+  }
+  const status = error.response?.status;
+  // 409: the reference ID already exists, i.e. an earlier send arrived
+  return status >= 400 && status < 500 && status !== 409;
+}
+
+/**
+ * Respond to a request whose idempotency key is already taken
+ * Replays the stored response, or rejects with 409 if the body differs
+ * or the original request is still in flight
+ */
+function handleExistingKey(res, record, requestHash) {
+  if (!record || record.status !== "completed") {
+    return res.status(409).json({
+      success: false,
+      message:
+        "A request with this Idempotency-Key is still being processed. Retry shortly.",
+    });
+  }
+
+  if (record.requestHash !== requestHash) {
+    return res.status(409).json({
+      success: false,
+      message:
+        "Idempotency-Key has already been used with a different request body",
+    });
+  }
+
+  log.info("Replaying response for idempotency key", {
+    idempotencyKey: record.key,
+  });
+  res.set("Idempotent-Replayed", "true");
+  return res.status(record.responseStatus).json(record.responseBody);
+}
+
+/**
+ * POST /api/momo/verify-payer
+ * Look up who a MoMo number belongs to before paying, so the customer can
+ * confirm the masked registered name
+ * The name and nameMatch are only returned to staff and signed-in customers.
+ * Body: { phone, userInfo?: { firstName, lastName } }
+ */
+router.post("/verify-payer", async (req, res) => {
+  const { phone, userInfo } = req.body || {};
+
+  const phoneResult = formatMomoPhone(phone);
+  if (!phoneResult.success) {
+    return phoneErrorResponse(res, phoneResult);
+  }
+
+  try {
+    const payer = await verifyPayer(phoneResult.phone, userInfo);
+    if (!payer.registered) {
+      return res
+        .status(422)
+        .json({ ...PAYER_NOT_REGISTERED, registered: false });
+    }
+
+    res.json({
+      success: true,
+      phone: phoneResult.phone,
+      carrier: phoneResult.carrier,
+      registered: true,
+      ...(maySeePayerName(req)
+        ? { maskedName: payer.maskedName, nameMatch: payer.nameMatch }
+        : {}),
+    });
+  } catch (error) {
+    log.error("Payer verification failed", { error });
+    res.status(503).json(PAYER_LOOKUP_FAILED);
+  }
+});
 
 /**
  * POST /api/momo/pay
  * Initiate Payment (Request to Pay)
+ * Charged through the `provider` given (e.g. "mtn"), or the provider of the
+ * phone number's operator (see services/payments).
+ * With `verifyPayer: true` (or PAYER_VERIFICATION_REQUIRED) unregistered
+ * numbers are rejected, and so are names that do not match the MoMo account
+ * unless the customer confirmed the masked name (`payerConfirmed: true`).
  */
 router.post("/pay", async (req, res) => {
   const {
@@ -20,38 +193,247 @@ router.post("/pay", async (req, res) => {
     deliveryInfo,
     appliedDiscount,
     subtotal,
+    currency: requestedCurrency,
+    verifyPayer: verifyPayerRequested,
+    payerConfirmed,
+    provider: requestedProvider,
   } = req.body;
+  let idempotencyKey = null;
+  let reservationId = null;
+  let redemptionReference = null;
+  // Order created but not yet accepted by the provider
+  let unsentOrderId = null;
+
+  // Undo everything this request is holding (key, stock, points) so the
+  // client can retry, and fail an order whose payment request was never
+  // sent (it has no reference ID for the reconciliation worker to expire)
+  const rollback = async () => {
+    if (idempotencyKey) {
+      await idempotencyStore.release(idempotencyKey);
+    }
+    if (reservationId) {
+      await releaseInventory(reservationId).catch((releaseError) =>
+        log.error("Inventory release failed", { error: releaseError }),
+      );
+    }
+    if (redemptionReference) {
+      await reverseRedemption(redemptionReference).catch((reverseError) =>
+        log.error("Loyalty reversal failed", { error: reverseError }),
+      );
+    }
+    if (unsentOrderId) {
+      await ordersRepository
+        .failUnsentOrder(unsentOrderId, "REQUEST_NOT_SENT")
+        .catch((failError) =>
+          log.error("Order update failed", {
+            orderId: unsentOrderId,
+            error: failError,
+          }),
+        );
+    }
+  };
+
+  // Refuse the request, freeing what it holds
+  const reject = async (statusCode, body) => {
+    await rollback();
+    return res.status(statusCode).json(body);
+  };
 
   try {
     // Validate required fields
-    if (!phone || !amount) {
+    if (!phone || !Array.isArray(items) || items.length === 0) {
       return res.status(400).json({
         success: false,
-        message: "Missing required fields: phone and amount are required",
+        message: "Missing required fields: phone and items are required",
       });
     }
 
-    // Format phone number
-    const phoneResult = formatLiberianPhone(phone);
-    if (!phoneResult.success) {
-      return res.status(400).json({
+    // Idempotency: reuse the Idempotency-Key header, or the externalId.
+    // Checked before anything else, so a retry gets the stored response
+    // even after the first attempt spent the customer's points or prices
+    // changed.
+    idempotencyKey = req.get("Idempotency-Key") || externalId || null;
+    if (idempotencyKey) {
+      const requestHash = idempotencyStore.hashRequest(req.body);
+      const reserved = await idempotencyStore.reserve(
+        idempotencyKey,
+        requestHash,
+      );
+
+      if (!reserved) {
+        const record = await idempotencyStore.getRecord(idempotencyKey);
+        idempotencyKey = null; // Not ours to release
+        return handleExistingKey(res, record, requestHash);
+      }
+    }
+
+    // Format phone number and pick who charges it
+    const selection = selectProvider(phone, requestedProvider);
+    if (!selection.success) {
+      await rollback();
+      return phoneErrorResponse(res, selection);
+    }
+    const { provider } = selection;
+    const formattedPhone = selection.phone.phone;
+
+    // Fail fast while the operator is down instead of holding stock and
+    // points for a prompt that cannot be sent
+    provider.checkAvailable?.();
+
+    // Make sure the prompt goes to the customer, not a mistyped number
+    // (for providers that can look up account holders)
+    if (
+      (verifyPayerRequested || PAYER_VERIFICATION_REQUIRED) &&
+      provider.verifyPayer
+    ) {
+      let payer;
+      try {
+        payer = await provider.verifyPayer(formattedPhone, userInfo);
+      } catch (error) {
+        log.error("Payer verification failed", { error });
+        return reject(503, PAYER_LOOKUP_FAILED);
+      }
+
+      if (!payer.registered) {
+        return reject(422, PAYER_NOT_REGISTERED);
+      }
+      if (payer.nameMatch === false && !payerConfirmed) {
+        return reject(409, {
+          success: false,
+          code: "PAYER_NAME_MISMATCH",
+          message:
+            "The name on this MoMo account does not match. Confirm it is yours to continue.",
+          ...(maySeePayerName(req) ? { maskedName: payer.maskedName } : {}),
+        });
+      }
+    }
+
+    // Currency to charge (the cart itself is priced in CATALOG_CURRENCY)
+    const currencyResult = resolveCurrency(requestedCurrency);
+    if (!currencyResult.success) {
+      return reject(400, {
+        success: false,
+        message: currencyResult.error,
+      });
+    }
+    const currency = currencyResult.currency;
+
+    // Price the order from the catalog - never trust client totals
+    let pricing = await priceOrder(items);
+    if (!pricing.success) {
+      return reject(400, {
+        success: false,
+        message: "Some items could not be priced",
+        errors: pricing.errors,
+      });
+    }
+
+    // Points are earned by the contact details on the order
+    const loyaltyCustomer = customerKey({
+      email: userInfo?.email,
+      phone: formattedPhone,
+    });
+
+    // The only accepted discount is loyalty points, checked against the
+    // ledger. Anyone can type an email into the checkout, so points are
+    // only spent for a signed-in customer (a customer token).
+    const pointsToRedeem = appliedDiscount?.points || 0;
+    let redeemingCustomer = null;
+    if (pointsToRedeem) {
+      redeemingCustomer = resolvePrincipal(req)?.customer || null;
+      if (!redeemingCustomer) {
+        return reject(401, CUSTOMER_SIGN_IN_REQUIRED);
+      }
+
+      const quote = await quoteRedemption(
+        redeemingCustomer,
+        pointsToRedeem,
+        pricing.subtotal,
+      );
+      if (!quote.success) {
+        return reject(400, {
+          success: false,
+          message: quote.error,
+          balance: quote.balance,
+        });
+      }
+      pricing = applyDiscount(pricing, quote.discount);
+    }
+
+    const mismatches = findPriceMismatches(pricing, { amount, subtotal });
+    if (mismatches.length > 0) {
+      if (PRICING_MISMATCH_POLICY === "reject") {
+        return reject(409, {
+          success: false,
+          message: "Order total does not match current prices",
+          mismatches,
+          pricing,
+        });
+      }
+      log.warn("Correcting client totals", { mismatches });
+    }
+
+    // Convert the cart total when paying in another currency
+    const charge = quoteCharge(pricing, currency);
+    if (!charge.success) {
+      return reject(400, {
+        success: false,
+        message: charge.error,
+      });
+    }
+    const chargeAmount = charge.amount;
+
+    // An externalId belongs to one order (retries of the same request are
+    // answered from the idempotency key above)
+    if (externalId && (await ordersRepository.findByExternalId(externalId))) {
+      return reject(409, DUPLICATE_EXTERNAL_ID);
+    }
+
+    const processId = externalId || `ORDER-${crypto.randomUUID()}`;
+    // Stock and points are held under an ID of our own, so a repeated
+    // externalId can never share (and release) another order's hold
+    const holdId = crypto.randomUUID();
+
+    // Hold stock until the payment succeeds, fails or expires
+    const reservation = await reserveInventory(holdId, pricing.items);
+    if (!reservation.success) {
+      return reject(409, {
         success: false,
-        message: phoneResult.error,
+        message: "Some items are out of stock",
+        errors: reservation.errors,
       });
     }
-    const formattedPhone = phoneResult.phone;
+    reservationId = holdId;
+
+    // Spend loyalty points (returned if the payment fails or expires)
+    if (pointsToRedeem) {
+      const redemption = await redeemPoints(
+        redeemingCustomer,
+        pointsToRedeem,
+        holdId,
+        pricing.subtotal,
+      );
+      if (!redemption.success) {
+        return reject(409, {
+          success: false,
+          message: redemption.error,
+        });
+      }
+      redemptionReference = holdId;
+    }
 
-    const currency = "USD";
-    const processId = externalId || `ORDER-${Date.now()}`;
+    // Only the provider learns this token (in the callback URL), so
+    // callbacks without it are rejected
+    const callbackToken = createCallbackToken(provider.callbackUrl);
 
-    // Create order in database (if connected)
+    // Create the order record
     let order = null;
-    if (supabase && userInfo && deliveryInfo) {
-      const { data, error: dbError } = await supabase
-        .from("orders")
-        .insert({
+    if (userInfo && deliveryInfo) {
+      try {
+        order = await ordersRepository.createOrder({
           reference_id: null, // Will update after MoMo request
           external_id: processId,
+          reservation_id: holdId,
           customer_first_name: userInfo.firstName,
           customer_last_name: userInfo.lastName,
           customer_email: userInfo.email,
@@ -59,67 +441,159 @@ router.post("/pay", async (req, res) => {
           delivery_address: deliveryInfo.deliveryAddress,
           delivery_city: deliveryInfo.city || "",
           delivery_state: deliveryInfo.state || "",
-          amount: parseFloat(amount),
+          amount: chargeAmount,
           currency: currency,
+          original_amount: pricing.finalTotal,
+          original_currency: CATALOG_CURRENCY,
+          exchange_rate: charge.exchangeRate.rate,
+          exchange_rate_snapshot: charge.exchangeRate,
           payment_method: "momo",
+          payment_provider: provider.name,
           payment_status: "PENDING",
-          items: items,
-          subtotal: parseFloat(subtotal || amount),
-          discount: appliedDiscount ? parseFloat(appliedDiscount.discount) : 0,
-          final_total: parseFloat(amount),
-          points_earned: Math.floor(amount * 1),
-          loyalty_discount_applied: appliedDiscount || null,
-        })
-        .select()
-        .maybeSingle();
-
-      if (dbError) {
-        console.error("❌ Database Error:", dbError);
-      } else {
-        order = data;
+          callback_token_hash: callbackToken.tokenHash,
+          correlation_id: getCorrelationId(),
+          items: pricing.items,
+          subtotal: pricing.subtotal,
+          discount: pricing.discount,
+          final_total: chargeAmount,
+          points_earned: pointsForAmount(pricing.finalTotal),
+          loyalty_discount_applied: pointsToRedeem
+            ? { points: pointsToRedeem, discount: pricing.discount }
+            : null,
+        });
+        unsentOrderId = order.id;
+      } catch (error) {
+        // Another request took this externalId since the check above
+        if (error.code === "23505") {
+          return reject(409, DUPLICATE_EXTERNAL_ID);
+        }
+        log.error("Order create failed", { externalId: processId, error });
       }
     }
 
-    // Get access token
-    const accessToken = await getAccessToken();
-
-    // Make request to pay (matching PHP implementation)
-    const result = await requestToPay(
-      {
-        amount: amount,
+    // Send the payment prompt to the customer's phone
+    let result;
+    let outcomeUnknown = false;
+    try {
+      result = await provider.initiate({
+        amount: chargeAmount,
         currency: currency,
-        process_id: processId,
-        phone_no: formattedPhone,
+        externalId: processId,
+        phone: formattedPhone,
         message: payerMessage || "Payment for order",
-      },
-      accessToken,
-    );
+        callbackUrl: callbackToken.callbackUrl,
+      });
+    } catch (error) {
+      if (requestDefinitelyRefused(error)) {
+        throw error;
+      }
+      // The customer may have the prompt: keep the order PENDING with its
+      // holds, and let the callback or reconciliation settle it
+      log.warn("Payment request outcome unknown", {
+        referenceId: error.referenceId,
+        externalId: processId,
+        error,
+      });
+      result = { referenceId: error.referenceId, transaction: null };
+      outcomeUnknown = true;
+    }
+    unsentOrderId = null;
+
+    log.info("Payment requested", {
+      referenceId: result.referenceId,
+      externalId: processId,
+      orderId: order?.id,
+      provider: provider.name,
+      amount: chargeAmount,
+      currency,
+      phone: formattedPhone,
+    });
 
     // Update order with reference ID
-    if (supabase && order) {
-      await supabase
-        .from("orders")
-        .update({ reference_id: result.referenceId })
-        .eq("id", order.id);
+    if (order) {
+      try {
+        await ordersRepository.assignReference(order.id, result.referenceId);
+      } catch (error) {
+        log.error("Order reference update failed", {
+          orderId: order.id,
+          referenceId: result.referenceId,
+          error,
+        });
+      }
     }
 
     // Cache transaction for quick lookups
-    pendingTransactions.set(result.referenceId, {
+    await transactionStore.set(result.referenceId, {
       referenceId: result.referenceId,
       orderId: order?.id,
+      externalId: processId,
+      reservationId: holdId,
+      provider: provider.name,
+      amount: chargeAmount,
+      currency: currency,
+      originalAmount: pricing.finalTotal,
+      originalCurrency: CATALOG_CURRENCY,
+      exchangeRate: charge.exchangeRate.rate,
+      customerKey: loyaltyCustomer,
+      callbackTokenHash: callbackToken.tokenHash,
+      // Lets the callback log under this request's correlation ID
+      correlationId: getCorrelationId(),
+      // What the provider should report, checked before fulfillment
+      expected: {
+        amount: chargeAmount,
+        currency,
+        payer: formattedPhone,
+        externalId: processId,
+      },
       status: result.transaction?.status || "PENDING",
       timestamp: Date.now(),
     });
 
-    res.json({
-      success: true,
-      message: "Payment request sent to customer's phone",
+    const responseStatus = outcomeUnknown ? 502 : 200;
+    const responseBody = {
+      success: !outcomeUnknown,
+      ...(outcomeUnknown ? { code: "PAYMENT_REQUEST_UNCONFIRMED" } : {}),
+      message: outcomeUnknown
+        ? "The payment request may have reached the customer. Check its status before retrying."
+        : "Payment request sent to customer's phone",
       referenceId: result.referenceId,
       orderId: order?.id,
+      provider: provider.name,
+      amount: chargeAmount,
+      currency,
+      exchangeRate: charge.exchangeRate,
+      pricing,
       transaction: result.transaction,
-    });
+      // Storefront token for polling this order's status
+      statusToken: issueStatusToken(result.referenceId, processId),
+    };
+
+    // An unconfirmed request is stored too, so a retry cannot send a second
+    // prompt
+    if (idempotencyKey) {
+      await idempotencyStore.complete(
+        idempotencyKey,
+        responseStatus,
+        responseBody,
+      );
+    }
+
+    res.status(responseStatus).json(responseBody);
   } catch (error) {
-    console.error("❌ Payment Error:", error.message);
+    log.error("Payment request failed", { error });
+
+    await rollback();
+
+    if (error instanceof ProviderUnavailableError) {
+      if (error.retryAfterMs) {
+        res.set("Retry-After", String(Math.ceil(error.retryAfterMs / 1000)));
+      }
+      return res.status(503).json({
+        success: false,
+        code: error.code,
+        message: `${error.provider} is unavailable right now. Please try again in a few minutes.`,
+      });
+    }
 
     let errorMessage = error.message || "Payment initiation failed";
     let statusCode = error.response?.status || 500;
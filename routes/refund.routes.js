@@ -0,0 +1,457 @@
+const express = require("express");
+const router = express.Router();
+const crypto = require("crypto");
+const supabase = require("../config/database");
+const { providerFor } = require("../services/payments");
+const { ProviderUnavailableError } = require("../services/payments/errors");
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { reverseEarnedPoints } = require("../services/loyaltyService");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "refunds" });
+
+// In-memory refunds (used when Supabase is not connected)
+const memoryRefunds = new Map();
+
+// Refund statuses that count against the refundable balance
+const COUNTED_REFUND_STATUSES = ["PENDING", "SUCCESSFUL"];
+
+// Order statuses a refund may be issued against
+const REFUNDABLE_ORDER_STATUSES = ["SUCCESSFUL", "PARTIALLY_REFUNDED"];
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => cents / 100;
+
+/**
+ * Load the order a refund is issued against
+ */
+async function findOrder(referenceId) {
+  const order = await ordersRepository.findByReference(referenceId);
+  if (order) {
+    return order;
+  }
+
+  // Payments started without customer details have no order record
+  const cached = await transactionStore.get(referenceId);
+  if (!cached) {
+    return null;
+  }
+  return {
+    id: cached.orderId,
+    reference_id: referenceId,
+    external_id: cached.externalId,
+    payment_provider: cached.provider,
+    amount: cached.amount,
+    final_total: cached.amount,
+    currency: cached.currency,
+    payment_status: cached.status,
+    refunded_amount: cached.refundedAmount || 0,
+  };
+}
+
+/**
+ * List refunds for an order
+ */
+async function findRefundsForOrder(referenceId) {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .select("*")
+      .eq("order_reference_id", referenceId)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data;
+  }
+
+  return Array.from(memoryRefunds.values()).filter(
+    (r) => r.order_reference_id === referenceId,
+  );
+}
+
+async function findRefund(id) {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .select("*")
+      .eq("id", id)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  return memoryRefunds.get(id) || null;
+}
+
+async function saveRefund(refundRecord) {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("refunds")
+      .upsert(refundRecord)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  memoryRefunds.set(refundRecord.id, refundRecord);
+  return refundRecord;
+}
+
+/**
+ * Record a PENDING refund, unless it would take the order's PENDING and
+ * SUCCESSFUL refunds past the amount collected
+ * The check and insert are one database call (request_refund), so two
+ * requests cannot both claim the same balance.
+ * @returns {object} { success, refund } or { success: false, refundable }
+ */
+async function createRefund(refundRecord, collectedCents) {
+  if (supabase) {
+    const { data, error } = await supabase.rpc("request_refund", {
+      p_id: refundRecord.id,
+      p_order_id: refundRecord.order_id,
+      p_order_reference_id: refundRecord.order_reference_id,
+      p_provider: refundRecord.provider,
+      p_amount: refundRecord.amount,
+      p_currency: refundRecord.currency,
+      p_reason: refundRecord.reason,
+      p_collected: fromCents(collectedCents),
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Check and insert without awaiting in between, so the claim is atomic
+  const committedCents = Array.from(memoryRefunds.values())
+    .filter(
+      (r) =>
+        r.order_reference_id === refundRecord.order_reference_id &&
+        COUNTED_REFUND_STATUSES.includes(r.status),
+    )
+    .reduce((sum, r) => sum + toCents(r.amount), 0);
+
+  if (committedCents + toCents(refundRecord.amount) > collectedCents) {
+    return {
+      success: false,
+      refundable: fromCents(Math.max(collectedCents - committedCents, 0)),
+    };
+  }
+
+  memoryRefunds.set(refundRecord.id, refundRecord);
+  return { success: true, refund: refundRecord };
+}
+
+/**
+ * Whether a failed refund call definitely moved no money: it never left
+ * (circuit breaker open) or the provider refused it. Timeouts and 5xx
+ * errors are not - the provider may have accepted the refund.
+ */
+function refundDefinitelyFailed(error) {
+  if (error instanceof ProviderUnavailableError) {
+    return true;
+  }
+  const status = error.response?.status;
+  // 409: the reference ID already exists, i.e. an earlier send arrived
+  return status >= 400 && status < 500 && status !== 409;
+}
+
+/**
+ * Recalculate the refunded total and move the order to
+ * REFUNDED or PARTIALLY_REFUNDED
+ */
+async function updateOrderRefundStatus(order) {
+  const refunds = await findRefundsForOrder(order.reference_id);
+  const refundedCents = refunds
+    .filter((r) => r.status === "SUCCESSFUL")
+    .reduce((sum, r) => sum + toCents(r.amount), 0);
+
+  if (refundedCents === 0) {
+    return order.payment_status;
+  }
+
+  const collectedCents = toCents(order.final_total ?? order.amount);
+  const paymentStatus =
+    refundedCents >= collectedCents ? "REFUNDED" : "PARTIALLY_REFUNDED";
+
+  try {
+    await ordersRepository.transitionStatus(order.reference_id, paymentStatus, {
+      changes: { refunded_amount: fromCents(refundedCents) },
+      source: "refund",
+      details: { refundedAmount: fromCents(refundedCents) },
+    });
+  } catch (error) {
+    log.error("Order refund status update failed", {
+      referenceId: order.reference_id,
+      error,
+    });
+  }
+
+  await transactionStore.update(order.reference_id, (cached) =>
+    cached
+      ? {
+          ...cached,
+          status: paymentStatus,
+          refundedAmount: fromCents(refundedCents),
+        }
+      : undefined,
+  );
+
+  log.info("Order refund status updated", {
+    referenceId: order.reference_id,
+    status: paymentStatus,
+  });
+  return paymentStatus;
+}
+
+/**
+ * Apply the latest status from the payment provider to a stored refund
+ */
+async function syncRefund(refundRecord, refundDetails) {
+  if (!refundDetails?.status || refundDetails.status === refundRecord.status) {
+    return refundRecord;
+  }
+
+  const updated = await saveRefund({
+    ...refundRecord,
+    status: refundDetails.status,
+    financial_transaction_id:
+      refundDetails.financialTransactionId ||
+      refundRecord.financial_transaction_id ||
+      null,
+    failure_reason: refundDetails.reason?.code || refundDetails.reason || null,
+    updated_at: new Date().toISOString(),
+  });
+
+  if (updated.status === "SUCCESSFUL") {
+    const order = await findOrder(updated.order_reference_id);
+    if (order) {
+      await updateOrderRefundStatus(order);
+
+      // Take back the points earned on the refunded share of the order
+      const fraction =
+        toCents(updated.amount) / toCents(order.final_total ?? order.amount);
+      await reverseEarnedPoints(order, fraction, updated.id).catch((error) =>
+        log.error("Loyalty reversal failed", { refundId: updated.id, error }),
+      );
+    }
+  }
+
+  return updated;
+}
+
+/**
+ * POST /api/momo/refund/:referenceId
+ * Refund a successful payment (fully, or partially when amount is given)
+ * The refund is recorded as PENDING (within the refundable balance) before
+ * the provider is called, and only marked FAILED when the provider
+ * definitely did not take it; otherwise it stays PENDING for
+ * GET /refund/:id/status to resolve.
+ * Roles: admin
+ */
+router.post(
+  "/refund/:referenceId",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    const { referenceId } = req.params;
+    const { amount, reason } = req.body || {};
+    let refundRecord = null;
+
+    try {
+      const order = await findOrder(referenceId);
+      if (!order) {
+        return res.status(404).json({
+          success: false,
+          message: "Order not found",
+        });
+      }
+
+      if (!REFUNDABLE_ORDER_STATUSES.includes(order.payment_status)) {
+        return res.status(400).json({
+          success: false,
+          message: `Order cannot be refunded in status ${order.payment_status}`,
+        });
+      }
+
+      // Refunds may never exceed the amount originally collected
+      const collectedCents = toCents(order.final_total ?? order.amount);
+      const refunds = await findRefundsForOrder(referenceId);
+      const committedCents = refunds
+        .filter((r) => COUNTED_REFUND_STATUSES.includes(r.status))
+        .reduce((sum, r) => sum + toCents(r.amount), 0);
+      const remainingCents = collectedCents - committedCents;
+
+      const requestedCents =
+        amount === undefined || amount === null
+          ? remainingCents
+          : toCents(amount);
+
+      if (!Number.isFinite(requestedCents) || requestedCents <= 0) {
+        return res.status(400).json({
+          success: false,
+          message: "Refund amount must be a positive number",
+        });
+      }
+
+      const exceedsBalance = (refundableAmount) =>
+        res.status(400).json({
+          success: false,
+          message: `Refund amount exceeds the refundable balance of ${refundableAmount} ${order.currency}`,
+          refundableAmount,
+        });
+
+      if (requestedCents > remainingCents) {
+        return exceedsBalance(fromCents(Math.max(remainingCents, 0)));
+      }
+
+      // Refunds go back through the provider that collected the payment
+      const provider = providerFor(order);
+      if (!provider) {
+        return res.status(503).json({
+          success: false,
+          message: `Payment provider ${order.payment_provider} is not enabled`,
+        });
+      }
+
+      // Our X-Reference-Id, so the refund can be looked up even if the
+      // provider's response never arrives
+      const claim = await createRefund(
+        {
+          id: crypto.randomUUID(),
+          order_id: order.id || null,
+          order_reference_id: referenceId,
+          provider: provider.name,
+          amount: fromCents(requestedCents),
+          currency: order.currency,
+          reason: reason || null,
+          status: "PENDING",
+          created_at: new Date().toISOString(),
+          updated_at: new Date().toISOString(),
+        },
+        collectedCents,
+      );
+      if (!claim.success) {
+        // Another refund took the balance since it was read
+        return exceedsBalance(claim.refundable);
+      }
+      refundRecord = claim.refund;
+
+      const result = await provider.refund({
+        referenceId: refundRecord.id,
+        amount: refundRecord.amount,
+        currency: order.currency,
+        externalId: order.external_id,
+        referenceIdToRefund: referenceId,
+        message: reason,
+      });
+      refundRecord = await syncRefund(refundRecord, result.refund);
+
+      log.info("Refund requested", {
+        refundId: refundRecord.id,
+        referenceId,
+        amount: refundRecord.amount,
+        currency: refundRecord.currency,
+      });
+
+      res.json({
+        success: true,
+        message: "Refund requested",
+        refund: refundRecord,
+      });
+    } catch (error) {
+      log.error("Refund request failed", {
+        referenceId,
+        refundId: refundRecord?.id,
+        error,
+      });
+
+      if (refundRecord && refundDefinitelyFailed(error)) {
+        refundRecord = await saveRefund({
+          ...refundRecord,
+          status: "FAILED",
+          failure_reason:
+            error.response?.data?.code || error.code || error.message,
+          updated_at: new Date().toISOString(),
+        }).catch((saveError) => {
+          log.error("Refund update failed", {
+            refundId: refundRecord.id,
+            error: saveError,
+          });
+          return refundRecord;
+        });
+      } else if (refundRecord) {
+        // The provider may have accepted it - keep it PENDING (and counted)
+        return res.status(502).json({
+          success: false,
+          message:
+            "Refund outcome unknown. Check GET /api/momo/refund/:id/status before retrying.",
+          refund: refundRecord,
+          error: error.response?.data || error.message,
+        });
+      }
+
+      res
+        .status(
+          error instanceof ProviderUnavailableError
+            ? 503
+            : error.response?.status || 500,
+        )
+        .json({
+          success: false,
+          message: "Refund request failed",
+          ...(refundRecord ? { refund: refundRecord } : {}),
+          error: error.response?.data || error.message,
+        });
+    }
+  },
+);
+
+/**
+ * GET /api/momo/refund/:id/status
+ * Check refund status (refreshes from the payment provider while pending)
+ * Roles: admin, support
+ */
+router.get(
+  "/refund/:id/status",
+  requireRole([ROLES.ADMIN, ROLES.SUPPORT]),
+  async (req, res) => {
+    try {
+      let refundRecord = await findRefund(req.params.id);
+      if (!refundRecord) {
+        return res.status(404).json({
+          success: false,
+          message: "Refund not found",
+        });
+      }
+
+      const provider = providerFor(refundRecord);
+      if (refundRecord.status === "PENDING" && provider) {
+        const refundDetails = await provider.getRefundStatus(refundRecord.id);
+        refundRecord = await syncRefund(refundRecord, refundDetails);
+      }
+
+      res.json({
+        success: true,
+        status: refundRecord.status,
+        refund: refundRecord,
+      });
+    } catch (error) {
+      log.error("Refund status check failed", {
+        refundId: req.params.id,
+        error,
+      });
+
+      res.status(500).json({
+        success: false,
+        message: "Failed to check refund status",
+        error: error.response?.data || error.message,
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,174 @@
+const express = require("express");
+const router = express.Router();
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+const {
+  processSuccessfulPayment,
+  processFailedPayment,
+  holdLatePayment,
+  releaseLatePayment,
+} = require("../MoMoCallbackHandler");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { REVIEW_SOURCE } = require("../services/paymentStatus");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "review" });
+
+const STAFF = [ROLES.ADMIN, ROLES.SUPPORT];
+
+// Review decision -> resulting payment status
+const DECISIONS = { approve: "SUCCESSFUL", reject: "FAILED" };
+
+/**
+ * Load a held payment: the order row, or what the transaction store has for
+ * payments started without customer details
+ * @returns {object|null} { status, reason, transactionData, order }
+ */
+async function findHeldPayment(referenceId) {
+  const order = await ordersRepository.findByReference(referenceId);
+  const cached = await transactionStore.get(referenceId);
+
+  if (order) {
+    return {
+      status: order.payment_status,
+      reason: order.review_reason,
+      order,
+      transactionData: {
+        ...(order.callback_data || {}),
+        ...(cached || {}),
+        referenceId,
+        financialTransactionId:
+          order.financial_transaction_id ||
+          cached?.financialTransactionId ||
+          null,
+      },
+    };
+  }
+
+  if (!cached) {
+    return null;
+  }
+  return {
+    status: cached.status,
+    reason: cached.reviewReason,
+    transactionData: { ...cached, referenceId },
+    order: null,
+  };
+}
+
+/**
+ * GET /api/momo/reviews
+ * Payments held for review because they do not match their order
+ * Roles: admin, support
+ */
+router.get("/reviews", requireRole(STAFF), async (req, res) => {
+  try {
+    const orders = await ordersRepository.listOrders({
+      status: "UNDER_REVIEW",
+      ascending: true,
+    });
+    res.json({ success: true, count: orders.length, orders });
+  } catch (error) {
+    log.error("Review list failed", { error });
+    res.status(500).json({
+      success: false,
+      message: "Failed to fetch payments under review",
+      error: error.message,
+    });
+  }
+});
+
+/**
+ * POST /api/momo/reviews/:referenceId
+ * Approve (fulfill) or reject (fail) a payment held for review
+ * Approving a LATE_PAYMENT holds the order's stock and redeemed points again
+ * (409 if either is no longer available).
+ * Body: { decision: "approve" | "reject", notes? }
+ * Roles: admin
+ */
+router.post(
+  "/reviews/:referenceId",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    const { referenceId } = req.params;
+    const { decision, notes } = req.body || {};
+
+    if (!Object.hasOwn(DECISIONS, decision)) {
+      return res.status(400).json({
+        success: false,
+        message: `decision must be one of: ${Object.keys(DECISIONS).join(", ")}`,
+      });
+    }
+
+    try {
+      const held = await findHeldPayment(referenceId);
+      if (!held) {
+        return res.status(404).json({
+          success: false,
+          message: "Payment not found",
+        });
+      }
+      if (held.status !== "UNDER_REVIEW") {
+        return res.status(409).json({
+          success: false,
+          message: `Payment is ${held.status}, not UNDER_REVIEW`,
+        });
+      }
+
+      // The order expired before the payment arrived, which released its
+      // stock and returned its points
+      const lateApproval =
+        decision === "approve" && held.reason === "LATE_PAYMENT" && held.order;
+      if (lateApproval) {
+        const hold = await holdLatePayment(held.order);
+        if (!hold.success) {
+          return res.status(409).json({
+            success: false,
+            message: `Cannot approve: ${hold.message}`,
+            errors: hold.errors,
+          });
+        }
+      }
+
+      // No reports: staff have accepted the payment as it is
+      const result =
+        decision === "approve"
+          ? await processSuccessfulPayment(held.transactionData, REVIEW_SOURCE)
+          : await processFailedPayment(
+              held.transactionData,
+              held.reason || "AMOUNT_MISMATCH",
+              REVIEW_SOURCE,
+            );
+
+      const status = result?.payment_status || result?.status;
+      if (status !== DECISIONS[decision]) {
+        // Another reviewer got there first
+        if (lateApproval) {
+          await releaseLatePayment(held.order);
+        }
+        return res.status(409).json({
+          success: false,
+          message: `Payment is ${status}, decision not applied`,
+        });
+      }
+
+      await ordersRepository.updateOrder(referenceId, {
+        review_decision: decision,
+        review_notes: notes || null,
+        reviewed_at: new Date().toISOString(),
+      });
+
+      log.info("Review decision recorded", { referenceId, decision });
+      res.json({ success: true, referenceId, decision, status });
+    } catch (error) {
+      log.error("Review decision failed", { referenceId, error });
+      res.status(500).json({
+        success: false,
+        message: "Failed to record review decision",
+        error: error.message,
+      });
+    }
+  },
+);
+
+module.exports = router;
@@ -0,0 +1,158 @@
+const express = require("express");
+const router = express.Router();
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+const {
+  registerCallbackListener,
+  unregisterCallbackListener,
+} = require("../MoMoCallbackHandler");
+const { SETTLED_STATUSES } = require("../services/paymentStatus");
+const { ROLES, requireRole } = require("../middleware/auth");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "stream" });
+
+// Comment line sent periodically so proxies keep the connection open
+const HEARTBEAT_INTERVAL_MS = 25000;
+
+/**
+ * Public fields of a status update (no payer details)
+ */
+function statusEvent(referenceId, data) {
+  return {
+    referenceId,
+    status: data.status || data.payment_status || "PENDING",
+    externalId: data.externalId || data.external_id || null,
+    amount: data.amount ?? null,
+    currency: data.currency || null,
+    reason: data.reason || data.failureReason || data.failure_reason || null,
+    timestamp: new Date().toISOString(),
+  };
+}
+
+/**
+ * Current status from the order record, or the transaction store
+ */
+async function getCurrentStatus(referenceId) {
+  const order = await ordersRepository.findByReference(referenceId);
+  if (order) {
+    return statusEvent(referenceId, order);
+  }
+
+  const cached = await transactionStore.get(referenceId);
+  return cached ? statusEvent(referenceId, cached) : null;
+}
+
+/**
+ * GET /api/momo/stream/:referenceId
+ * Server-Sent Events stream of payment status updates for one order
+ * Sends the current status on connect, then each change pushed by a
+ * callback, status check or reconciliation. Closes once the payment is
+ * settled (SUCCESSFUL, FAILED, EXPIRED or refunded).
+ * Roles: admin, support, storefront (own order only; its status token may be
+ * passed as ?token= since EventSource cannot set headers - API keys may not)
+ */
+router.get(
+  "/stream/:referenceId",
+  requireRole([ROLES.ADMIN, ROLES.SUPPORT, ROLES.STOREFRONT], {
+    ownOrderParam: "referenceId",
+    allowQueryToken: true,
+  }),
+  async (req, res) => {
+    const { referenceId } = req.params;
+
+    // Listen before reading the current status, so an update pushed while
+    // it is read is not lost; updates are held until it has been sent.
+    // Only payment updates for this reference ID reach this subscriber, and
+    // they may be partial, so they are merged over the last one sent.
+    let last = null;
+    const held = [];
+    const listener = (data) => {
+      if (data.event || data.referenceId !== referenceId || !data.status) {
+        return;
+      }
+      if (!last) {
+        held.push(data);
+        return;
+      }
+      last = statusEvent(referenceId, { ...last, ...data });
+      send(last);
+    };
+    registerCallbackListener(listener);
+
+    let closed = false;
+    let heartbeat = null;
+
+    // Stop listening, e.g. when the client disconnects - which may happen
+    // while the current status is still being read below
+    const stop = () => {
+      if (closed) return false;
+      closed = true;
+      clearInterval(heartbeat);
+      unregisterCallbackListener(listener);
+      return true;
+    };
+    const close = () => {
+      if (stop()) {
+        res.end();
+      }
+    };
+    res.on("close", close);
+
+    // The stream ends once the payment is settled (see services/paymentStatus)
+    function send(update) {
+      if (closed) return;
+      res.write(`event: status\ndata: ${JSON.stringify(update)}\n\n`);
+      if (SETTLED_STATUSES.includes(update.status)) {
+        close();
+      }
+    }
+
+    let current;
+    try {
+      current = await getCurrentStatus(referenceId);
+    } catch (error) {
+      log.error("Status stream failed", { referenceId, error });
+      if (!stop()) return;
+      return res.status(500).json({
+        success: false,
+        message: "Failed to open status stream",
+        error: error.message,
+      });
+    }
+
+    // The client went away while the status was read
+    if (closed) {
+      return;
+    }
+
+    if (!current) {
+      stop();
+      return res.status(404).json({
+        success: false,
+        message: "Transaction not found",
+      });
+    }
+
+    res.set({
+      "Content-Type": "text/event-stream",
+      "Cache-Control": "no-cache, no-transform",
+      Connection: "keep-alive",
+      "X-Accel-Buffering": "no",
+    });
+    res.flushHeaders();
+
+    heartbeat = setInterval(() => {
+      res.write(": keepalive\n\n");
+    }, HEARTBEAT_INTERVAL_MS);
+
+    log.info("Status stream opened", { referenceId });
+    last = current;
+    send(current);
+    for (const data of held) {
+      listener(data);
+    }
+  },
+);
+
+module.exports = router;
@@ -3,7 +3,6 @@ const router = express.Router();
 const supabase = require("../config/database");
 const {
   getAccessToken,
-  fetchTransactionDetails,
   getAccountBalance,
   getUserInfo,
   testAccountBalance,
@@ -16,158 +15,199 @@ const {
   MOMO_API_KEY,
   MOMO_SUBSCRIPTION_KEY,
 } = require("../config/momo.config");
-const pendingTransactions = require("../utils/transactionStore");
+const { formatMomoPhone } = require("../utils/phoneFormatter");
+const { providerFor, listProviders } = require("../services/payments");
+const { ProviderUnavailableError } = require("../services/payments/errors");
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+const { processTransactionStatus } = require("../MoMoCallbackHandler");
+const { ROLES, requireRole } = require("../middleware/auth");
+const {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  CATALOG_CURRENCY,
+} = require("../services/currencyService");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "transactions" });
+
+// Roles with read access to order data
+const STAFF = [ROLES.ADMIN, ROLES.SUPPORT];
+
+// Where order records come from, reported in responses
+const ORDERS_SOURCE = supabase ? "database" : "memory";
 
 /**
- * GET /api/momo/status/:referenceId
- * Check Payment Status
+ * Totals of successful payments by settled (charged) currency and by the
+ * original cart currency
  */
-router.get("/status/:referenceId", async (req, res) => {
-  const { referenceId } = req.params;
+function currencyTotals(transactions) {
+  const settled = {};
+  const original = {};
+  const add = (totals, currency, amount) => {
+    if (!currency || amount === undefined || amount === null) return;
+    totals[currency] =
+      (totals[currency] || 0) + Math.round(parseFloat(amount) * 100);
+  };
 
-  try {
-    // Check database first (if connected)
-    if (supabase) {
-      const { data: order, error: dbError } = await supabase
-        .from("orders")
-        .select("*")
-        .eq("reference_id", referenceId)
-        .single();
-
-      if (!dbError && order) {
-        if (
-          order.payment_status === "SUCCESSFUL" ||
-          order.payment_status === "FAILED"
-        ) {
-          return res.json({
-            success: true,
-            status: order.payment_status,
-            orderDetails: order,
-            source: "database",
-          });
-        }
-      }
-    }
+  for (const tx of transactions) {
+    if ((tx.payment_status || tx.status) !== "SUCCESSFUL") continue;
+    add(settled, tx.currency, tx.amount);
+    add(
+      original,
+      tx.original_currency || tx.originalCurrency || tx.currency,
+      tx.original_amount ?? tx.originalAmount ?? tx.amount,
+    );
+  }
 
-    // Check in-memory cache
-    const cached = pendingTransactions.get(referenceId);
+  const toAmounts = (totals) =>
+    Object.fromEntries(
+      Object.entries(totals).map(([currency, cents]) => [
+        currency,
+        cents / 100,
+      ]),
+    );
+  return { settled: toAmounts(settled), original: toAmounts(original) };
+}
 
-    // Fetch from MoMo API
-    const accessToken = await getAccessToken();
-    const transaction = await fetchTransactionDetails(referenceId, accessToken);
+/**
+ * GET /api/momo/status/:referenceId
+ * Check Payment Status
+ * Roles: admin, support, storefront (own order only)
+ */
+router.get(
+  "/status/:referenceId",
+  requireRole([...STAFF, ROLES.STOREFRONT], { ownOrderParam: "referenceId" }),
+  async (req, res) => {
+    const { referenceId } = req.params;
 
-    if (!transaction) {
-      // Check cache as fallback
-      if (cached) {
+    try {
+      // Check the order record first
+      const order = await ordersRepository.findByReference(referenceId);
+      if (
+        order?.payment_status === "SUCCESSFUL" ||
+        order?.payment_status === "FAILED" ||
+        order?.payment_status === "UNDER_REVIEW"
+      ) {
         return res.json({
           success: true,
-          status: cached.status || "PENDING",
-          message: "Transaction is being processed",
-          source: "cache",
+          status: order.payment_status,
+          orderDetails: order,
+          source: ORDERS_SOURCE,
         });
       }
 
-      // Transaction not found in API or cache
-      return res.status(404).json({
-        success: false,
-        message: "Transaction not found",
-      });
-    }
+      // Check the transaction store
+      const cached = await transactionStore.get(referenceId);
 
-    const status = transaction.status;
+      // Fetch from the provider the payment was made with
+      const provider = providerFor(order || cached);
+      if (!provider) {
+        return res.status(503).json({
+          success: false,
+          message: `Payment provider ${order?.payment_provider || cached?.provider} is not enabled`,
+        });
+      }
+      const transaction = await provider.getStatus(referenceId);
 
-    // Update database (if connected)
-    if (supabase) {
-      const updateData = {
-        payment_status: status,
-        last_status_check: new Date().toISOString(),
-      };
+      if (!transaction) {
+        // Check cache as fallback
+        if (cached) {
+          return res.json({
+            success: true,
+            status: cached.status || "PENDING",
+            message: "Transaction is being processed",
+            source: "cache",
+          });
+        }
 
-      if (transaction.financialTransactionId) {
-        updateData.financial_transaction_id =
-          transaction.financialTransactionId;
+        // Transaction not found in API or cache
+        return res.status(404).json({
+          success: false,
+          message: "Transaction not found",
+        });
       }
 
-      if (status === "SUCCESSFUL") {
-        updateData.payment_confirmed_at = new Date().toISOString();
+      const status = transaction.status;
+      let currentStatus = status;
+
+      if (status === "SUCCESSFUL" || status === "FAILED") {
+        // Terminal status - run the same processing as the callback so the
+        // order update and side effects happen exactly once
+        const processed = await processTransactionStatus(
+          referenceId,
+          transaction,
+        );
+        // e.g. UNDER_REVIEW when the payment does not match the order
+        currentStatus =
+          processed?.payment_status || processed?.status || status;
+      } else {
+        const changes = { last_status_check: new Date().toISOString() };
+        const updated = await ordersRepository.transitionStatus(
+          referenceId,
+          status,
+          { changes, source: "status_check" },
+        );
+        if (!updated) {
+          // Status unchanged (or not allowed) - only record the check
+          await ordersRepository.updateOrder(referenceId, changes);
+        }
       }
 
-      await supabase
-        .from("orders")
-        .update(updateData)
-        .eq("reference_id", referenceId);
-    }
+      // Update cache
+      if (cached && status !== "SUCCESSFUL" && status !== "FAILED") {
+        cached.status = status;
+        await transactionStore.set(referenceId, cached);
+      }
 
-    // Update cache
-    if (cached) {
-      cached.status = status;
-      pendingTransactions.set(referenceId, cached);
-    }
+      log.info("Transaction status checked", { referenceId, status });
 
-    console.log(`📊 Transaction ${referenceId} status: ${status}`);
+      res.json({
+        success: true,
+        status: currentStatus,
+        data: transaction,
+        provider: provider.name,
+        source: "momo_api",
+      });
+    } catch (error) {
+      log.error("Status check failed", { referenceId, error });
 
-    res.json({
-      success: true,
-      status: status,
-      data: transaction,
-      source: "momo_api",
-    });
+      if (error instanceof ProviderUnavailableError) {
+        return res.status(503).json({
+          success: false,
+          code: error.code,
+          message: error.message,
+        });
+      }
 
-    // Cleanup cache after terminal status
-    if (status === "SUCCESSFUL" || status === "FAILED") {
-      setTimeout(() => {
-        pendingTransactions.delete(referenceId);
-        console.log(`🗑️ Cleaned up cache: ${referenceId}`);
-      }, 300000);
+      res.status(500).json({
+        success: false,
+        message: "Failed to check payment status",
+        error: error.response?.data || error.message,
+      });
     }
-  } catch (error) {
-    console.error(
-      "❌ Status Check Error:",
-      error.response?.data || error.message,
-    );
-
-    res.status(500).json({
-      success: false,
-      message: "Failed to check payment status",
-      error: error.response?.data || error.message,
-    });
-  }
-});
+  },
+);
 
 /**
  * GET /api/momo/transactions
  * Get all transactions
+ * Roles: admin, support
  */
-router.get("/transactions", async (req, res) => {
+router.get("/transactions", requireRole(STAFF), async (req, res) => {
   try {
-    if (supabase) {
-      const { data: orders, error } = await supabase
-        .from("orders")
-        .select("*")
-        .order("created_at", { ascending: false })
-        .limit(100);
+    const orders = await ordersRepository.listOrders({ limit: 100 });
 
-      if (error) throw error;
-
-      res.json({
-        success: true,
-        count: orders.length,
-        transactions: orders,
-        source: "database",
-      });
-    } else {
-      // Return in-memory transactions
-      const transactions = Array.from(pendingTransactions.values());
-      res.json({
-        success: true,
-        count: transactions.length,
-        transactions: transactions,
-        source: "memory",
-        note: "Database not connected",
-      });
-    }
+    res.json({
+      success: true,
+      count: orders.length,
+      totals: currencyTotals(orders),
+      transactions: orders,
+      source: ORDERS_SOURCE,
+      ...(supabase ? {} : { note: "Database not connected" }),
+    });
   } catch (error) {
-    console.error("❌ Transactions Error:", error);
+    log.error("Transactions list failed", { error });
     res.status(500).json({
       success: false,
       message: "Failed to fetch transactions",
@@ -179,58 +219,58 @@ router.get("/transactions", async (req, res) => {
 /**
  * GET /api/momo/order/:referenceId
  * Get order by reference ID
+ * Roles: admin, support, storefront (own order only)
  */
-router.get("/order/:referenceId", async (req, res) => {
-  try {
-    if (supabase) {
-      const { data: order, error } = await supabase
-        .from("orders")
-        .select("*")
-        .eq("reference_id", req.params.referenceId)
-        .single();
-
-      if (error) throw error;
-
-      res.json({
-        success: true,
-        order,
-        source: "database",
-      });
-    } else {
-      const cached = pendingTransactions.get(req.params.referenceId);
-      if (cached) {
-        res.json({
+router.get(
+  "/order/:referenceId",
+  requireRole([...STAFF, ROLES.STOREFRONT], { ownOrderParam: "referenceId" }),
+  async (req, res) => {
+    try {
+      const { referenceId } = req.params;
+      const order = await ordersRepository.findByReference(referenceId);
+      if (order) {
+        return res.json({
           success: true,
-          order: cached,
-          source: "memory",
+          order,
+          source: ORDERS_SOURCE,
         });
-      } else {
+      }
+
+      // Payments started without customer details have no order record
+      const cached = await transactionStore.get(referenceId);
+      if (!cached) {
         throw new Error("Order not found");
       }
+      res.json({
+        success: true,
+        order: cached,
+        source: "cache",
+      });
+    } catch (error) {
+      res.status(404).json({
+        success: false,
+        message: "Order not found",
+      });
     }
-  } catch (error) {
-    res.status(404).json({
-      success: false,
-      message: "Order not found",
-    });
-  }
-});
+  },
+);
 
 /**
  * GET /api/momo/balance
  * Get account balance
+ * Roles: admin
  */
-router.get("/balance", async (req, res) => {
+router.get("/balance", requireRole([ROLES.ADMIN]), async (req, res) => {
   try {
     const accessToken = await getAccessToken();
-    const balance = await getAccountBalance(accessToken);
+    const balance = await getAccountBalance(req.query.currency, accessToken);
 
     res.json({
       success: true,
       balance: balance,
     });
   } catch (error) {
-    console.error("❌ Balance Error:", error.response?.data || error.message);
+    log.error("Balance check failed", { error });
     res.status(500).json({
       success: false,
       message: "Failed to fetch balance",
@@ -242,21 +282,34 @@ router.get("/balance", async (req, res) => {
 /**
  * GET /api/momo/user/:msisdn
  * Get user info endpoint
+ * Roles: admin, support
  */
-router.get("/user/:msisdn", async (req, res) => {
+router.get("/user/:msisdn", requireRole(STAFF), async (req, res) => {
+  const phoneResult = formatMomoPhone(req.params.msisdn);
+  if (!phoneResult.success) {
+    return res.status(400).json({
+      success: false,
+      code: phoneResult.code,
+      message: phoneResult.error,
+      ...(phoneResult.carrier ? { carrier: phoneResult.carrier } : {}),
+    });
+  }
+
   try {
     const accessToken = await getAccessToken();
-    const userInfo = await getUserInfo(req.params.msisdn, accessToken);
+    const userInfo = await getUserInfo(phoneResult.phone, accessToken);
 
     if (userInfo) {
       res.json({
         success: true,
+        phone: phoneResult,
         user: userInfo,
       });
     } else {
       res.status(404).json({
         success: false,
         message: "User not found",
+        phone: phoneResult,
       });
     }
   } catch (error) {
@@ -271,14 +324,24 @@ router.get("/user/:msisdn", async (req, res) => {
 /**
  * GET /api/momo/config
  * Check Configuration
+ * Roles: admin
  */
-router.get("/config", (req, res) => {
+router.get("/config", requireRole([ROLES.ADMIN]), (req, res) => {
   res.json({
     configured: !!(MOMO_API_USER_ID && MOMO_API_KEY && MOMO_SUBSCRIPTION_KEY),
     environment: MOMO_ENVIRONMENT,
     baseUrl: MOMO_BASE_URL,
     callbackUrl: CALLBACK_URL,
-    supportedCurrency: "LRD",
+    supportedCurrencies: SUPPORTED_CURRENCIES,
+    defaultCurrency: DEFAULT_CURRENCY,
+    catalogCurrency: CATALOG_CURRENCY,
+    paymentProviders: listProviders().map(
+      ({ name, displayName, carriers }) => ({
+        name,
+        displayName,
+        carriers,
+      }),
+    ),
     hasUserId: !!MOMO_API_USER_ID,
     hasApiKey: !!MOMO_API_KEY,
     hasSubscriptionKey: !!MOMO_SUBSCRIPTION_KEY,
@@ -289,27 +352,32 @@ router.get("/config", (req, res) => {
 /**
  * GET /api/momo/test-credentials
  * Test credentials endpoint
+ * Roles: admin
  */
-router.get("/test-credentials", async (req, res) => {
-  try {
-    const token = await getAccessToken();
-    const balanceCheck = await testAccountBalance(token);
+router.get(
+  "/test-credentials",
+  requireRole([ROLES.ADMIN]),
+  async (req, res) => {
+    try {
+      const token = await getAccessToken();
+      const balanceCheck = await testAccountBalance(token);
 
-    res.json({
-      success: true,
-      message: "Full auth flow successful",
-      tokenReceived: !!token,
-      balanceCheckPassed: balanceCheck,
-      environment: MOMO_ENVIRONMENT,
-      supportedCurrency: "LRD",
-    });
-  } catch (error) {
-    res.status(500).json({
-      success: false,
-      message: "Auth flow failed",
-      error: error.message,
-    });
-  }
-});
+      res.json({
+        success: true,
+        message: "Full auth flow successful",
+        tokenReceived: !!token,
+        balanceCheckPassed: balanceCheck,
+        environment: MOMO_ENVIRONMENT,
+        supportedCurrencies: SUPPORTED_CURRENCIES,
+      });
+    } catch (error) {
+      res.status(500).json({
+        success: false,
+        message: "Auth flow failed",
+        error: error.message,
+      });
+    }
+  },
+);
 
 module.exports = router;
@@ -0,0 +1,61 @@
+/**
+ * Import a MoMo collection statement export and reconcile its days
+ *
+ *   npm run import-statement -- <statement.csv>
+ *
+ * Lines are stored in the `statement_lines` table, so Supabase must be
+ * configured. Importing the same file again updates its lines (see
+ * services/settlementReconciliation.js).
+ */
+
+require("dotenv").config();
+const fs = require("fs");
+
+const USAGE = "Usage: npm run import-statement -- <statement.csv>";
+
+async function main() {
+  const file = process.argv[2];
+  if (!file) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (!require("../config/database")) {
+    console.error(
+      "❌ Supabase is not configured - statement lines are only stored in the database",
+    );
+    return 1;
+  }
+
+  const {
+    importStatement,
+    reconcileDate,
+  } = require("../services/settlementReconciliation");
+
+  const result = await importStatement(fs.readFileSync(file, "utf8"));
+  for (const error of result.errors) {
+    console.error(`Line ${error.line}: ${error.message}`);
+  }
+  console.log(
+    `${result.imported} lines imported, ${result.skipped} skipped, ${result.errors.length} errors\n`,
+  );
+
+  let exceptions = 0;
+  for (const date of result.dates) {
+    const report = await reconcileDate(date);
+    const { unmatched_payment, missing_from_statement, amount_mismatch } =
+      report.counts;
+    exceptions += report.exceptions.length;
+    console.log(
+      `${date}\t${report.matched} matched\t${unmatched_payment} unmatched\t${missing_from_statement} missing\t${amount_mismatch} amount mismatches`,
+    );
+  }
+  return result.errors.length > 0 || exceptions > 0 ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("❌", error.message);
+    process.exit(1);
+  });
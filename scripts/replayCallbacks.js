@@ -0,0 +1,80 @@
+/**
+ * Replay stored MoMo callbacks from the command line
+ *
+ *   npm run replay-callbacks -- <eventId>
+ *   npm run replay-callbacks -- --from 2026-10-01 --to 2026-10-02 [--reference <referenceId>] [--provider mtn]
+ *
+ * Events are read from the `callback_events` table, so Supabase must be
+ * configured. Replaying is idempotent (see services/callbackReplay.js).
+ */
+
+require("dotenv").config();
+
+const USAGE = [
+  "Usage:",
+  "  npm run replay-callbacks -- <eventId>",
+  "  npm run replay-callbacks -- --from <date> --to <date> [--reference <referenceId>] [--provider <name>]",
+].join("\n");
+
+/**
+ * Parse `<eventId>` or `--from <date> --to <date> [--reference <id>]
+ * [--provider <name>]`
+ */
+function parseArgs(argv) {
+  const options = {};
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg.startsWith("--")) {
+      options[arg.slice(2)] = argv[++i];
+    } else {
+      options.eventId = arg;
+    }
+  }
+  return options;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  if (!options.eventId && !(options.from && options.to)) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  if (!require("../config/database")) {
+    console.error(
+      "❌ Supabase is not configured - callback events are only stored in the database",
+    );
+    return 1;
+  }
+
+  const { replayEvent, replayEvents } = require("../services/callbackReplay");
+
+  if (options.eventId) {
+    const result = await replayEvent(options.eventId);
+    console.log(JSON.stringify(result, null, 2));
+    return result.outcome === "processed" ? 0 : 1;
+  }
+
+  const result = await replayEvents({
+    from: options.from,
+    to: options.to,
+    referenceId: options.reference,
+    provider: options.provider,
+  });
+  for (const entry of result.results) {
+    console.log(
+      `${entry.eventId}\t${entry.referenceId || "-"}\t${entry.status || "-"}\t${entry.outcome}`,
+    );
+  }
+  console.log(
+    `\n${result.total} events: ${result.replayed} replayed, ${result.skipped} skipped, ${result.failed} failed`,
+  );
+  return result.failed > 0 ? 1 : 0;
+}
+
+main()
+  .then((code) => process.exit(code))
+  .catch((error) => {
+    console.error("❌", error.message);
+    process.exit(1);
+  });
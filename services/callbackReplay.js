@@ -0,0 +1,162 @@
+/**
+ * Callback Replay
+ *
+ * Re-runs stored callbacks (repositories/callbackEvents) through the
+ * callback handler, one event or every event received in a date range.
+ * Replaying is idempotent: the payment status state machine ignores updates
+ * an order has already moved past, so emails, inventory and loyalty run at
+ * most once however often an event is replayed. Each replay is stored as a
+ * new event pointing at the original.
+ */
+
+const crypto = require("crypto");
+const callbackEventsRepository = require("../repositories/callbackEvents");
+const { receiveCallback } = require("../MoMoCallbackHandler");
+const { DEFAULT_PROVIDER } = require("./payments");
+const { logger, runWithCorrelationId } = require("../utils/logger");
+
+const log = logger.child({ module: "callback-replay" });
+
+// Most events replayed by one range request
+const MAX_RANGE_EVENTS = 500;
+
+class CallbackReplayError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = "CallbackReplayError";
+    this.statusCode = statusCode;
+  }
+}
+
+/**
+ * Only callbacks that passed the signature, IP and token checks are
+ * replayed: a replay skips those checks. A callback that failed them, or
+ * whose check threw, was never trusted.
+ */
+function isReplayable(event) {
+  return event.verified === true;
+}
+
+async function replay(event) {
+  // Each replay gets its own correlation ID, which the callback handler
+  // switches to its payment's
+  const {
+    statusCode,
+    body,
+    event: replayEvent,
+  } = await runWithCorrelationId(crypto.randomUUID(), () =>
+    receiveCallback(event.headers || {}, event.body || {}, {
+      source: "replay",
+      replayOf: event.id,
+      // Events stored before providers were recorded are MTN's
+      provider: event.provider || DEFAULT_PROVIDER,
+    }),
+  );
+
+  return {
+    eventId: event.id,
+    replayEventId: replayEvent?.id || null,
+    referenceId: event.reference_id,
+    status: event.status,
+    outcome: replayEvent?.outcome || (body.success ? "processed" : "failed"),
+    statusCode,
+    response: body,
+  };
+}
+
+/**
+ * Replay one stored callback
+ * @param {string|number} id - Event ID
+ * @returns {object} { eventId, replayEventId, referenceId, status, outcome,
+ *   statusCode, response }
+ */
+async function replayEvent(id) {
+  const event = await callbackEventsRepository.findById(id);
+  if (!event) {
+    throw new CallbackReplayError(`Callback event ${id} not found`, 404);
+  }
+  if (!isReplayable(event)) {
+    throw new CallbackReplayError(
+      `Callback event ${id} was not verified when received and cannot be replayed`,
+      409,
+    );
+  }
+
+  log.info("Replaying callback event", { eventId: id });
+  return replay(event);
+}
+
+/**
+ * Replay every callback received from a provider in [from, to), oldest
+ * first
+ * Replays of earlier replays are not included.
+ * @param {object} range
+ * @param {string} range.from - Start (inclusive), ISO date or timestamp
+ * @param {string} range.to - End (exclusive)
+ * @param {string} [range.referenceId] - Only callbacks for this payment
+ * @param {string} [range.provider] - Payment provider (default "mtn")
+ * @returns {object} { total, replayed, skipped, failed, results }
+ */
+async function replayEvents({
+  from,
+  to,
+  referenceId,
+  provider = DEFAULT_PROVIDER,
+} = {}) {
+  const start = new Date(from);
+  const end = new Date(to);
+  if (!from || !to || isNaN(start) || isNaN(end) || start >= end) {
+    throw new CallbackReplayError(
+      "from and to must be dates, with from before to",
+      400,
+    );
+  }
+
+  const events = await callbackEventsRepository.listEvents({
+    from: start,
+    to: end,
+    referenceId,
+    source: provider,
+    ascending: true,
+    limit: MAX_RANGE_EVENTS + 1,
+  });
+  if (events.length > MAX_RANGE_EVENTS) {
+    throw new CallbackReplayError(
+      `More than ${MAX_RANGE_EVENTS} callbacks in range - use a shorter range`,
+      400,
+    );
+  }
+
+  log.info("Replaying callback events", {
+    count: events.length,
+    from,
+    to,
+    referenceId,
+    provider,
+  });
+
+  const summary = { total: events.length, replayed: 0, skipped: 0, failed: 0 };
+  const results = [];
+
+  // One at a time, in the order the provider sent them
+  for (const event of events) {
+    if (!isReplayable(event)) {
+      summary.skipped += 1;
+      results.push({ eventId: event.id, outcome: "skipped" });
+      continue;
+    }
+
+    const result = await replay(event);
+    summary[result.outcome === "processed" ? "replayed" : "failed"] += 1;
+    results.push(result);
+  }
+
+  return { ...summary, results };
+}
+
+module.exports = {
+  CallbackReplayError,
+  MAX_RANGE_EVENTS,
+  replayEvent,
+  replayEvents,
+};
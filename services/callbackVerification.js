@@ -0,0 +1,159 @@
+/**
+ * Callback Verification
+ *
+ * Checks that a POST /callback comes from MTN before it can change an order:
+ * - the source IP is on CALLBACK_ALLOWED_IPS (when the list is set)
+ * - the callback URL carries the payment's token. /pay issues a random token
+ *   per payment and sends it to MTN in X-Callback-Url; only its hash is
+ *   stored, on the order and in the transaction store.
+ * - SUCCESSFUL callbacks are confirmed with the provider's status API
+ *   (services/payments) before the order is marked paid, and the provider's
+ *   record is compared with the order by services/paymentReview
+ */
+
+const crypto = require("crypto");
+const { CALLBACK_URL } = require("../config/momo.config");
+const {
+  CALLBACK_ALLOWED_IPS,
+  CALLBACK_REQUIRE_TOKEN,
+} = require("../config/callback.config");
+const { getProvider } = require("./payments");
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+/**
+ * Issue a callback token for a new payment
+ * @param {string} [callbackUrl] - The payment provider's callback URL
+ * @returns {object} { token, tokenHash, callbackUrl } - send callbackUrl to
+ *   the provider and store tokenHash; the token itself is not kept
+ */
+function createCallbackToken(callbackUrl = CALLBACK_URL) {
+  const token = crypto.randomBytes(24).toString("base64url");
+  const url = new URL(callbackUrl);
+  url.searchParams.set("token", token);
+  return { token, tokenHash: hashToken(token), callbackUrl: url.toString() };
+}
+
+function tokenMatches(token, tokenHash) {
+  const actual = Buffer.from(hashToken(String(token)), "hex");
+  const expected = Buffer.from(tokenHash, "hex");
+  return (
+    actual.length === expected.length &&
+    crypto.timingSafeEqual(actual, expected)
+  );
+}
+
+// IPv4-mapped IPv6 addresses (::ffff:1.2.3.4) compare as plain IPv4
+const normalizeIp = (ip) => String(ip || "").replace(/^::ffff:/i, "");
+
+function ipv4ToInt(ip) {
+  const parts = ip.split(".");
+  if (parts.length !== 4 || !parts.every((p) => /^\d{1,3}$/.test(p))) {
+    return null;
+  }
+  return parts.reduce((value, part) => value * 256 + Number(part), 0);
+}
+
+/**
+ * Whether a source IP is on the allow-list (exact addresses or IPv4 CIDR)
+ * An empty list allows every source.
+ */
+function isAllowedIp(ip, allowList = CALLBACK_ALLOWED_IPS) {
+  if (allowList.length === 0) {
+    return true;
+  }
+
+  const address = normalizeIp(ip);
+  return allowList.some((entry) => {
+    if (!entry.includes("/")) {
+      return normalizeIp(entry) === address;
+    }
+
+    const [range, bits] = entry.split("/");
+    const addressValue = ipv4ToInt(address);
+    const rangeValue = ipv4ToInt(range);
+    if (addressValue === null || rangeValue === null) {
+      return false;
+    }
+    const size = 2 ** (32 - Number(bits));
+    return Math.floor(addressValue / size) === Math.floor(rangeValue / size);
+  });
+}
+
+/**
+ * The order and cached state a callback refers to
+ */
+async function findPayment(referenceId, externalId) {
+  const order =
+    (await ordersRepository.findByReference(referenceId)) ||
+    (externalId ? await ordersRepository.findByExternalId(externalId) : null);
+  const cached = await transactionStore.get(referenceId);
+  return { order, cached };
+}
+
+/**
+ * Check where a callback came from (IP allow-list and callback token)
+ * @param {object} callback
+ * @param {string} callback.ip - Source IP of the request
+ * @param {string} callback.token - `token` query parameter of the request
+ * @param {string} callback.referenceId - Reference ID the callback is for
+ * @param {string} [callback.externalId]
+ * @returns {string|null} Why the callback is rejected, or null if it passes
+ */
+async function verifyCallbackOrigin({ ip, token, referenceId, externalId }) {
+  if (!isAllowedIp(ip)) {
+    return `Source IP ${normalizeIp(ip)} is not allowed`;
+  }
+  if (!CALLBACK_REQUIRE_TOKEN) {
+    return null;
+  }
+
+  const { order, cached } = await findPayment(referenceId, externalId);
+  const tokenHash = order?.callback_token_hash || cached?.callbackTokenHash;
+  if (!tokenHash) {
+    return "No callback token was issued for this payment";
+  }
+  if (!token || !tokenMatches(token, tokenHash)) {
+    return "Invalid callback token";
+  }
+  return null;
+}
+
+/**
+ * Confirm a SUCCESSFUL callback with the provider's status API
+ * The provider's record is then compared with the order by
+ * services/paymentReview.
+ * @param {string} referenceId
+ * @param {object} [provider] - Payment provider (default MTN)
+ * @returns {object} { confirmed, transaction, reason } - not confirmed when
+ *   the API is unavailable or the provider does not report the payment as
+ *   SUCCESSFUL
+ */
+async function confirmSuccessfulPayment(referenceId, provider = getProvider()) {
+  const transaction = await provider.getStatus(referenceId).catch(() => null);
+
+  if (!transaction) {
+    return {
+      confirmed: false,
+      reason: `Payment could not be confirmed with ${provider.displayName}`,
+    };
+  }
+  if (transaction.status !== "SUCCESSFUL") {
+    return {
+      confirmed: false,
+      transaction,
+      reason: `${provider.displayName} reports the payment as ${transaction.status}`,
+    };
+  }
+  return { confirmed: true, transaction };
+}
+
+module.exports = {
+  createCallbackToken,
+  isAllowedIp,
+  verifyCallbackOrigin,
+  confirmSuccessfulPayment,
+};
@@ -0,0 +1,236 @@
+/**
+ * Product Catalog
+ *
+ * Server-side source of product prices. Reads the Supabase `products`
+ * table, or a JSON catalog file when the database is offline.
+ */
+
+const fs = require("fs");
+const supabase = require("../config/database");
+const { CATALOG_FILE, MAX_ITEM_QUANTITY } = require("../config/pricing.config");
+const { CATALOG_CURRENCY } = require("../config/currency.config");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "catalog" });
+
+// Offline catalog, loaded from CATALOG_FILE on first use
+let fileCatalog = null;
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => cents / 100;
+
+function loadFileCatalog() {
+  if (fileCatalog) {
+    return fileCatalog;
+  }
+
+  try {
+    const products = JSON.parse(fs.readFileSync(CATALOG_FILE, "utf8"));
+    fileCatalog = new Map(products.map((p) => [String(p.id), p]));
+    log.info("Offline catalog loaded", {
+      products: fileCatalog.size,
+      file: CATALOG_FILE,
+    });
+  } catch (error) {
+    log.error("Offline catalog load failed", { file: CATALOG_FILE, error });
+    fileCatalog = new Map();
+  }
+  return fileCatalog;
+}
+
+/**
+ * Clear the cached offline catalog (useful for testing)
+ */
+function clearCatalogCache() {
+  fileCatalog = null;
+}
+
+/**
+ * Look up products by ID
+ * @param {Array} ids - Product IDs
+ * @returns {Map} product ID (as string) -> product
+ */
+async function getProductsByIds(ids) {
+  const uniqueIds = [...new Set(ids.map(String))];
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("products")
+      .select("*")
+      .in("id", uniqueIds);
+
+    if (error) throw error;
+    return new Map(data.map((p) => [String(p.id), p]));
+  }
+
+  const catalog = loadFileCatalog();
+  const products = new Map();
+  for (const id of uniqueIds) {
+    if (catalog.has(id)) {
+      products.set(id, catalog.get(id));
+    }
+  }
+  return products;
+}
+
+/**
+ * Unit price charged for a product (sale price when set)
+ */
+function unitPriceOf(product) {
+  const salePrice = parseFloat(product.sale_price);
+  if (Number.isFinite(salePrice) && salePrice >= 0) {
+    return salePrice;
+  }
+  return parseFloat(product.price);
+}
+
+/**
+ * Apply an order-level discount (never more than the subtotal)
+ * @param {object} pricing - Result of priceOrder
+ * @param {number} discount - Discount amount validated by the caller
+ */
+function applyDiscount(pricing, discount) {
+  const subtotalCents = toCents(pricing.subtotal);
+  const requestedCents = toCents(discount || 0);
+  const discountCents = Math.min(
+    Math.max(Number.isFinite(requestedCents) ? requestedCents : 0, 0),
+    subtotalCents,
+  );
+
+  return {
+    ...pricing,
+    discount: fromCents(discountCents),
+    finalTotal: fromCents(subtotalCents - discountCents),
+  };
+}
+
+/**
+ * Price an order from product IDs and quantities
+ *
+ * @param {Array} items - [{ id | productId, quantity }]
+ * @param {number} [discount] - Order-level discount validated by the caller
+ * @returns {object} { success, errors?, currency, items, subtotal, discount, finalTotal }
+ */
+async function priceOrder(items, discount = 0) {
+  if (!Array.isArray(items) || items.length === 0) {
+    return {
+      success: false,
+      errors: [{ message: "At least one item is required" }],
+    };
+  }
+
+  const errors = [];
+  const requested = items.map((item, index) => ({
+    index,
+    productId: String(item.productId ?? item.id ?? ""),
+    quantity: Number(item.quantity),
+  }));
+
+  for (const item of requested) {
+    if (!item.productId) {
+      errors.push({ index: item.index, message: "Missing product ID" });
+    } else if (
+      !Number.isInteger(item.quantity) ||
+      item.quantity < 1 ||
+      item.quantity > MAX_ITEM_QUANTITY
+    ) {
+      errors.push({
+        index: item.index,
+        productId: item.productId,
+        message: `Quantity must be a whole number between 1 and ${MAX_ITEM_QUANTITY}`,
+      });
+    }
+  }
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  // The limit is per product, however many lines the cart splits it into
+  const totals = new Map();
+  for (const item of requested) {
+    totals.set(
+      item.productId,
+      (totals.get(item.productId) || 0) + item.quantity,
+    );
+  }
+  for (const [productId, quantity] of totals) {
+    if (quantity > MAX_ITEM_QUANTITY) {
+      errors.push({
+        productId,
+        message: `Total quantity of a product must not exceed ${MAX_ITEM_QUANTITY}`,
+      });
+    }
+  }
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  const products = await getProductsByIds(requested.map((i) => i.productId));
+
+  let subtotalCents = 0;
+  const pricedItems = [];
+  for (const item of requested) {
+    const product = products.get(item.productId);
+    if (!product || product.active === false) {
+      errors.push({
+        index: item.index,
+        productId: item.productId,
+        message: "Product not found or no longer available",
+      });
+      continue;
+    }
+
+    const unitPriceCents = toCents(unitPriceOf(product));
+    const lineTotalCents = unitPriceCents * item.quantity;
+    subtotalCents += lineTotalCents;
+
+    pricedItems.push({
+      id: product.id,
+      name: product.name,
+      quantity: item.quantity,
+      unitPrice: fromCents(unitPriceCents),
+      lineTotal: fromCents(lineTotalCents),
+    });
+  }
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  return applyDiscount(
+    {
+      success: true,
+      currency: CATALOG_CURRENCY,
+      items: pricedItems,
+      subtotal: fromCents(subtotalCents),
+    },
+    discount,
+  );
+}
+
+/**
+ * Compare client-supplied totals with the server-side price
+ * @returns {Array} Mismatched fields: [{ field, expected, received }]
+ */
+function findPriceMismatches(pricing, { amount, subtotal }) {
+  const mismatches = [];
+  const compare = (field, expected, received) => {
+    if (received === undefined || received === null || received === "") {
+      return;
+    }
+    if (toCents(received) !== toCents(expected)) {
+      mismatches.push({ field, expected, received: parseFloat(received) });
+    }
+  };
+
+  compare("amount", pricing.finalTotal, amount);
+  compare("subtotal", pricing.subtotal, subtotal);
+  return mismatches;
+}
+
+module.exports = {
+  getProductsByIds,
+  priceOrder,
+  applyDiscount,
+  findPriceMismatches,
+  clearCatalogCache,
+};
@@ -0,0 +1,95 @@
+/**
+ * Currencies and conversion
+ *
+ * Carts are priced in CATALOG_CURRENCY. When a customer pays in another
+ * supported currency the priced cart is converted at the configured rate,
+ * and the rate used is kept on the order as a snapshot so later rate
+ * changes do not affect refunds or reports.
+ */
+
+const {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  CATALOG_CURRENCY,
+  EXCHANGE_RATES,
+} = require("../config/currency.config");
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => Math.round(cents) / 100;
+
+/**
+ * Normalize a requested currency and check it against the allow-list
+ * @returns {object} { success, currency } or { success: false, error }
+ */
+function resolveCurrency(requested) {
+  const currency = requested
+    ? String(requested).trim().toUpperCase()
+    : DEFAULT_CURRENCY;
+
+  if (!SUPPORTED_CURRENCIES.includes(currency)) {
+    return {
+      success: false,
+      error: `Unsupported currency: ${currency}. Supported: ${SUPPORTED_CURRENCIES.join(", ")}`,
+    };
+  }
+  return { success: true, currency };
+}
+
+/**
+ * Snapshot of the rate between two currencies
+ * @returns {object|null} { from, to, rate, source, capturedAt }, or null if
+ *   no rate is configured
+ */
+function getExchangeRate(from, to) {
+  const rate = from === to ? 1 : EXCHANGE_RATES[`${from}:${to}`];
+  if (!rate) {
+    return null;
+  }
+
+  return {
+    from,
+    to,
+    rate,
+    source: from === to ? "identity" : "config",
+    capturedAt: new Date().toISOString(),
+  };
+}
+
+/**
+ * Convert an amount with a rate snapshot (rounded to cents)
+ */
+function convertAmount(amount, exchangeRate) {
+  return fromCents(toCents(amount) * exchangeRate.rate);
+}
+
+/**
+ * Amount to charge for a priced cart in the requested currency
+ * @param {object} pricing - Result of priceOrder (in CATALOG_CURRENCY)
+ * @param {string} currency - Currency to charge
+ * @returns {object} { success, amount, exchangeRate } or { success: false, error }
+ */
+function quoteCharge(pricing, currency) {
+  const exchangeRate = getExchangeRate(CATALOG_CURRENCY, currency);
+  if (!exchangeRate) {
+    return {
+      success: false,
+      error: `No exchange rate configured from ${CATALOG_CURRENCY} to ${currency}`,
+    };
+  }
+
+  return {
+    success: true,
+    amount: convertAmount(pricing.finalTotal, exchangeRate),
+    exchangeRate,
+  };
+}
+
+module.exports = {
+  SUPPORTED_CURRENCIES,
+  DEFAULT_CURRENCY,
+  CATALOG_CURRENCY,
+  resolveCurrency,
+  getExchangeRate,
+  convertAmount,
+  quoteCharge,
+};
@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require("uuid");
+const {
+  MOMO_DISBURSEMENT_SUBSCRIPTION_KEY,
+  MOMO_DISBURSEMENT_API_USER_ID,
+  MOMO_DISBURSEMENT_API_KEY,
+} = require("../config/momo.config");
+const { createMomoClient, ProviderUnavailableError } = require("./momoClient");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "disbursement" });
+
+// Separate credentials and token from the Collection client; same timeouts,
+// retries and circuit breaker (see services/momoClient.js)
+const client = createMomoClient({
+  product: "disbursement",
+  subscriptionKey: MOMO_DISBURSEMENT_SUBSCRIPTION_KEY,
+  apiUserId: MOMO_DISBURSEMENT_API_USER_ID,
+  apiKey: MOMO_DISBURSEMENT_API_KEY,
+  tokenErrorMessage: "Failed to get disbursement access token",
+});
+
+/**
+ * Get Disbursement Access Token with caching
+ */
+const getDisbursementToken = client.getAccessToken;
+
+/**
+ * Clear cached disbursement token
+ */
+const clearDisbursementTokenCache = client.clearTokenCache;
+
+/**
+ * Fetch refund details by refund reference ID
+ */
+async function getRefundStatus(referenceId, accessToken) {
+  try {
+    const response = await client.request({
+      path: `/disbursement/v1_0/refund/${referenceId}`,
+      accessToken,
+    });
+    return response.data;
+  } catch (error) {
+    if (error instanceof ProviderUnavailableError) {
+      throw error;
+    }
+    log.error("Refund fetch failed", { referenceId, error });
+    return null;
+  }
+}
+
+/**
+ * Refund a collected payment
+ * @param {object} details - { referenceId, amount, currency, externalId, referenceIdToRefund, message }
+ *   (referenceId: the X-Reference-Id to send; a new one when omitted)
+ * @returns {object} { referenceId, refund }
+ */
+async function refund(details, accessToken) {
+  const referenceId = details.referenceId || uuidv4();
+
+  try {
+    await client.request({
+      method: "post",
+      path: "/disbursement/v1_0/refund",
+      data: {
+        amount: parseFloat(details.amount).toFixed(2),
+        currency: details.currency,
+        externalId: details.externalId,
+        payerMessage: details.message || "Refund from Litway Picks",
+        payeeNote: details.message || "Refund from Litway Picks",
+        referenceIdToRefund: details.referenceIdToRefund,
+      },
+      headers: { "X-Reference-Id": referenceId },
+      accessToken,
+    });
+
+    const refundDetails = await getRefundStatus(referenceId, accessToken);
+    return { referenceId, refund: refundDetails };
+  } catch (error) {
+    log.error("Refund failed", {
+      referenceId,
+      referenceIdToRefund: details.referenceIdToRefund,
+      error,
+    });
+    throw error;
+  }
+}
+
+/**
+ * Fetch transfer (payout) details by reference ID
+ */
+async function getTransferStatus(referenceId, accessToken) {
+  try {
+    const response = await client.request({
+      path: `/disbursement/v1_0/transfer/${referenceId}`,
+      accessToken,
+    });
+    return response.data;
+  } catch (error) {
+    if (error instanceof ProviderUnavailableError) {
+      throw error;
+    }
+    log.error("Transfer fetch failed", { referenceId, error });
+    return null;
+  }
+}
+
+/**
+ * Transfer (payout) money to a MoMo wallet
+ * @param {object} details - { amount, currency, externalId, phone_no, message }
+ * @returns {object} { referenceId, transfer }
+ */
+async function transfer(details, accessToken) {
+  const referenceId = uuidv4();
+
+  try {
+    await client.request({
+      method: "post",
+      path: "/disbursement/v1_0/transfer",
+      data: {
+        amount: parseFloat(details.amount).toFixed(2),
+        currency: details.currency,
+        externalId: details.externalId,
+        payee: {
+          partyIdType: "MSISDN",
+          partyId: details.phone_no,
+        },
+        payerMessage: details.message || "Payout from Litway Picks",
+        payeeNote: details.message || "Payout from Litway Picks",
+      },
+      headers: { "X-Reference-Id": referenceId },
+      accessToken,
+    });
+
+    const transferDetails = await getTransferStatus(referenceId, accessToken);
+    return { referenceId, transfer: transferDetails };
+  } catch (error) {
+    log.error("Transfer failed", { referenceId, error });
+    throw error;
+  }
+}
+
+module.exports = {
+  getDisbursementToken,
+  clearDisbursementTokenCache,
+  refund,
+  getRefundStatus,
+  transfer,
+  getTransferStatus,
+};
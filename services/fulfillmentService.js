@@ -0,0 +1,220 @@
+/**
+ * Order Fulfillment
+ *
+ * Tracks each paid order through delivery:
+ *
+ *   pending -> packed -> dispatched -> delivered
+ *                            |   ^
+ *                            v   |
+ *                      failed_delivery
+ *
+ * A failed delivery can be dispatched again. Every transition is appended
+ * to the fulfillment's history with the time, the actor and any notes.
+ */
+
+const supabase = require("../config/database");
+
+const FULFILLMENT_STATUSES = [
+  "pending",
+  "packed",
+  "dispatched",
+  "delivered",
+  "failed_delivery",
+];
+
+// Allowed transitions: current status -> next statuses
+const TRANSITIONS = {
+  pending: ["packed"],
+  packed: ["dispatched"],
+  dispatched: ["delivered", "failed_delivery"],
+  failed_delivery: ["dispatched"],
+  delivered: [],
+};
+
+// In-memory fulfillments by external ID (used when Supabase is not connected)
+const memoryFulfillments = new Map();
+
+/**
+ * Error for a transition the state machine does not allow
+ */
+class FulfillmentTransitionError extends Error {
+  constructor(from, to) {
+    super(`Cannot move fulfillment from ${from} to ${to}`);
+    this.name = "FulfillmentTransitionError";
+    this.from = from;
+    this.to = to;
+    this.allowed = TRANSITIONS[from] || [];
+  }
+}
+
+/**
+ * Get the fulfillment for an order
+ */
+async function getFulfillment(externalId) {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("fulfillments")
+      .select("*")
+      .eq("external_id", externalId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  return memoryFulfillments.get(externalId) || null;
+}
+
+/**
+ * List fulfillments, newest first
+ * @param {object} [filters] - { status, limit }
+ */
+async function listFulfillments({ status, limit = 100 } = {}) {
+  if (supabase) {
+    let query = supabase
+      .from("fulfillments")
+      .select("*")
+      .order("created_at", { ascending: false })
+      .limit(limit);
+    if (status) {
+      query = query.eq("status", status);
+    }
+
+    const { data, error } = await query;
+    if (error) throw error;
+    return data;
+  }
+
+  return Array.from(memoryFulfillments.values())
+    .filter((f) => !status || f.status === status)
+    .reverse()
+    .slice(0, limit);
+}
+
+/**
+ * Create the pending fulfillment for a paid order (no-op if it exists)
+ * @returns {object} { fulfillment, created }
+ */
+async function createFulfillment(order) {
+  const externalId = order.external_id || order.externalId;
+  const existing = await getFulfillment(externalId);
+  if (existing) {
+    return { fulfillment: existing, created: false };
+  }
+
+  const now = new Date().toISOString();
+  const record = {
+    order_id: order.id || order.orderId || null,
+    external_id: externalId,
+    reference_id: order.reference_id || order.referenceId || null,
+    status: "pending",
+    customer_first_name: order.customer_first_name || null,
+    customer_email: order.customer_email || null,
+    customer_phone: order.customer_phone || order.payerPhone || null,
+    delivery_address: order.delivery_address || null,
+    delivery_city: order.delivery_city || null,
+    delivery_state: order.delivery_state || null,
+    items: order.items || null,
+    rider_name: null,
+    rider_phone: null,
+    delivery_notes: null,
+    history: [{ status: "pending", at: now, by: "system" }],
+    created_at: now,
+    updated_at: now,
+  };
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("fulfillments")
+      .insert(record)
+      .select()
+      .single();
+
+    if (error) {
+      // Unique violation - created concurrently by another request
+      if (error.code === "23505") {
+        return {
+          fulfillment: await getFulfillment(externalId),
+          created: false,
+        };
+      }
+      throw error;
+    }
+    return { fulfillment: data, created: true };
+  }
+
+  memoryFulfillments.set(externalId, record);
+  return { fulfillment: record, created: true };
+}
+
+/**
+ * Move a fulfillment to its next status
+ * @param {string} externalId - Order external ID
+ * @param {string} status - Next status
+ * @param {object} [details] - { riderName, riderPhone, notes, actor,
+ *   actorSubject } - actor is the caller's role, actorSubject who they are
+ *   (see middleware/auth.js)
+ * @returns {object|null} Updated fulfillment, or null if none exists
+ * @throws {FulfillmentTransitionError} If the transition is not allowed
+ */
+async function transitionFulfillment(externalId, status, details = {}) {
+  const fulfillment = await getFulfillment(externalId);
+  if (!fulfillment) {
+    return null;
+  }
+
+  if (!(TRANSITIONS[fulfillment.status] || []).includes(status)) {
+    throw new FulfillmentTransitionError(fulfillment.status, status);
+  }
+
+  const now = new Date().toISOString();
+  const changes = {
+    status,
+    updated_at: now,
+    history: [
+      ...(fulfillment.history || []),
+      {
+        status,
+        at: now,
+        by: details.actor || null,
+        subject: details.actorSubject || null,
+        notes: details.notes || null,
+      },
+    ],
+  };
+  if (details.riderName !== undefined) changes.rider_name = details.riderName;
+  if (details.riderPhone !== undefined)
+    changes.rider_phone = details.riderPhone;
+  if (details.notes !== undefined) changes.delivery_notes = details.notes;
+
+  if (supabase) {
+    // Only apply if nobody else moved it in the meantime
+    const { data, error } = await supabase
+      .from("fulfillments")
+      .update(changes)
+      .eq("external_id", externalId)
+      .eq("status", fulfillment.status)
+      .select()
+      .maybeSingle();
+
+    if (error) throw error;
+    if (!data) {
+      const current = await getFulfillment(externalId);
+      throw new FulfillmentTransitionError(current.status, status);
+    }
+    return data;
+  }
+
+  Object.assign(fulfillment, changes);
+  return fulfillment;
+}
+
+module.exports = {
+  FULFILLMENT_STATUSES,
+  TRANSITIONS,
+  FulfillmentTransitionError,
+  getFulfillment,
+  listFulfillments,
+  createFulfillment,
+  transitionFulfillment,
+};
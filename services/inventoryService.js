@@ -0,0 +1,161 @@
+/**
+ * Inventory Reservations
+ *
+ * Stock is held when /pay creates an order, committed (decremented) when
+ * the payment succeeds and released when it fails or expires.
+ *
+ * With Supabase the reserve/commit/release steps run inside Postgres
+ * functions (see supabase/migrations) so concurrent checkouts for the last
+ * unit cannot both succeed. Offline, the same rules are applied to the JSON
+ * catalog in memory.
+ */
+
+const supabase = require("../config/database");
+const { getProductsByIds } = require("./catalogService");
+
+// Offline stock levels: product ID -> { stock, reserved }
+const offlineStock = new Map();
+
+// Offline reservations: reservation ID -> { status, items: [{ productId, quantity }] }
+const offlineReservations = new Map();
+
+/**
+ * Merge duplicate product lines into one quantity per product
+ */
+function aggregateItems(items) {
+  const quantities = new Map();
+  for (const item of items) {
+    const productId = String(item.id ?? item.productId);
+    quantities.set(
+      productId,
+      (quantities.get(productId) || 0) + Number(item.quantity),
+    );
+  }
+  return Array.from(quantities, ([productId, quantity]) => ({
+    productId,
+    quantity,
+  }));
+}
+
+/**
+ * Reserve stock for an order
+ * @param {string} reservationId - ID generated by /pay for the order (its
+ *   reservation_id), never a client-supplied value
+ * @param {Array} items - Priced items [{ id, quantity }]
+ * @returns {object} { success, errors?: [{ productId, requested, available }] }
+ */
+async function reserveInventory(reservationId, items) {
+  const lines = aggregateItems(items);
+
+  if (supabase) {
+    const { data, error } = await supabase.rpc("reserve_inventory", {
+      p_reservation_id: reservationId,
+      p_items: lines.map((line) => ({
+        id: line.productId,
+        quantity: line.quantity,
+      })),
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  if (offlineReservations.get(reservationId)?.status === "held") {
+    return { success: true };
+  }
+
+  const products = await getProductsByIds(lines.map((l) => l.productId));
+
+  // Check and apply without awaiting in between, so the reservation is atomic
+  const errors = [];
+  for (const line of lines) {
+    if (!offlineStock.has(line.productId)) {
+      const product = products.get(line.productId);
+      offlineStock.set(line.productId, {
+        stock: parseInt(product?.stock, 10) || 0,
+        reserved: 0,
+      });
+    }
+
+    const level = offlineStock.get(line.productId);
+    const available = Math.max(level.stock - level.reserved, 0);
+    if (available < line.quantity) {
+      errors.push({
+        productId: line.productId,
+        requested: line.quantity,
+        available,
+      });
+    }
+  }
+
+  if (errors.length > 0) {
+    return { success: false, errors };
+  }
+
+  for (const line of lines) {
+    offlineStock.get(line.productId).reserved += line.quantity;
+  }
+  offlineReservations.set(reservationId, { status: "held", items: lines });
+
+  return { success: true };
+}
+
+/**
+ * Turn held stock into a permanent decrement (payment succeeded)
+ * @returns {boolean} true if a held reservation was committed
+ */
+async function commitInventory(reservationId) {
+  if (supabase) {
+    const { data, error } = await supabase.rpc("commit_inventory", {
+      p_reservation_id: reservationId,
+    });
+
+    if (error) throw error;
+    return !!data;
+  }
+
+  const reservation = offlineReservations.get(reservationId);
+  if (reservation?.status !== "held") {
+    return false;
+  }
+
+  for (const line of reservation.items) {
+    const level = offlineStock.get(line.productId);
+    level.stock -= line.quantity;
+    level.reserved -= line.quantity;
+  }
+  reservation.status = "committed";
+  return true;
+}
+
+/**
+ * Return held stock (payment failed, expired or was never sent)
+ * @returns {boolean} true if a held reservation was released
+ */
+async function releaseInventory(reservationId) {
+  if (supabase) {
+    const { data, error } = await supabase.rpc("release_inventory", {
+      p_reservation_id: reservationId,
+    });
+
+    if (error) throw error;
+    return !!data;
+  }
+
+  const reservation = offlineReservations.get(reservationId);
+  if (reservation?.status !== "held") {
+    return false;
+  }
+
+  for (const line of reservation.items) {
+    offlineStock.get(line.productId).reserved -= line.quantity;
+  }
+  reservation.status = "released";
+  return true;
+}
+
+module.exports = {
+  reserveInventory,
+  commitInventory,
+  releaseInventory,
+};
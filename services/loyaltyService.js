@@ -0,0 +1,399 @@
+/**
+ * Loyalty Points Ledger
+ *
+ * Every change to a customer's points is an entry in `loyalty_transactions`
+ * (positive to credit, negative to debit). Each entry has a unique
+ * source_id, so crediting or reversing the same order twice is a no-op.
+ *
+ * Entry types:
+ * - earned: points for a SUCCESSFUL payment
+ * - redeemed: points spent as a discount at /pay (spent again if staff
+ *   approve a payment that arrived after its order expired)
+ * - redemption_reversed: spent points returned when the payment fails/expires
+ * - reversed: earned points taken back after a refund or chargeback
+ */
+
+const supabase = require("../config/database");
+const {
+  LOYALTY_EARN_RATE,
+  LOYALTY_POINT_VALUE,
+  LOYALTY_MAX_REDEMPTION_RATE,
+} = require("../config/loyalty.config");
+
+// In-memory ledger (used when Supabase is not connected)
+const memoryLedger = [];
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+
+/**
+ * Ledger key for a customer: lower-cased email, or phone number
+ */
+function customerKey(customer) {
+  if (!customer) {
+    return null;
+  }
+  if (typeof customer === "string") {
+    return customer.trim().toLowerCase() || null;
+  }
+
+  if (customer.customerKey) {
+    return customer.customerKey;
+  }
+
+  const email = customer.customer_email || customer.email;
+  const phone =
+    customer.customer_phone || customer.phone || customer.payerPhone;
+  return (email || phone || "").trim().toLowerCase() || null;
+}
+
+/**
+ * Points earned for a paid amount
+ */
+function pointsForAmount(amount) {
+  return Math.max(Math.floor(parseFloat(amount) * LOYALTY_EARN_RATE), 0) || 0;
+}
+
+async function findEntry(sourceId) {
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("loyalty_transactions")
+      .select("*")
+      .eq("source_id", sourceId)
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  return memoryLedger.find((entry) => entry.source_id === sourceId) || null;
+}
+
+/**
+ * Add a ledger entry (skipped if source_id already exists)
+ * @returns {object|null} The new entry, or null if it already existed
+ */
+async function addEntry(entry) {
+  if (await findEntry(entry.source_id)) {
+    return null;
+  }
+
+  const row = { ...entry, created_at: new Date().toISOString() };
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("loyalty_transactions")
+      .insert(row)
+      .select()
+      .single();
+
+    if (error) {
+      // Unique violation - a concurrent request wrote the same entry
+      if (error.code === "23505") {
+        return null;
+      }
+      throw error;
+    }
+    return data;
+  }
+
+  memoryLedger.push(row);
+  return row;
+}
+
+/**
+ * Ledger history for a customer, newest first
+ */
+async function getHistory(customer) {
+  const key = customerKey(customer);
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("loyalty_transactions")
+      .select("*")
+      .eq("customer_key", key)
+      .order("created_at", { ascending: false });
+
+    if (error) throw error;
+    return data;
+  }
+
+  return memoryLedger
+    .filter((entry) => entry.customer_key === key)
+    .slice()
+    .reverse();
+}
+
+/**
+ * Current points balance
+ */
+async function getBalance(customer) {
+  const history = await getHistory(customer);
+  return history.reduce((sum, entry) => sum + entry.points, 0);
+}
+
+/**
+ * Validate a redemption request against the balance and order subtotal
+ * @returns {object} { success, points, discount } or { success: false, error }
+ */
+async function quoteRedemption(customer, points, subtotal) {
+  const key = customerKey(customer);
+  const requested = Number(points);
+
+  if (!key) {
+    return {
+      success: false,
+      error: "Customer email or phone is required to redeem points",
+    };
+  }
+  if (!Number.isInteger(requested) || requested <= 0) {
+    return {
+      success: false,
+      error: "Points to redeem must be a positive whole number",
+    };
+  }
+  // A point value of 0 turns redemption off
+  if (LOYALTY_POINT_VALUE === 0) {
+    return { success: false, error: "Loyalty points cannot be redeemed" };
+  }
+
+  const balance = await getBalance(key);
+  if (requested > balance) {
+    return {
+      success: false,
+      error: `Insufficient loyalty points: ${balance} available`,
+      balance,
+    };
+  }
+
+  const maxDiscountCents = Math.floor(
+    toCents(subtotal) * LOYALTY_MAX_REDEMPTION_RATE,
+  );
+  const discountCents = Math.round(requested * LOYALTY_POINT_VALUE * 100);
+  if (discountCents > maxDiscountCents) {
+    return {
+      success: false,
+      error: `Points can cover at most ${LOYALTY_MAX_REDEMPTION_RATE * 100}% of the subtotal (${Math.floor(maxDiscountCents / (LOYALTY_POINT_VALUE * 100))} points)`,
+      balance,
+    };
+  }
+
+  return { success: true, points: requested, discount: discountCents / 100 };
+}
+
+/**
+ * Spend points as a discount on an order
+ * The balance is checked again as the points are debited, in one database
+ * call (redeem_loyalty_points), so two checkouts cannot spend the same
+ * points.
+ * @param {string} holdId - ID /pay holds the order's stock and points under
+ * @returns {object} { success, entry } or { success: false, error }
+ */
+async function redeemPoints(customer, points, holdId, subtotal) {
+  const key = customerKey(customer);
+
+  const quote = await quoteRedemption(key, points, subtotal);
+  if (!quote.success) {
+    return quote;
+  }
+
+  const entry = {
+    source_id: `redeem:${holdId}`,
+    customer_key: key,
+    order_reference: holdId,
+    type: "redeemed",
+    points: -quote.points,
+    description: `Redeemed for order ${holdId}`,
+  };
+
+  const result = await debitPoints(entry, quote.points);
+  if (!result.success) {
+    return {
+      success: false,
+      error: `Insufficient loyalty points: ${result.balance} available`,
+      balance: result.balance,
+    };
+  }
+  return { success: true, entry: result.entry, discount: quote.discount };
+}
+
+/**
+ * Debit a "redeemed" entry if the balance covers it, checking and writing
+ * in one step
+ * @returns {object} { success, entry } or { success: false, balance }
+ */
+async function debitPoints(entry, points) {
+  if (supabase) {
+    const { data, error } = await supabase.rpc("redeem_loyalty_points", {
+      p_source_id: entry.source_id,
+      p_customer_key: entry.customer_key,
+      p_order_reference: entry.order_reference,
+      p_points: points,
+      p_description: entry.description,
+    });
+
+    if (error) throw error;
+    return data;
+  }
+
+  // Check and debit without awaiting in between, so the debit is atomic
+  const balance = memoryLedger
+    .filter((row) => row.customer_key === entry.customer_key)
+    .reduce((sum, row) => sum + row.points, 0);
+  const exists = memoryLedger.some((row) => row.source_id === entry.source_id);
+
+  if (balance < points) {
+    return { success: false, balance };
+  }
+  if (exists) {
+    return { success: true, entry: null };
+  }
+  const row = { ...entry, created_at: new Date().toISOString() };
+  memoryLedger.push(row);
+  return { success: true, entry: row };
+}
+
+/**
+ * Return points spent on an order whose payment failed or expired
+ * Points spent again when a late payment was approved are returned too.
+ */
+async function reverseRedemption(orderReference) {
+  const reversed = await reverseDebit(
+    `redeem:${orderReference}`,
+    `redeem-reverse:${orderReference}`,
+  );
+  const reappliedReversed = await reverseDebit(
+    `redeem-again:${orderReference}`,
+    `redeem-again-reverse:${orderReference}`,
+  );
+  return reversed || reappliedReversed;
+}
+
+async function reverseDebit(sourceId, reversalId) {
+  const debit = await findEntry(sourceId);
+  if (!debit) {
+    return null;
+  }
+
+  return addEntry({
+    source_id: reversalId,
+    customer_key: debit.customer_key,
+    order_reference: debit.order_reference,
+    type: "redemption_reversed",
+    points: -debit.points,
+    description: `Points returned for unpaid order ${debit.order_reference}`,
+  });
+}
+
+/**
+ * Spend returned points again (a payment confirmed after its order expired
+ * was approved, so the discount stands)
+ * @returns {object} { success, entry } or { success: false, error }
+ */
+async function reapplyRedemption(orderReference) {
+  const reversal = await findEntry(`redeem-reverse:${orderReference}`);
+  if (!reversal) {
+    return { success: true, entry: null };
+  }
+
+  const result = await debitPoints(
+    {
+      source_id: `redeem-again:${orderReference}`,
+      customer_key: reversal.customer_key,
+      order_reference: orderReference,
+      type: "redeemed",
+      points: -reversal.points,
+      description: `Redeemed again for approved order ${orderReference}`,
+    },
+    reversal.points,
+  );
+  if (!result.success) {
+    return {
+      success: false,
+      error: `Insufficient loyalty points: ${result.balance} available`,
+      balance: result.balance,
+    };
+  }
+  return { success: true, entry: result.entry };
+}
+
+/**
+ * Credit points for a successful payment
+ */
+async function earnPoints(order) {
+  const orderReference = order.external_id || order.externalId;
+  const key = customerKey(order);
+  // Points are earned on the cart total in its original currency
+  const points =
+    order.points_earned ??
+    pointsForAmount(
+      order.original_amount ??
+        order.originalAmount ??
+        order.final_total ??
+        order.amount,
+    );
+
+  if (!orderReference || !key || !points) {
+    return null;
+  }
+
+  return addEntry({
+    source_id: `earn:${orderReference}`,
+    customer_key: key,
+    order_reference: orderReference,
+    type: "earned",
+    points,
+    description: `Purchase - Order ${orderReference}`,
+  });
+}
+
+/**
+ * Take back earned points after a refund or chargeback
+ * @param {object} order - Order row
+ * @param {number} fraction - Share of the order refunded (0-1)
+ * @param {string} sourceId - Unique ID of the refund/chargeback
+ */
+async function reverseEarnedPoints(order, fraction, sourceId) {
+  const orderReference = order.external_id || order.externalId;
+  const earned = await findEntry(`earn:${orderReference}`);
+  if (!earned) {
+    return null;
+  }
+
+  // Never take back more than was earned across all refunds
+  const alreadyReversed = (await getHistory(earned.customer_key))
+    .filter(
+      (entry) =>
+        entry.order_reference === orderReference && entry.type === "reversed",
+    )
+    .reduce((sum, entry) => sum - entry.points, 0);
+
+  const points = Math.min(
+    Math.ceil(earned.points * Math.min(Math.max(fraction, 0), 1)),
+    earned.points - alreadyReversed,
+  );
+  if (points <= 0) {
+    return null;
+  }
+
+  return addEntry({
+    source_id: `reverse:${sourceId}`,
+    customer_key: earned.customer_key,
+    order_reference: orderReference,
+    type: "reversed",
+    points: -points,
+    description: `Reversed for refund ${sourceId} on order ${orderReference}`,
+  });
+}
+
+module.exports = {
+  customerKey,
+  pointsForAmount,
+  getBalance,
+  getHistory,
+  quoteRedemption,
+  redeemPoints,
+  reverseRedemption,
+  reapplyRedemption,
+  earnPoints,
+  reverseEarnedPoints,
+};
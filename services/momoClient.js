@@ -0,0 +1,330 @@
+/**
+ * MoMo HTTP Client
+ *
+ * Shared by the Collection (services/momoService.js) and Disbursement
+ * (services/disbursementService.js) API clients:
+ * - every call has a timeout (MOMO_TIMEOUT_MS)
+ * - GETs that time out or get a 5xx/429 are retried with jittered
+ *   exponential backoff; POSTs are never retried, so a payment prompt is
+ *   not sent twice
+ * - a 401 clears the cached token and the call is sent once more with a
+ *   fresh one
+ * - concurrent token requests share a single in-flight token fetch
+ * - a circuit breaker opens after MOMO_BREAKER_THRESHOLD consecutive
+ *   failures; calls then fail immediately with ProviderUnavailableError
+ *   until MOMO_BREAKER_COOLDOWN_MS has passed and a trial call succeeds
+ */
+
+const axios = require("axios");
+const {
+  MOMO_BASE_URL,
+  MOMO_ENVIRONMENT,
+  MOMO_TIMEOUT_MS,
+  MOMO_RETRY_ATTEMPTS,
+  MOMO_RETRY_BASE_MS,
+  MOMO_BREAKER_THRESHOLD,
+  MOMO_BREAKER_COOLDOWN_MS,
+} = require("../config/momo.config");
+const { ProviderUnavailableError } = require("./payments/errors");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "momo-client" });
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Circuit breaker: closed, open after `threshold` consecutive failures,
+ * then half-open (one trial call) once `cooldownMs` has passed
+ */
+function createCircuitBreaker({
+  threshold = MOMO_BREAKER_THRESHOLD,
+  cooldownMs = MOMO_BREAKER_COOLDOWN_MS,
+  now = Date.now,
+} = {}) {
+  let failures = 0;
+  let openedAt = null;
+  let trialInFlight = false;
+
+  const retryAfterMs = () =>
+    openedAt === null ? 0 : Math.max(0, openedAt + cooldownMs - now());
+
+  return {
+    /**
+     * Whether a call may be sent now (claims the trial call when half-open)
+     */
+    allowRequest() {
+      if (openedAt === null) {
+        return true;
+      }
+      if (retryAfterMs() > 0 || trialInFlight) {
+        return false;
+      }
+      trialInFlight = true;
+      return true;
+    },
+
+    isOpen() {
+      return openedAt !== null && (retryAfterMs() > 0 || trialInFlight);
+    },
+
+    retryAfterMs,
+
+    recordSuccess() {
+      failures = 0;
+      openedAt = null;
+      trialInFlight = false;
+    },
+
+    recordFailure() {
+      failures += 1;
+      if (trialInFlight || failures >= threshold) {
+        if (openedAt === null) {
+          log.error("Circuit breaker open", { failures, cooldownMs });
+        }
+        openedAt = now();
+        trialInFlight = false;
+      }
+    },
+  };
+}
+
+// One breaker for every call to MTN - the Collection and Disbursement APIs
+// are served by the same platform
+let defaultBreaker = null;
+
+/**
+ * Whether MTN answered at all: timeouts, network errors and 5xx count
+ * against the breaker, other responses do not
+ */
+const isOutage = (error) => !error.response || error.response.status >= 500;
+
+const isRetryable = (error) => isOutage(error) || error.response.status === 429;
+
+/**
+ * Create a client for one MoMo product
+ * @param {object} options
+ * @param {string} options.product - "collection" or "disbursement"
+ * @param {string} options.subscriptionKey - Ocp-Apim-Subscription-Key
+ * @param {string} options.apiUserId - API user for the token
+ * @param {string} options.apiKey - API key for the token
+ * @param {string} [options.tokenErrorMessage] - Error thrown when no token
+ *   can be obtained
+ * @param {object} [options.breaker] - Circuit breaker (default: the one
+ *   shared by all MoMo clients)
+ * @param {Function} [options.http] - axios.request or a stand-in
+ * @returns {object} { getAccessToken, clearTokenCache, request,
+ *   checkAvailable }
+ */
+function createMomoClient({
+  product,
+  subscriptionKey,
+  apiUserId,
+  apiKey,
+  tokenErrorMessage = "Failed to get access token",
+  baseUrl = MOMO_BASE_URL,
+  environment = MOMO_ENVIRONMENT,
+  timeoutMs = MOMO_TIMEOUT_MS,
+  retries = MOMO_RETRY_ATTEMPTS,
+  retryBaseMs = MOMO_RETRY_BASE_MS,
+  breaker = defaultBreaker || (defaultBreaker = createCircuitBreaker()),
+  http = (config) => axios.request(config),
+  wait = sleep,
+}) {
+  // Token cache
+  let cachedToken = null;
+  let tokenExpiry = null;
+  let tokenRequest = null;
+
+  /**
+   * Send one HTTP call through the circuit breaker
+   */
+  async function send(config) {
+    if (!breaker.allowRequest()) {
+      throw new ProviderUnavailableError("MTN MoMo", breaker.retryAfterMs());
+    }
+
+    const startTime = Date.now();
+    try {
+      const response = await http({ timeout: timeoutMs, ...config });
+      breaker.recordSuccess();
+      log.debug("MoMo call", {
+        method: config.method,
+        url: config.url,
+        status: response.status,
+        durationMs: Date.now() - startTime,
+      });
+      return response;
+    } catch (error) {
+      log.debug("MoMo call failed", {
+        method: config.method,
+        url: config.url,
+        status: error.response?.status,
+        code: error.code,
+        durationMs: Date.now() - startTime,
+      });
+      if (isOutage(error)) {
+        breaker.recordFailure();
+      } else {
+        breaker.recordSuccess();
+      }
+      throw error;
+    }
+  }
+
+  async function fetchToken() {
+    const credentials = Buffer.from(`${apiUserId}:${apiKey}`).toString(
+      "base64",
+    );
+
+    try {
+      const response = await send({
+        method: "post",
+        url: `${baseUrl}/${product}/token/`,
+        data: {},
+        headers: {
+          "Content-Type": "application/json",
+          "Ocp-Apim-Subscription-Key": subscriptionKey,
+          Authorization: `Basic ${credentials}`,
+        },
+      });
+
+      const accessToken = response.data?.access_token;
+      if (!accessToken) {
+        throw new Error("No access_token in response");
+      }
+
+      // Token expires in 1 hour (3600 seconds) - set expiry to 55 minutes to be safe
+      const expiresInMs = (response.data?.expires_in || 3600) * 1000;
+      tokenExpiry = new Date(Date.now() + expiresInMs - 300000); // 5 minutes buffer
+      cachedToken = `Bearer ${accessToken}`;
+
+      return cachedToken;
+    } catch (error) {
+      if (error instanceof ProviderUnavailableError) {
+        throw error;
+      }
+      log.error("Token request failed", { product, error });
+      throw new Error(tokenErrorMessage);
+    }
+  }
+
+  /**
+   * Get an access token, cached until shortly before it expires
+   * Concurrent callers share one token request.
+   */
+  async function getAccessToken() {
+    if (cachedToken && tokenExpiry && new Date() < tokenExpiry) {
+      return cachedToken;
+    }
+    if (!tokenRequest) {
+      tokenRequest = fetchToken().finally(() => {
+        tokenRequest = null;
+      });
+    }
+    return tokenRequest;
+  }
+
+  /**
+   * Clear cached token (useful for testing or forced refresh)
+   */
+  function clearTokenCache() {
+    cachedToken = null;
+    tokenExpiry = null;
+  }
+
+  /**
+   * Call the MoMo API
+   * @param {object} call
+   * @param {string} [call.method] - "get" (default) or "post"
+   * @param {string} call.path - e.g. /collection/v1_0/requesttopay
+   * @param {object} [call.data] - JSON body
+   * @param {object} [call.headers] - Extra headers (e.g. X-Reference-Id)
+   * @param {string} [call.accessToken] - Token to use first (default: the
+   *   cached one)
+   * @param {number} [call.timeoutMs] - Overrides MOMO_TIMEOUT_MS
+   * @returns {Promise<object>} The axios response
+   * @throws The last error, or ProviderUnavailableError when the breaker is
+   *   open
+   */
+  async function request({
+    method = "get",
+    path,
+    data,
+    headers = {},
+    accessToken,
+    timeoutMs: callTimeoutMs,
+  }) {
+    let token = accessToken || (await getAccessToken());
+    let refreshed = false;
+    let attempt = 0;
+    const maxAttempts = method === "get" ? retries + 1 : 1;
+
+    for (;;) {
+      try {
+        return await send({
+          method,
+          url: baseUrl + path,
+          data,
+          headers: {
+            "Content-Type": "application/json",
+            "X-Target-Environment": environment,
+            "Ocp-Apim-Subscription-Key": subscriptionKey,
+            Authorization: token,
+            ...headers,
+          },
+          ...(callTimeoutMs ? { timeout: callTimeoutMs } : {}),
+        });
+      } catch (error) {
+        // Expired or revoked token - nothing was processed, so any call
+        // may be sent again once with a new token
+        if (error.response?.status === 401 && !refreshed) {
+          refreshed = true;
+          clearTokenCache();
+          token = await getAccessToken();
+          continue;
+        }
+
+        attempt += 1;
+        if (
+          attempt >= maxAttempts ||
+          error instanceof ProviderUnavailableError ||
+          !isRetryable(error)
+        ) {
+          throw error;
+        }
+
+        // Exponential backoff with jitter, so retries do not arrive together
+        const delay = retryBaseMs * 2 ** (attempt - 1);
+        log.warn("Retrying MoMo call", {
+          method,
+          path,
+          attempt,
+          status: error.response?.status,
+          code: error.code,
+        });
+        await wait(delay / 2 + Math.random() * (delay / 2));
+      }
+    }
+  }
+
+  return {
+    getAccessToken,
+    clearTokenCache,
+    request,
+
+    /**
+     * @throws ProviderUnavailableError while the circuit breaker is open
+     */
+    checkAvailable() {
+      if (breaker.isOpen()) {
+        throw new ProviderUnavailableError("MTN MoMo", breaker.retryAfterMs());
+      }
+    },
+  };
+}
+
+module.exports = {
+  createMomoClient,
+  createCircuitBreaker,
+  ProviderUnavailableError,
+};
@@ -1,91 +1,54 @@
-const axios = require("axios");
 const { v4: uuidv4 } = require("uuid");
 const {
-  MOMO_BASE_URL,
   MOMO_SUBSCRIPTION_KEY,
   MOMO_API_USER_ID,
   MOMO_API_KEY,
-  MOMO_ENVIRONMENT,
-  CALLBACK_URL,
 } = require("../config/momo.config");
+const { DEFAULT_CURRENCY } = require("../config/currency.config");
+const { createMomoClient, ProviderUnavailableError } = require("./momoClient");
+const { logger } = require("../utils/logger");
 
-// Token cache
-let cachedToken = null;
-let tokenExpiry = null;
+const log = logger.child({ module: "momo" });
+
+// Timeouts, retries, token refresh and the circuit breaker
+// (see services/momoClient.js)
+const client = createMomoClient({
+  product: "collection",
+  subscriptionKey: MOMO_SUBSCRIPTION_KEY,
+  apiUserId: MOMO_API_USER_ID,
+  apiKey: MOMO_API_KEY,
+});
 
 /**
  * Get Access Token with caching
- * Tokens are cached and reused until expiry to reduce API calls
+ * Tokens are cached and reused until expiry to reduce API calls; concurrent
+ * callers share one token request
  */
-async function getAccessToken() {
-  // Check if we have a valid cached token
-  if (cachedToken && tokenExpiry && new Date() < tokenExpiry) {
-    return cachedToken;
-  }
-
-  const credentials = Buffer.from(
-    `${MOMO_API_USER_ID}:${MOMO_API_KEY}`,
-  ).toString("base64");
-
-  try {
-    const response = await axios.post(
-      `${MOMO_BASE_URL}/collection/token/`,
-      {},
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "Ocp-Apim-Subscription-Key": MOMO_SUBSCRIPTION_KEY,
-          Authorization: `Basic ${credentials}`,
-        },
-      },
-    );
-
-    const accessToken = response.data?.access_token;
-    if (!accessToken) {
-      throw new Error("No access_token in response");
-    }
-
-    // Token expires in 1 hour (3600 seconds) - set expiry to 55 minutes to be safe
-    const expiresInMs = (response.data?.expires_in || 3600) * 1000;
-    tokenExpiry = new Date(Date.now() + expiresInMs - 300000); // 5 minutes buffer
-    cachedToken = `Bearer ${accessToken}`;
-
-    return cachedToken;
-  } catch (error) {
-    console.error("❌ Token Error:", error.response?.data || error.message);
-    throw new Error("Failed to get access token");
-  }
-}
+const getAccessToken = client.getAccessToken;
 
 /**
  * Clear cached token (useful for testing or forced refresh)
  */
-function clearTokenCache() {
-  cachedToken = null;
-  tokenExpiry = null;
-}
+const clearTokenCache = client.clearTokenCache;
+
+/**
+ * Fail fast while MTN is known to be down
+ * @throws ProviderUnavailableError while the circuit breaker is open
+ */
+const checkAvailable = client.checkAvailable;
 
 /**
  * Test Account Balance (to verify credentials are working)
  */
 async function testAccountBalance(accessToken) {
   try {
-    const response = await axios.get(
-      `${MOMO_BASE_URL}/collection/v1_0/account/balance`,
-      {
-        headers: {
-          Authorization: accessToken,
-          "X-Target-Environment": MOMO_ENVIRONMENT,
-          "Ocp-Apim-Subscription-Key": MOMO_SUBSCRIPTION_KEY,
-        },
-      },
-    );
+    await client.request({
+      path: "/collection/v1_0/account/balance",
+      accessToken,
+    });
     return true;
   } catch (error) {
-    console.error(
-      "❌ Account balance check failed:",
-      error.response?.data || error.message,
-    );
+    log.error("Account balance check failed", { error });
     return false;
   }
 }
@@ -93,56 +56,55 @@ async function testAccountBalance(accessToken) {
 /**
  * Get user info by MSISDN
  * Matches PHP: MoMoAPI::get_user_info()
+ * @returns {object|null} { given_name, family_name, name, ... }, or null when
+ *   the number is not registered for MoMo
+ * @throws When MTN cannot be reached or answers with another error
  */
 async function getUserInfo(msisdn, accessToken) {
   try {
-    const response = await axios.get(
-      `${MOMO_BASE_URL}/collection/v1_0/accountholder/MSISDN/${msisdn}/basicuserinfo`,
-      {
-        headers: {
-          "Content-Type": "application/json",
-          "X-Target-Environment": MOMO_ENVIRONMENT,
-          "Ocp-Apim-Subscription-Key": MOMO_SUBSCRIPTION_KEY,
-          Authorization: accessToken,
-        },
-      },
-    );
+    const response = await client.request({
+      path: `/collection/v1_0/accountholder/MSISDN/${msisdn}/basicuserinfo`,
+      accessToken,
+    });
     return response.data;
   } catch (error) {
-    console.error("❌ User info error:", error.response?.data || error.message);
-    return null;
+    if (error.response?.status === 404) {
+      return null;
+    }
+    log.error("User info lookup failed", { msisdn, error });
+    throw error;
   }
 }
 
 /**
  * Fetch transaction details by reference ID
+ * @returns {object|null} null when MTN does not return the transaction
+ * @throws ProviderUnavailableError while the circuit breaker is open, so a
+ *   known outage is not mistaken for a missing transaction
  */
 async function fetchTransactionDetails(referenceId, accessToken) {
   try {
-    const response = await axios.get(
-      `${MOMO_BASE_URL}/collection/v1_0/requesttopay/${referenceId}`,
-      {
-        headers: {
-          "X-Reference-Id": referenceId,
-          "Content-Type": "application/json",
-          "X-Target-Environment": MOMO_ENVIRONMENT,
-          "Ocp-Apim-Subscription-Key": MOMO_SUBSCRIPTION_KEY,
-          Authorization: accessToken,
-        },
-      },
-    );
+    const response = await client.request({
+      path: `/collection/v1_0/requesttopay/${referenceId}`,
+      headers: { "X-Reference-Id": referenceId },
+      accessToken,
+    });
     return response.data;
   } catch (error) {
-    console.error(
-      "❌ Transaction fetch error:",
-      error.response?.data || error.message,
-    );
+    if (error instanceof ProviderUnavailableError) {
+      throw error;
+    }
+    log.error("Transaction fetch failed", { referenceId, error });
     return null;
   }
 }
 
 /**
  * Request to Pay
+ * Errors carry the request's `referenceId`: unless MTN refused the request,
+ * it may have sent the prompt, and the payment can be tracked by that ID.
+ * Once MTN has accepted the request, failing to read the transaction back
+ * is not an error (`transaction` is null).
  */
 async function requestToPay(details, accessToken) {
   const referenceId = uuidv4();
@@ -160,29 +122,40 @@ async function requestToPay(details, accessToken) {
       payeeNote: "Payment for Litway Picks Order" || details.message,
     };
 
-    const response = await axios.post(
-      `${MOMO_BASE_URL}/collection/v1_0/requesttopay`,
-      requestBody,
-      {
-        headers: {
-          "X-Reference-Id": referenceId,
-          "X-Target-Environment": MOMO_ENVIRONMENT,
-          "Ocp-Apim-Subscription-Key": MOMO_SUBSCRIPTION_KEY,
-          "Content-Type": "application/json",
-          Authorization: accessToken,
-        },
+    // Never retried: MTN may have sent the prompt even if the call failed
+    const response = await client.request({
+      method: "post",
+      path: "/collection/v1_0/requesttopay",
+      data: requestBody,
+      headers: {
+        "X-Reference-Id": referenceId,
+        // Per-payment callback URL (carries the callback token)
+        ...(details.callback_url
+          ? { "X-Callback-Url": details.callback_url }
+          : {}),
       },
-    );
+      accessToken,
+    });
+
+    log.info("Request to pay sent", {
+      referenceId,
+      externalId: details.process_id,
+      status: response.status,
+    });
 
     if (
       response.status === 202 ||
       response.status === 201 ||
       response.status === 200
     ) {
+      // The prompt is on its way; a status read can fail without undoing it
       const transaction = await fetchTransactionDetails(
         referenceId,
         accessToken,
-      );
+      ).catch((error) => {
+        log.warn("Transaction details unavailable", { referenceId, error });
+        return null;
+      });
       return {
         success: true,
         referenceId,
@@ -194,10 +167,12 @@ async function requestToPay(details, accessToken) {
       throw new Error(`Unable to complete transaction. ${message}`);
     }
   } catch (error) {
-    console.error(
-      "❌ Request to Pay Error:",
-      error.response?.data || error.message,
-    );
+    log.error("Request to pay failed", {
+      referenceId,
+      externalId: details.process_id,
+      error,
+    });
+    error.referenceId = referenceId;
     throw error;
   }
 }
@@ -205,23 +180,18 @@ async function requestToPay(details, accessToken) {
 /**
  * Get account balance
  */
-async function getAccountBalance(currency = "LRD", accessToken) {
-  const response = await axios.get(
-    `${MOMO_BASE_URL}/collection/v1_0/account/balance/${currency}`,
-    {
-      headers: {
-        Authorization: accessToken,
-        "X-Target-Environment": MOMO_ENVIRONMENT,
-        "Ocp-Apim-Subscription-Key": MOMO_SUBSCRIPTION_KEY,
-      },
-    },
-  );
+async function getAccountBalance(currency = DEFAULT_CURRENCY, accessToken) {
+  const response = await client.request({
+    path: `/collection/v1_0/account/balance/${currency}`,
+    accessToken,
+  });
   return response.data;
 }
 
 module.exports = {
   getAccessToken,
   clearTokenCache,
+  checkAvailable,
   testAccountBalance,
   getUserInfo,
   fetchTransactionDetails,
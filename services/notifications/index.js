@@ -0,0 +1,261 @@
+/**
+ * Notifications
+ *
+ * Renders templated messages, stores them in a persisted outbox and
+ * delivers them through the configured email/SMS providers, retrying
+ * failed deliveries with backoff.
+ */
+
+const {
+  EMAIL_PROVIDER,
+  SMS_PROVIDER,
+  ALERT_EMAIL,
+  NOTIFICATION_MAX_ATTEMPTS,
+  NOTIFICATION_RETRY_BASE_MS,
+  NOTIFICATION_POLL_INTERVAL_MS,
+} = require("../../config/notifications.config");
+const { renderTemplate } = require("./templates");
+const outbox = require("./outbox");
+const { createConsoleProvider } = require("./providers/consoleProvider");
+const { createSmtpProvider } = require("./providers/smtpProvider");
+const { createHttpEmailProvider } = require("./providers/httpEmailProvider");
+const { createSmsGatewayProvider } = require("./providers/smsGatewayProvider");
+const { logger } = require("../../utils/logger");
+
+const log = logger.child({ module: "notifications" });
+
+// Provider factories by channel and name
+const PROVIDER_FACTORIES = {
+  email: {
+    smtp: createSmtpProvider,
+    http: createHttpEmailProvider,
+    console: () => createConsoleProvider("email"),
+  },
+  sms: {
+    http: createSmsGatewayProvider,
+    console: () => createConsoleProvider("sms"),
+  },
+};
+
+const CONFIGURED_PROVIDERS = {
+  email: EMAIL_PROVIDER,
+  sms: SMS_PROVIDER,
+};
+
+// Provider instances (created on first use, can be replaced for testing)
+const providers = {};
+
+let intervalHandle = null;
+let processing = false;
+
+/**
+ * Get the provider for a channel
+ * @returns {object|null} { name, channel, send(message) }, or null if disabled
+ */
+function getProvider(channel) {
+  if (!(channel in providers)) {
+    const name = CONFIGURED_PROVIDERS[channel];
+    const factory = PROVIDER_FACTORIES[channel]?.[name];
+
+    if (name === "none") {
+      log.warn("Notification channel disabled, messages are skipped", {
+        channel,
+      });
+      providers[channel] = null;
+    } else if (!factory) {
+      log.error("Unknown notification provider, using console", {
+        channel,
+        provider: name,
+      });
+      providers[channel] = createConsoleProvider(channel);
+    } else {
+      providers[channel] = factory();
+    }
+  }
+  return providers[channel];
+}
+
+/**
+ * Replace the provider for a channel (e.g. with a stub in tests)
+ */
+function setProvider(channel, provider) {
+  providers[channel] = provider;
+}
+
+/**
+ * Attempt delivery of one outbox entry, unless another request or worker
+ * has already claimed it
+ */
+async function deliver(entry) {
+  if (!(await outbox.claim(entry))) {
+    return false;
+  }
+
+  const provider = getProvider(entry.channel);
+  if (!provider) {
+    await outbox.update(entry.id, { status: "skipped" });
+    return false;
+  }
+
+  const attempts = entry.attempts + 1;
+  try {
+    const result = await provider.send({
+      to: entry.recipient,
+      subject: entry.subject,
+      text: entry.text,
+      html: entry.html,
+    });
+
+    await outbox.update(entry.id, {
+      status: "sent",
+      attempts,
+      sent_at: new Date().toISOString(),
+      provider_message_id: result?.id || null,
+      last_error: null,
+    });
+    return true;
+  } catch (error) {
+    const giveUp = attempts >= NOTIFICATION_MAX_ATTEMPTS;
+    const delay = NOTIFICATION_RETRY_BASE_MS * 2 ** (attempts - 1);
+
+    log.error("Notification delivery failed", {
+      outboxId: entry.id,
+      channel: entry.channel,
+      attempts,
+      maxAttempts: NOTIFICATION_MAX_ATTEMPTS,
+      error,
+    });
+
+    await outbox.update(entry.id, {
+      status: giveUp ? "failed" : "pending",
+      attempts,
+      last_error: error.message,
+      next_attempt_at: new Date(Date.now() + delay).toISOString(),
+    });
+    return false;
+  }
+}
+
+/**
+ * Render a template and queue it for every channel the order has a
+ * recipient for, then try to deliver right away
+ *
+ * @param {string} templateName - payment_received, payment_failed, order_shipped
+ * @param {object} order - Order row or transaction data
+ * @param {object} [data] - Template-specific data (e.g. { reason })
+ * @returns {Array} Outbox entries
+ */
+async function notify(templateName, order, data) {
+  const rendered = renderTemplate(templateName, order, data);
+  const orderReference = order.reference_id || order.referenceId || null;
+
+  const recipients = {
+    email: order.customer_email || null,
+    sms: order.customer_phone || order.payerPhone || null,
+  };
+
+  const entries = [];
+  for (const [channel, to] of Object.entries(recipients)) {
+    if (!to || !getProvider(channel)) {
+      continue;
+    }
+
+    const entry = await outbox.enqueue({
+      channel,
+      to,
+      template: templateName,
+      subject: channel === "email" ? rendered.subject : null,
+      text: channel === "email" ? rendered.text : rendered.sms,
+      html: channel === "email" ? rendered.html : null,
+      orderReference,
+    });
+    entries.push(entry);
+  }
+
+  for (const entry of entries) {
+    await deliver(entry);
+  }
+  return entries;
+}
+
+/**
+ * Queue an email alert for staff (ALERT_EMAIL) and try to deliver it
+ *
+ * @param {string} templateName - payment_review
+ * @param {object} order - Order row or transaction data
+ * @param {object} [data] - Template-specific data
+ * @returns {object|null} Outbox entry, or null when alerts are disabled
+ */
+async function alertStaff(templateName, order, data) {
+  if (!ALERT_EMAIL || ALERT_EMAIL === "none" || !getProvider("email")) {
+    return null;
+  }
+
+  const rendered = renderTemplate(templateName, order, data);
+  const entry = await outbox.enqueue({
+    channel: "email",
+    to: ALERT_EMAIL,
+    template: templateName,
+    subject: rendered.subject,
+    text: rendered.text,
+    html: rendered.html,
+    orderReference: order.reference_id || order.referenceId || null,
+  });
+  await deliver(entry);
+  return entry;
+}
+
+/**
+ * Retry due outbox entries
+ * @returns {number} Number of entries attempted
+ */
+async function processOutbox() {
+  if (processing) {
+    return 0;
+  }
+  processing = true;
+
+  try {
+    const due = await outbox.findDue();
+    for (const entry of due) {
+      await deliver(entry);
+    }
+    return due.length;
+  } catch (error) {
+    log.error("Outbox processing failed", { error });
+    return 0;
+  } finally {
+    processing = false;
+  }
+}
+
+/**
+ * Start the outbox retry scheduler
+ */
+function startNotificationWorker() {
+  if (intervalHandle) {
+    return;
+  }
+  intervalHandle = setInterval(processOutbox, NOTIFICATION_POLL_INTERVAL_MS);
+  intervalHandle.unref();
+}
+
+/**
+ * Stop the outbox retry scheduler
+ */
+function stopNotificationWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  notify,
+  alertStaff,
+  processOutbox,
+  getProvider,
+  setProvider,
+  startNotificationWorker,
+  stopNotificationWorker,
+};
@@ -0,0 +1,149 @@
+const { v4: uuidv4 } = require("uuid");
+const supabase = require("../../config/database");
+const { logger } = require("../../utils/logger");
+
+const log = logger.child({ module: "outbox" });
+
+// How long a claimed entry is left to its sender before it counts as
+// abandoned (the process died mid-send) and is due again
+const CLAIM_TIMEOUT_MS = 5 * 60 * 1000;
+
+// Entries waiting for a delivery attempt (or whose claim ran out)
+const DUE_STATUSES = ["pending", "sending"];
+
+// In-memory outbox (used when Supabase is not connected)
+const memoryOutbox = new Map();
+
+/**
+ * Add a message to the outbox
+ * @returns {object} Stored outbox entry
+ */
+async function enqueue(message) {
+  const entry = {
+    id: uuidv4(),
+    channel: message.channel,
+    recipient: message.to,
+    template: message.template,
+    subject: message.subject || null,
+    text: message.text,
+    html: message.html || null,
+    order_reference: message.orderReference || null,
+    status: "pending",
+    attempts: 0,
+    next_attempt_at: new Date().toISOString(),
+    last_error: null,
+    provider_message_id: null,
+    created_at: new Date().toISOString(),
+    sent_at: null,
+  };
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("notification_outbox")
+      .insert(entry)
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  }
+
+  memoryOutbox.set(entry.id, entry);
+  return entry;
+}
+
+/**
+ * Claim a due entry for one delivery attempt (pending -> sending)
+ * Only one caller wins: a second claim, inline or from the worker, finds the
+ * entry no longer due and is refused.
+ * @returns {boolean} true if the caller may send it
+ */
+async function claim(entry) {
+  const now = new Date();
+  const changes = {
+    status: "sending",
+    next_attempt_at: new Date(now.getTime() + CLAIM_TIMEOUT_MS).toISOString(),
+  };
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("notification_outbox")
+      .update(changes)
+      .eq("id", entry.id)
+      .in("status", DUE_STATUSES)
+      .lte("next_attempt_at", now.toISOString())
+      .select("id");
+
+    if (error) throw error;
+    return data.length > 0;
+  }
+
+  // Check and update without awaiting in between, so the claim is atomic
+  const stored = memoryOutbox.get(entry.id);
+  if (
+    !stored ||
+    !DUE_STATUSES.includes(stored.status) ||
+    new Date(stored.next_attempt_at) > now
+  ) {
+    return false;
+  }
+  Object.assign(stored, changes);
+  return true;
+}
+
+/**
+ * Update an outbox entry after a delivery attempt
+ */
+async function update(id, changes) {
+  if (supabase) {
+    const { error } = await supabase
+      .from("notification_outbox")
+      .update(changes)
+      .eq("id", id);
+
+    if (error) {
+      log.error("Outbox update failed", { outboxId: id, error });
+    }
+    return;
+  }
+
+  const entry = memoryOutbox.get(id);
+  if (entry) {
+    Object.assign(entry, changes);
+  }
+}
+
+/**
+ * Entries whose next attempt is due: pending, or claimed by a sender that
+ * never finished
+ */
+async function findDue(limit = 50) {
+  const now = new Date().toISOString();
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("notification_outbox")
+      .select("*")
+      .in("status", DUE_STATUSES)
+      .lte("next_attempt_at", now)
+      .order("next_attempt_at", { ascending: true })
+      .limit(limit);
+
+    if (error) throw error;
+    return data;
+  }
+
+  return Array.from(memoryOutbox.values())
+    .filter(
+      (entry) =>
+        DUE_STATUSES.includes(entry.status) && entry.next_attempt_at <= now,
+    )
+    .slice(0, limit);
+}
+
+module.exports = {
+  enqueue,
+  claim,
+  update,
+  findDue,
+};
@@ -0,0 +1,48 @@
+const fs = require("fs");
+const path = require("path");
+const { NOTIFICATION_FILE } = require("../../../config/notifications.config");
+const { logger } = require("../../../utils/logger");
+
+/**
+ * Console/file provider for local development
+ * Logs that a message was sent (recipient masked, no body) and appends the
+ * whole message to NOTIFICATION_FILE (if set)
+ * @param {string} channel - "email" or "sms"
+ * @param {object} [log] - Logger to write to (default: the notifications
+ *   module logger)
+ */
+function createConsoleProvider(
+  channel,
+  log = logger.child({ module: "notifications" }),
+) {
+  return {
+    name: "console",
+    channel,
+    async send(message) {
+      // Named by channel so the logger masks the recipient
+      log.info("Notification sent to console provider", {
+        channel,
+        ...(channel === "sms" ? { phone: message.to } : { email: message.to }),
+        subject: message.subject || null,
+      });
+
+      if (NOTIFICATION_FILE) {
+        fs.mkdirSync(path.dirname(NOTIFICATION_FILE), { recursive: true });
+        fs.appendFileSync(
+          NOTIFICATION_FILE,
+          JSON.stringify({
+            channel,
+            sentAt: new Date().toISOString(),
+            ...message,
+          }) + "\n",
+        );
+      }
+
+      return { id: `console-${Date.now()}` };
+    },
+  };
+}
+
+module.exports = {
+  createConsoleProvider,
+};
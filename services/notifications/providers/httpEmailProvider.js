@@ -0,0 +1,44 @@
+const axios = require("axios");
+const {
+  EMAIL_API_URL,
+  EMAIL_API_KEY,
+  EMAIL_FROM,
+} = require("../../../config/notifications.config");
+
+/**
+ * HTTP email API provider (Resend-compatible request body)
+ */
+function createHttpEmailProvider() {
+  if (!EMAIL_API_KEY) {
+    throw new Error("EMAIL_API_KEY is required for the http email provider");
+  }
+
+  return {
+    name: "http",
+    channel: "email",
+    async send(message) {
+      const response = await axios.post(
+        EMAIL_API_URL,
+        {
+          from: EMAIL_FROM,
+          to: message.to,
+          subject: message.subject,
+          text: message.text,
+          html: message.html,
+        },
+        {
+          headers: {
+            Authorization: `Bearer ${EMAIL_API_KEY}`,
+            "Content-Type": "application/json",
+          },
+          timeout: 10000,
+        },
+      );
+      return { id: response.data?.id || null };
+    },
+  };
+}
+
+module.exports = {
+  createHttpEmailProvider,
+};
@@ -0,0 +1,43 @@
+const axios = require("axios");
+const {
+  SMS_API_URL,
+  SMS_API_KEY,
+  SMS_SENDER,
+} = require("../../../config/notifications.config");
+
+/**
+ * HTTP SMS gateway provider
+ * POSTs { from, to, message } with a bearer token to SMS_API_URL
+ */
+function createSmsGatewayProvider() {
+  if (!SMS_API_URL) {
+    throw new Error("SMS_API_URL is required for the http SMS provider");
+  }
+
+  return {
+    name: "http",
+    channel: "sms",
+    async send(message) {
+      const response = await axios.post(
+        SMS_API_URL,
+        {
+          from: SMS_SENDER,
+          to: message.to,
+          message: message.text,
+        },
+        {
+          headers: {
+            Authorization: SMS_API_KEY ? `Bearer ${SMS_API_KEY}` : undefined,
+            "Content-Type": "application/json",
+          },
+          timeout: 10000,
+        },
+      );
+      return { id: response.data?.id || response.data?.messageId || null };
+    },
+  };
+}
+
+module.exports = {
+  createSmsGatewayProvider,
+};
@@ -0,0 +1,44 @@
+const nodemailer = require("nodemailer");
+const {
+  SMTP_HOST,
+  SMTP_PORT,
+  SMTP_SECURE,
+  SMTP_USER,
+  SMTP_PASS,
+  EMAIL_FROM,
+} = require("../../../config/notifications.config");
+
+/**
+ * SMTP email provider (nodemailer)
+ */
+function createSmtpProvider() {
+  if (!SMTP_HOST) {
+    throw new Error("SMTP_HOST is required for the smtp email provider");
+  }
+
+  const transporter = nodemailer.createTransport({
+    host: SMTP_HOST,
+    port: SMTP_PORT,
+    secure: SMTP_SECURE,
+    auth: SMTP_USER ? { user: SMTP_USER, pass: SMTP_PASS } : undefined,
+  });
+
+  return {
+    name: "smtp",
+    channel: "email",
+    async send(message) {
+      const info = await transporter.sendMail({
+        from: EMAIL_FROM,
+        to: message.to,
+        subject: message.subject,
+        text: message.text,
+        html: message.html,
+      });
+      return { id: info.messageId };
+    },
+  };
+}
+
+module.exports = {
+  createSmtpProvider,
+};
@@ -0,0 +1,184 @@
+/**
+ * Notification templates
+ *
+ * Each template renders an email (subject/text/html) and a short SMS from an
+ * order row (or callback transaction data in offline mode). Staff alerts
+ * render an email only.
+ */
+
+const { SUPPORT_EMAIL } = require("../../config/notifications.config");
+
+// Customer-friendly explanations of MoMo failure reasons
+const FAILURE_REASONS = {
+  LOW_BALANCE_OR_PAYEE_LIMIT_REACHED_OR_NOT_ALLOWED:
+    "Your MoMo balance was too low, or a transaction limit was reached.",
+  NOT_ENOUGH_FUNDS: "Your MoMo wallet did not have enough funds.",
+  PAYER_NOT_FOUND:
+    "We could not find an MTN MoMo account for this phone number.",
+  PAYER_LIMIT_REACHED: "Your MoMo account has reached its transaction limit.",
+  APPROVAL_REJECTED: "The payment was declined on your phone.",
+  TRANSACTION_CANCELLED: "The payment was cancelled.",
+  EXPIRED: "The payment request expired before it was approved.",
+  INTERNAL_PROCESSING_ERROR:
+    "MTN MoMo had a temporary problem processing the payment.",
+  SERVICE_UNAVAILABLE: "MTN MoMo was temporarily unavailable.",
+  AMOUNT_MISMATCH:
+    "The amount paid did not match your order total. Contact support about any money taken.",
+  PAYER_MISMATCH:
+    "The payment came from a different MoMo number. Contact support about any money taken.",
+  ORDER_MISMATCH:
+    "The payment did not match your order. Contact support about any money taken.",
+};
+
+/**
+ * Explain a MoMo failure reason in plain language
+ */
+function explainFailureReason(reason) {
+  const code = typeof reason === "object" ? reason?.code : reason;
+  return (
+    FAILURE_REASONS[code] ||
+    "The payment could not be completed. No money was taken from your account."
+  );
+}
+
+/**
+ * Normalize order rows and callback transaction data
+ */
+function orderFields(order) {
+  return {
+    firstName: order.customer_first_name || "Customer",
+    orderId: order.external_id || order.externalId || "",
+    amount: order.final_total ?? order.amount ?? "",
+    currency: order.currency || "",
+    originalAmount: order.original_amount ?? order.originalAmount ?? null,
+    originalCurrency: order.original_currency || order.originalCurrency || "",
+    transactionId:
+      order.financial_transaction_id || order.financialTransactionId || "",
+  };
+}
+
+/**
+ * " (45 USD)" when the order was priced in another currency
+ */
+function originalTotal(f) {
+  if (!f.originalCurrency || f.originalCurrency === f.currency) {
+    return "";
+  }
+  return ` (${f.originalAmount} ${f.originalCurrency})`;
+}
+
+const escapeHtml = (value) =>
+  String(value).replace(
+    /[&<>"']/g,
+    (char) =>
+      ({
+        "&": "&amp;",
+        "<": "&lt;",
+        ">": "&gt;",
+        '"': "&quot;",
+        "'": "&#39;",
+      })[char],
+  );
+
+/**
+ * Build html from paragraphs, escaping each one
+ */
+function toHtml(heading, paragraphs) {
+  return [
+    `<h2>${escapeHtml(heading)}</h2>`,
+    ...paragraphs.map((p) => `<p>${escapeHtml(p)}</p>`),
+  ].join("\n");
+}
+
+const templates = {
+  payment_received(order) {
+    const f = orderFields(order);
+    const paragraphs = [
+      `Dear ${f.firstName},`,
+      `Your payment of ${f.amount} ${f.currency}${originalTotal(f)} has been received.`,
+      `Order ID: ${f.orderId}`,
+      `Transaction ID: ${f.transactionId}`,
+      "We'll send you shipping updates soon!",
+    ];
+    return {
+      subject: "Payment Successful - Order Confirmation",
+      text: paragraphs.join("\n"),
+      html: toHtml("Payment Successful!", paragraphs),
+      sms: `Litway Picks: payment of ${f.amount} ${f.currency} received for order ${f.orderId}. Thank you!`,
+    };
+  },
+
+  payment_failed(order, { reason } = {}) {
+    const f = orderFields(order);
+    const explanation = explainFailureReason(reason);
+    const paragraphs = [
+      `Dear ${f.firstName},`,
+      "Unfortunately, your payment could not be processed.",
+      explanation,
+      `Please try again or contact support at ${SUPPORT_EMAIL}`,
+    ];
+    return {
+      subject: "Payment Failed - Order Not Completed",
+      text: paragraphs.join("\n"),
+      html: toHtml("Payment Failed", paragraphs),
+      sms: `Litway Picks: payment for order ${f.orderId} failed. ${explanation} Please try again.`,
+    };
+  },
+
+  payment_review(order, { reason, mismatches = [] } = {}) {
+    const f = orderFields(order);
+    const paragraphs = [
+      `Payment for order ${f.orderId} is held for review (${reason}).`,
+      `Reference ID: ${order.reference_id || order.referenceId || ""}`,
+      `Transaction ID: ${f.transactionId}`,
+      ...mismatches.map(
+        (m) =>
+          `${m.field} from ${m.source}: expected ${m.expected}, got ${m.actual}`,
+      ),
+      "Approve or reject it with POST /api/momo/reviews/:referenceId.",
+    ];
+    return {
+      subject: `Payment under review - order ${f.orderId}`,
+      text: paragraphs.join("\n"),
+      html: toHtml("Payment under review", paragraphs),
+      sms: null,
+    };
+  },
+
+  order_shipped(order, { trackingUrl, riderName } = {}) {
+    const f = orderFields(order);
+    const paragraphs = [
+      `Dear ${f.firstName},`,
+      `Your order ${f.orderId} is on its way!`,
+      riderName ? `Your delivery rider is ${riderName}.` : null,
+      trackingUrl ? `Track your order: ${trackingUrl}` : null,
+    ].filter(Boolean);
+    return {
+      subject: "Your Order Has Shipped",
+      text: paragraphs.join("\n"),
+      html: toHtml("Your order is on its way", paragraphs),
+      sms: `Litway Picks: order ${f.orderId} is on its way!${trackingUrl ? ` Track: ${trackingUrl}` : ""}`,
+    };
+  },
+};
+
+/**
+ * Render a template
+ * @param {string} name - Template name
+ * @param {object} order - Order row or transaction data
+ * @param {object} [data] - Template-specific data
+ * @returns {object} { subject, text, html, sms }
+ */
+function renderTemplate(name, order, data) {
+  const template = templates[name];
+  if (!template) {
+    throw new Error(`Unknown notification template: ${name}`);
+  }
+  return template(order, data);
+}
+
+module.exports = {
+  renderTemplate,
+  explainFailureReason,
+  TEMPLATE_NAMES: Object.keys(templates),
+};
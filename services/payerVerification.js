@@ -0,0 +1,141 @@
+/**
+ * Payer Verification
+ *
+ * Looks up who a MoMo number belongs to (basicuserinfo) before the payment
+ * prompt is sent, so a mistyped digit does not send it to a stranger. The
+ * registered name is compared with the customer's name and only returned
+ * masked ("J*** D**"), for the customer to confirm.
+ */
+
+const { getAccessToken, getUserInfo } = require("./momoService");
+const { PAYER_NAME_MATCH_THRESHOLD } = require("../config/payer.config");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "payer-verification" });
+
+/**
+ * Lowercase letter-only words of a name, accents removed
+ */
+function nameTokens(name) {
+  return String(name || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .split(/[^a-z]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Similarity of two words: 1 - Levenshtein distance / longer length
+ * @returns {number} 0 (nothing in common) to 1 (equal)
+ */
+function similarity(a, b) {
+  if (a === b) {
+    return 1;
+  }
+
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1),
+      );
+    }
+    previous = current;
+  }
+  return 1 - previous[b.length] / Math.max(a.length, b.length);
+}
+
+/**
+ * Registered MoMo name of an account holder
+ */
+function registeredName(userInfo) {
+  return (
+    [userInfo.given_name, userInfo.family_name].filter(Boolean).join(" ") ||
+    userInfo.name ||
+    ""
+  );
+}
+
+/**
+ * Mask a name for display: first letter of each word, then asterisks
+ * @example maskName("Jane Doe") // "J*** D**"
+ */
+function maskName(name) {
+  return String(name || "")
+    .trim()
+    .split(/\s+/)
+    .filter(Boolean)
+    .map((word) => word[0] + "*".repeat(word.length - 1))
+    .join(" ");
+}
+
+/**
+ * Compare the registered name with the name the customer gave
+ * Each word of the first and last name is scored against its closest
+ * registered word, so middle names, word order and small typos are
+ * tolerated.
+ * @returns {object} { score, match } - match is null when the customer gave
+ *   no name
+ */
+function compareNames(registered, { firstName, lastName } = {}) {
+  const registeredWords = nameTokens(registered);
+  const givenWords = [...nameTokens(firstName), ...nameTokens(lastName)];
+  if (givenWords.length === 0) {
+    return { score: null, match: null };
+  }
+  if (registeredWords.length === 0) {
+    return { score: 0, match: false };
+  }
+
+  const total = givenWords.reduce(
+    (sum, word) =>
+      sum + Math.max(...registeredWords.map((r) => similarity(word, r))),
+    0,
+  );
+  const score = Math.round((total / givenWords.length) * 100) / 100;
+  return { score, match: score >= PAYER_NAME_MATCH_THRESHOLD };
+}
+
+/**
+ * Look up a payer and compare their registered name with the customer's
+ * @param {string} msisdn - Formatted MSISDN (see utils/phoneFormatter)
+ * @param {object} [customer] - { firstName, lastName }
+ * @returns {object} { registered, maskedName, nameMatch, score }
+ * @throws When MTN cannot be reached
+ */
+async function verifyPayer(msisdn, customer) {
+  const accessToken = await getAccessToken();
+  const userInfo = await getUserInfo(msisdn, accessToken);
+  if (!userInfo) {
+    log.warn("Payer not registered for MoMo", { msisdn });
+    return {
+      registered: false,
+      maskedName: null,
+      nameMatch: null,
+      score: null,
+    };
+  }
+
+  const name = registeredName(userInfo);
+  const { score, match } = compareNames(name, customer);
+  if (match === false) {
+    log.warn("Payer name mismatch", { msisdn, score });
+  }
+
+  return {
+    registered: true,
+    maskedName: maskName(name),
+    nameMatch: match,
+    score,
+  };
+}
+
+module.exports = {
+  maskName,
+  compareNames,
+  verifyPayer,
+};
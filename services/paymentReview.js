@@ -0,0 +1,135 @@
+/**
+ * Payment Review
+ *
+ * Compares what MTN reports for a successful payment (the callback body and
+ * the MoMo status API) with the order /pay created. A payment for another
+ * amount or currency, or from another MSISDN, is not fulfilled: the callback
+ * handler moves the order to UNDER_REVIEW and alerts staff, who approve or
+ * reject it through /api/momo/reviews.
+ */
+
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const digits = (msisdn) => String(msisdn || "").replace(/\D/g, "");
+
+/**
+ * What MTN should report for a payment: the order row, or what /pay cached
+ * for payments without one (callbacks overwrite the cached amount, so /pay
+ * keeps its own copy under `expected`)
+ */
+async function expectedPayment(referenceId) {
+  const order = await ordersRepository.findByReference(referenceId);
+  if (order) {
+    return {
+      amount: order.amount,
+      currency: order.currency,
+      payer: order.customer_phone,
+      externalId: order.external_id,
+    };
+  }
+
+  const cached = await transactionStore.get(referenceId);
+  return cached?.expected || null;
+}
+
+/**
+ * Describe a MoMo API transaction (GET requesttopay) or callback body for
+ * findPaymentMismatches
+ * @param {string} source - "callback" or "momo"
+ */
+function reportPayment(source, transaction) {
+  return {
+    source,
+    amount: transaction.amount,
+    currency: transaction.currency,
+    payer: transaction.payer?.partyId,
+    externalId: transaction.externalId,
+  };
+}
+
+/**
+ * Compare reported payments with the order
+ * Fields a report leaves out are not compared.
+ * @param {string} referenceId - Reference ID of the payment
+ * @param {object[]} reports - From reportPayment()
+ * @returns {object[]} [{ source, field, expected, actual }], empty when
+ *   everything matches (or the order is unknown)
+ */
+async function findPaymentMismatches(referenceId, reports) {
+  if (reports.length === 0) {
+    return [];
+  }
+
+  const expected = await expectedPayment(referenceId);
+  if (!expected) {
+    return [];
+  }
+
+  const mismatches = [];
+  for (const report of reports) {
+    const differs = {
+      amount:
+        report.amount != null &&
+        expected.amount != null &&
+        toCents(report.amount) !== toCents(expected.amount),
+      currency:
+        !!report.currency &&
+        !!expected.currency &&
+        report.currency !== expected.currency,
+      payer:
+        !!report.payer &&
+        !!expected.payer &&
+        digits(report.payer) !== digits(expected.payer),
+      externalId:
+        !!report.externalId &&
+        !!expected.externalId &&
+        report.externalId !== expected.externalId,
+    };
+
+    for (const [field, different] of Object.entries(differs)) {
+      if (different) {
+        mismatches.push({
+          source: report.source,
+          field,
+          expected: expected[field],
+          actual: report[field],
+        });
+      }
+    }
+  }
+  return mismatches;
+}
+
+/**
+ * Mismatch for a payment MTN confirmed after its order expired: the order's
+ * stock and redeemed points were released, so it cannot simply be fulfilled
+ * @param {string} source - What reported the payment
+ */
+function latePaymentMismatch(source) {
+  return { source, field: "status", expected: "PENDING", actual: "EXPIRED" };
+}
+
+/**
+ * Review reason for a set of mismatches
+ * @returns {string} LATE_PAYMENT, AMOUNT_MISMATCH, PAYER_MISMATCH or
+ *   ORDER_MISMATCH
+ */
+function reviewReason(mismatches) {
+  const fields = mismatches.map((m) => m.field);
+  if (fields.includes("status")) {
+    return "LATE_PAYMENT";
+  }
+  if (fields.includes("amount") || fields.includes("currency")) {
+    return "AMOUNT_MISMATCH";
+  }
+  return fields.includes("payer") ? "PAYER_MISMATCH" : "ORDER_MISMATCH";
+}
+
+module.exports = {
+  reportPayment,
+  findPaymentMismatches,
+  latePaymentMismatch,
+  reviewReason,
+};
@@ -0,0 +1,107 @@
+/**
+ * Payment Status
+ *
+ * Allowed changes of an order's payment_status:
+ *
+ *   CREATED -> PENDING -> SUCCESSFUL -> PARTIALLY_REFUNDED -> REFUNDED
+ *                      -> FAILED
+ *                      -> EXPIRED -> UNDER_REVIEW
+ *                      -> UNDER_REVIEW -> SUCCESSFUL | FAILED
+ *
+ * CREATED may also move straight to SUCCESSFUL, FAILED, EXPIRED or
+ * UNDER_REVIEW when the PENDING callback never arrives. A payment MTN
+ * confirms after our deadline cannot go straight from EXPIRED to SUCCESSFUL:
+ * the order's stock and redeemed points were already released, so it is
+ * held for review (LATE_PAYMENT) instead. UNDER_REVIEW holds a payment that
+ * does not match its order (see services/paymentReview) until staff approve
+ * or reject it: only transitions with source "review" may leave it.
+ * Each further partial refund moves PARTIALLY_REFUNDED to itself.
+ * Everything else (e.g. a late PENDING callback after SUCCESSFUL, or a
+ * FAILED after SUCCESSFUL) is rejected and logged.
+ */
+
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "payment-status" });
+
+const PAYMENT_STATUSES = [
+  "CREATED",
+  "PENDING",
+  "SUCCESSFUL",
+  "FAILED",
+  "EXPIRED",
+  "UNDER_REVIEW",
+  "PARTIALLY_REFUNDED",
+  "REFUNDED",
+];
+
+// Statuses still waiting for the payment's outcome (from the provider, or
+// from staff for UNDER_REVIEW); every other status settles the payment
+const OPEN_STATUSES = ["CREATED", "PENDING", "UNDER_REVIEW"];
+const SETTLED_STATUSES = PAYMENT_STATUSES.filter(
+  (status) => !OPEN_STATUSES.includes(status),
+);
+
+// Source of a staff review decision, the only one that may leave UNDER_REVIEW
+const REVIEW_SOURCE = "review";
+
+// Allowed transitions: current status -> next statuses
+const TRANSITIONS = {
+  CREATED: ["PENDING", "SUCCESSFUL", "FAILED", "EXPIRED", "UNDER_REVIEW"],
+  PENDING: ["SUCCESSFUL", "FAILED", "EXPIRED", "UNDER_REVIEW"],
+  EXPIRED: ["UNDER_REVIEW"],
+  UNDER_REVIEW: ["SUCCESSFUL", "FAILED"],
+  SUCCESSFUL: ["PARTIALLY_REFUNDED", "REFUNDED"],
+  PARTIALLY_REFUNDED: ["PARTIALLY_REFUNDED", "REFUNDED"],
+  FAILED: [],
+  REFUNDED: [],
+};
+
+/**
+ * Whether an order may move from one payment status to another
+ */
+function canTransition(from, to) {
+  return (TRANSITIONS[from] || []).includes(to);
+}
+
+/**
+ * Statuses an order may be in to move to `to`
+ */
+function allowedFrom(to) {
+  return Object.keys(TRANSITIONS).filter((from) => canTransition(from, to));
+}
+
+/**
+ * Check a transition and log it if it is rejected
+ * Repeating the current status (e.g. a second PENDING callback) is not a
+ * transition and is ignored without a warning.
+ * @returns {boolean} true if the transition may be applied
+ */
+function checkTransition(referenceId, from, to, source) {
+  if (
+    canTransition(from, to) &&
+    (from !== "UNDER_REVIEW" || source === REVIEW_SOURCE)
+  ) {
+    return true;
+  }
+
+  if (from !== to) {
+    log.warn("Rejected payment status change", {
+      referenceId,
+      from,
+      to,
+      source,
+    });
+  }
+  return false;
+}
+
+module.exports = {
+  PAYMENT_STATUSES,
+  SETTLED_STATUSES,
+  TRANSITIONS,
+  REVIEW_SOURCE,
+  canTransition,
+  allowedFrom,
+  checkTransition,
+};
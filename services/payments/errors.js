@@ -0,0 +1,17 @@
+/**
+ * A payment provider is known to be down (its circuit breaker is open), so
+ * the request was not sent
+ * `retryAfterMs` is how long until the provider is tried again.
+ */
+class ProviderUnavailableError extends Error {
+  constructor(provider, retryAfterMs) {
+    super(`${provider} is unavailable`);
+    this.name = "ProviderUnavailableError";
+    this.code = "PROVIDER_UNAVAILABLE";
+    this.statusCode = 503;
+    this.provider = provider;
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+module.exports = { ProviderUnavailableError };
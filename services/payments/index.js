@@ -0,0 +1,154 @@
+/**
+ * Payment Providers
+ *
+ * Routes talk to mobile money operators through a provider instead of
+ * calling their APIs directly, so adding one (e.g. Orange Money) means
+ * writing a provider, not copying /pay, /status and /callback. Each order
+ * records the provider it was paid with (`payment_provider`); orders from
+ * before providers existed are MTN's.
+ *
+ * A provider is { name, displayName, carriers, callbackUrl, ... }:
+ *
+ *   initiate({ amount, currency, externalId, phone, message, callbackUrl })
+ *                                             -> { referenceId, transaction }
+ *   getStatus(referenceId)                    -> transaction | null
+ *   parseCallback(headers, body)              -> { referenceId, ...transaction }
+ *   refund({ referenceId, amount, currency, externalId, referenceIdToRefund,
+ *            message })                       -> { referenceId, refund }
+ *                                                (referenceId: the caller's
+ *                                                refund ID, sent as
+ *                                                X-Reference-Id)
+ *   getRefundStatus(referenceId)              -> refund | null
+ *   verifyPayer(msisdn, customer)             -> (optional, see
+ *                                                services/payerVerification)
+ *   checkAvailable()                          -> (optional) throws
+ *                                                ProviderUnavailableError
+ *                                                while the operator is down
+ *
+ * Transactions use MTN MoMo's shape, which the rest of the app reads:
+ * { status, financialTransactionId, externalId, amount, currency,
+ *   payer: { partyIdType, partyId }, reason }. Refunds are
+ * { status, financialTransactionId, reason }.
+ */
+
+const { PAYMENT_PROVIDERS } = require("../../config/payments.config");
+const { formatPhoneForCarriers } = require("../../utils/phoneFormatter");
+const { createMtnMomoProvider } = require("./providers/mtnMomoProvider");
+const { logger } = require("../../utils/logger");
+
+const log = logger.child({ module: "payments" });
+
+// Orders and callbacks that do not name a provider are MTN's
+const DEFAULT_PROVIDER = "mtn";
+
+// Provider factories by name
+const PROVIDER_FACTORIES = {
+  mtn: createMtnMomoProvider,
+};
+
+// Provider instances (created on first use, can be replaced for testing)
+const providers = {};
+
+/**
+ * Get an enabled provider by name
+ * @returns {object|null} null when the provider is unknown or not enabled
+ *   in PAYMENT_PROVIDERS
+ */
+function getProvider(name = DEFAULT_PROVIDER) {
+  const key = String(name).toLowerCase();
+  if (!PAYMENT_PROVIDERS.includes(key)) {
+    return null;
+  }
+  if (!(key in providers)) {
+    const factory = PROVIDER_FACTORIES[key];
+    if (!factory) {
+      log.error("Unknown payment provider", { provider: key });
+      providers[key] = null;
+    } else {
+      providers[key] = factory();
+    }
+  }
+  return providers[key];
+}
+
+/**
+ * Replace a provider (e.g. with a stub in tests)
+ */
+function setProvider(name, provider) {
+  providers[name] = provider;
+}
+
+/**
+ * Enabled providers
+ */
+function listProviders() {
+  return PAYMENT_PROVIDERS.map(getProvider).filter(Boolean);
+}
+
+/**
+ * Provider an order or cached payment was made with
+ * @param {object} [payment] - Order row or transaction store entry
+ */
+function providerFor(payment) {
+  return getProvider(
+    payment?.payment_provider || payment?.provider || DEFAULT_PROVIDER,
+  );
+}
+
+/**
+ * Parse the payer's phone number and pick the provider to charge it
+ * The customer's choice wins; otherwise the provider serving the number's
+ * operator (see utils/phoneFormatter) is used.
+ * @param {string} phone - Raw phone number
+ * @param {string} [requested] - Provider name the customer chose
+ * @returns {object} { success: true, provider, phone } where phone is the
+ *   formatLiberianPhone result, or { success: false, code, error, carrier? }
+ */
+function selectProvider(phone, requested) {
+  if (requested) {
+    const provider = getProvider(requested);
+    if (!provider) {
+      return {
+        success: false,
+        code: "UNKNOWN_PROVIDER",
+        error: `Unknown payment provider: ${requested}. Use ${PAYMENT_PROVIDERS.join(" or ")}.`,
+      };
+    }
+
+    const phoneResult = formatPhoneForCarriers(
+      phone,
+      provider.carriers,
+      provider.displayName,
+    );
+    return phoneResult.success
+      ? { success: true, provider, phone: phoneResult }
+      : phoneResult;
+  }
+
+  const enabled = listProviders();
+  const phoneResult = formatPhoneForCarriers(
+    phone,
+    enabled.flatMap((provider) => provider.carriers),
+    enabled.map((provider) => provider.displayName).join(" or "),
+  );
+  if (!phoneResult.success) {
+    return phoneResult;
+  }
+
+  return {
+    success: true,
+    provider: enabled.find((provider) =>
+      provider.carriers.includes(phoneResult.carrier),
+    ),
+    phone: phoneResult,
+  };
+}
+
+module.exports = {
+  DEFAULT_PROVIDER,
+  getProvider,
+  setProvider,
+  listProviders,
+  providerFor,
+  selectProvider,
+};
@@ -0,0 +1,85 @@
+const momoService = require("../../momoService");
+const disbursementService = require("../../disbursementService");
+const { verifyPayer } = require("../../payerVerification");
+const { CALLBACK_URL } = require("../../../config/momo.config");
+
+/**
+ * MTN Mobile Money provider
+ * Collections (requesttopay) through services/momoService and refunds
+ * through the Disbursement API (services/disbursementService). MTN's
+ * transaction shape is the one every provider reports in, so statuses and
+ * callbacks pass through unchanged.
+ */
+function createMtnMomoProvider() {
+  return {
+    name: "mtn",
+    displayName: "MTN Mobile Money",
+    carriers: ["MTN"],
+    callbackUrl: CALLBACK_URL,
+
+    async initiate(details) {
+      const accessToken = await momoService.getAccessToken();
+      const result = await momoService.requestToPay(
+        {
+          amount: details.amount,
+          currency: details.currency,
+          process_id: details.externalId,
+          phone_no: details.phone,
+          message: details.message,
+          callback_url: details.callbackUrl,
+        },
+        accessToken,
+      );
+      return {
+        referenceId: result.referenceId,
+        transaction: result.transaction,
+      };
+    },
+
+    async getStatus(referenceId) {
+      const accessToken = await momoService.getAccessToken();
+      return momoService.fetchTransactionDetails(referenceId, accessToken);
+    },
+
+    /**
+     * MTN sends the reference ID in X-Reference-Id; older callbacks only
+     * carry the externalId, and their referenceId is null (the callback
+     * handler finds it from the order)
+     */
+    parseCallback(headers, body) {
+      const payer = body.payer || {};
+      return {
+        referenceId: headers["x-reference-id"] || body.referenceId || null,
+        financialTransactionId: body.financialTransactionId || null,
+        externalId: body.externalId || null,
+        amount: body.amount || null,
+        currency: body.currency || null,
+        status: body.status || null,
+        payer,
+        payerPhone: payer.partyId || null,
+        payerIdType: payer.partyIdType || null,
+        payeeNote: body.payeeNote || null,
+        payerMessage: body.payerMessage || null,
+        reason: body.reason || null,
+      };
+    },
+
+    async refund(details) {
+      const accessToken = await disbursementService.getDisbursementToken();
+      return disbursementService.refund(details, accessToken);
+    },
+
+    async getRefundStatus(referenceId) {
+      const accessToken = await disbursementService.getDisbursementToken();
+      return disbursementService.getRefundStatus(referenceId, accessToken);
+    },
+
+    verifyPayer,
+
+    checkAvailable: () => momoService.checkAvailable(),
+  };
+}
+
+module.exports = {
+  createMtnMomoProvider,
+};
@@ -0,0 +1,247 @@
+/**
+ * Reconciliation Worker
+ *
+ * Periodically checks PENDING orders whose callback never arrived.
+ * Each stuck order is looked up with its payment provider's status API
+ * (with backoff between attempts); terminal results go through the callback handler's
+ * processors, and orders past the final deadline are marked EXPIRED.
+ *
+ * The backoff is stored with the order (reconcile_attempts,
+ * next_reconcile_at), or in the transaction store for payments without one.
+ */
+
+const crypto = require("crypto");
+const supabase = require("../config/database");
+const { providerFor } = require("./payments");
+const {
+  processTransactionStatus,
+  processExpiredPayment,
+} = require("../MoMoCallbackHandler");
+const {
+  RECONCILE_ENABLED,
+  RECONCILE_INTERVAL_MS,
+  RECONCILE_MIN_AGE_MS,
+  RECONCILE_EXPIRE_AFTER_MS,
+  RECONCILE_BACKOFF_BASE_MS,
+  RECONCILE_BACKOFF_MAX_MS,
+  RECONCILE_BATCH_SIZE,
+} = require("../config/reconciliation.config");
+const ordersRepository = require("../repositories/orders");
+const transactionStore = require("../utils/transactionStore");
+const { logger, runWithCorrelationId } = require("../utils/logger");
+
+const log = logger.child({ module: "reconciliation" });
+
+let intervalHandle = null;
+let running = false;
+
+/**
+ * Find PENDING orders older than the minimum age whose next check is due
+ * The backoff is part of the query, so orders waiting for their next check
+ * never fill the batch ahead of newer ones.
+ * @returns {Array} [{ referenceId, createdAt, provider, correlationId,
+ *   attempts, hasOrder }]
+ */
+async function findStuckPayments() {
+  const now = Date.now();
+  const cutoff = new Date(now - RECONCILE_MIN_AGE_MS);
+
+  const orders = await ordersRepository.listOrders({
+    status: "PENDING",
+    hasReference: true,
+    createdBefore: cutoff,
+    dueBefore: new Date(now),
+    ascending: true,
+    limit: RECONCILE_BATCH_SIZE,
+  });
+  const stuck = orders.map((order) => ({
+    referenceId: order.reference_id,
+    createdAt: new Date(order.created_at).getTime(),
+    provider: order.payment_provider,
+    correlationId: order.correlation_id,
+    attempts: order.reconcile_attempts || 0,
+    hasOrder: true,
+  }));
+
+  if (supabase) {
+    return stuck;
+  }
+
+  // Offline mode - payments without an order record (no customer details,
+  // or started before a restart) are only in the transaction store
+  const known = new Set(stuck.map((tx) => tx.referenceId));
+  const cached = (await transactionStore.values())
+    .filter((tx) => !tx.status || tx.status === "PENDING")
+    .filter((tx) => !tx.nextReconcileAt || tx.nextReconcileAt <= now)
+    .map((tx) => ({
+      referenceId: tx.referenceId,
+      createdAt: tx.timestamp || new Date(tx.createdAt).getTime(),
+      provider: tx.provider,
+      correlationId: tx.correlationId,
+      attempts: tx.reconcileAttempts || 0,
+      hasOrder: false,
+    }))
+    .filter(
+      (tx) =>
+        tx.referenceId &&
+        !known.has(tx.referenceId) &&
+        tx.createdAt < cutoff.getTime(),
+    );
+
+  return [...stuck, ...cached].slice(0, RECONCILE_BATCH_SIZE);
+}
+
+/**
+ * Record a failed/inconclusive attempt and schedule the next one
+ * The next check is never later than the deadline, so expiry is not delayed
+ * by the backoff.
+ */
+async function scheduleRetry(payment) {
+  const attempts = payment.attempts + 1;
+  const delay = Math.min(
+    RECONCILE_BACKOFF_BASE_MS * 2 ** payment.attempts,
+    RECONCILE_BACKOFF_MAX_MS,
+  );
+  const nextAttemptAt = Math.min(
+    Date.now() + delay,
+    payment.createdAt + RECONCILE_EXPIRE_AFTER_MS,
+  );
+
+  if (payment.hasOrder) {
+    await ordersRepository.updateOrder(payment.referenceId, {
+      reconcile_attempts: attempts,
+      next_reconcile_at: new Date(nextAttemptAt).toISOString(),
+    });
+    return;
+  }
+
+  await transactionStore.update(payment.referenceId, (cached) =>
+    cached
+      ? {
+          ...cached,
+          reconcileAttempts: attempts,
+          nextReconcileAt: nextAttemptAt,
+        }
+      : undefined,
+  );
+}
+
+/**
+ * Check a single stuck payment against its provider's API
+ * @returns {string} Outcome: SUCCESSFUL, FAILED, EXPIRED or PENDING
+ */
+async function reconcilePayment(payment) {
+  const { referenceId, createdAt } = payment;
+  const pastDeadline = Date.now() - createdAt > RECONCILE_EXPIRE_AFTER_MS;
+
+  const provider = providerFor(payment);
+  if (!provider) {
+    throw new Error(`Payment provider ${payment.provider} is not enabled`);
+  }
+
+  const transaction = await provider.getStatus(referenceId);
+  const status = transaction?.status;
+
+  if (status === "SUCCESSFUL" || status === "FAILED") {
+    await processTransactionStatus(referenceId, transaction, "reconciliation");
+    return status;
+  }
+
+  if (pastDeadline) {
+    await processExpiredPayment({
+      ...((await transactionStore.get(referenceId)) || {}),
+      referenceId,
+    });
+    return "EXPIRED";
+  }
+
+  await scheduleRetry(payment);
+  return "PENDING";
+}
+
+/**
+ * Run one reconciliation pass
+ * @returns {object} Count of outcomes, e.g. { SUCCESSFUL: 1, PENDING: 3 }
+ */
+async function runReconciliation() {
+  if (running) {
+    return null; // Previous pass still in progress
+  }
+  running = true;
+
+  const summary = {};
+  try {
+    const stuck = await findStuckPayments();
+    if (stuck.length === 0) {
+      return summary;
+    }
+
+    for (const payment of stuck) {
+      // Logged under the correlation ID of the /pay request that started it
+      await runWithCorrelationId(
+        payment.correlationId || crypto.randomUUID(),
+        async () => {
+          try {
+            const outcome = await reconcilePayment(payment);
+            summary[outcome] = (summary[outcome] || 0) + 1;
+          } catch (error) {
+            log.error("Reconciliation failed", {
+              referenceId: payment.referenceId,
+              error,
+            });
+            await scheduleRetry(payment).catch((retryError) =>
+              log.error("Reconciliation backoff update failed", {
+                referenceId: payment.referenceId,
+                error: retryError,
+              }),
+            );
+            summary.ERROR = (summary.ERROR || 0) + 1;
+          }
+        },
+      );
+    }
+
+    log.info("Reconciliation pass complete", { summary });
+    return summary;
+  } catch (error) {
+    log.error("Reconciliation pass failed", { error });
+    return summary;
+  } finally {
+    running = false;
+  }
+}
+
+/**
+ * Start the background scheduler
+ */
+function startReconciliationWorker() {
+  if (!RECONCILE_ENABLED) {
+    log.warn("Reconciliation worker disabled");
+    return;
+  }
+  if (intervalHandle) {
+    return;
+  }
+
+  intervalHandle = setInterval(runReconciliation, RECONCILE_INTERVAL_MS);
+  intervalHandle.unref();
+  log.info("Reconciliation worker started", {
+    intervalMs: RECONCILE_INTERVAL_MS,
+  });
+}
+
+/**
+ * Stop the background scheduler
+ */
+function stopReconciliationWorker() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  runReconciliation,
+  startReconciliationWorker,
+  stopReconciliationWorker,
+};
@@ -0,0 +1,349 @@
+/**
+ * Settlement Reconciliation
+ *
+ * Matches MoMo collection statements (CSV exported from the MTN partner
+ * portal) with the orders table, one statement day at a time. A statement
+ * line is matched to an order by MTN's financial transaction ID, then by our
+ * external ID. Days are UTC, which is also Liberia's local time.
+ *
+ * Exceptions:
+ *   unmatched_payment      - money received with no order, or for an order
+ *                            that is not marked paid
+ *   missing_from_statement - an order marked paid that day with no line
+ *   amount_mismatch        - a matched line for another amount or currency
+ */
+
+const ordersRepository = require("../repositories/orders");
+const statementLinesRepository = require("../repositories/statementLines");
+const { parseCsv, toCsv } = require("../utils/csv");
+const { logger } = require("../utils/logger");
+
+const log = logger.child({ module: "settlement" });
+
+// Order statuses that mean the money was collected (refunds are paid out
+// from the disbursement account, so the collection still shows)
+const PAID_STATUSES = ["SUCCESSFUL", "PARTIALLY_REFUNDED", "REFUNDED"];
+
+// Most paid orders compared for one day
+const MAX_DAY_ORDERS = 10000;
+
+// Statement columns, by normalized header name (lowercase, letters and
+// digits only). MTN exports use the first name of each list.
+const COLUMNS = {
+  financialTransactionId: ["id", "financialtransactionid", "transactionid"],
+  externalId: ["externaltransactionid", "externalid"],
+  transactedAt: ["date", "transactiondate", "datetime"],
+  status: ["status"],
+  payer: ["from", "payer", "msisdn"],
+  amount: ["amount"],
+  currency: ["currency"],
+};
+const REQUIRED_COLUMNS = ["financialTransactionId", "transactedAt", "amount"];
+
+const EXCEPTION_COLUMNS = [
+  "type",
+  "financialTransactionId",
+  "externalId",
+  "referenceId",
+  "transactedAt",
+  "statementAmount",
+  "orderAmount",
+  "currency",
+  "orderStatus",
+  "detail",
+];
+
+class SettlementError extends Error {
+  constructor(message, statusCode) {
+    super(message);
+    this.name = "SettlementError";
+    this.statusCode = statusCode;
+  }
+}
+
+const toCents = (value) => Math.round(parseFloat(value) * 100);
+const fromCents = (cents) => cents / 100;
+const normalize = (name) => name.toLowerCase().replace(/[^a-z0-9]/g, "");
+
+/**
+ * Statement times without a zone are UTC
+ */
+function parseStatementTime(value) {
+  const text = String(value || "").replace(" ", "T");
+  const date = new Date(/[zZ]|[+-]\d\d:?\d\d$/.test(text) ? text : `${text}Z`);
+  return isNaN(date) ? null : date;
+}
+
+/**
+ * Check a YYYY-MM-DD statement date
+ * @returns {Date} Start of the day (UTC)
+ */
+function parseStatementDate(date) {
+  const start = new Date(`${date}T00:00:00Z`);
+  if (
+    !/^\d{4}-\d{2}-\d{2}$/.test(date || "") ||
+    isNaN(start) ||
+    start.toISOString().slice(0, 10) !== date
+  ) {
+    throw new SettlementError("date must be YYYY-MM-DD", 400);
+  }
+  return start;
+}
+
+/**
+ * Parse a statement export into statement_lines rows
+ * Only incoming successful payments are kept: failed lines, payouts and fees
+ * (zero or negative amounts) are skipped.
+ * @param {string} csvText
+ * @returns {object} { lines, skipped, errors: [{ line, message }] }
+ */
+function parseStatement(csvText) {
+  const rows = parseCsv(csvText);
+  if (rows.length === 0) {
+    throw new SettlementError("Statement has no lines", 400);
+  }
+
+  const headers = Object.keys(rows[0]);
+  const column = Object.fromEntries(
+    Object.entries(COLUMNS).map(([field, names]) => [
+      field,
+      headers.find((header) => names.includes(normalize(header))),
+    ]),
+  );
+  const missing = REQUIRED_COLUMNS.filter((field) => !column[field]);
+  if (missing.length > 0) {
+    throw new SettlementError(
+      `Statement is missing columns: ${missing.map((f) => COLUMNS[f][0]).join(", ")}`,
+      400,
+    );
+  }
+
+  const lines = [];
+  const errors = [];
+  let skipped = 0;
+
+  for (const row of rows) {
+    const value = (field) => (column[field] ? row[column[field]] : "");
+    const status = value("status");
+    const amount = parseFloat(value("amount").replace(/,/g, ""));
+
+    if ((status && !/^success/i.test(status)) || !(amount > 0)) {
+      skipped += 1;
+      continue;
+    }
+
+    const financialTransactionId = value("financialTransactionId");
+    const transactedAt = parseStatementTime(value("transactedAt"));
+    if (!financialTransactionId || !transactedAt) {
+      errors.push({
+        line: row.lineNumber,
+        message: !financialTransactionId
+          ? "Missing transaction ID"
+          : "Invalid date",
+      });
+      continue;
+    }
+
+    lines.push({
+      financial_transaction_id: financialTransactionId,
+      external_id: value("externalId") || null,
+      statement_date: transactedAt.toISOString().slice(0, 10),
+      transacted_at: transactedAt.toISOString(),
+      amount,
+      currency: value("currency") || null,
+      payer: value("payer") || null,
+      status: status || null,
+      raw: { ...row },
+      imported_at: new Date().toISOString(),
+    });
+  }
+
+  return { lines, skipped, errors };
+}
+
+/**
+ * Import a statement export
+ * Re-importing a statement updates its lines rather than duplicating them.
+ * @param {string} csvText
+ * @returns {object} { imported, skipped, errors, dates }
+ */
+async function importStatement(csvText) {
+  const { lines, skipped, errors } = parseStatement(csvText);
+  const saved = await statementLinesRepository.saveLines(lines);
+  const dates = [...new Set(saved.map((line) => line.statement_date))].sort();
+
+  log.info("Statement imported", {
+    imported: saved.length,
+    skipped,
+    errors: errors.length,
+  });
+  return { imported: saved.length, skipped, errors, dates };
+}
+
+function totalsByCurrency(entries) {
+  const cents = {};
+  for (const { amount, currency } of entries) {
+    const key = currency || "UNKNOWN";
+    cents[key] = (cents[key] || 0) + toCents(amount);
+  }
+  return Object.fromEntries(
+    Object.entries(cents).map(([currency, total]) => [
+      currency,
+      fromCents(total),
+    ]),
+  );
+}
+
+function exception(type, { line, order, detail }) {
+  return {
+    type,
+    financialTransactionId:
+      line?.financial_transaction_id || order?.financial_transaction_id || null,
+    externalId: order?.external_id || line?.external_id || null,
+    referenceId: order?.reference_id || null,
+    transactedAt: line?.transacted_at || order?.payment_confirmed_at || null,
+    statementAmount: line ? line.amount : null,
+    orderAmount: order ? order.amount : null,
+    currency: line?.currency || order?.currency || null,
+    orderStatus: order?.payment_status || null,
+    detail,
+  };
+}
+
+/**
+ * Reconcile one statement day with the orders table
+ * @param {string} date - YYYY-MM-DD (UTC)
+ * @returns {object} { date, statement: { lines, totals }, orders: { paid,
+ *   totals }, matched, counts, exceptions }
+ */
+async function reconcileDate(date) {
+  const start = parseStatementDate(date);
+  const end = new Date(start.getTime() + 24 * 60 * 60 * 1000);
+
+  const lines = await statementLinesRepository.listLines({ date });
+  const paidOrders = await ordersRepository.listOrders({
+    status: PAID_STATUSES,
+    confirmedFrom: start,
+    confirmedBefore: end,
+    orderBy: "payment_confirmed_at",
+    ascending: true,
+    limit: MAX_DAY_ORDERS,
+  });
+
+  const byTransactionId = new Map();
+  const byExternalId = new Map();
+  for (const order of paidOrders) {
+    if (order.financial_transaction_id) {
+      byTransactionId.set(order.financial_transaction_id, order);
+    }
+    byExternalId.set(order.external_id, order);
+  }
+
+  // Lines for payments confirmed on another day, or for unpaid orders
+  async function findOrder(line) {
+    return (
+      byTransactionId.get(line.financial_transaction_id) ||
+      (line.external_id && byExternalId.get(line.external_id)) ||
+      (await ordersRepository.findByFinancialTransactionId(
+        line.financial_transaction_id,
+      )) ||
+      (line.external_id &&
+        (await ordersRepository.findByExternalId(line.external_id))) ||
+      null
+    );
+  }
+
+  const exceptions = [];
+  const matchedOrderIds = new Set();
+
+  for (const line of lines) {
+    const order = await findOrder(line);
+    if (!order) {
+      exceptions.push(
+        exception("unmatched_payment", { line, detail: "No matching order" }),
+      );
+      continue;
+    }
+    if (!PAID_STATUSES.includes(order.payment_status)) {
+      exceptions.push(
+        exception("unmatched_payment", {
+          line,
+          order,
+          detail: `Order is ${order.payment_status}`,
+        }),
+      );
+      continue;
+    }
+    if (matchedOrderIds.has(order.id)) {
+      exceptions.push(
+        exception("unmatched_payment", {
+          line,
+          order,
+          detail: "Order already matched to another line (paid twice?)",
+        }),
+      );
+      continue;
+    }
+
+    matchedOrderIds.add(order.id);
+    const differences = [];
+    if (toCents(line.amount) !== toCents(order.amount)) {
+      differences.push(`amount ${line.amount} != ${order.amount}`);
+    }
+    if (line.currency && order.currency && line.currency !== order.currency) {
+      differences.push(`currency ${line.currency} != ${order.currency}`);
+    }
+    if (differences.length > 0) {
+      exceptions.push(
+        exception("amount_mismatch", {
+          line,
+          order,
+          detail: differences.join("; "),
+        }),
+      );
+    }
+  }
+
+  for (const order of paidOrders) {
+    if (!matchedOrderIds.has(order.id)) {
+      exceptions.push(
+        exception("missing_from_statement", {
+          order,
+          detail: "Marked paid but not on the statement",
+        }),
+      );
+    }
+  }
+
+  const counts = {
+    unmatched_payment: 0,
+    missing_from_statement: 0,
+    amount_mismatch: 0,
+  };
+  exceptions.forEach((entry) => (counts[entry.type] += 1));
+
+  return {
+    date,
+    statement: { lines: lines.length, totals: totalsByCurrency(lines) },
+    orders: { paid: paidOrders.length, totals: totalsByCurrency(paidOrders) },
+    matched: matchedOrderIds.size,
+    counts,
+    exceptions,
+  };
+}
+
+/**
+ * Exceptions of a reconcileDate() report as CSV
+ */
+function exceptionsCsv(report) {
+  return toCsv(EXCEPTION_COLUMNS, report.exceptions);
+}
+
+module.exports = {
+  PAID_STATUSES,
+  SettlementError,
+  parseStatement,
+  importStatement,
+  reconcileDate,
+  exceptionsCsv,
+};
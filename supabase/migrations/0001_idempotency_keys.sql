@@ -0,0 +1,13 @@
+-- Idempotency keys for POST /api/momo/pay
+-- A repeated request with the same key replays the stored response
+create table if not exists idempotency_keys (
+  key text primary key,
+  request_hash text not null,
+  status text not null default 'in_progress',
+  response_status integer,
+  response_body jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists idempotency_keys_created_at_idx
+  on idempotency_keys (created_at);
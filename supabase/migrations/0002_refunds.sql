@@ -0,0 +1,21 @@
+-- Refunds issued through the MoMo Disbursement API
+-- id is the X-Reference-Id sent with the refund request
+create table if not exists refunds (
+  id uuid primary key,
+  order_id bigint references orders (id),
+  order_reference_id text not null,
+  amount numeric(12, 2) not null check (amount > 0),
+  currency text not null,
+  reason text,
+  status text not null default 'PENDING',
+  financial_transaction_id text,
+  failure_reason text,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists refunds_order_reference_id_idx
+  on refunds (order_reference_id);
+
+alter table orders
+  add column if not exists refunded_amount numeric(12, 2) not null default 0;
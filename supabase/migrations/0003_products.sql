@@ -0,0 +1,11 @@
+-- Product catalog used to price /pay server-side
+create table if not exists products (
+  id text primary key,
+  name text not null,
+  price numeric(12, 2) not null check (price >= 0),
+  created_at timestamptz not null default now()
+);
+
+alter table products
+  add column if not exists sale_price numeric(12, 2) check (sale_price >= 0),
+  add column if not exists active boolean not null default true;
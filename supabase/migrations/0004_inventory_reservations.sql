@@ -0,0 +1,137 @@
+-- Inventory reservations
+-- stock is on-hand quantity; reserved is held by unpaid orders
+--
+-- DEPLOYMENT: products that exist when this runs get stock 0, and every
+-- checkout of them fails as out of stock. Load the real on-hand counts
+-- before taking orders, e.g.
+--   update products set stock = <count> where id = '<product id>';
+alter table products
+  add column if not exists stock integer not null default 0 check (stock >= 0),
+  add column if not exists reserved integer not null default 0 check (reserved >= 0);
+
+create table if not exists inventory_reservations (
+  id bigint generated always as identity primary key,
+  reservation_id text not null,
+  product_id text not null references products (id),
+  quantity integer not null check (quantity > 0),
+  status text not null default 'held', -- held | committed | released
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists inventory_reservations_reservation_id_idx
+  on inventory_reservations (reservation_id);
+
+-- Hold stock for every item, or for none of them.
+-- p_items: [{ "id": "<product id>", "quantity": 2 }]
+-- Rows are locked in product ID order so concurrent checkouts cannot
+-- deadlock or both take the last unit.
+create or replace function reserve_inventory(p_reservation_id text, p_items jsonb)
+returns jsonb
+language plpgsql
+as $$
+declare
+  item jsonb;
+  available integer;
+  errors jsonb := '[]'::jsonb;
+begin
+  if exists (
+    select 1 from inventory_reservations
+    where reservation_id = p_reservation_id and status = 'held'
+  ) then
+    return jsonb_build_object('success', true);
+  end if;
+
+  for item in
+    select value from jsonb_array_elements(p_items) order by value->>'id'
+  loop
+    select stock - reserved into available
+    from products
+    where id = item->>'id'
+    for update;
+
+    if available is null or available < (item->>'quantity')::integer then
+      errors := errors || jsonb_build_object(
+        'productId', item->>'id',
+        'requested', (item->>'quantity')::integer,
+        'available', greatest(coalesce(available, 0), 0)
+      );
+    end if;
+  end loop;
+
+  if jsonb_array_length(errors) > 0 then
+    return jsonb_build_object('success', false, 'errors', errors);
+  end if;
+
+  for item in select value from jsonb_array_elements(p_items) loop
+    update products
+    set reserved = reserved + (item->>'quantity')::integer
+    where id = item->>'id';
+
+    insert into inventory_reservations (reservation_id, product_id, quantity)
+    values (p_reservation_id, item->>'id', (item->>'quantity')::integer);
+  end loop;
+
+  return jsonb_build_object('success', true);
+end;
+$$;
+
+-- Payment succeeded: turn held stock into a permanent decrement
+create or replace function commit_inventory(p_reservation_id text)
+returns boolean
+language plpgsql
+as $$
+declare
+  line record;
+  found_any boolean := false;
+begin
+  for line in
+    select * from inventory_reservations
+    where reservation_id = p_reservation_id and status = 'held'
+    order by product_id
+    for update
+  loop
+    update products
+    set stock = stock - line.quantity, reserved = reserved - line.quantity
+    where id = line.product_id;
+
+    update inventory_reservations
+    set status = 'committed', updated_at = now()
+    where id = line.id;
+
+    found_any := true;
+  end loop;
+
+  return found_any;
+end;
+$$;
+
+-- Payment failed or expired: give held stock back
+create or replace function release_inventory(p_reservation_id text)
+returns boolean
+language plpgsql
+as $$
+declare
+  line record;
+  found_any boolean := false;
+begin
+  for line in
+    select * from inventory_reservations
+    where reservation_id = p_reservation_id and status = 'held'
+    order by product_id
+    for update
+  loop
+    update products
+    set reserved = reserved - line.quantity
+    where id = line.product_id;
+
+    update inventory_reservations
+    set status = 'released', updated_at = now()
+    where id = line.id;
+
+    found_any := true;
+  end loop;
+
+  return found_any;
+end;
+$$;
@@ -0,0 +1,21 @@
+-- Outbox of customer notifications (email/SMS), retried until sent
+create table if not exists notification_outbox (
+  id uuid primary key,
+  channel text not null, -- email | sms
+  recipient text not null,
+  template text not null,
+  subject text,
+  text text not null,
+  html text,
+  order_reference text,
+  status text not null default 'pending', -- pending | sent | failed | skipped
+  attempts integer not null default 0,
+  next_attempt_at timestamptz not null default now(),
+  last_error text,
+  provider_message_id text,
+  created_at timestamptz not null default now(),
+  sent_at timestamptz
+);
+
+create index if not exists notification_outbox_due_idx
+  on notification_outbox (status, next_attempt_at);
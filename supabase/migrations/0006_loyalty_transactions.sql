@@ -0,0 +1,14 @@
+-- Loyalty points ledger; the balance is the sum of points per customer
+create table if not exists loyalty_transactions (
+  id bigint generated always as identity primary key,
+  source_id text not null unique, -- e.g. earn:<external_id>, reverse:<refund id>
+  customer_key text not null, -- lower-cased email, or phone
+  order_reference text,
+  type text not null, -- earned | redeemed | redemption_reversed | reversed
+  points integer not null,
+  description text,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists loyalty_transactions_customer_key_idx
+  on loyalty_transactions (customer_key, created_at desc);
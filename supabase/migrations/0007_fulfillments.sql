@@ -0,0 +1,24 @@
+-- Delivery workflow for paid orders (see services/fulfillmentService.js)
+create table if not exists fulfillments (
+  id bigint generated always as identity primary key,
+  order_id bigint,
+  external_id text not null unique,
+  reference_id text,
+  status text not null default 'pending', -- pending | packed | dispatched | delivered | failed_delivery
+  customer_first_name text,
+  customer_email text,
+  customer_phone text,
+  delivery_address text,
+  delivery_city text,
+  delivery_state text,
+  items jsonb,
+  rider_name text,
+  rider_phone text,
+  delivery_notes text,
+  history jsonb not null default '[]'::jsonb, -- [{ status, at, by, notes }]
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists fulfillments_status_idx
+  on fulfillments (status, created_at desc);
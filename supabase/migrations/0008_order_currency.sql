@@ -0,0 +1,13 @@
+-- Orders are charged in `currency` (LRD or USD). Carts are priced in the
+-- catalog currency; when they differ, the rate used is kept on the order.
+alter table orders
+  add column if not exists original_amount numeric(12, 2),
+  add column if not exists original_currency text,
+  add column if not exists exchange_rate numeric(18, 8),
+  add column if not exists exchange_rate_snapshot jsonb; -- { from, to, rate, source, capturedAt }
+
+update orders
+  set original_amount = coalesce(final_total, amount),
+      original_currency = currency,
+      exchange_rate = 1
+  where original_currency is null;
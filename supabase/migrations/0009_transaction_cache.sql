@@ -0,0 +1,12 @@
+-- Shared transaction store (TRANSACTION_STORE=supabase): short-lived state
+-- of each payment by reference ID, evicted after `expires_at`
+create table if not exists transaction_cache (
+  reference_id text primary key,
+  data jsonb not null,
+  version bigint not null default 0, -- compare-and-set for atomic updates
+  expires_at timestamptz not null,
+  updated_at timestamptz not null default now()
+);
+
+create index if not exists transaction_cache_expires_at_idx
+  on transaction_cache (expires_at);
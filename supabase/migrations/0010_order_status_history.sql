@@ -0,0 +1,16 @@
+-- Audit trail of order payment_status changes (see services/paymentStatus.js)
+-- One row per accepted transition; from_status is null for the order's creation
+create table if not exists order_status_history (
+  id bigint generated always as identity primary key,
+  order_id bigint,
+  reference_id text,
+  external_id text,
+  from_status text,
+  to_status text not null,
+  source text, -- pay | callback | status_check | reconciliation | refund
+  details jsonb,
+  created_at timestamptz not null default now()
+);
+
+create index if not exists order_status_history_reference_id_idx
+  on order_status_history (reference_id, id);
@@ -0,0 +1,22 @@
+-- Every inbound MoMo callback as received (see repositories/callbackEvents)
+-- headers and body are never changed; outcome is written once after
+-- processing. Replays are new rows with source 'replay' and replay_of set.
+create table if not exists callback_events (
+  id bigint generated always as identity primary key,
+  received_at timestamptz not null default now(),
+  headers jsonb not null default '{}'::jsonb,
+  body jsonb not null default '{}'::jsonb,
+  reference_id text,
+  status text,
+  source text not null default 'mtn', -- mtn | replay
+  replay_of bigint references callback_events (id),
+  outcome text not null default 'received', -- received | processed | failed | rejected
+  error text,
+  processed_at timestamptz
+);
+
+create index if not exists callback_events_received_at_idx
+  on callback_events (received_at);
+
+create index if not exists callback_events_reference_id_idx
+  on callback_events (reference_id, id);
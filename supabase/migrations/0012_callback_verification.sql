@@ -0,0 +1,6 @@
+-- Callback verification (see services/callbackVerification.js)
+-- sha256 of the per-payment token in the callback URL sent to MTN
+alter table orders add column if not exists callback_token_hash text;
+
+-- Source IP of each callback, for investigating rejected callbacks
+alter table callback_events add column if not exists remote_ip text;
@@ -0,0 +1,14 @@
+-- Payments that do not match their order (see services/paymentReview.js)
+-- AMOUNT_MISMATCH, PAYER_MISMATCH or ORDER_MISMATCH
+alter table orders add column if not exists review_reason text;
+-- [{ source, field, expected, actual }]
+alter table orders add column if not exists review_mismatches jsonb;
+
+-- Staff decision (approve or reject) from POST /api/momo/reviews/:referenceId
+alter table orders add column if not exists review_decision text;
+alter table orders add column if not exists review_notes text;
+alter table orders add column if not exists reviewed_at timestamptz;
+
+create index if not exists orders_under_review_idx
+  on orders (created_at)
+  where payment_status = 'UNDER_REVIEW';
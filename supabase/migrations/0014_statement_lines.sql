@@ -0,0 +1,26 @@
+-- Lines imported from MoMo collection statements (see
+-- services/settlementReconciliation.js), one per MTN financial transaction
+create table if not exists statement_lines (
+  id bigint generated always as identity primary key,
+  financial_transaction_id text not null unique,
+  external_id text,
+  statement_date date not null, -- UTC day of transacted_at
+  transacted_at timestamptz not null,
+  amount numeric(12, 2) not null,
+  currency text,
+  payer text,
+  status text,
+  raw jsonb not null default '{}'::jsonb, -- the CSV row as exported
+  imported_at timestamptz not null default now()
+);
+
+create index if not exists statement_lines_statement_date_idx
+  on statement_lines (statement_date, transacted_at);
+
+-- Orders are matched to statement lines by MTN's transaction ID and
+-- compared by the day they were marked paid
+create index if not exists orders_financial_transaction_id_idx
+  on orders (financial_transaction_id);
+
+create index if not exists orders_payment_confirmed_at_idx
+  on orders (payment_confirmed_at);
@@ -0,0 +1,9 @@
+-- Payment provider of each payment (see services/payments)
+-- Existing rows were all paid with MTN MoMo
+alter table orders add column if not exists payment_provider text not null default 'mtn';
+
+-- Refunds go back through the provider that collected the payment
+alter table refunds add column if not exists provider text not null default 'mtn';
+
+-- Provider each callback is for; source is the provider's name or 'replay'
+alter table callback_events add column if not exists provider text not null default 'mtn';
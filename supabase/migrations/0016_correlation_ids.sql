@@ -0,0 +1,3 @@
+-- Correlation ID of the /pay request that created each order (see
+-- utils/logger.js), so its callback and reconciliation log under the same ID
+alter table orders add column if not exists correlation_id text;
@@ -0,0 +1,9 @@
+-- Reconciliation backoff (see services/reconciliationWorker.js), kept on the
+-- order so every instance skips orders that are not due and a batch is
+-- never filled with them
+alter table orders add column if not exists reconcile_attempts integer not null default 0;
+alter table orders add column if not exists next_reconcile_at timestamptz;
+
+create index if not exists orders_pending_reconcile_idx
+  on orders (created_at)
+  where payment_status = 'PENDING';
@@ -0,0 +1,50 @@
+-- Record a PENDING refund only if the order's PENDING and SUCCESSFUL refunds
+-- stay within the amount collected. The check and the insert run under a
+-- per-order lock, so concurrent requests (or instances) cannot both refund
+-- the same balance. The refund is recorded before the Disbursement API is
+-- called, so money never leaves without a row.
+-- Returns { success, refund } or { success: false, refundable }
+create or replace function request_refund(
+  p_id uuid,
+  p_order_id bigint,
+  p_order_reference_id text,
+  p_provider text,
+  p_amount numeric,
+  p_currency text,
+  p_reason text,
+  p_collected numeric
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  committed numeric;
+  refund refunds;
+begin
+  perform pg_advisory_xact_lock(hashtext('refund:' || p_order_reference_id));
+
+  select coalesce(sum(amount), 0) into committed
+  from refunds
+  where order_reference_id = p_order_reference_id
+    and status in ('PENDING', 'SUCCESSFUL');
+
+  if committed + p_amount > p_collected then
+    return jsonb_build_object(
+      'success', false,
+      'refundable', greatest(p_collected - committed, 0)
+    );
+  end if;
+
+  insert into refunds (
+    id, order_id, order_reference_id, provider, amount, currency, reason,
+    status
+  )
+  values (
+    p_id, p_order_id, p_order_reference_id, p_provider, p_amount, p_currency,
+    p_reason, 'PENDING'
+  )
+  returning * into refund;
+
+  return jsonb_build_object('success', true, 'refund', to_jsonb(refund));
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Stock and redeemed points are held under a server-generated ID per /pay
+-- request, not the client's externalId, so a repeated externalId can never
+-- reuse or release another order's hold. Earlier orders held them under
+-- their externalId.
+alter table orders add column if not exists reservation_id text;
+
+update orders set reservation_id = external_id where reservation_id is null;
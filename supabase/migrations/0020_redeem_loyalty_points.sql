@@ -0,0 +1,45 @@
+-- Spend loyalty points only if the customer's balance covers them. The
+-- balance check and the debit run under a per-customer lock, so concurrent
+-- checkouts (or instances) cannot spend the same points twice.
+-- Returns { success, entry } or { success: false, balance }; entry is null
+-- when this source_id was already redeemed.
+create or replace function redeem_loyalty_points(
+  p_source_id text,
+  p_customer_key text,
+  p_order_reference text,
+  p_points integer,
+  p_description text
+)
+returns jsonb
+language plpgsql
+as $$
+declare
+  balance integer;
+  entry loyalty_transactions;
+begin
+  perform pg_advisory_xact_lock(hashtext('loyalty:' || p_customer_key));
+
+  select coalesce(sum(points), 0) into balance
+  from loyalty_transactions
+  where customer_key = p_customer_key;
+
+  if balance < p_points then
+    return jsonb_build_object('success', false, 'balance', balance);
+  end if;
+
+  insert into loyalty_transactions (
+    source_id, customer_key, order_reference, type, points, description
+  )
+  values (
+    p_source_id, p_customer_key, p_order_reference, 'redeemed', -p_points,
+    p_description
+  )
+  on conflict (source_id) do nothing
+  returning * into entry;
+
+  return jsonb_build_object(
+    'success', true,
+    'entry', case when entry.id is null then null else to_jsonb(entry) end
+  );
+end;
+$$;
@@ -0,0 +1,7 @@
+-- Whether a callback passed the signature, IP and token checks; only
+-- verified callbacks are replayed (see services/callbackReplay.js)
+alter table callback_events add column if not exists verified boolean not null default false;
+
+-- Earlier events did not record it: only those that were processed are known
+-- to have passed the checks
+update callback_events set verified = true where outcome = 'processed';
@@ -1,5 +1,5 @@
 const express = require("express");
-const { router, setTransactionStore } = require("./MoMoCallbackHandler");
+const { router } = require("./MoMoCallbackHandler");
 
 const app = express();
 const PORT = 8080;
@@ -7,10 +7,6 @@ const PORT = 8080;
 // Middleware
 app.use(express.json());
 
-// Set up transaction store (in-memory for testing)
-const transactionStore = new Map();
-setTransactionStore(transactionStore);
-
 // Mount the MoMo callback router
 app.use("/api/momo", router);
 
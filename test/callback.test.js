@@ -0,0 +1,251 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let processTransactionStatus;
+let count = 0;
+
+/**
+ * Create an order through /pay and return its reference ID
+ */
+async function createOrder() {
+  count += 1;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId: `ORDER-CB-${count}`,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId: res.body.referenceId, externalId: `ORDER-CB-${count}` };
+}
+
+// MTN updates its own record, then calls the payment's callback URL
+function callback(referenceId, externalId, status, extra = {}) {
+  const transaction = app.momo.transactions.get(referenceId);
+  if (transaction) {
+    Object.assign(transaction, { status, financialTransactionId: "9000001" });
+  }
+
+  return app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: status === "SUCCESSFUL" ? "9000001" : undefined,
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      payer: { partyIdType: "MSISDN", partyId: "231886123456" },
+      status,
+      ...extra,
+    },
+  });
+}
+
+const findOrder = (referenceId) =>
+  app.supabase.rows("orders").find((o) => o.reference_id === referenceId);
+
+// Inventory calls for an order's reservation (held under its own ID, not
+// the externalId)
+const rpcCount = (name, externalId) => {
+  const { reservation_id } = app.supabase
+    .rows("orders")
+    .find((o) => o.external_id === externalId);
+  return app.supabase.rpcCalls.filter(
+    (call) =>
+      call.name === name && call.args.p_reservation_id === reservation_id,
+  ).length;
+};
+
+before(async () => {
+  app = await startTestApp();
+  ({ processTransactionStatus } = require("../MoMoCallbackHandler"));
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.sent.length = 0;
+});
+
+test("rejects callbacks without any identifier", async () => {
+  const res = await app.request("POST", "/api/momo/callback", {
+    body: { status: "SUCCESSFUL" },
+  });
+  assert.equal(res.status, 400);
+});
+
+test("SUCCESSFUL marks the order paid and runs the side effects", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  const res = await callback(referenceId, externalId, "SUCCESSFUL");
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  assert.equal(order.financial_transaction_id, "9000001");
+  assert.equal(order.callback_received, true);
+
+  assert.equal(app.sent.length, 1);
+  assert.match(app.sent[0].subject, /Payment Successful/);
+  assert.equal(rpcCount("commit_inventory", externalId), 1);
+  assert.equal(
+    app.supabase
+      .rows("loyalty_transactions")
+      .filter((e) => e.source_id === `earn:${externalId}`).length,
+    1,
+  );
+  assert.equal(
+    app.supabase
+      .rows("fulfillments")
+      .filter((f) => f.external_id === externalId).length,
+    1,
+  );
+});
+
+test("a callback without X-Reference-Id is matched by its externalId", async () => {
+  const { referenceId, externalId } = await createOrder();
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    financialTransactionId: "9000001",
+  });
+
+  const res = await app.request("POST", app.callbackPath(referenceId), {
+    body: {
+      financialTransactionId: "9000001",
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      payer: { partyIdType: "MSISDN", partyId: "231886123456" },
+      status: "SUCCESSFUL",
+    },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.referenceId, referenceId);
+  assert.equal(findOrder(referenceId).payment_status, "SUCCESSFUL");
+  assert.equal(rpcCount("commit_inventory", externalId), 1);
+});
+
+test("FAILED marks the order failed and releases the stock", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  const res = await callback(referenceId, externalId, "FAILED", {
+    reason: "APPROVAL_REJECTED",
+  });
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "FAILED");
+  assert.equal(order.failure_reason, "APPROVAL_REJECTED");
+  assert.equal(rpcCount("release_inventory", externalId), 1);
+  assert.equal(rpcCount("commit_inventory", externalId), 0);
+  assert.equal(app.sent.length, 1);
+  assert.match(app.sent[0].text, /declined on your phone/);
+});
+
+for (const status of ["PENDING", "CREATED"]) {
+  test(`${status} keeps the order pending`, async () => {
+    const { referenceId, externalId } = await createOrder();
+
+    const res = await callback(referenceId, externalId, status);
+
+    assert.equal(res.status, 200);
+    assert.equal(findOrder(referenceId).payment_status, "PENDING");
+    assert.equal((await app.store.get(referenceId)).status, "PENDING");
+    assert.equal(app.sent.length, 0);
+  });
+}
+
+test("an unknown status is stored but does not change the order", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  const res = await callback(referenceId, externalId, "ONGOING");
+
+  assert.equal(res.status, 200);
+  assert.equal(findOrder(referenceId).payment_status, "PENDING");
+  assert.equal((await app.store.get(referenceId)).status, "ONGOING");
+  assert.equal(app.sent.length, 0);
+});
+
+test("success side effects run once per payment", async () => {
+  const { referenceId, externalId } = await createOrder();
+  app.momo.transactions.get(referenceId).status = "SUCCESSFUL";
+
+  // Duplicate callbacks racing a status poll
+  await Promise.all([
+    callback(referenceId, externalId, "SUCCESSFUL"),
+    callback(referenceId, externalId, "SUCCESSFUL"),
+    processTransactionStatus(referenceId, {
+      ...app.momo.transactions.get(referenceId),
+      financialTransactionId: "9000001",
+    }),
+  ]);
+  await callback(referenceId, externalId, "SUCCESSFUL");
+
+  assert.equal(findOrder(referenceId).payment_status, "SUCCESSFUL");
+  assert.equal(app.sent.length, 1);
+  assert.equal(rpcCount("commit_inventory", externalId), 1);
+  assert.equal(
+    app.supabase
+      .rows("loyalty_transactions")
+      .filter((e) => e.order_reference === externalId).length,
+    1,
+  );
+});
+
+test("a FAILED callback after success does not undo the payment", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  await callback(referenceId, externalId, "FAILED", {
+    reason: "INTERNAL_PROCESSING_ERROR",
+  });
+
+  assert.equal(findOrder(referenceId).payment_status, "SUCCESSFUL");
+  assert.equal(rpcCount("release_inventory", externalId), 0);
+  assert.equal(app.sent.length, 1);
+});
+
+test("a late PENDING callback after success is ignored", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  const res = await callback(referenceId, externalId, "PENDING");
+
+  assert.equal(res.status, 200);
+  assert.equal(findOrder(referenceId).payment_status, "SUCCESSFUL");
+  assert.equal((await app.store.get(referenceId)).status, "SUCCESSFUL");
+  assert.equal(app.sent.length, 1);
+});
+
+test("history returns the accepted status changes as a timeline", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  await callback(referenceId, externalId, "PENDING");
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  await callback(referenceId, externalId, "FAILED");
+  await callback(referenceId, externalId, "PENDING");
+
+  const res = await app.request(
+    "GET",
+    `/api/momo/callback/history/${referenceId}`,
+    { role: "support" },
+  );
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(
+    res.body.history.map(({ from, to, source }) => ({ from, to, source })),
+    [
+      { from: null, to: "PENDING", source: "pay" },
+      { from: "PENDING", to: "SUCCESSFUL", source: "callback" },
+    ],
+  );
+  assert.equal(res.body.history[1].details.financialTransactionId, "9000001");
+  assert.ok(res.body.history[1].at);
+});
@@ -0,0 +1,314 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+const { createFakeSupabase } = require("./helpers/fakeSupabase");
+const {
+  createMemoryCallbackEventsRepository,
+} = require("../repositories/callbackEvents/memoryRepository");
+const {
+  createSupabaseCallbackEventsRepository,
+} = require("../repositories/callbackEvents/supabaseRepository");
+
+let app;
+let count = 0;
+
+async function createOrder() {
+  count += 1;
+  const externalId = `ORDER-EV-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId: res.body.referenceId, externalId };
+}
+
+// MTN updates its own record, then calls the payment's callback URL
+function callback(referenceId, externalId, status) {
+  const transaction = app.momo.transactions.get(referenceId);
+  if (transaction) {
+    Object.assign(transaction, { status, financialTransactionId: "9000001" });
+  }
+
+  return app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: "9000001",
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      status,
+    },
+  });
+}
+
+const events = () => app.supabase.rows("callback_events");
+
+const eventsFor = (referenceId, source = "mtn") =>
+  events().filter((e) => e.reference_id === referenceId && e.source === source);
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.sent.length = 0;
+});
+
+test("stores every callback with its headers, body and outcome", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  await app.request("POST", "/api/momo/callback", {
+    body: { status: "SUCCESSFUL" },
+  });
+
+  const [event] = eventsFor(referenceId);
+  assert.equal(event.headers["x-reference-id"], referenceId);
+  assert.equal(event.body.status, "SUCCESSFUL");
+  assert.equal(event.status, "SUCCESSFUL");
+  assert.equal(event.outcome, "processed");
+  assert.ok(event.received_at);
+  assert.ok(event.processed_at);
+
+  const rejected = events().at(-1);
+  assert.equal(rejected.reference_id, null);
+  assert.equal(rejected.outcome, "rejected");
+  assert.match(rejected.error, /required/);
+});
+
+test("lists stored callbacks for staff", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await callback(referenceId, externalId, "PENDING");
+
+  const res = await app.request(
+    "GET",
+    `/api/momo/callback-events?referenceId=${referenceId}`,
+    { role: "support" },
+  );
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.count, 1);
+  assert.equal(res.body.events[0].status, "PENDING");
+
+  const one = await app.request(
+    "GET",
+    `/api/momo/callback-events/${res.body.events[0].id}`,
+    { role: "support" },
+  );
+  assert.equal(one.body.event.reference_id, referenceId);
+});
+
+test("replaying an event re-runs it without repeating side effects", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  const [original] = eventsFor(referenceId);
+
+  for (let i = 0; i < 2; i++) {
+    const res = await app.request(
+      "POST",
+      `/api/momo/callback-events/${original.id}/replay`,
+      { role: "admin" },
+    );
+    assert.equal(res.status, 200);
+    assert.equal(res.body.outcome, "processed");
+  }
+
+  const order = app.supabase
+    .rows("orders")
+    .find((o) => o.reference_id === referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  assert.equal(app.sent.length, 1);
+
+  const replays = eventsFor(referenceId, "replay");
+  assert.equal(replays.length, 2);
+  assert.ok(replays.every((e) => e.replay_of === original.id));
+  assert.deepEqual(eventsFor(referenceId)[0], original);
+});
+
+test("replaying a lost callback applies it", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  const [event] = eventsFor(referenceId);
+
+  // The order was reset after the callback (e.g. restored from a backup)
+  await app.supabase
+    .from("orders")
+    .update({ payment_status: "PENDING" })
+    .eq("reference_id", referenceId);
+  app.sent.length = 0;
+
+  await app.request("POST", `/api/momo/callback-events/${event.id}/replay`, {
+    role: "admin",
+  });
+
+  const order = app.supabase
+    .rows("orders")
+    .find((o) => o.reference_id === referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  assert.equal(app.sent.length, 1);
+});
+
+test("replays a date range, skipping rejected callbacks", async () => {
+  // Leave out the callbacks of earlier tests
+  await new Promise((resolve) => setTimeout(resolve, 5));
+  const from = new Date().toISOString();
+  const { referenceId, externalId } = await createOrder();
+  await callback(referenceId, externalId, "PENDING");
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  await app.request("POST", "/api/momo/callback", {
+    body: { status: "FAILED" },
+  });
+  const to = new Date(Date.now() + 1000).toISOString();
+
+  const res = await app.request("POST", "/api/momo/callback-events/replay", {
+    role: "admin",
+    body: { from, to },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.total, 3);
+  assert.equal(res.body.replayed, 2);
+  assert.equal(res.body.skipped, 1);
+  assert.deepEqual(
+    res.body.results.map((r) => r.status || r.outcome),
+    ["PENDING", "SUCCESSFUL", "skipped"],
+  );
+  assert.equal(app.sent.length, 1);
+});
+
+test("a callback whose verification threw is never replayed", async () => {
+  const { referenceId, externalId } = await createOrder();
+  const ordersRepository = require("../repositories/orders");
+  const { findByReference } = ordersRepository;
+  ordersRepository.findByReference = async () => {
+    throw new Error("connection reset");
+  };
+
+  // No callback token: it would have been refused had the check run
+  let res;
+  try {
+    res = await app.request("POST", "/api/momo/callback", {
+      headers: { "X-Reference-Id": referenceId },
+      body: { externalId, status: "SUCCESSFUL" },
+    });
+  } finally {
+    ordersRepository.findByReference = findByReference;
+  }
+  assert.equal(res.body.success, false);
+  const [event] = eventsFor(referenceId);
+  assert.equal(event.outcome, "failed");
+  assert.equal(event.verified, false);
+
+  const replay = await app.request(
+    "POST",
+    `/api/momo/callback-events/${event.id}/replay`,
+    { role: "admin" },
+  );
+  assert.equal(replay.status, 409);
+  assert.equal(eventsFor(referenceId, "replay").length, 0);
+  const order = app.supabase
+    .rows("orders")
+    .find((o) => o.reference_id === referenceId);
+  assert.equal(order.payment_status, "PENDING");
+});
+
+test("rejects invalid replays", async () => {
+  const missing = await app.request(
+    "POST",
+    "/api/momo/callback-events/999999/replay",
+    { role: "admin" },
+  );
+  assert.equal(missing.status, 404);
+
+  const range = await app.request("POST", "/api/momo/callback-events/replay", {
+    role: "admin",
+    body: { from: "2026-10-02", to: "2026-10-01" },
+  });
+  assert.equal(range.status, 400);
+
+  const support = await app.request(
+    "POST",
+    "/api/momo/callback-events/replay",
+    { role: "support", body: { from: "2026-10-01", to: "2026-10-02" } },
+  );
+  assert.equal(support.status, 403);
+});
+
+const IMPLEMENTATIONS = {
+  memory: () => createMemoryCallbackEventsRepository(),
+  supabase: () =>
+    createSupabaseCallbackEventsRepository({ supabase: createFakeSupabase() }),
+};
+
+for (const [name, create] of Object.entries(IMPLEMENTATIONS)) {
+  test(`${name}: writes the outcome once and never stores credentials`, async () => {
+    const repository = create();
+    const event = await repository.recordEvent({
+      headers: { "x-reference-id": "ref-1", "x-api-key": "secret" },
+      body: { status: "SUCCESSFUL" },
+    });
+
+    assert.equal(event.reference_id, "ref-1");
+    assert.equal(event.headers["x-api-key"], undefined);
+
+    const done = await repository.recordOutcome(event.id, {
+      outcome: "processed",
+      verified: true,
+    });
+    assert.equal(done.outcome, "processed");
+    assert.equal(done.verified, true);
+    assert.equal(
+      await repository.recordOutcome(event.id, { outcome: "failed" }),
+      null,
+    );
+    assert.equal((await repository.findById(event.id)).outcome, "processed");
+  });
+
+  test(`${name}: lists events by range, reference and source`, async () => {
+    const repository = create();
+    const first = await repository.recordEvent({
+      headers: { "x-reference-id": "ref-a" },
+      body: {},
+    });
+    await repository.recordEvent({
+      headers: { "x-reference-id": "ref-b" },
+      body: {},
+    });
+    await repository.recordEvent({
+      headers: { "x-reference-id": "ref-a" },
+      body: {},
+      source: "replay",
+      replayOf: first.id,
+    });
+
+    const refs = (list) => list.map((e) => `${e.reference_id}/${e.source}`);
+
+    assert.deepEqual(refs(await repository.listEvents()), [
+      "ref-a/replay",
+      "ref-b/mtn",
+      "ref-a/mtn",
+    ]);
+    assert.deepEqual(
+      refs(
+        await repository.listEvents({
+          referenceId: "ref-a",
+          source: "mtn",
+          ascending: true,
+        }),
+      ),
+      ["ref-a/mtn"],
+    );
+    assert.deepEqual(
+      await repository.listEvents({ to: first.received_at }),
+      [],
+    );
+  });
+}
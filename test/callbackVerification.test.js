@@ -0,0 +1,147 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let isAllowedIp;
+let count = 0;
+
+async function createOrder() {
+  count += 1;
+  const externalId = `ORDER-VF-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId: res.body.referenceId, externalId };
+}
+
+function successCallback(referenceId, externalId, path) {
+  return app.request("POST", path || app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: "FORGED-1",
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      status: "SUCCESSFUL",
+    },
+  });
+}
+
+const findOrder = (referenceId) =>
+  app.supabase.rows("orders").find((o) => o.reference_id === referenceId);
+
+const lastEvent = () => app.supabase.rows("callback_events").at(-1);
+
+before(async () => {
+  app = await startTestApp();
+  ({ isAllowedIp } = require("../services/callbackVerification"));
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.sent.length = 0;
+});
+
+test("sends a per-payment callback URL to MTN", async () => {
+  const first = await createOrder();
+  const second = await createOrder();
+
+  const url = new URL(app.momo.callbackUrls.get(first.referenceId));
+  assert.equal(url.pathname, "/api/momo/callback");
+  assert.ok(url.searchParams.get("token"));
+  assert.notEqual(
+    app.momo.callbackUrls.get(first.referenceId),
+    app.momo.callbackUrls.get(second.referenceId),
+  );
+});
+
+for (const [name, path] of [
+  ["without a token", "/api/momo/callback"],
+  ["with another payment's token", null],
+  ["with a wrong token", "/api/momo/callback?token=guessed"],
+]) {
+  test(`rejects a callback ${name}`, async () => {
+    const { referenceId, externalId } = await createOrder();
+    const other = await createOrder();
+    app.momo.transactions.get(referenceId).status = "SUCCESSFUL";
+
+    const res = await successCallback(
+      referenceId,
+      externalId,
+      path || app.callbackPath(other.referenceId),
+    );
+
+    assert.equal(res.status, 403);
+    assert.equal(findOrder(referenceId).payment_status, "PENDING");
+    assert.equal(app.sent.length, 0);
+    assert.equal(lastEvent().outcome, "rejected");
+  });
+}
+
+test("does not mark an order paid until MTN confirms it", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  // Correct token, but MTN still reports the payment as PENDING
+  const res = await successCallback(referenceId, externalId);
+
+  assert.equal(res.status, 503);
+  assert.match(res.body.message, /PENDING/);
+  assert.equal(findOrder(referenceId).payment_status, "PENDING");
+  assert.equal(app.sent.length, 0);
+  assert.equal(lastEvent().outcome, "failed");
+});
+
+test("holds a confirmed payment that does not match the order", async () => {
+  const { referenceId, externalId } = await createOrder();
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    amount: "0.01",
+    currency: "LRD",
+  });
+
+  const res = await successCallback(referenceId, externalId);
+
+  assert.equal(res.status, 200);
+  assert.equal(findOrder(referenceId).payment_status, "UNDER_REVIEW");
+  assert.deepEqual(
+    app.sent.map((message) => message.to),
+    ["support@litwaypicks.com"],
+  );
+});
+
+test("a confirmed callback marks the order paid with MTN's transaction ID", async () => {
+  const { referenceId, externalId } = await createOrder();
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    financialTransactionId: "9000042",
+  });
+
+  const res = await successCallback(referenceId, externalId);
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  assert.equal(order.financial_transaction_id, "9000042");
+  assert.equal(app.sent.length, 1);
+});
+
+test("matches source IPs against addresses and IPv4 ranges", () => {
+  const allowList = ["196.201.214.10", "41.57.0.0/16", "2001:db8::1"];
+
+  assert.equal(isAllowedIp("196.201.214.10", allowList), true);
+  assert.equal(isAllowedIp("::ffff:41.57.200.3", allowList), true);
+  assert.equal(isAllowedIp("2001:db8::1", allowList), true);
+  assert.equal(isAllowedIp("41.58.0.1", allowList), false);
+  assert.equal(isAllowedIp("127.0.0.1", allowList), false);
+  assert.equal(isAllowedIp(undefined, allowList), false);
+  assert.equal(isAllowedIp("127.0.0.1", []), true);
+});
@@ -0,0 +1,211 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let count = 0;
+
+/**
+ * Pay for an order (MTN reports it SUCCESSFUL), which creates its pending
+ * fulfillment; returns the externalId
+ */
+async function paidOrder() {
+  count += 1;
+  const externalId = `ORDER-FF-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "12 Broad Street", city: "Monrovia" },
+    },
+  });
+  assert.equal(res.status, 200);
+  const { referenceId } = res.body;
+
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    financialTransactionId: "9000001",
+  });
+  const callback = await app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: "9000001",
+      externalId,
+      status: "SUCCESSFUL",
+    },
+  });
+  assert.equal(callback.status, 200);
+  return externalId;
+}
+
+const move = (externalId, body) =>
+  app.request("POST", `/api/orders/${externalId}/fulfillment`, {
+    role: "admin",
+    body,
+  });
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.sent.length = 0;
+});
+
+test("rejects transitions the workflow does not allow", async () => {
+  const externalId = await paidOrder();
+
+  const skipped = await move(externalId, { status: "dispatched" });
+  assert.equal(skipped.status, 409);
+  assert.equal(skipped.body.currentStatus, "pending");
+  assert.deepEqual(skipped.body.allowedStatuses, ["packed"]);
+
+  assert.equal((await move(externalId, { status: "packed" })).status, 200);
+  assert.equal(
+    (await move(externalId, { status: "dispatched", riderName: "Moses K." }))
+      .status,
+    200,
+  );
+  assert.equal((await move(externalId, { status: "delivered" })).status, 200);
+
+  const reopened = await move(externalId, { status: "packed" });
+  assert.equal(reopened.status, 409);
+  assert.equal(reopened.body.currentStatus, "delivered");
+  assert.deepEqual(reopened.body.allowedStatuses, []);
+
+  const unknown = await move(externalId, { status: "lost" });
+  assert.equal(unknown.status, 400);
+
+  const missing = await move("ORDER-FF-NONE", { status: "packed" });
+  assert.equal(missing.status, 404);
+});
+
+test("only admins move fulfillments", async () => {
+  const externalId = await paidOrder();
+
+  const anonymous = await app.request(
+    "POST",
+    `/api/orders/${externalId}/fulfillment`,
+    { body: { status: "packed" } },
+  );
+  assert.equal(anonymous.status, 401);
+
+  const support = await app.request(
+    "POST",
+    `/api/orders/${externalId}/fulfillment`,
+    { role: "support", body: { status: "packed" } },
+  );
+  assert.equal(support.status, 403);
+});
+
+test("the history records who moved the fulfillment", async () => {
+  const externalId = await paidOrder();
+  const jwt = require("../utils/jwt");
+  const staffToken = jwt.sign(
+    { role: "admin", sub: "moses@litwaypicks.com" },
+    "test-jwt-secret",
+    3600,
+  );
+
+  await app.request("POST", `/api/orders/${externalId}/fulfillment`, {
+    headers: { Authorization: `Bearer ${staffToken}` },
+    body: { status: "packed" },
+  });
+  await move(externalId, { status: "dispatched" });
+
+  const { history } = app.supabase
+    .rows("fulfillments")
+    .find((f) => f.external_id === externalId);
+  const [, packed, dispatched] = history;
+  assert.equal(packed.by, "admin");
+  assert.equal(packed.subject, "moses@litwaypicks.com");
+  // API keys are recorded by fingerprint, never the key itself
+  assert.equal(dispatched.by, "admin");
+  assert.match(dispatched.subject, /^api_key:[0-9a-f]{12}$/);
+});
+
+test("dispatching tells the customer who is bringing the order", async () => {
+  const externalId = await paidOrder();
+  await move(externalId, { status: "packed" });
+  app.sent.length = 0;
+
+  const res = await move(externalId, {
+    status: "dispatched",
+    riderName: "Moses K.",
+    riderPhone: "0881234567",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.fulfillment.rider_name, "Moses K.");
+  assert.equal(app.sent.length, 1);
+  const [email] = app.sent;
+  assert.equal(email.to, "jane@example.com");
+  assert.equal(email.subject, "Your Order Has Shipped");
+  assert.match(email.text, /Moses K\./);
+  assert.match(email.text, new RegExp(`${externalId}`));
+
+  // No other step notifies the customer
+  app.sent.length = 0;
+  await move(externalId, { status: "delivered" });
+  assert.equal(app.sent.length, 0);
+});
+
+test("public tracking leaves out addresses, phones and notes", async () => {
+  const externalId = await paidOrder();
+  await move(externalId, { status: "packed" });
+  await move(externalId, {
+    status: "dispatched",
+    riderName: "Moses K.",
+    riderPhone: "0881234567",
+    notes: "Gate code 4411",
+  });
+
+  const res = await app.request("GET", `/api/orders/${externalId}/tracking`);
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(Object.keys(res.body).sort(), [
+    "externalId",
+    "riderName",
+    "status",
+    "success",
+    "timeline",
+    "updatedAt",
+  ]);
+  assert.equal(res.body.status, "dispatched");
+  assert.equal(res.body.riderName, "Moses K.");
+  assert.deepEqual(
+    res.body.timeline.map((step) => step.status),
+    ["pending", "packed", "dispatched"],
+  );
+
+  const text = JSON.stringify(res.body);
+  for (const secret of [
+    "Broad Street",
+    "Monrovia",
+    "0886123456",
+    "886123456",
+    "0881234567",
+    "jane@example.com",
+    "Gate code",
+  ]) {
+    assert.ok(!text.includes(secret), `tracking leaks ${secret}`);
+  }
+
+  // Staff still see the full record
+  const full = await app.request(
+    "GET",
+    `/api/orders/${externalId}/fulfillment`,
+    { role: "support" },
+  );
+  assert.equal(full.body.fulfillment.delivery_address, "12 Broad Street");
+
+  const missing = await app.request(
+    "GET",
+    "/api/orders/ORDER-FF-NONE/tracking",
+  );
+  assert.equal(missing.status, 404);
+});
@@ -0,0 +1,78 @@
+/**
+ * Stub for services/disbursementService.js
+ *
+ * Replaces the MTN Disbursement calls with an in-memory refund table so
+ * tests control what the refund and refund status APIs return.
+ */
+
+const crypto = require("crypto");
+
+function createDisbursementStub() {
+  // X-Reference-Id -> refund as returned by GET refund
+  const refunds = new Map();
+  const requests = [];
+  let nextError = null;
+  let nextStatus = "SUCCESSFUL";
+
+  return {
+    refunds,
+    requests,
+
+    /**
+     * Make the next refund call throw
+     */
+    failNextRefund(error) {
+      nextError = error;
+    },
+
+    /**
+     * Status the next refunds are reported in (default SUCCESSFUL)
+     */
+    setRefundStatus(status) {
+      nextStatus = status;
+    },
+
+    async getDisbursementToken() {
+      return "Bearer test-disbursement-token";
+    },
+
+    clearDisbursementTokenCache() {},
+
+    async getRefundStatus(referenceId) {
+      return refunds.get(referenceId) || null;
+    },
+
+    async refund(details) {
+      requests.push(details);
+      if (nextError) {
+        const error = nextError;
+        nextError = null;
+        throw error;
+      }
+
+      const referenceId = details.referenceId || crypto.randomUUID();
+      const refund = {
+        amount: String(details.amount),
+        currency: details.currency,
+        externalId: details.externalId,
+        status: nextStatus,
+        ...(nextStatus === "SUCCESSFUL"
+          ? { financialTransactionId: String(8000000 + requests.length) }
+          : {}),
+      };
+      refunds.set(referenceId, refund);
+
+      return { referenceId, refund };
+    },
+
+    async getTransferStatus() {
+      return null;
+    },
+
+    async transfer() {
+      throw new Error("Transfers are not stubbed");
+    },
+  };
+}
+
+module.exports = { createDisbursementStub };
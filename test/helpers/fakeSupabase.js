@@ -0,0 +1,345 @@
+/**
+ * In-memory stand-in for the Supabase client
+ *
+ * Supports the query builder calls used in this repo (select, insert,
+ * update, upsert, delete, eq/neq/in/is/not/lt/lte/gt/gte/or filters, order,
+ * limit, single, maybeSingle) and rpc. Each query runs synchronously when
+ * awaited, so a conditional update behaves like a single SQL statement.
+ */
+
+/**
+ * Create a fake client
+ * @param {object} [options]
+ * @param {object} [options.unique] - Unique columns by table, e.g.
+ *   { orders: ["reference_id"] }; duplicate inserts fail with code 23505
+ * @param {object} [options.rpc] - Handlers by function name: (args, db) => data
+ * @returns {object} Client with `tables`, `rpcCalls`, `seed()` and `reset()`
+ */
+function createFakeSupabase(options = {}) {
+  const unique = options.unique || {};
+  const rpcHandlers = options.rpc || {};
+  const tables = new Map();
+  const rpcCalls = [];
+  let nextId = 1;
+
+  const rowsOf = (table) => {
+    if (!tables.has(table)) {
+      tables.set(table, []);
+    }
+    return tables.get(table);
+  };
+
+  const clone = (value) =>
+    value === undefined ? undefined : JSON.parse(JSON.stringify(value));
+
+  function duplicateError(table, row, ignore) {
+    for (const column of unique[table] || []) {
+      if (row[column] === null || row[column] === undefined) continue;
+      const taken = rowsOf(table).some(
+        (existing) => existing !== ignore && existing[column] === row[column],
+      );
+      if (taken) {
+        return {
+          code: "23505",
+          message: `duplicate key value violates unique constraint "${table}_${column}_key"`,
+        };
+      }
+    }
+    return null;
+  }
+
+  // Parse "col.eq.value,col.eq.value" (the subset used by .or())
+  function parseOr(expression) {
+    return expression.split(",").map((part) => {
+      const [column, op, ...rest] = part.split(".");
+      return { column, op, value: rest.join(".") };
+    });
+  }
+
+  const OPERATORS = {
+    eq: (a, b) => a !== undefined && a !== null && String(a) === String(b),
+    neq: (a, b) => String(a) !== String(b),
+    in: (a, list) => list.map(String).includes(String(a)),
+    is: (a, b) => (b === null ? a === null || a === undefined : a === b),
+    lt: (a, b) => a < b,
+    lte: (a, b) => a <= b,
+    gt: (a, b) => a > b,
+    gte: (a, b) => a >= b,
+  };
+
+  class Query {
+    constructor(table) {
+      this.table = table;
+      this.action = "select";
+      this.payload = null;
+      this.filters = [];
+      this.orderBy = null;
+      this.max = null;
+      this.mode = "many";
+      this.returning = false;
+      this.upsertOn = "id";
+    }
+
+    select() {
+      this.returning = true;
+      return this;
+    }
+
+    insert(payload) {
+      this.action = "insert";
+      this.payload = payload;
+      return this;
+    }
+
+    update(payload) {
+      this.action = "update";
+      this.payload = payload;
+      return this;
+    }
+
+    upsert(payload, { onConflict } = {}) {
+      this.action = "upsert";
+      this.payload = payload;
+      this.upsertOn = onConflict || "id";
+      return this;
+    }
+
+    delete() {
+      this.action = "delete";
+      return this;
+    }
+
+    where(column, op, value) {
+      this.filters.push((row) => OPERATORS[op](row[column], value));
+      return this;
+    }
+
+    eq(column, value) {
+      return this.where(column, "eq", value);
+    }
+
+    neq(column, value) {
+      return this.where(column, "neq", value);
+    }
+
+    in(column, values) {
+      return this.where(column, "in", values);
+    }
+
+    is(column, value) {
+      return this.where(column, "is", value);
+    }
+
+    lt(column, value) {
+      return this.where(column, "lt", value);
+    }
+
+    lte(column, value) {
+      return this.where(column, "lte", value);
+    }
+
+    gt(column, value) {
+      return this.where(column, "gt", value);
+    }
+
+    gte(column, value) {
+      return this.where(column, "gte", value);
+    }
+
+    not(column, op, value) {
+      this.filters.push((row) => !OPERATORS[op](row[column], value));
+      return this;
+    }
+
+    or(expression) {
+      const conditions = parseOr(expression);
+      this.filters.push((row) =>
+        conditions.some(({ column, op, value }) =>
+          OPERATORS[op](row[column], value === "null" ? null : value),
+        ),
+      );
+      return this;
+    }
+
+    order(column, { ascending = true } = {}) {
+      this.orderBy = { column, ascending };
+      return this;
+    }
+
+    limit(count) {
+      this.max = count;
+      return this;
+    }
+
+    single() {
+      this.mode = "single";
+      return this;
+    }
+
+    maybeSingle() {
+      this.mode = "maybeSingle";
+      return this;
+    }
+
+    matches(row) {
+      return this.filters.every((filter) => filter(row));
+    }
+
+    run() {
+      const rows = rowsOf(this.table);
+      let result = [];
+
+      if (this.action === "insert" || this.action === "upsert") {
+        const payload = Array.isArray(this.payload)
+          ? this.payload
+          : [this.payload];
+
+        for (const input of payload) {
+          const existing =
+            this.action === "upsert" &&
+            rows.find(
+              (row) =>
+                input[this.upsertOn] !== undefined &&
+                row[this.upsertOn] === input[this.upsertOn],
+            );
+
+          if (existing) {
+            Object.assign(existing, clone(input));
+            result.push(existing);
+            continue;
+          }
+
+          const row = {
+            id: nextId++,
+            created_at: new Date().toISOString(),
+            ...clone(input),
+          };
+          const error = duplicateError(this.table, row);
+          if (error) {
+            return { data: null, error };
+          }
+          rows.push(row);
+          result.push(row);
+        }
+      } else if (this.action === "update") {
+        const targets = rows.filter((row) => this.matches(row));
+        for (const row of targets) {
+          const error = duplicateError(
+            this.table,
+            { ...row, ...this.payload },
+            row,
+          );
+          if (error) {
+            return { data: null, error };
+          }
+        }
+        targets.forEach((row) => Object.assign(row, clone(this.payload)));
+        result = targets;
+      } else if (this.action === "delete") {
+        result = rows.filter((row) => this.matches(row));
+        tables.set(
+          this.table,
+          rows.filter((row) => !result.includes(row)),
+        );
+      } else {
+        result = rows.filter((row) => this.matches(row));
+      }
+
+      if (this.orderBy) {
+        const { column, ascending } = this.orderBy;
+        result = [...result].sort(
+          (a, b) =>
+            (a[column] > b[column] ? 1 : a[column] < b[column] ? -1 : 0) *
+            (ascending ? 1 : -1),
+        );
+      }
+      if (this.max !== null) {
+        result = result.slice(0, this.max);
+      }
+
+      if (this.action !== "select" && !this.returning) {
+        return { data: null, error: null };
+      }
+
+      const data = clone(result);
+      if (this.mode === "single") {
+        return data.length === 1
+          ? { data: data[0], error: null }
+          : {
+              data: null,
+              error: {
+                code: "PGRST116",
+                message:
+                  "JSON object requested, multiple (or no) rows returned",
+              },
+            };
+      }
+      if (this.mode === "maybeSingle") {
+        return data.length > 1
+          ? {
+              data: null,
+              error: {
+                code: "PGRST116",
+                message: "JSON object requested, multiple rows returned",
+              },
+            }
+          : { data: data[0] || null, error: null };
+      }
+      return { data, error: null };
+    }
+
+    then(resolve, reject) {
+      return Promise.resolve()
+        .then(() => this.run())
+        .then(resolve, reject);
+    }
+  }
+
+  return {
+    tables,
+    rpcCalls,
+
+    from(table) {
+      return new Query(table);
+    },
+
+    async rpc(name, args) {
+      rpcCalls.push({ name, args });
+      const handler = rpcHandlers[name];
+      if (!handler) {
+        return {
+          data: null,
+          error: { message: `function ${name} does not exist` },
+        };
+      }
+      return { data: handler(args, this), error: null };
+    },
+
+    /**
+     * Insert rows directly, bypassing the query builder
+     */
+    seed(table, rows) {
+      for (const row of rows) {
+        rowsOf(table).push({
+          id: nextId++,
+          created_at: new Date().toISOString(),
+          ...clone(row),
+        });
+      }
+    },
+
+    /**
+     * Rows currently in a table
+     */
+    rows(table) {
+      return clone(rowsOf(table));
+    },
+
+    reset() {
+      tables.clear();
+      rpcCalls.length = 0;
+    },
+  };
+}
+
+module.exports = { createFakeSupabase };
@@ -0,0 +1,117 @@
+/**
+ * Stub for services/momoService.js
+ *
+ * Replaces the MTN HTTP calls with an in-memory transaction table so tests
+ * control what requesttopay and the status API return.
+ */
+
+const crypto = require("crypto");
+const { ProviderUnavailableError } = require("../../services/payments/errors");
+
+function createMomoStub() {
+  // referenceId -> transaction as returned by GET requesttopay
+  const transactions = new Map();
+  // referenceId -> X-Callback-Url sent with the request
+  const callbackUrls = new Map();
+  // MSISDN -> basicuserinfo response, null (not registered) or an Error to
+  // throw; other numbers belong to "Test Customer"
+  const users = new Map();
+  const requests = [];
+  let nextError = null;
+  let available = true;
+
+  return {
+    transactions,
+    callbackUrls,
+    users,
+    requests,
+
+    /**
+     * Make the next requestToPay call throw
+     * With `accepted`, MTN took the request anyway (e.g. the response timed
+     * out), so its transaction exists
+     */
+    failNextRequest(error, { accepted = false } = {}) {
+      nextError = { error, accepted };
+    },
+
+    /**
+     * Simulate an open circuit breaker (MTN down)
+     */
+    setAvailable(value) {
+      available = value;
+    },
+
+    reset() {
+      transactions.clear();
+      callbackUrls.clear();
+      users.clear();
+      requests.length = 0;
+      nextError = null;
+      available = true;
+    },
+
+    async getAccessToken() {
+      return "Bearer test-token";
+    },
+
+    clearTokenCache() {},
+
+    checkAvailable() {
+      if (!available) {
+        throw new ProviderUnavailableError("MTN MoMo", 30000);
+      }
+    },
+
+    async testAccountBalance() {
+      return true;
+    },
+
+    async getUserInfo(msisdn) {
+      if (!users.has(msisdn)) {
+        return { given_name: "Test", family_name: "Customer", msisdn };
+      }
+      const user = users.get(msisdn);
+      if (user instanceof Error) {
+        throw user;
+      }
+      return user;
+    },
+
+    async fetchTransactionDetails(referenceId) {
+      return transactions.get(referenceId) || null;
+    },
+
+    async requestToPay(details) {
+      requests.push(details);
+      const referenceId = crypto.randomUUID();
+      const failure = nextError;
+      nextError = null;
+
+      if (!failure || failure.accepted) {
+        transactions.set(referenceId, {
+          externalId: details.process_id,
+          amount: String(details.amount),
+          currency: details.currency,
+          payer: { partyIdType: "MSISDN", partyId: details.phone_no },
+          status: "PENDING",
+        });
+        callbackUrls.set(referenceId, details.callback_url);
+      }
+      if (failure) {
+        // As momoService does, so the payment can be tracked
+        failure.error.referenceId = referenceId;
+        throw failure.error;
+      }
+
+      const transaction = transactions.get(referenceId);
+      return { success: true, referenceId, transaction, status: 202 };
+    },
+
+    async getAccountBalance(currency = "LRD") {
+      return { availableBalance: "1000.00", currency };
+    },
+  };
+}
+
+module.exports = { createMomoStub };
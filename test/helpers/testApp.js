@@ -0,0 +1,304 @@
+/**
+ * Boots the app against in-memory stand-ins
+ *
+ * startTestApp() must run before any application module is loaded: it sets
+ * the test environment and replaces `@supabase/supabase-js`,
+ * `services/momoService` and `services/disbursementService` in the require
+ * cache. node --test runs each test
+ * file in its own process, so every file gets fresh module state.
+ */
+
+const path = require("path");
+const { createFakeSupabase } = require("./fakeSupabase");
+const { createMomoStub } = require("./momoStub");
+const { createDisbursementStub } = require("./disbursementStub");
+
+const ROOT = path.join(__dirname, "..", "..");
+
+const API_KEYS = {
+  admin: "test-admin-key",
+  support: "test-support-key",
+};
+
+/**
+ * Inventory functions from supabase/migrations/0004_inventory_reservations.sql,
+ * applied to the fake's `products` (stock, reserved) and
+ * `inventory_reservations` rows
+ */
+function inventoryRpc() {
+  const product = (db, id) =>
+    (db.tables.get("products") || []).find((p) => p.id === id);
+  const heldLines = (db, reservationId) =>
+    (db.tables.get("inventory_reservations") || []).filter(
+      (line) => line.reservation_id === reservationId && line.status === "held",
+    );
+
+  return {
+    reserve_inventory({ p_reservation_id, p_items }, db) {
+      if (heldLines(db, p_reservation_id).length > 0) {
+        return { success: true };
+      }
+
+      const errors = [];
+      for (const item of p_items) {
+        const row = product(db, item.id);
+        const available = row ? row.stock - (row.reserved || 0) : null;
+        if (available === null || available < item.quantity) {
+          errors.push({
+            productId: item.id,
+            requested: item.quantity,
+            available: Math.max(available || 0, 0),
+          });
+        }
+      }
+      if (errors.length > 0) {
+        return { success: false, errors };
+      }
+
+      for (const item of p_items) {
+        const row = product(db, item.id);
+        row.reserved = (row.reserved || 0) + item.quantity;
+      }
+      db.seed(
+        "inventory_reservations",
+        p_items.map((item) => ({
+          reservation_id: p_reservation_id,
+          product_id: item.id,
+          quantity: item.quantity,
+          status: "held",
+        })),
+      );
+      return { success: true };
+    },
+    commit_inventory({ p_reservation_id }, db) {
+      const lines = heldLines(db, p_reservation_id);
+      for (const line of lines) {
+        const row = product(db, line.product_id);
+        row.stock -= line.quantity;
+        row.reserved -= line.quantity;
+        line.status = "committed";
+      }
+      return lines.length > 0;
+    },
+    release_inventory({ p_reservation_id }, db) {
+      const lines = heldLines(db, p_reservation_id);
+      for (const line of lines) {
+        product(db, line.product_id).reserved -= line.quantity;
+        line.status = "released";
+      }
+      return lines.length > 0;
+    },
+  };
+}
+
+/**
+ * request_refund from supabase/migrations/0018_request_refund.sql
+ */
+function refundRpc() {
+  const cents = (value) => Math.round(Number(value) * 100);
+  return {
+    request_refund(args, db) {
+      const refunds = db.tables.get("refunds") || [];
+      const committed = refunds
+        .filter(
+          (r) =>
+            r.order_reference_id === args.p_order_reference_id &&
+            ["PENDING", "SUCCESSFUL"].includes(r.status),
+        )
+        .reduce((sum, r) => sum + cents(r.amount), 0);
+
+      if (committed + cents(args.p_amount) > cents(args.p_collected)) {
+        return {
+          success: false,
+          refundable: Math.max(cents(args.p_collected) - committed, 0) / 100,
+        };
+      }
+
+      const now = new Date().toISOString();
+      const refund = {
+        id: args.p_id,
+        order_id: args.p_order_id,
+        order_reference_id: args.p_order_reference_id,
+        provider: args.p_provider,
+        amount: args.p_amount,
+        currency: args.p_currency,
+        reason: args.p_reason,
+        status: "PENDING",
+        financial_transaction_id: null,
+        failure_reason: null,
+        created_at: now,
+        updated_at: now,
+      };
+      db.seed("refunds", [refund]);
+      return { success: true, refund: { ...refund } };
+    },
+  };
+}
+
+/**
+ * redeem_loyalty_points from
+ * supabase/migrations/0020_redeem_loyalty_points.sql
+ */
+function loyaltyRpc() {
+  return {
+    redeem_loyalty_points(args, db) {
+      const ledger = db.tables.get("loyalty_transactions") || [];
+      const balance = ledger
+        .filter((entry) => entry.customer_key === args.p_customer_key)
+        .reduce((sum, entry) => sum + entry.points, 0);
+
+      if (balance < args.p_points) {
+        return { success: false, balance };
+      }
+      if (ledger.some((entry) => entry.source_id === args.p_source_id)) {
+        return { success: true, entry: null };
+      }
+
+      const entry = {
+        source_id: args.p_source_id,
+        customer_key: args.p_customer_key,
+        order_reference: args.p_order_reference,
+        type: "redeemed",
+        points: -args.p_points,
+        description: args.p_description,
+      };
+      db.seed("loyalty_transactions", [entry]);
+      return { success: true, entry };
+    },
+  };
+}
+
+function stubModule(request, exports) {
+  const filename = require.resolve(request, { paths: [ROOT] });
+  require.cache[filename] = { id: filename, filename, loaded: true, exports };
+}
+
+/**
+ * Start the app on a random port
+ * @param {object} [options]
+ * @param {boolean} [options.database] - Use the fake Supabase (default true);
+ *   false runs the app in offline mode
+ * @returns {Promise<object>} { request, callbackPath, supabase, momo,
+ *   disbursement, store, sent, close }
+ */
+async function startTestApp({ database = true } = {}) {
+  Object.assign(process.env, {
+    NODE_ENV: "test",
+    API_KEYS: `admin:${API_KEYS.admin},support:${API_KEYS.support}`,
+    AUTH_JWT_SECRET: "test-jwt-secret",
+    RECONCILE_ENABLED: "false",
+    EMAIL_PROVIDER: "console",
+    SMS_PROVIDER: "none",
+    PRICING_MISMATCH_POLICY: "reject",
+    SUPABASE_URL: database ? "http://supabase.test" : "",
+    SUPABASE_SERVICE_ROLE_KEY: database ? "test-service-role-key" : "",
+    LOG_LEVEL: process.env.DEBUG_TESTS ? "debug" : "silent",
+  });
+
+  if (!process.env.DEBUG_TESTS) {
+    console.log = () => {};
+    console.warn = () => {};
+    console.error = () => {};
+  }
+
+  const supabase = createFakeSupabase({
+    unique: {
+      orders: ["external_id"],
+      idempotency_keys: ["key"],
+      loyalty_transactions: ["source_id"],
+      fulfillments: ["external_id"],
+    },
+    rpc: { ...inventoryRpc(), ...refundRpc(), ...loyaltyRpc() },
+  });
+  const momo = createMomoStub();
+  const disbursement = createDisbursementStub();
+
+  stubModule("@supabase/supabase-js", { createClient: () => supabase });
+  stubModule(path.join(ROOT, "services", "momoService"), momo);
+  stubModule(path.join(ROOT, "services", "disbursementService"), disbursement);
+  supabase.seed("products", require(path.join(ROOT, "data", "catalog.json")));
+
+  const app = require(path.join(ROOT, "MoMoPaymentProcessor"));
+  const store = require(path.join(ROOT, "utils", "transactionStore"));
+
+  // Record outgoing emails instead of printing them
+  const sent = [];
+  require(path.join(ROOT, "services", "notifications")).setProvider("email", {
+    name: "test",
+    channel: "email",
+    async send(message) {
+      sent.push(message);
+      return { id: `test-${sent.length}` };
+    },
+  });
+
+  const server = await new Promise((resolve) => {
+    const listener = app.listen(0, () => resolve(listener));
+  });
+  const baseUrl = `http://127.0.0.1:${server.address().port}`;
+
+  /**
+   * Send a request to the app
+   * Object bodies are sent as JSON, strings as they are (set Content-Type).
+   * `signal` (an AbortSignal) lets a test disconnect mid-request.
+   * @returns {Promise<object>} { status, headers, body }
+   */
+  async function request(
+    method,
+    url,
+    { body, headers = {}, role, signal } = {},
+  ) {
+    const response = await fetch(baseUrl + url, {
+      method,
+      signal,
+      headers: {
+        "Content-Type": "application/json",
+        ...(role ? { "X-API-Key": API_KEYS[role] } : {}),
+        ...headers,
+      },
+      body:
+        body === undefined || typeof body === "string"
+          ? body
+          : JSON.stringify(body),
+    });
+    const text = await response.text();
+    let parsed = text;
+    try {
+      parsed = JSON.parse(text);
+    } catch (error) {
+      // Not JSON - keep the text
+    }
+    return { status: response.status, headers: response.headers, body: parsed };
+  }
+
+  /**
+   * Path MTN calls back on for a payment: the callback URL sent with the
+   * request to pay, including its token
+   */
+  function callbackPath(referenceId) {
+    const url = momo.callbackUrls.get(referenceId);
+    if (!url) {
+      return "/api/momo/callback";
+    }
+    const { pathname, search } = new URL(url);
+    return pathname + search;
+  }
+
+  function close() {
+    server.closeAllConnections();
+    return new Promise((resolve) => server.close(() => resolve()));
+  }
+
+  return {
+    request,
+    callbackPath,
+    supabase: database ? supabase : null,
+    momo,
+    disbursement,
+    store,
+    sent,
+    close,
+  };
+}
+
+module.exports = { startTestApp, API_KEYS };
@@ -0,0 +1,274 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let jwt;
+let processExpiredPayment;
+let processSuccessfulPayment;
+let count = 0;
+
+// What the storefront signs once a customer has signed in
+const customerToken = (customer) =>
+  jwt.sign({ role: "storefront", cust: customer }, "test-jwt-secret", 3600);
+
+/**
+ * Checkout of 14.00 (points can cover up to 7.00, i.e. 700 points)
+ */
+function checkout(
+  points,
+  {
+    email = "ama@example.com",
+    headers = {},
+    externalId = `ORDER-LOYALTY-${++count}`,
+  } = {},
+) {
+  return app.request("POST", "/api/momo/pay", {
+    headers,
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 2 }],
+      userInfo: { firstName: "Ama", email },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+      appliedDiscount: { points },
+    },
+  });
+}
+
+const ledger = (customer) =>
+  app.supabase
+    .rows("loyalty_transactions")
+    .filter((entry) => entry.customer_key === customer);
+
+const balance = (customer) =>
+  ledger(customer).reduce((sum, entry) => sum + entry.points, 0);
+
+function credit(customer, points) {
+  count += 1;
+  app.supabase.seed("loyalty_transactions", [
+    {
+      source_id: `earn:seed-${count}`,
+      customer_key: customer,
+      type: "earned",
+      points,
+    },
+  ]);
+}
+
+before(async () => {
+  app = await startTestApp();
+  jwt = require("../utils/jwt");
+  ({
+    processExpiredPayment,
+    processSuccessfulPayment,
+  } = require("../MoMoCallbackHandler"));
+});
+
+after(() => app.close());
+
+test("redeeming points requires a signed-in customer", async () => {
+  credit("ama@example.com", 500);
+
+  // Typing someone's email into the checkout is not enough
+  const anonymous = await checkout(300);
+  assert.equal(anonymous.status, 401);
+  assert.equal(anonymous.body.code, "CUSTOMER_SIGN_IN_REQUIRED");
+
+  // Nor is a status token from another order, even one carrying a customer
+  const paid = await checkout(0);
+  const statusToken = jwt.sign(
+    {
+      role: "storefront",
+      ref: paid.body.referenceId,
+      cust: "ama@example.com",
+    },
+    "test-jwt-secret",
+    3600,
+  );
+  const withStatusToken = await checkout(300, {
+    headers: { Authorization: `Bearer ${statusToken}` },
+  });
+  assert.equal(withStatusToken.status, 401);
+
+  assert.equal(balance("ama@example.com"), 500);
+  assert.equal(app.momo.requests.length, 1);
+});
+
+test("a signed-in customer spends their own points", async () => {
+  credit("kofi@example.com", 500);
+
+  // Whatever email is typed, the points come from the signed-in customer
+  const res = await checkout(300, {
+    email: "ama@example.com",
+    headers: {
+      Authorization: `Bearer ${customerToken("Kofi@Example.com")}`,
+    },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.pricing.discount, 3);
+  assert.equal(balance("kofi@example.com"), 200);
+  const [redeemed] = ledger("kofi@example.com").filter(
+    (entry) => entry.type === "redeemed",
+  );
+  assert.equal(redeemed.points, -300);
+});
+
+test("a retry of a checkout that spent points replays its response", async () => {
+  credit("yaw@example.com", 300);
+  const headers = {
+    Authorization: `Bearer ${customerToken("yaw@example.com")}`,
+    "Idempotency-Key": "loyalty-retry",
+  };
+
+  const externalId = "ORDER-LOYALTY-RETRY";
+  const first = await checkout(300, { headers, externalId });
+  assert.equal(first.status, 200);
+  assert.equal(balance("yaw@example.com"), 0);
+
+  // Same request again: no points are left, but it was already paid for
+  const retry = await checkout(300, { headers, externalId });
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.equal(retry.body.referenceId, first.body.referenceId);
+  assert.equal(balance("yaw@example.com"), 0);
+});
+
+/**
+ * Checkout spending 300 points whose payment arrives after the order
+ * expired, leaving it under review (LATE_PAYMENT)
+ */
+async function latePayment(customer) {
+  credit(customer, 300);
+  const res = await checkout(300, {
+    headers: { Authorization: `Bearer ${customerToken(customer)}` },
+  });
+  assert.equal(res.status, 200);
+  const { referenceId, externalId } = res.body;
+
+  await processExpiredPayment({ referenceId, externalId });
+  assert.equal(balance(customer), 300);
+  await processSuccessfulPayment(
+    { referenceId, externalId, financialTransactionId: "9000002" },
+    "status_check",
+  );
+  return referenceId;
+}
+
+const approve = (referenceId) =>
+  app.request("POST", `/api/momo/reviews/${referenceId}`, {
+    role: "admin",
+    body: { decision: "approve" },
+  });
+
+test("approving a late payment spends its points again", async () => {
+  const referenceId = await latePayment("abena@example.com");
+
+  const res = await approve(referenceId);
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "SUCCESSFUL");
+  assert.equal(balance("abena@example.com"), 0);
+});
+
+test("a late payment cannot be approved once its points are spent", async () => {
+  const referenceId = await latePayment("kwame@example.com");
+  const spent = await checkout(300, {
+    headers: { Authorization: `Bearer ${customerToken("kwame@example.com")}` },
+  });
+  assert.equal(spent.status, 200);
+
+  const res = await approve(referenceId);
+
+  assert.equal(res.status, 409);
+  assert.match(res.body.message, /Insufficient loyalty points/);
+  const order = app.supabase
+    .rows("orders")
+    .find((row) => row.reference_id === referenceId);
+  assert.equal(order.payment_status, "UNDER_REVIEW");
+  // The stock held for the approval is given back
+  const held = app.supabase
+    .rows("inventory_reservations")
+    .filter(
+      (line) =>
+        line.reservation_id === order.reservation_id && line.status === "held",
+    );
+  assert.deepEqual(held, []);
+});
+
+test("status tokens do not grant access to a customer's points", async () => {
+  const res = await checkout(0);
+  const [, body] = res.body.statusToken.split(".");
+  const claims = JSON.parse(Buffer.from(body, "base64url").toString());
+  assert.equal(claims.cust, undefined);
+
+  const lookup = await app.request("GET", "/api/loyalty/ama@example.com", {
+    headers: { Authorization: `Bearer ${res.body.statusToken}` },
+  });
+  assert.equal(lookup.status, 403);
+
+  const own = await app.request("GET", "/api/loyalty/ama@example.com", {
+    headers: { Authorization: `Bearer ${customerToken("ama@example.com")}` },
+  });
+  assert.equal(own.status, 200);
+  assert.equal(own.body.balance, balance("ama@example.com"));
+});
+
+test("concurrent checkouts cannot spend the same points", async () => {
+  credit("efua@example.com", 400);
+  const headers = {
+    Authorization: `Bearer ${customerToken("efua@example.com")}`,
+  };
+
+  // Hold each debit until both checkouts have passed the balance check
+  const rpc = app.supabase.rpc;
+  const waiting = [];
+  app.supabase.rpc = async function (name, args) {
+    if (name === "redeem_loyalty_points") {
+      await new Promise((resolve) => {
+        waiting.push(resolve);
+        if (waiting.length === 2) waiting.forEach((release) => release());
+      });
+    }
+    return rpc.call(this, name, args);
+  };
+
+  let results;
+  try {
+    results = await Promise.all([
+      checkout(300, { headers }),
+      checkout(300, { headers }),
+    ]);
+  } finally {
+    app.supabase.rpc = rpc;
+  }
+
+  assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+  assert.equal(balance("efua@example.com"), 100);
+});
+
+test("a loyalty rate of 0 is kept, not replaced by the default", () => {
+  const configPath = require.resolve("../config/loyalty.config");
+  const settings = {
+    LOYALTY_EARN_RATE: "0",
+    LOYALTY_POINT_VALUE: "0",
+    LOYALTY_MAX_REDEMPTION_RATE: "not a number",
+  };
+  const saved = Object.keys(settings).map((name) => [name, process.env[name]]);
+  Object.assign(process.env, settings);
+  delete require.cache[configPath];
+
+  try {
+    const config = require(configPath);
+    assert.equal(config.LOYALTY_EARN_RATE, 0);
+    assert.equal(config.LOYALTY_POINT_VALUE, 0);
+    assert.equal(config.LOYALTY_MAX_REDEMPTION_RATE, 0.5);
+  } finally {
+    for (const [name, value] of saved) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+    delete require.cache[configPath];
+  }
+});
@@ -0,0 +1,184 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  createMomoClient,
+  createCircuitBreaker,
+  ProviderUnavailableError,
+} = require("../services/momoClient");
+
+const httpError = (status) =>
+  Object.assign(new Error(`Request failed with status code ${status}`), {
+    response: { status, data: {} },
+  });
+
+const timeout = () =>
+  Object.assign(new Error("timeout of 15000ms exceeded"), {
+    code: "ECONNABORTED",
+  });
+
+/**
+ * Client with a scripted transport: each API call takes the next entry of
+ * `responses` (an Error is thrown); token calls always succeed
+ */
+function createClient({ responses = [], breaker, ...options } = {}) {
+  const calls = [];
+  let tokens = 0;
+  const http = async (config) => {
+    calls.push(config);
+    if (config.url.endsWith("/token/")) {
+      tokens += 1;
+      return { data: { access_token: `token-${tokens}`, expires_in: 3600 } };
+    }
+    const next = responses.shift() || { data: { ok: true } };
+    if (next instanceof Error) {
+      throw next;
+    }
+    return next;
+  };
+
+  const client = createMomoClient({
+    product: "collection",
+    subscriptionKey: "key",
+    apiUserId: "user",
+    apiKey: "secret",
+    baseUrl: "https://momo.test",
+    environment: "sandbox",
+    timeoutMs: 1000,
+    retries: 2,
+    retryBaseMs: 1,
+    breaker: breaker || createCircuitBreaker({ threshold: 5 }),
+    http,
+    wait: async () => {},
+    ...options,
+  });
+
+  const apiCalls = () => calls.filter((call) => !call.url.endsWith("/token/"));
+  return { client, calls, apiCalls, tokenCalls: () => tokens };
+}
+
+test("sends every call with a timeout", async () => {
+  const { client, apiCalls } = createClient();
+
+  await client.request({ path: "/collection/v1_0/account/balance" });
+  await client.request({
+    path: "/collection/v1_0/bc-authorize",
+    timeoutMs: 50,
+  });
+
+  assert.equal(apiCalls()[0].timeout, 1000);
+  assert.equal(apiCalls()[0].headers.Authorization, "Bearer token-1");
+  assert.equal(apiCalls()[0].headers["X-Target-Environment"], "sandbox");
+  assert.equal(apiCalls()[1].timeout, 50);
+});
+
+test("retries a GET that times out or gets a 5xx", async () => {
+  const { client, apiCalls } = createClient({
+    responses: [timeout(), httpError(503), { data: { status: "SUCCESSFUL" } }],
+  });
+
+  const response = await client.request({ path: "/collection/v1_0/x" });
+
+  assert.equal(response.data.status, "SUCCESSFUL");
+  assert.equal(apiCalls().length, 3);
+});
+
+test("gives up after the configured retries", async () => {
+  const { client, apiCalls } = createClient({
+    responses: [httpError(500), httpError(500), httpError(500)],
+  });
+
+  await assert.rejects(client.request({ path: "/collection/v1_0/x" }), {
+    response: { status: 500, data: {} },
+  });
+  assert.equal(apiCalls().length, 3);
+});
+
+test("does not retry a POST or a 4xx", async () => {
+  const { client, apiCalls } = createClient({
+    responses: [timeout(), httpError(400)],
+  });
+
+  await assert.rejects(
+    client.request({
+      method: "post",
+      path: "/collection/v1_0/requesttopay",
+      data: {},
+    }),
+    /timeout/,
+  );
+  await assert.rejects(client.request({ path: "/collection/v1_0/x" }), {
+    response: { status: 400, data: {} },
+  });
+  assert.equal(apiCalls().length, 2);
+});
+
+test("refreshes the token once on a 401", async () => {
+  const { client, apiCalls, tokenCalls } = createClient({
+    responses: [httpError(401), { data: { ok: true } }],
+  });
+
+  await client.request({
+    method: "post",
+    path: "/collection/v1_0/requesttopay",
+    data: {},
+  });
+
+  assert.equal(tokenCalls(), 2);
+  assert.equal(apiCalls()[1].headers.Authorization, "Bearer token-2");
+
+  const stillUnauthorized = createClient({
+    responses: [httpError(401), httpError(401)],
+  });
+  await assert.rejects(
+    stillUnauthorized.client.request({ path: "/collection/v1_0/x" }),
+    { response: { status: 401, data: {} } },
+  );
+  assert.equal(stillUnauthorized.apiCalls().length, 2);
+});
+
+test("shares one token request between concurrent callers", async () => {
+  const { client, tokenCalls } = createClient();
+
+  const tokens = await Promise.all([
+    client.getAccessToken(),
+    client.getAccessToken(),
+    client.getAccessToken(),
+  ]);
+
+  assert.deepEqual(tokens, Array(3).fill("Bearer token-1"));
+  assert.equal(tokenCalls(), 1);
+});
+
+test("opens the circuit after repeated failures and closes it on recovery", async () => {
+  let clock = 0;
+  const breaker = createCircuitBreaker({
+    threshold: 2,
+    cooldownMs: 1000,
+    now: () => clock,
+  });
+  const { client, apiCalls } = createClient({
+    breaker,
+    retries: 0,
+    responses: [httpError(502), timeout()],
+  });
+  await client.getAccessToken();
+
+  await assert.rejects(client.request({ path: "/collection/v1_0/x" }));
+  await assert.rejects(client.request({ path: "/collection/v1_0/x" }));
+  assert.equal(apiCalls().length, 2);
+
+  // Open: fails without calling MTN
+  await assert.rejects(
+    client.request({ path: "/collection/v1_0/x" }),
+    (error) =>
+      error instanceof ProviderUnavailableError && error.retryAfterMs === 1000,
+  );
+  assert.throws(() => client.checkAvailable(), ProviderUnavailableError);
+  assert.equal(apiCalls().length, 2);
+
+  // Half-open after the cooldown: a successful trial closes it
+  clock = 1000;
+  await client.request({ path: "/collection/v1_0/x" });
+  assert.equal(apiCalls().length, 3);
+  assert.doesNotThrow(() => client.checkAvailable());
+});
@@ -0,0 +1,158 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+const CONFIG = require.resolve("../config/notifications.config");
+
+let app;
+let notifications;
+
+const order = {
+  reference_id: "ref-notify",
+  external_id: "ORDER-NOTIFY",
+  customer_first_name: "Jane",
+  customer_email: "jane@example.com",
+  amount: 14,
+  currency: "USD",
+};
+
+const outboxRows = () => app.supabase.tables.get("notification_outbox") || [];
+
+/**
+ * Require a module afresh with its notification config read from `env`
+ * (undefined removes a variable), leaving the loaded copies in place
+ */
+function loadWith(env, request) {
+  const saved = Object.fromEntries(
+    Object.keys(env).map((name) => [name, process.env[name]]),
+  );
+  const setEnv = (values) => {
+    for (const [name, value] of Object.entries(values)) {
+      if (value === undefined) delete process.env[name];
+      else process.env[name] = value;
+    }
+  };
+  const modules = [CONFIG, require.resolve(request)];
+  const cached = modules.map((filename) => require.cache[filename]);
+
+  setEnv(env);
+  modules.forEach((filename) => delete require.cache[filename]);
+  try {
+    return require(request);
+  } finally {
+    setEnv(saved);
+    modules.forEach((filename, index) => {
+      if (cached[index]) require.cache[filename] = cached[index];
+      else delete require.cache[filename];
+    });
+  }
+}
+
+before(async () => {
+  app = await startTestApp();
+  notifications = require("../services/notifications");
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.sent.length = 0;
+  outboxRows().length = 0;
+});
+
+test("an inline send and the worker deliver a message once", async () => {
+  const [entries] = await Promise.all([
+    notifications.notify("payment_received", order),
+    notifications.processOutbox(),
+    notifications.processOutbox(),
+  ]);
+
+  assert.equal(entries.length, 1);
+  assert.equal(app.sent.length, 1);
+  assert.equal(outboxRows()[0].status, "sent");
+  assert.equal(outboxRows()[0].attempts, 1);
+
+  // Nothing left for the worker
+  assert.equal(await notifications.processOutbox(), 0);
+  assert.equal(app.sent.length, 1);
+});
+
+test("an entry claimed by a sender that died is retried", async () => {
+  app.supabase.seed("notification_outbox", [
+    {
+      id: "3f1c2a52-6a2f-4f7e-9a57-0d5a1f1e2b01",
+      channel: "email",
+      recipient: "jane@example.com",
+      template: "payment_received",
+      subject: "Payment received",
+      text: "Thanks",
+      status: "sending",
+      attempts: 0,
+      next_attempt_at: new Date(Date.now() + 60 * 1000).toISOString(),
+    },
+  ]);
+
+  // Still within its claim
+  assert.equal(await notifications.processOutbox(), 0);
+
+  outboxRows()[0].next_attempt_at = new Date(Date.now() - 1000).toISOString();
+  assert.equal(await notifications.processOutbox(), 1);
+  assert.equal(app.sent.length, 1);
+  assert.equal(outboxRows()[0].status, "sent");
+});
+
+test("the console provider logs who was messaged, masked, and no body", async () => {
+  const { createLogger } = require("../utils/logger");
+  const { createConsoleProvider } = loadWith(
+    { NODE_ENV: "production", NOTIFICATION_FILE: undefined },
+    "../services/notifications/providers/consoleProvider",
+  );
+  const lines = [];
+  const log = createLogger({
+    level: "debug",
+    write: (line) => lines.push(line),
+  }).child({ module: "notifications" });
+
+  const consoleLog = console.log;
+  const printed = [];
+  console.log = (...args) => printed.push(args);
+  try {
+    await createConsoleProvider("email", log).send({
+      to: "jane@example.com",
+      subject: "Payment received",
+      text: "Thanks Jane, call 0886123456 with questions",
+    });
+    await createConsoleProvider("sms", log).send({
+      to: "231886123456",
+      text: "Your order is on its way",
+    });
+  } finally {
+    console.log = consoleLog;
+  }
+
+  assert.deepEqual(printed, []);
+  const [email, sms] = lines.map((line) => JSON.parse(line));
+  assert.equal(email.module, "notifications");
+  assert.equal(email.email, "j***@example.com");
+  assert.equal(email.subject, "Payment received");
+  assert.equal(sms.phone, "*********456");
+  assert.ok(lines.every((line) => !/Thanks|on its way/.test(line)));
+});
+
+test("providers only default to console outside production", () => {
+  const unset = { EMAIL_PROVIDER: undefined, SMS_PROVIDER: undefined };
+
+  const production = loadWith(
+    { ...unset, NODE_ENV: "production" },
+    "../config/notifications.config",
+  );
+  assert.equal(production.EMAIL_PROVIDER, "none");
+  assert.equal(production.SMS_PROVIDER, "none");
+
+  const development = loadWith(
+    { ...unset, NODE_ENV: "development" },
+    "../config/notifications.config",
+  );
+  assert.equal(development.EMAIL_PROVIDER, "console");
+  assert.equal(development.SMS_PROVIDER, "console");
+});
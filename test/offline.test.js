@@ -0,0 +1,104 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+// Without Supabase, orders live in the in-memory orders repository
+let app;
+let count = 0;
+
+async function pay(body = {}) {
+  count += 1;
+  const externalId = `ORDER-OFF-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+      ...body,
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId: res.body.referenceId, externalId };
+}
+
+// MTN updates its own record, then calls the payment's callback URL
+function callback(referenceId, externalId, status) {
+  const transaction = app.momo.transactions.get(referenceId);
+  if (transaction) {
+    Object.assign(transaction, { status, financialTransactionId: "9000001" });
+  }
+
+  return app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: "9000001",
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      status,
+    },
+  });
+}
+
+before(async () => {
+  app = await startTestApp({ database: false });
+});
+
+after(() => app.close());
+
+test("/pay records the order in memory", async () => {
+  const { referenceId, externalId } = await pay();
+
+  const res = await app.request("GET", `/api/momo/order/${referenceId}`, {
+    role: "support",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "memory");
+  assert.equal(res.body.order.external_id, externalId);
+  assert.equal(res.body.order.payment_status, "PENDING");
+});
+
+test("callbacks update the in-memory order exactly once", async () => {
+  const { referenceId, externalId } = await pay();
+  app.sent.length = 0;
+
+  await Promise.all([
+    callback(referenceId, externalId, "SUCCESSFUL"),
+    callback(referenceId, externalId, "SUCCESSFUL"),
+  ]);
+  await callback(referenceId, externalId, "FAILED");
+
+  const res = await app.request("GET", `/api/momo/status/${referenceId}`, {
+    role: "admin",
+  });
+  assert.equal(res.body.source, "memory");
+  assert.equal(res.body.status, "SUCCESSFUL");
+  assert.equal(app.sent.length, 1);
+});
+
+test("payments without customer details fall back to the transaction store", async () => {
+  const { referenceId, externalId } = await pay({
+    userInfo: undefined,
+    deliveryInfo: undefined,
+  });
+
+  await callback(referenceId, externalId, "SUCCESSFUL");
+  await callback(referenceId, externalId, "SUCCESSFUL");
+
+  const res = await app.request("GET", `/api/momo/order/${referenceId}`, {
+    role: "admin",
+  });
+  assert.equal(res.body.source, "cache");
+  assert.equal(res.body.order.status, "SUCCESSFUL");
+
+  const transactions = await app.request("GET", "/api/momo/transactions", {
+    role: "admin",
+  });
+  assert.equal(transactions.body.source, "memory");
+  assert.ok(
+    transactions.body.transactions.every((o) => o.reference_id !== referenceId),
+  );
+});
@@ -0,0 +1,317 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const { createFakeSupabase } = require("./helpers/fakeSupabase");
+const {
+  createMemoryOrdersRepository,
+} = require("../repositories/orders/memoryRepository");
+const {
+  createSupabaseOrdersRepository,
+} = require("../repositories/orders/supabaseRepository");
+const { OrdersRepositoryError } = require("../repositories/orders/errors");
+
+const IMPLEMENTATIONS = {
+  memory: () => createMemoryOrdersRepository(),
+  supabase: () =>
+    createSupabaseOrdersRepository({
+      supabase: createFakeSupabase({ unique: { orders: ["external_id"] } }),
+    }),
+};
+
+const newOrder = (externalId, fields = {}) => ({
+  external_id: externalId,
+  reference_id: null,
+  amount: 10,
+  currency: "USD",
+  payment_status: "PENDING",
+  ...fields,
+});
+
+for (const [name, create] of Object.entries(IMPLEMENTATIONS)) {
+  test(`${name}: creates orders and finds them by id, reference and external ID`, async () => {
+    const orders = create();
+
+    const order = await orders.createOrder(newOrder("ORDER-1"));
+    assert.ok(order.id);
+    assert.ok(order.created_at);
+
+    await orders.assignReference(order.id, "ref-1");
+
+    assert.equal((await orders.findById(order.id)).reference_id, "ref-1");
+    assert.equal((await orders.findByReference("ref-1")).id, order.id);
+    assert.equal((await orders.findByExternalId("ORDER-1")).id, order.id);
+    assert.equal(await orders.findByReference("missing"), null);
+    assert.equal(await orders.findByExternalId("missing"), null);
+  });
+
+  test(`${name}: rejects a duplicate external ID with code 23505`, async () => {
+    const orders = create();
+    await orders.createOrder(newOrder("ORDER-DUP"));
+
+    await assert.rejects(
+      orders.createOrder(newOrder("ORDER-DUP")),
+      (error) =>
+        error instanceof OrdersRepositoryError &&
+        error.operation === "createOrder" &&
+        error.code === "23505",
+    );
+  });
+
+  test(`${name}: applies only the allowed status transitions`, async () => {
+    const orders = create();
+    await orders.createOrder(newOrder("ORDER-T", { reference_id: "ref-t" }));
+
+    const paid = await orders.transitionStatus("ref-t", "SUCCESSFUL", {
+      changes: { financial_transaction_id: "9000001" },
+    });
+    assert.equal(paid.payment_status, "SUCCESSFUL");
+    assert.equal(paid.financial_transaction_id, "9000001");
+
+    for (const status of ["FAILED", "PENDING", "EXPIRED", "SUCCESSFUL"]) {
+      assert.equal(await orders.transitionStatus("ref-t", status), null);
+    }
+    assert.equal(
+      (await orders.findByReference("ref-t")).payment_status,
+      "SUCCESSFUL",
+    );
+
+    const refunded = await orders.transitionStatus("ref-t", "REFUNDED");
+    assert.equal(refunded.payment_status, "REFUNDED");
+
+    assert.equal(await orders.transitionStatus("missing", "FAILED"), null);
+  });
+
+  test(`${name}: only a review decision releases a held payment`, async () => {
+    const orders = create();
+    await orders.createOrder(newOrder("ORDER-R", { reference_id: "ref-r" }));
+
+    await orders.transitionStatus("ref-r", "UNDER_REVIEW");
+    assert.equal(
+      await orders.transitionStatus("ref-r", "SUCCESSFUL", {
+        source: "status_check",
+      }),
+      null,
+    );
+
+    const approved = await orders.transitionStatus("ref-r", "SUCCESSFUL", {
+      source: "review",
+    });
+    assert.equal(approved.payment_status, "SUCCESSFUL");
+  });
+
+  test(`${name}: records the creation and each accepted change`, async () => {
+    const orders = create();
+    const order = await orders.createOrder(newOrder("ORDER-H"), {
+      source: "pay",
+    });
+    await orders.assignReference(order.id, "ref-h");
+
+    await orders.transitionStatus("ref-h", "SUCCESSFUL", {
+      source: "callback",
+      details: { financialTransactionId: "9000001" },
+    });
+    await orders.transitionStatus("ref-h", "PENDING", { source: "callback" });
+    await orders.transitionStatus("ref-h", "PARTIALLY_REFUNDED", {
+      source: "refund",
+    });
+
+    const history = await orders.getStatusHistory("ref-h");
+    assert.deepEqual(
+      history.map((entry) => [
+        entry.from_status,
+        entry.to_status,
+        entry.source,
+      ]),
+      [
+        [null, "PENDING", "pay"],
+        ["PENDING", "SUCCESSFUL", "callback"],
+        ["SUCCESSFUL", "PARTIALLY_REFUNDED", "refund"],
+      ],
+    );
+    assert.equal(history[0].order_id, order.id);
+    assert.deepEqual(history[1].details, { financialTransactionId: "9000001" });
+    assert.deepEqual(await orders.getStatusHistory("missing"), []);
+  });
+
+  test(`${name}: updates orders without touching the status`, async () => {
+    const orders = create();
+    await orders.createOrder(newOrder("ORDER-U", { reference_id: "ref-u" }));
+
+    const updated = await orders.updateOrder("ref-u", {
+      last_status_check: "2026-01-01T00:00:00.000Z",
+    });
+
+    assert.equal(updated.payment_status, "PENDING");
+    assert.equal(updated.last_status_check, "2026-01-01T00:00:00.000Z");
+    assert.equal(await orders.updateOrder("missing", {}), null);
+  });
+
+  test(`${name}: lists orders with filters, ordering and a limit`, async () => {
+    const orders = create();
+    await orders.createOrder(
+      newOrder("ORDER-A", {
+        reference_id: "ref-a",
+        created_at: "2026-01-01T00:00:00.000Z",
+      }),
+    );
+    await orders.createOrder(
+      newOrder("ORDER-B", {
+        reference_id: "ref-b",
+        created_at: "2026-01-02T00:00:00.000Z",
+        callback_received: true,
+      }),
+    );
+    await orders.createOrder(
+      newOrder("ORDER-C", { created_at: "2026-01-03T00:00:00.000Z" }),
+    );
+    await orders.createOrder(
+      newOrder("ORDER-D", {
+        reference_id: "ref-d",
+        payment_status: "SUCCESSFUL",
+        created_at: "2026-01-04T00:00:00.000Z",
+      }),
+    );
+
+    const ids = (list) => list.map((o) => o.external_id);
+
+    assert.deepEqual(ids(await orders.listOrders()), [
+      "ORDER-D",
+      "ORDER-C",
+      "ORDER-B",
+      "ORDER-A",
+    ]);
+    assert.deepEqual(
+      ids(
+        await orders.listOrders({
+          status: "PENDING",
+          hasReference: true,
+          createdBefore: "2026-01-03T00:00:00.000Z",
+          ascending: true,
+        }),
+      ),
+      ["ORDER-A", "ORDER-B"],
+    );
+    assert.deepEqual(ids(await orders.listOrders({ callbackReceived: true })), [
+      "ORDER-B",
+    ]);
+    assert.deepEqual(ids(await orders.listOrders({ limit: 1 })), ["ORDER-D"]);
+  });
+
+  test(`${name}: lists only orders due for their next reconciliation`, async () => {
+    const orders = create();
+    await orders.createOrder(newOrder("ORDER-NEW", { reference_id: "ref-n" }));
+    await orders.createOrder(
+      newOrder("ORDER-DUE", {
+        reference_id: "ref-due",
+        next_reconcile_at: "2026-01-01T00:00:00.000Z",
+      }),
+    );
+    await orders.createOrder(
+      newOrder("ORDER-LATER", {
+        reference_id: "ref-later",
+        next_reconcile_at: "2026-01-03T00:00:00.000Z",
+      }),
+    );
+
+    const due = await orders.listOrders({
+      dueBefore: "2026-01-02T00:00:00.000Z",
+    });
+    assert.deepEqual(due.map((o) => o.external_id).sort(), [
+      "ORDER-DUE",
+      "ORDER-NEW",
+    ]);
+  });
+
+  test(`${name}: fails an order whose payment request was never sent`, async () => {
+    const orders = create();
+    const unsent = await orders.createOrder(newOrder("ORDER-UNSENT"));
+    const sent = await orders.createOrder(newOrder("ORDER-SENT"));
+    await orders.assignReference(sent.id, "ref-sent");
+
+    const failed = await orders.failUnsentOrder(unsent.id, "NOT_SENT");
+    assert.equal(failed.payment_status, "FAILED");
+    assert.equal(failed.failure_reason, "NOT_SENT");
+    assert.equal(await orders.failUnsentOrder(unsent.id, "NOT_SENT"), null);
+    assert.equal(await orders.failUnsentOrder(sent.id, "NOT_SENT"), null);
+    assert.equal((await orders.findById(sent.id)).payment_status, "PENDING");
+  });
+
+  test(`${name}: finds paid orders by MTN transaction ID and confirmation time`, async () => {
+    const orders = create();
+    await orders.createOrder(
+      newOrder("ORDER-P1", {
+        payment_status: "SUCCESSFUL",
+        financial_transaction_id: "9000101",
+        payment_confirmed_at: "2026-10-01T23:59:59.000Z",
+      }),
+    );
+    await orders.createOrder(
+      newOrder("ORDER-P2", {
+        payment_status: "REFUNDED",
+        payment_confirmed_at: "2026-10-01T08:00:00.000Z",
+      }),
+    );
+    await orders.createOrder(
+      newOrder("ORDER-P3", {
+        payment_status: "SUCCESSFUL",
+        payment_confirmed_at: "2026-10-02T00:00:00.000Z",
+      }),
+    );
+    await orders.createOrder(newOrder("ORDER-P4"));
+
+    assert.equal(
+      (await orders.findByFinancialTransactionId("9000101")).external_id,
+      "ORDER-P1",
+    );
+    assert.equal(await orders.findByFinancialTransactionId("missing"), null);
+
+    const paid = await orders.listOrders({
+      status: ["SUCCESSFUL", "REFUNDED"],
+      confirmedFrom: "2026-10-01T00:00:00.000Z",
+      confirmedBefore: "2026-10-02T00:00:00.000Z",
+      orderBy: "payment_confirmed_at",
+      ascending: true,
+    });
+    assert.deepEqual(
+      paid.map((o) => o.external_id),
+      ["ORDER-P2", "ORDER-P1"],
+    );
+  });
+
+  test(`${name}: returns copies, not shared rows`, async () => {
+    const orders = create();
+    const order = await orders.createOrder(
+      newOrder("ORDER-COPY", { reference_id: "ref-copy" }),
+    );
+
+    order.payment_status = "SUCCESSFUL";
+    (await orders.findByReference("ref-copy")).payment_status = "FAILED";
+
+    assert.equal(
+      (await orders.findByReference("ref-copy")).payment_status,
+      "PENDING",
+    );
+  });
+}
+
+test("supabase: wraps query errors", async () => {
+  const supabase = createFakeSupabase();
+  supabase.from = () => ({
+    select: () => ({
+      eq: () => ({
+        maybeSingle: async () => ({
+          data: null,
+          error: { code: "08006", message: "connection failure" },
+        }),
+      }),
+    }),
+  });
+  const orders = createSupabaseOrdersRepository({ supabase });
+
+  await assert.rejects(
+    orders.findByReference("ref-1"),
+    (error) =>
+      error instanceof OrdersRepositoryError &&
+      error.code === "08006" &&
+      /findByReference failed: connection failure/.test(error.message),
+  );
+});
@@ -0,0 +1,469 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+// 1 USD = 190 LRD
+process.env.EXCHANGE_RATES = "USD:LRD=190";
+
+let app;
+
+const order = (overrides = {}) => ({
+  phone: "0886123456",
+  items: [{ id: "demo-rice-25kg", quantity: 2 }],
+  userInfo: { firstName: "Jane", lastName: "Doe", email: "jane@example.com" },
+  deliveryInfo: { deliveryAddress: "Broad Street", city: "Monrovia" },
+  ...overrides,
+});
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.momo.reset();
+});
+
+test("rejects requests without a phone or items", async () => {
+  for (const body of [
+    order({ phone: undefined }),
+    order({ items: undefined }),
+    order({ items: [] }),
+  ]) {
+    const res = await app.request("POST", "/api/momo/pay", { body });
+    assert.equal(res.status, 400);
+    assert.match(res.body.message, /phone and items are required/);
+  }
+  assert.equal(app.momo.requests.length, 0);
+});
+
+test("rejects an invalid phone number", async () => {
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: order({ phone: "12345" }),
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /Invalid Liberia MSISDN/);
+});
+
+test("rejects bad quantities and unknown products", async () => {
+  const badQuantity = await app.request("POST", "/api/momo/pay", {
+    body: order({ items: [{ id: "demo-rice-25kg", quantity: 0 }] }),
+  });
+  assert.equal(badQuantity.status, 400);
+  assert.match(badQuantity.body.errors[0].message, /whole number/);
+
+  const unknown = await app.request("POST", "/api/momo/pay", {
+    body: order({
+      items: [
+        { id: "demo-rice-25kg", quantity: 1 },
+        { id: "no-such-product", quantity: 1 },
+      ],
+    }),
+  });
+  assert.equal(unknown.status, 400);
+  assert.deepEqual(unknown.body.errors, [
+    {
+      index: 1,
+      productId: "no-such-product",
+      message: "Product not found or no longer available",
+    },
+  ]);
+});
+
+test("limits the quantity of each product across cart lines", async () => {
+  const tooMany = await app.request("POST", "/api/momo/pay", {
+    body: order({ items: [{ id: "demo-rice-25kg", quantity: 101 }] }),
+  });
+  assert.equal(tooMany.status, 400);
+  assert.match(tooMany.body.errors[0].message, /between 1 and 100/);
+
+  // Splitting the product over several lines does not get around the limit
+  const split = await app.request("POST", "/api/momo/pay", {
+    body: order({
+      items: [
+        { id: "demo-rice-25kg", quantity: 60 },
+        { id: "demo-palm-oil-1gal", quantity: 1 },
+        { id: "demo-rice-25kg", quantity: 41 },
+      ],
+    }),
+  });
+  assert.equal(split.status, 400);
+  assert.deepEqual(split.body.errors, [
+    {
+      productId: "demo-rice-25kg",
+      message: "Total quantity of a product must not exceed 100",
+    },
+  ]);
+  assert.equal(app.momo.requests.length, 0);
+});
+
+test("rejects a client total that does not match the catalog", async () => {
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: order({ amount: 1 }),
+  });
+  assert.equal(res.status, 409);
+  assert.equal(res.body.mismatches[0].field, "amount");
+  assert.equal(res.body.pricing.finalTotal, 45);
+  assert.equal(app.momo.requests.length, 0);
+});
+
+test("creates the order and requests payment at the catalog price", async () => {
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: order({ externalId: "ORDER-PAY-1" }),
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.success, true);
+  assert.equal(res.body.amount, 45);
+  assert.ok(res.body.statusToken);
+
+  const [{ callback_url: callbackUrl, ...request }] = app.momo.requests;
+  assert.deepEqual(request, {
+    amount: 45,
+    currency: "USD",
+    process_id: "ORDER-PAY-1",
+    phone_no: "231886123456",
+    message: "Payment for order",
+  });
+  assert.equal(app.momo.requests.length, 1);
+
+  // The callback URL carries a token; only its hash is stored
+  const token = new URL(callbackUrl).searchParams.get("token");
+  assert.ok(token.length >= 32);
+
+  const [row] = app.supabase
+    .rows("orders")
+    .filter((o) => o.external_id === "ORDER-PAY-1");
+  assert.equal(row.reference_id, res.body.referenceId);
+  assert.match(row.callback_token_hash, /^[0-9a-f]{64}$/);
+  assert.ok(!JSON.stringify(row).includes(token));
+  assert.equal(row.payment_status, "PENDING");
+  assert.equal(row.customer_phone, "231886123456");
+  assert.equal(row.final_total, 45);
+
+  const cached = await app.store.get(res.body.referenceId);
+  assert.equal(cached.externalId, "ORDER-PAY-1");
+});
+
+test("rejects currencies outside the allow-list", async () => {
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: order({ currency: "EUR" }),
+  });
+  assert.equal(res.status, 400);
+  assert.match(res.body.message, /Unsupported currency: EUR/);
+});
+
+test("charges a USD cart in LRD at the configured rate", async () => {
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: order({ externalId: "ORDER-PAY-LRD", currency: "lrd", amount: 45 }),
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.amount, 8550);
+  assert.equal(res.body.currency, "LRD");
+  assert.equal(res.body.pricing.currency, "USD");
+  assert.equal(res.body.exchangeRate.rate, 190);
+  assert.equal(app.momo.requests[0].currency, "LRD");
+  assert.equal(app.momo.requests[0].amount, 8550);
+
+  const row = app.supabase
+    .rows("orders")
+    .find((o) => o.external_id === "ORDER-PAY-LRD");
+  assert.equal(row.amount, 8550);
+  assert.equal(row.currency, "LRD");
+  assert.equal(row.original_amount, 45);
+  assert.equal(row.original_currency, "USD");
+  assert.equal(row.exchange_rate, 190);
+  assert.equal(row.points_earned, 45);
+});
+
+test("replays the response for a repeated Idempotency-Key", async () => {
+  const headers = { "Idempotency-Key": "checkout-42" };
+  const body = order({ externalId: "ORDER-PAY-2" });
+
+  const first = await app.request("POST", "/api/momo/pay", { body, headers });
+  const second = await app.request("POST", "/api/momo/pay", { body, headers });
+
+  assert.equal(first.status, 200);
+  assert.equal(second.status, 200);
+  assert.equal(second.headers.get("idempotent-replayed"), "true");
+  assert.equal(second.body.referenceId, first.body.referenceId);
+  assert.equal(app.momo.requests.length, 1);
+
+  const changed = await app.request("POST", "/api/momo/pay", {
+    body: { ...body, payerMessage: "different" },
+    headers,
+  });
+  assert.equal(changed.status, 409);
+});
+
+test("a retry after a price change replays the original response", async () => {
+  const headers = { "Idempotency-Key": "checkout-43" };
+  const body = order({ externalId: "ORDER-PAY-2B", amount: 45 });
+  const first = await app.request("POST", "/api/momo/pay", { body, headers });
+  assert.equal(first.status, 200);
+
+  // The fake's own row, so the price really changes
+  const rice = app.supabase.tables
+    .get("products")
+    .find((p) => p.id === "demo-rice-25kg");
+  const price = rice.price;
+  rice.price = 25;
+  let retry;
+  try {
+    retry = await app.request("POST", "/api/momo/pay", { body, headers });
+  } finally {
+    rice.price = price;
+  }
+
+  assert.equal(retry.status, 200);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.equal(retry.body.referenceId, first.body.referenceId);
+  assert.equal(app.momo.requests.length, 1);
+});
+
+test("takes over idempotency keys that expired or were abandoned", async () => {
+  const minutesAgo = (minutes) =>
+    new Date(Date.now() - minutes * 60 * 1000).toISOString();
+  app.supabase.seed("idempotency_keys", [
+    {
+      key: "checkout-busy",
+      request_hash: "x",
+      status: "in_progress",
+      created_at: minutesAgo(1),
+    },
+    {
+      key: "checkout-crashed",
+      request_hash: "x",
+      status: "in_progress",
+      created_at: minutesAgo(10),
+    },
+    {
+      key: "checkout-expired",
+      request_hash: "x",
+      status: "completed",
+      response_status: 200,
+      created_at: minutesAgo(25 * 60),
+    },
+  ]);
+  const pay = (key) =>
+    app.request("POST", "/api/momo/pay", {
+      body: order(),
+      headers: { "Idempotency-Key": key },
+    });
+
+  const busy = await pay("checkout-busy");
+  assert.equal(busy.status, 409);
+  assert.match(busy.body.message, /still being processed/);
+
+  for (const key of ["checkout-crashed", "checkout-expired"]) {
+    const res = await pay(key);
+    assert.equal(res.status, 200, key);
+    const [row] = app.supabase
+      .rows("idempotency_keys")
+      .filter((r) => r.key === key);
+    assert.equal(row.status, "completed");
+    assert.equal(row.response_body.referenceId, res.body.referenceId);
+  }
+  assert.equal(app.momo.requests.length, 2);
+});
+
+test("releases the idempotency key when MoMo rejects the request", async () => {
+  const body = order({ externalId: "ORDER-PAY-3" });
+  app.momo.failNextRequest(
+    Object.assign(new Error("Request failed with status code 400"), {
+      response: { status: 400, data: { code: "INVALID_PARAMETER" } },
+    }),
+  );
+
+  const failed = await app.request("POST", "/api/momo/pay", { body });
+  assert.equal(failed.status, 400);
+  assert.equal(failed.body.success, false);
+
+  // MoMo refused it, so nothing would ever expire the order
+  const unsent = app.supabase
+    .rows("orders")
+    .find((o) => o.external_id === "ORDER-PAY-3");
+  assert.equal(unsent.payment_status, "FAILED");
+  assert.equal(unsent.reference_id, null);
+
+  // The key is free again, but the externalId belongs to the failed order
+  const repeated = await app.request("POST", "/api/momo/pay", { body });
+  assert.equal(repeated.status, 409);
+  assert.equal(repeated.body.code, "DUPLICATE_EXTERNAL_ID");
+
+  const retried = await app.request("POST", "/api/momo/pay", {
+    body: { ...body, externalId: "ORDER-PAY-3B" },
+  });
+  assert.equal(retried.status, 200);
+});
+
+test("keeps the order pending when MoMo may have sent the prompt", async () => {
+  const body = order({ externalId: "ORDER-PAY-3C" });
+  app.momo.failNextRequest(
+    Object.assign(new Error("Request failed with status code 500"), {
+      response: { status: 500, data: { code: "INTERNAL_PROCESSING_ERROR" } },
+    }),
+    { accepted: true },
+  );
+
+  const res = await app.request("POST", "/api/momo/pay", { body });
+
+  assert.equal(res.status, 502);
+  assert.equal(res.body.code, "PAYMENT_REQUEST_UNCONFIRMED");
+  const { referenceId } = res.body;
+  const row = app.supabase
+    .rows("orders")
+    .find((o) => o.external_id === "ORDER-PAY-3C");
+  assert.equal(row.payment_status, "PENDING");
+  assert.equal(row.reference_id, referenceId);
+  assert.equal(
+    app.supabase.rpcCalls.filter(
+      (call) =>
+        call.name === "release_inventory" &&
+        call.args.p_reservation_id === row.reservation_id,
+    ).length,
+    0,
+  );
+
+  // A retry is answered from the key: no second prompt
+  const retry = await app.request("POST", "/api/momo/pay", { body });
+  assert.equal(retry.status, 502);
+  assert.equal(retry.headers.get("idempotent-replayed"), "true");
+  assert.equal(retry.body.referenceId, referenceId);
+  assert.equal(app.momo.requests.length, 1);
+
+  // MTN reports the payment later
+  app.momo.transactions.get(referenceId).status = "SUCCESSFUL";
+  const callback = await app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: { externalId: "ORDER-PAY-3C", status: "SUCCESSFUL" },
+  });
+  assert.equal(callback.status, 200);
+  assert.equal(
+    app.supabase.rows("orders").find((o) => o.reference_id === referenceId)
+      .payment_status,
+    "SUCCESSFUL",
+  );
+});
+
+test("fails fast while MTN MoMo is unavailable", async () => {
+  const body = order({ externalId: "ORDER-PAY-4" });
+  app.momo.setAvailable(false);
+
+  const failed = await app.request("POST", "/api/momo/pay", { body });
+  assert.equal(failed.status, 503);
+  assert.equal(failed.body.code, "PROVIDER_UNAVAILABLE");
+  assert.equal(failed.headers.get("retry-after"), "30");
+  assert.equal(app.momo.requests.length, 0);
+
+  app.momo.setAvailable(true);
+  const retried = await app.request("POST", "/api/momo/pay", { body });
+  assert.equal(retried.status, 200);
+});
+
+test("records the request's correlation ID with the payment", async () => {
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: order({ externalId: "ORDER-PAY-5" }),
+    headers: { "X-Correlation-Id": "checkout-42" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.headers.get("x-correlation-id"), "checkout-42");
+  const row = app.supabase
+    .rows("orders")
+    .find((o) => o.reference_id === res.body.referenceId);
+  assert.equal(row.correlation_id, "checkout-42");
+  const cached = await app.store.get(res.body.referenceId);
+  assert.equal(cached.correlationId, "checkout-42");
+
+  const generated = await app.request("POST", "/api/momo/pay", {
+    body: order({ externalId: "ORDER-PAY-6" }),
+    headers: { "X-Correlation-Id": "not a correlation id" },
+  });
+  assert.match(generated.headers.get("x-correlation-id"), /^[0-9a-f-]{36}$/);
+});
+
+test("two checkouts racing for the last unit: one gets it", async () => {
+  app.supabase.seed("products", [
+    {
+      id: "demo-lantern",
+      name: "Solar Lantern",
+      price: 12,
+      sale_price: null,
+      stock: 1,
+      active: true,
+    },
+  ]);
+  const lantern = (externalId) =>
+    order({ externalId, items: [{ id: "demo-lantern", quantity: 1 }] });
+
+  const results = await Promise.all([
+    app.request("POST", "/api/momo/pay", { body: lantern("ORDER-LAST-1") }),
+    app.request("POST", "/api/momo/pay", { body: lantern("ORDER-LAST-2") }),
+  ]);
+
+  assert.deepEqual(results.map((res) => res.status).sort(), [200, 409]);
+  const lost = results.find((res) => res.status === 409);
+  assert.deepEqual(lost.body.errors, [
+    { productId: "demo-lantern", requested: 1, available: 0 },
+  ]);
+  const product = app.supabase
+    .rows("products")
+    .find((p) => p.id === "demo-lantern");
+  assert.equal(product.reserved, 1);
+  assert.equal(app.momo.requests.length, 1);
+});
+
+test("rejects an externalId already used by another request", async () => {
+  const body = order({
+    externalId: "ORDER-PAY-7",
+    items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+  });
+  const palmOil = () =>
+    app.supabase.rows("products").find((p) => p.id === "demo-palm-oil-1gal");
+
+  const first = await app.request("POST", "/api/momo/pay", {
+    body,
+    headers: { "Idempotency-Key": "checkout-7a" },
+  });
+  assert.equal(first.status, 200);
+  const held = palmOil().reserved;
+
+  const second = await app.request("POST", "/api/momo/pay", {
+    body,
+    headers: { "Idempotency-Key": "checkout-7b" },
+  });
+  assert.equal(second.status, 409);
+  assert.equal(second.body.code, "DUPLICATE_EXTERNAL_ID");
+
+  // The first order's stock is still held under its own reservation
+  assert.equal(palmOil().reserved, held);
+  const row = app.supabase
+    .rows("orders")
+    .find((o) => o.reference_id === first.body.referenceId);
+  assert.match(row.reservation_id, /^[0-9a-f-]{36}$/);
+  assert.notEqual(row.reservation_id, "ORDER-PAY-7");
+  assert.equal(app.momo.requests.length, 1);
+});
+
+test("generates unique externalIds when the client sends none", async () => {
+  const results = await Promise.all([
+    app.request("POST", "/api/momo/pay", { body: order() }),
+    app.request("POST", "/api/momo/pay", { body: order() }),
+  ]);
+
+  assert.deepEqual(
+    results.map((res) => res.status),
+    [200, 200],
+  );
+  const [a, b] = results.map(
+    (res) =>
+      app.supabase
+        .rows("orders")
+        .find((o) => o.reference_id === res.body.referenceId).external_id,
+  );
+  assert.match(a, /^ORDER-[0-9a-f-]{36}$/);
+  assert.notEqual(a, b);
+});
@@ -0,0 +1,203 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let jwt;
+let maskName;
+let compareNames;
+let count = 0;
+
+const PHONE = "231886123456";
+
+function pay(fields = {}, headers = {}) {
+  count += 1;
+  return app.request("POST", "/api/momo/pay", {
+    headers,
+    body: {
+      phone: "0886123456",
+      externalId: `ORDER-PV-${count}`,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: {
+        firstName: "Jane",
+        lastName: "Doe",
+        email: "jane@example.com",
+      },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+      verifyPayer: true,
+      ...fields,
+    },
+  });
+}
+
+// What the storefront signs once a customer has signed in
+const signedIn = () => ({
+  Authorization: `Bearer ${jwt.sign(
+    { role: "storefront", cust: "jane@example.com" },
+    "test-jwt-secret",
+    3600,
+  )}`,
+});
+
+const verify = (body, headers = signedIn()) =>
+  app.request("POST", "/api/momo/verify-payer", { body, headers });
+
+before(async () => {
+  app = await startTestApp();
+  jwt = require("../utils/jwt");
+  ({ maskName, compareNames } = require("../services/payerVerification"));
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.momo.users.clear();
+  app.momo.users.set(PHONE, { given_name: "Jane", family_name: "Doe" });
+});
+
+test("masks names and tolerates typos, accents and middle names", () => {
+  assert.equal(maskName("Jane  Doe"), "J*** D**");
+
+  assert.equal(
+    compareNames("José Kpadeh Doe", { firstName: "jose", lastName: "DOE" })
+      .match,
+    true,
+  );
+  assert.equal(
+    compareNames("Jane Doe", { firstName: "Jane", lastName: "Dow" }).match,
+    true,
+  );
+  assert.equal(
+    compareNames("Moses Kollie", { firstName: "Jane", lastName: "Doe" }).match,
+    false,
+  );
+  assert.deepEqual(compareNames("Jane Doe", {}), { score: null, match: null });
+});
+
+test("returns the masked registered name for the customer to confirm", async () => {
+  const res = await verify({
+    phone: "0886123456",
+    userInfo: { firstName: "Jane", lastName: "Doe" },
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body, {
+    success: true,
+    phone: PHONE,
+    carrier: "MTN",
+    registered: true,
+    maskedName: "J*** D**",
+    nameMatch: true,
+  });
+
+  app.momo.users.set(PHONE, { given_name: "Moses", family_name: "Kollie" });
+  const other = await verify({
+    phone: "0886123456",
+    userInfo: { firstName: "Jane", lastName: "Doe" },
+  });
+  assert.equal(other.body.maskedName, "M**** K*****");
+  assert.equal(other.body.nameMatch, false);
+});
+
+test("does not show the registered name to anonymous callers", async () => {
+  const body = {
+    phone: "0886123456",
+    userInfo: { firstName: "Jane", lastName: "Doe" },
+  };
+
+  const anonymous = await verify(body, {});
+  assert.equal(anonymous.status, 200);
+  assert.deepEqual(anonymous.body, {
+    success: true,
+    phone: PHONE,
+    carrier: "MTN",
+    registered: true,
+  });
+
+  // Nor does the status token every checkout gets
+  const paid = await pay();
+  const withStatusToken = await verify(body, {
+    Authorization: `Bearer ${paid.body.statusToken}`,
+  });
+  assert.equal(withStatusToken.body.maskedName, undefined);
+  assert.equal(withStatusToken.body.nameMatch, undefined);
+
+  const staff = await app.request("POST", "/api/momo/verify-payer", {
+    role: "support",
+    body,
+  });
+  assert.equal(staff.body.maskedName, "J*** D**");
+});
+
+test("rejects unregistered and invalid numbers", async () => {
+  app.momo.users.set(PHONE, null);
+
+  const unregistered = await verify({ phone: "0886123456" });
+  assert.equal(unregistered.status, 422);
+  assert.equal(unregistered.body.code, "PAYER_NOT_REGISTERED");
+
+  assert.equal((await verify({ phone: "12" })).status, 400);
+});
+
+test("asks for an MTN number instead of paying from another operator", async () => {
+  const requests = app.momo.requests.length;
+
+  const res = await pay({ phone: "0770123456" });
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.code, "UNSUPPORTED_CARRIER");
+  assert.equal(res.body.carrier, "ORANGE");
+  assert.match(res.body.message, /needs an MTN number/);
+  assert.equal(app.momo.requests.length, requests);
+});
+
+test("blocks /pay to an unregistered number before creating the order", async () => {
+  app.momo.users.set(PHONE, null);
+  const requests = app.momo.requests.length;
+
+  const res = await pay();
+
+  assert.equal(res.status, 422);
+  assert.equal(res.body.code, "PAYER_NOT_REGISTERED");
+  assert.equal(app.momo.requests.length, requests);
+  assert.equal(
+    app.supabase
+      .rows("orders")
+      .some((o) => o.external_id === `ORDER-PV-${count}`),
+    false,
+  );
+});
+
+test("asks the customer to confirm a different registered name", async () => {
+  app.momo.users.set(PHONE, { given_name: "Moses", family_name: "Kollie" });
+
+  const res = await pay();
+  assert.equal(res.status, 409);
+  assert.equal(res.body.code, "PAYER_NAME_MISMATCH");
+  // Only a signed-in customer is shown whose account it is
+  assert.equal(res.body.maskedName, undefined);
+
+  const signedInRes = await pay({}, signedIn());
+  assert.equal(signedInRes.status, 409);
+  assert.equal(signedInRes.body.maskedName, "M**** K*****");
+
+  const confirmed = await pay({ payerConfirmed: true });
+  assert.equal(confirmed.status, 200);
+  assert.ok(confirmed.body.referenceId);
+});
+
+test("pays a verified payer, and skips the lookup unless asked", async () => {
+  assert.equal((await pay()).status, 200);
+
+  app.momo.users.set(PHONE, null);
+  assert.equal((await pay({ verifyPayer: false })).status, 200);
+});
+
+test("fails /pay with 503 when MTN cannot be asked", async () => {
+  app.momo.users.set(PHONE, new Error("socket hang up"));
+
+  const res = await pay();
+
+  assert.equal(res.status, 503);
+  assert.equal((await verify({ phone: "0886123456" })).status, 503);
+});
@@ -0,0 +1,174 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const crypto = require("crypto");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let count = 0;
+
+/**
+ * Orange Money stand-in: its own payload shape, mapped to MoMo's by
+ * parseCallback and getStatus
+ */
+function createOrangeStub() {
+  const payments = new Map();
+  return {
+    payments,
+    name: "orange",
+    displayName: "Orange Money",
+    carriers: ["ORANGE"],
+    callbackUrl: "http://shop.test/api/momo/callback/orange",
+
+    async initiate(details) {
+      const referenceId = crypto.randomUUID();
+      payments.set(referenceId, {
+        order_id: details.externalId,
+        amount: details.amount,
+        currency: details.currency,
+        msisdn: details.phone,
+        status: "INITIATED",
+        callbackUrl: details.callbackUrl,
+      });
+      return { referenceId, transaction: { status: "PENDING" } };
+    },
+
+    async getStatus(referenceId) {
+      const payment = payments.get(referenceId);
+      return payment ? toTransaction(payment) : null;
+    },
+
+    parseCallback(headers, body) {
+      return { referenceId: body.pay_token, ...toTransaction(body) };
+    },
+  };
+}
+
+const ORANGE_STATUSES = { SUCCESS: "SUCCESSFUL", FAILED: "FAILED" };
+
+function toTransaction(payment) {
+  return {
+    status: ORANGE_STATUSES[payment.status] || "PENDING",
+    financialTransactionId: payment.txnid || null,
+    externalId: payment.order_id,
+    amount: String(payment.amount),
+    currency: payment.currency,
+    payer: { partyIdType: "MSISDN", partyId: payment.msisdn },
+    payerPhone: payment.msisdn,
+  };
+}
+
+let orange;
+
+function pay(fields = {}) {
+  count += 1;
+  return app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0770123456",
+      externalId: `ORDER-PP-${count}`,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+      ...fields,
+    },
+  });
+}
+
+const findOrder = (referenceId) =>
+  app.supabase.rows("orders").find((o) => o.reference_id === referenceId);
+
+before(async () => {
+  process.env.PAYMENT_PROVIDERS = "mtn,orange";
+  app = await startTestApp();
+  orange = createOrangeStub();
+  require("../services/payments").setProvider("orange", orange);
+});
+
+after(() => app.close());
+
+test("charges each number through its operator's provider", async () => {
+  const requests = app.momo.requests.length;
+
+  const res = await pay();
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.provider, "orange");
+  assert.equal(app.momo.requests.length, requests);
+  assert.equal(findOrder(res.body.referenceId).payment_provider, "orange");
+
+  const url = new URL(orange.payments.get(res.body.referenceId).callbackUrl);
+  assert.equal(url.pathname, "/api/momo/callback/orange");
+  assert.ok(url.searchParams.get("token"));
+
+  const mtn = await pay({ phone: "0886123456" });
+  assert.equal(mtn.body.provider, "mtn");
+  assert.equal(findOrder(mtn.body.referenceId).payment_provider, "mtn");
+});
+
+test("rejects a provider that cannot charge the number", async () => {
+  const wrongCarrier = await pay({ provider: "mtn" });
+  assert.equal(wrongCarrier.status, 400);
+  assert.equal(wrongCarrier.body.code, "UNSUPPORTED_CARRIER");
+  assert.match(wrongCarrier.body.message, /MTN Mobile Money needs an MTN/);
+
+  const unknown = await pay({ provider: "paypal" });
+  assert.equal(unknown.status, 400);
+  assert.equal(unknown.body.code, "UNKNOWN_PROVIDER");
+
+  const landline = await pay({ phone: "022123456" });
+  assert.equal(landline.status, 400);
+  assert.match(
+    landline.body.message,
+    /MTN Mobile Money or Orange Money needs an MTN or Orange number/,
+  );
+});
+
+test("marks an order paid from its provider's callback", async () => {
+  const { body } = await pay();
+  const payment = orange.payments.get(body.referenceId);
+  Object.assign(payment, { status: "SUCCESS", txnid: "OM-5001" });
+  const token = new URL(payment.callbackUrl).searchParams.get("token");
+
+  const res = await app.request(
+    "POST",
+    `/api/momo/callback/orange?token=${token}`,
+    {
+      body: {
+        pay_token: body.referenceId,
+        order_id: payment.order_id,
+        txnid: "OM-5001",
+        amount: payment.amount,
+        currency: payment.currency,
+        msisdn: payment.msisdn,
+        status: "SUCCESS",
+      },
+    },
+  );
+
+  assert.equal(res.status, 200);
+  assert.equal(findOrder(body.referenceId).payment_status, "SUCCESSFUL");
+  assert.equal(findOrder(body.referenceId).financial_transaction_id, "OM-5001");
+
+  const event = app.supabase.rows("callback_events").at(-1);
+  assert.equal(event.provider, "orange");
+  assert.equal(event.source, "orange");
+  assert.equal(event.reference_id, body.referenceId);
+
+  const unknown = await app.request("POST", "/api/momo/callback/paypal", {
+    body: {},
+  });
+  assert.equal(unknown.status, 404);
+});
+
+test("checks status with the provider the order was paid with", async () => {
+  const { body } = await pay();
+  orange.payments.get(body.referenceId).status = "FAILED";
+
+  const res = await app.request("GET", `/api/momo/status/${body.referenceId}`, {
+    role: "support",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.provider, "orange");
+  assert.equal(res.body.status, "FAILED");
+  assert.equal(findOrder(body.referenceId).payment_status, "FAILED");
+});
@@ -0,0 +1,286 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let processTransactionStatus;
+let processExpiredPayment;
+let count = 0;
+
+async function createOrder() {
+  count += 1;
+  const externalId = `ORDER-RV-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId: res.body.referenceId, externalId };
+}
+
+// MTN updates its own record, then calls the payment's callback URL
+function successCallback(referenceId, externalId, extra = {}) {
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    financialTransactionId: "9000001",
+  });
+
+  return app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: "9000001",
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      payer: { partyIdType: "MSISDN", partyId: "231886123456" },
+      status: "SUCCESSFUL",
+      ...extra,
+    },
+  });
+}
+
+const review = (referenceId, body) =>
+  app.request("POST", `/api/momo/reviews/${referenceId}`, {
+    role: "admin",
+    body,
+  });
+
+const findOrder = (referenceId) =>
+  app.supabase.rows("orders").find((o) => o.reference_id === referenceId);
+
+// Inventory calls for an order's reservation (held under its own ID, not
+// the externalId)
+const rpcCount = (name, externalId) => {
+  const { reservation_id } = app.supabase
+    .rows("orders")
+    .find((o) => o.external_id === externalId);
+  return app.supabase.rpcCalls.filter(
+    (call) =>
+      call.name === name && call.args.p_reservation_id === reservation_id,
+  ).length;
+};
+
+before(async () => {
+  app = await startTestApp();
+  ({
+    processTransactionStatus,
+    processExpiredPayment,
+  } = require("../MoMoCallbackHandler"));
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.sent.length = 0;
+});
+
+test("a matching payment is fulfilled without review", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  const res = await successCallback(referenceId, externalId);
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  assert.equal(order.review_reason, undefined);
+  assert.equal(rpcCount("commit_inventory", externalId), 1);
+});
+
+test("holds a callback for a different amount and alerts staff", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  const res = await successCallback(referenceId, externalId, {
+    amount: "0.70",
+  });
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "UNDER_REVIEW");
+  assert.equal(order.review_reason, "AMOUNT_MISMATCH");
+  assert.deepEqual(order.review_mismatches, [
+    { source: "callback", field: "amount", expected: 7, actual: "0.70" },
+  ]);
+
+  // No fulfillment: stock stays held and the customer is not emailed
+  assert.equal(rpcCount("commit_inventory", externalId), 0);
+  assert.equal(rpcCount("release_inventory", externalId), 0);
+  assert.equal(app.sent.length, 1);
+  assert.equal(app.sent[0].to, "support@litwaypicks.com");
+  assert.match(app.sent[0].text, /AMOUNT_MISMATCH|amount/);
+
+  const status = await app.request("GET", `/api/momo/status/${referenceId}`, {
+    role: "admin",
+  });
+  assert.equal(status.body.status, "UNDER_REVIEW");
+});
+
+test("holds a payment MTN reports in another currency", async () => {
+  const { referenceId, externalId } = await createOrder();
+  app.momo.transactions.get(referenceId).currency = "LRD";
+
+  const res = await successCallback(referenceId, externalId);
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "UNDER_REVIEW");
+  assert.deepEqual(
+    order.review_mismatches.map((m) => [m.source, m.field]),
+    [["momo", "currency"]],
+  );
+});
+
+test("holds a payment from another MSISDN", async () => {
+  const { referenceId, externalId } = await createOrder();
+
+  await successCallback(referenceId, externalId, {
+    payer: { partyIdType: "MSISDN", partyId: "231777000000" },
+  });
+
+  assert.equal(findOrder(referenceId).review_reason, "PAYER_MISMATCH");
+});
+
+test("a status check does not release a held payment", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await successCallback(referenceId, externalId, { amount: "1.00" });
+
+  const transaction = app.momo.transactions.get(referenceId);
+  await processTransactionStatus(referenceId, transaction);
+
+  assert.equal(findOrder(referenceId).payment_status, "UNDER_REVIEW");
+  assert.equal(rpcCount("commit_inventory", externalId), 0);
+});
+
+test("approving a held payment fulfills it", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await successCallback(referenceId, externalId, { amount: "0.70" });
+
+  const list = await app.request("GET", "/api/momo/reviews", {
+    role: "support",
+  });
+  assert.ok(list.body.orders.some((o) => o.reference_id === referenceId));
+
+  const res = await review(referenceId, {
+    decision: "approve",
+    notes: "Topped up in cash at delivery",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.status, "SUCCESSFUL");
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  assert.equal(order.review_decision, "approve");
+  assert.equal(order.review_notes, "Topped up in cash at delivery");
+  assert.equal(rpcCount("commit_inventory", externalId), 1);
+
+  const again = await review(referenceId, { decision: "reject" });
+  assert.equal(again.status, 409);
+});
+
+test("rejecting a held payment fails the order and releases the stock", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await successCallback(referenceId, externalId, { amount: "0.70" });
+
+  const res = await review(referenceId, { decision: "reject" });
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "FAILED");
+  assert.equal(order.failure_reason, "AMOUNT_MISMATCH");
+  assert.equal(rpcCount("release_inventory", externalId), 1);
+  assert.equal(rpcCount("commit_inventory", externalId), 0);
+});
+
+test("holds a payment MTN confirms after the order expired", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await processExpiredPayment({ referenceId, externalId });
+  assert.equal(rpcCount("release_inventory", externalId), 1);
+
+  const res = await successCallback(referenceId, externalId);
+
+  assert.equal(res.status, 200);
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "UNDER_REVIEW");
+  assert.equal(order.review_reason, "LATE_PAYMENT");
+  assert.deepEqual(order.review_mismatches, [
+    {
+      source: "callback",
+      field: "status",
+      expected: "PENDING",
+      actual: "EXPIRED",
+    },
+  ]);
+  assert.equal(rpcCount("commit_inventory", externalId), 0);
+  assert.deepEqual(
+    app.sent.map((email) => email.to),
+    ["support@litwaypicks.com"],
+  );
+});
+
+const palmOil = () =>
+  app.supabase.tables
+    .get("products")
+    .find((product) => product.id === "demo-palm-oil-1gal");
+
+test("approving a late payment takes its stock again", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await processExpiredPayment({ referenceId, externalId });
+  await successCallback(referenceId, externalId);
+  const stock = palmOil().stock;
+
+  const res = await review(referenceId, { decision: "approve" });
+
+  assert.equal(res.status, 200);
+  assert.equal(findOrder(referenceId).payment_status, "SUCCESSFUL");
+  assert.equal(rpcCount("commit_inventory", externalId), 1);
+  assert.equal(palmOil().stock, stock - 1);
+});
+
+test("a late payment cannot be approved once its stock has sold", async () => {
+  const { referenceId, externalId } = await createOrder();
+  await processExpiredPayment({ referenceId, externalId });
+  await successCallback(referenceId, externalId);
+
+  const product = palmOil();
+  const stock = product.stock;
+  product.stock = product.reserved;
+  try {
+    const res = await review(referenceId, { decision: "approve" });
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.errors[0].productId, "demo-palm-oil-1gal");
+    assert.equal(findOrder(referenceId).payment_status, "UNDER_REVIEW");
+    assert.equal(rpcCount("commit_inventory", externalId), 0);
+  } finally {
+    product.stock = stock;
+  }
+
+  // Rejecting it is still possible
+  const rejected = await review(referenceId, { decision: "reject" });
+  assert.equal(rejected.status, 200);
+});
+
+test("review decisions are validated and limited to admins", async () => {
+  const { referenceId } = await createOrder();
+
+  assert.equal((await review(referenceId, { decision: "maybe" })).status, 400);
+  assert.equal(
+    (await review(referenceId, { decision: "approve" })).status,
+    409,
+  );
+  assert.equal((await review("missing", { decision: "approve" })).status, 404);
+
+  const support = await app.request(
+    "POST",
+    `/api/momo/reviews/${referenceId}`,
+    {
+      role: "support",
+      body: { decision: "approve" },
+    },
+  );
+  assert.equal(support.status, 403);
+});
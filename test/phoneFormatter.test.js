@@ -0,0 +1,86 @@
+const { test } = require("node:test");
+const assert = require("node:assert/strict");
+const {
+  formatLiberianPhone,
+  formatMomoPhone,
+} = require("../utils/phoneFormatter");
+
+test("requires a phone number", () => {
+  for (const phone of [undefined, null, ""]) {
+    assert.deepEqual(formatLiberianPhone(phone), {
+      success: false,
+      code: "PHONE_REQUIRED",
+      error: "Phone number is required",
+    });
+  }
+});
+
+test("adds the 231 country code to local numbers", () => {
+  assert.equal(formatLiberianPhone("0886123456").phone, "231886123456");
+  assert.equal(formatLiberianPhone("886123456").phone, "231886123456");
+});
+
+test("keeps numbers that already have the country code", () => {
+  assert.equal(formatLiberianPhone("231886123456").phone, "231886123456");
+  assert.equal(formatLiberianPhone("+231886123456").phone, "231886123456");
+});
+
+test("strips spaces, dashes, brackets and the 00 prefix", () => {
+  assert.equal(formatLiberianPhone("+231 886 123 456").phone, "231886123456");
+  assert.equal(formatLiberianPhone("(088) 612-3456").phone, "231886123456");
+  assert.equal(formatLiberianPhone("00231886123456").phone, "231886123456");
+  assert.equal(
+    formatLiberianPhone("+231 (0)88 612 3456").phone,
+    "231886123456",
+  );
+});
+
+test("rejects numbers that are not 12 digits with the country code", () => {
+  for (const phone of ["12345", "08861234567", "2318861234567", "abc"]) {
+    const result = formatLiberianPhone(phone);
+    assert.equal(result.success, false, phone);
+    assert.match(result.error, /Invalid Liberia MSISDN/);
+  }
+});
+
+test("detects the operator and formats the number for display", () => {
+  assert.deepEqual(formatLiberianPhone("0555123456"), {
+    success: true,
+    phone: "231555123456",
+    national: "0555 123 456",
+    international: "+231 555 123 456",
+    carrier: "MTN",
+    carrierName: "MTN (Lonestar Cell)",
+    type: "mobile",
+    momo: true,
+  });
+
+  const orange = formatLiberianPhone("+231 770 123 456");
+  assert.equal(orange.carrier, "ORANGE");
+  assert.equal(orange.momo, false);
+
+  const landline = formatLiberianPhone("022123456");
+  assert.equal(landline.carrier, "LIBTELCO");
+  assert.equal(landline.type, "fixed");
+  assert.equal(landline.national, "022 123 456");
+});
+
+test("rejects foreign numbers and unknown prefixes", () => {
+  assert.equal(formatLiberianPhone("+233 24 123 4567").code, "NOT_LIBERIAN");
+  assert.equal(formatLiberianPhone("0446123456").code, "UNKNOWN_PREFIX");
+  assert.equal(formatLiberianPhone("0886 123 45").code, "INVALID_LENGTH");
+});
+
+test("accepts only MTN numbers for Mobile Money", () => {
+  assert.equal(formatMomoPhone("0886123456").phone, "231886123456");
+
+  assert.deepEqual(formatMomoPhone("0770123456"), {
+    success: false,
+    code: "UNSUPPORTED_CARRIER",
+    error:
+      "0770 123 456 is an Orange number. MTN Mobile Money needs an MTN number starting 088 or 055.",
+    carrier: "ORANGE",
+  });
+  assert.equal(formatMomoPhone("022123456").carrier, "LIBTELCO");
+  assert.equal(formatMomoPhone("12").code, "UNKNOWN_PREFIX");
+});
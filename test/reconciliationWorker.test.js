@@ -0,0 +1,150 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+// Two orders per pass, so backed-off orders could fill a whole batch
+process.env.RECONCILE_BATCH_SIZE = "2";
+
+const MINUTE = 60 * 1000;
+
+let app;
+let runReconciliation;
+let count = 0;
+
+/**
+ * Create an order through /pay, started `minutesAgo` minutes ago
+ */
+async function createOrder(minutesAgo) {
+  count += 1;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId: `ORDER-RECON-${count}`,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+
+  const row = orderRow(res.body.referenceId);
+  row.created_at = new Date(Date.now() - minutesAgo * MINUTE).toISOString();
+  return res.body.referenceId;
+}
+
+// The fake's own row, so tests can move it back in time
+const orderRow = (referenceId) =>
+  app.supabase.tables.get("orders").find((o) => o.reference_id === referenceId);
+
+// Orders left over from earlier tests must not take up the batch
+function finishAll() {
+  for (const row of app.supabase.tables.get("orders") || []) {
+    if (row.payment_status === "PENDING") {
+      row.payment_status = "FAILED";
+    }
+  }
+}
+
+before(async () => {
+  app = await startTestApp();
+  ({ runReconciliation } = require("../services/reconciliationWorker"));
+});
+
+after(() => app.close());
+
+test("applies the status MTN reports for a stuck payment", async () => {
+  finishAll();
+  const paid = await createOrder(10);
+  const declined = await createOrder(10);
+  Object.assign(app.momo.transactions.get(paid), {
+    status: "SUCCESSFUL",
+    financialTransactionId: "9100001",
+  });
+  Object.assign(app.momo.transactions.get(declined), {
+    status: "FAILED",
+    reason: "APPROVAL_REJECTED",
+  });
+
+  const summary = await runReconciliation();
+
+  assert.deepEqual(summary, { SUCCESSFUL: 1, FAILED: 1 });
+  assert.equal(orderRow(paid).payment_status, "SUCCESSFUL");
+  assert.equal(orderRow(paid).financial_transaction_id, "9100001");
+  assert.equal(orderRow(declined).payment_status, "FAILED");
+  assert.equal(orderRow(declined).failure_reason, "APPROVAL_REJECTED");
+});
+
+test("backs off payments that are still pending", async () => {
+  finishAll();
+  const referenceId = await createOrder(10);
+
+  assert.deepEqual(await runReconciliation(), { PENDING: 1 });
+  const row = orderRow(referenceId);
+  assert.equal(row.payment_status, "PENDING");
+  assert.equal(row.reconcile_attempts, 1);
+  const wait = new Date(row.next_reconcile_at).getTime() - Date.now();
+  assert.ok(wait > 50 * 1000 && wait <= MINUTE, `waits ${wait}ms`);
+
+  // Not due again yet
+  assert.deepEqual(await runReconciliation(), {});
+
+  // Due again: the next wait is twice as long
+  row.next_reconcile_at = new Date(Date.now() - 1000).toISOString();
+  assert.deepEqual(await runReconciliation(), { PENDING: 1 });
+  assert.equal(orderRow(referenceId).reconcile_attempts, 2);
+  assert.ok(
+    new Date(orderRow(referenceId).next_reconcile_at).getTime() - Date.now() >
+      110 * 1000,
+  );
+});
+
+test("orders waiting out their backoff do not starve newer ones", async () => {
+  finishAll();
+  const waiting = [await createOrder(30), await createOrder(20)];
+  for (const referenceId of waiting) {
+    orderRow(referenceId).next_reconcile_at = new Date(
+      Date.now() + 10 * MINUTE,
+    ).toISOString();
+  }
+  const newer = await createOrder(5);
+  app.momo.transactions.get(newer).status = "SUCCESSFUL";
+
+  assert.deepEqual(await runReconciliation(), { SUCCESSFUL: 1 });
+  assert.equal(orderRow(newer).payment_status, "SUCCESSFUL");
+});
+
+test("never backs off past the expiry deadline", async () => {
+  finishAll();
+  const referenceId = await createOrder(59.5);
+
+  assert.deepEqual(await runReconciliation(), { PENDING: 1 });
+  const row = orderRow(referenceId);
+  assert.equal(
+    new Date(row.next_reconcile_at).getTime(),
+    new Date(row.created_at).getTime() + 60 * MINUTE,
+  );
+});
+
+test("a payment MTN has no record of (404) expires at the deadline", async () => {
+  finishAll();
+  const recent = await createOrder(10);
+  const old = await createOrder(61);
+  const oldReservationId = orderRow(old).reservation_id;
+  app.momo.transactions.delete(recent);
+  app.momo.transactions.delete(old);
+
+  const summary = await runReconciliation();
+
+  assert.deepEqual(summary, { PENDING: 1, EXPIRED: 1 });
+  assert.equal(orderRow(recent).payment_status, "PENDING");
+  assert.equal(orderRow(recent).reconcile_attempts, 1);
+  assert.equal(orderRow(old).payment_status, "EXPIRED");
+  assert.equal(
+    app.supabase.rpcCalls.filter(
+      (call) =>
+        call.name === "release_inventory" &&
+        call.args.p_reservation_id === oldReservationId,
+    ).length,
+    1,
+  );
+});
@@ -0,0 +1,202 @@
+const { test, before, after, beforeEach } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let count = 0;
+
+/**
+ * Create an order through /pay, have MTN report it paid and return its
+ * reference ID and amount collected
+ */
+async function paidOrder() {
+  count += 1;
+  const externalId = `ORDER-RF-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 2 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  const { referenceId } = res.body;
+
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    financialTransactionId: "9000001",
+  });
+  const callback = await app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId: "9000001",
+      externalId,
+      status: "SUCCESSFUL",
+    },
+  });
+  assert.equal(callback.status, 200);
+
+  const order = findOrder(referenceId);
+  assert.equal(order.payment_status, "SUCCESSFUL");
+  return { referenceId, collected: Number(order.final_total) };
+}
+
+const findOrder = (referenceId) =>
+  app.supabase.rows("orders").find((o) => o.reference_id === referenceId);
+
+const refundsFor = (referenceId) =>
+  app.supabase
+    .rows("refunds")
+    .filter((r) => r.order_reference_id === referenceId);
+
+const refund = (referenceId, body = {}) =>
+  app.request("POST", `/api/momo/refund/${referenceId}`, {
+    role: "admin",
+    body,
+  });
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+beforeEach(() => {
+  app.disbursement.setRefundStatus("SUCCESSFUL");
+});
+
+test("refunds the whole payment and sends the refund ID to MTN", async () => {
+  const { referenceId, collected } = await paidOrder();
+
+  const res = await refund(referenceId, { reason: "Out of stock" });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.refund.status, "SUCCESSFUL");
+  assert.equal(Number(res.body.refund.amount), collected);
+  const sent = app.disbursement.requests.at(-1);
+  assert.equal(sent.referenceId, res.body.refund.id);
+  assert.equal(sent.referenceIdToRefund, referenceId);
+  assert.equal(findOrder(referenceId).payment_status, "REFUNDED");
+});
+
+test("partial refunds add up to the amount collected", async () => {
+  const { referenceId, collected } = await paidOrder();
+  const first = collected / 4;
+
+  const partial = await refund(referenceId, { amount: first });
+  assert.equal(partial.status, 200);
+  assert.equal(findOrder(referenceId).payment_status, "PARTIALLY_REFUNDED");
+  assert.equal(Number(findOrder(referenceId).refunded_amount), first);
+
+  // No amount: the rest of the balance
+  const rest = await refund(referenceId);
+  assert.equal(rest.status, 200);
+  assert.equal(Number(rest.body.refund.amount), collected - first);
+  assert.equal(findOrder(referenceId).payment_status, "REFUNDED");
+
+  const again = await refund(referenceId, { amount: 1 });
+  assert.equal(again.status, 400);
+});
+
+test("rejects a refund above the refundable balance", async () => {
+  const { referenceId, collected } = await paidOrder();
+  const requests = app.disbursement.requests.length;
+
+  const over = await refund(referenceId, { amount: collected + 1 });
+  assert.equal(over.status, 400);
+  assert.equal(over.body.refundableAmount, collected);
+
+  // A pending refund still counts against the balance
+  app.disbursement.setRefundStatus("PENDING");
+  const pending = await refund(referenceId, { amount: collected - 1 });
+  assert.equal(pending.status, 200);
+  assert.equal(pending.body.refund.status, "PENDING");
+
+  const more = await refund(referenceId, { amount: 2 });
+  assert.equal(more.status, 400);
+  assert.equal(more.body.refundableAmount, 1);
+
+  assert.equal(app.disbursement.requests.length, requests + 1);
+  assert.equal(refundsFor(referenceId).length, 1);
+});
+
+test("concurrent refunds cannot both take the balance", async () => {
+  const { referenceId, collected } = await paidOrder();
+  const requests = app.disbursement.requests.length;
+
+  // Hold each claim until all three requests have read the balance
+  const rpc = app.supabase.rpc;
+  const waiting = [];
+  app.supabase.rpc = async function (name, args) {
+    if (name === "request_refund") {
+      await new Promise((resolve) => {
+        waiting.push(resolve);
+        if (waiting.length === 3) waiting.forEach((release) => release());
+      });
+    }
+    return rpc.call(this, name, args);
+  };
+
+  let results;
+  try {
+    results = await Promise.all([
+      refund(referenceId, { amount: collected }),
+      refund(referenceId, { amount: collected }),
+      refund(referenceId, { amount: collected / 2 }),
+    ]);
+  } finally {
+    app.supabase.rpc = rpc;
+  }
+
+  assert.deepEqual(results.map((res) => res.status).sort(), [200, 400, 400]);
+  assert.equal(app.disbursement.requests.length, requests + 1);
+  assert.equal(refundsFor(referenceId).length, 1);
+  assert.equal(findOrder(referenceId).payment_status, "REFUNDED");
+});
+
+test("records the refund before MTN is called", async () => {
+  const { referenceId } = await paidOrder();
+  const error = new Error("timeout of 30000ms exceeded");
+  error.code = "ECONNABORTED";
+  app.disbursement.failNextRefund(error);
+
+  const res = await refund(referenceId, { amount: 1 });
+
+  // MTN may have taken it: it stays PENDING and keeps its share
+  assert.equal(res.status, 502);
+  const [row] = refundsFor(referenceId);
+  assert.equal(row.id, res.body.refund.id);
+  assert.equal(row.status, "PENDING");
+  assert.equal(app.disbursement.requests.at(-1).referenceId, row.id);
+
+  // MTN reports it later; the status check picks it up
+  app.disbursement.refunds.set(row.id, {
+    status: "SUCCESSFUL",
+    financialTransactionId: "8100001",
+  });
+  const status = await app.request("GET", `/api/momo/refund/${row.id}/status`, {
+    role: "support",
+  });
+  assert.equal(status.body.status, "SUCCESSFUL");
+  assert.equal(findOrder(referenceId).payment_status, "PARTIALLY_REFUNDED");
+});
+
+test("marks the refund FAILED when MTN refuses it", async () => {
+  const { referenceId, collected } = await paidOrder();
+  const error = new Error("Request failed with status code 400");
+  error.response = { status: 400, data: { code: "NOT_ENOUGH_FUNDS" } };
+  app.disbursement.failNextRefund(error);
+
+  const res = await refund(referenceId);
+
+  assert.equal(res.status, 400);
+  assert.equal(res.body.refund.status, "FAILED");
+  assert.equal(refundsFor(referenceId)[0].failure_reason, "NOT_ENOUGH_FUNDS");
+
+  // The failed refund no longer holds the balance
+  const retry = await refund(referenceId);
+  assert.equal(retry.status, 200);
+  assert.equal(Number(retry.body.refund.amount), collected);
+});
@@ -0,0 +1,234 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+let parseCsv;
+let toCsv;
+let count = 0;
+
+const today = new Date().toISOString().slice(0, 10);
+const time = `${today} 12:00:00`;
+
+async function createOrder() {
+  count += 1;
+  const externalId = `ORDER-ST-${count}`;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId: res.body.referenceId, externalId };
+}
+
+// MTN updates its own record, then calls the payment's callback URL
+async function pay(financialTransactionId) {
+  const { referenceId, externalId } = await createOrder();
+  Object.assign(app.momo.transactions.get(referenceId), {
+    status: "SUCCESSFUL",
+    financialTransactionId,
+  });
+
+  const res = await app.request("POST", app.callbackPath(referenceId), {
+    headers: { "X-Reference-Id": referenceId },
+    body: {
+      financialTransactionId,
+      externalId,
+      amount: "7.00",
+      currency: "USD",
+      status: "SUCCESSFUL",
+    },
+  });
+  assert.equal(res.status, 200);
+  return { referenceId, externalId };
+}
+
+const statement = (lines) =>
+  [
+    "Id,External Transaction Id,Date,Status,Type,From,Amount,Currency",
+    ...lines,
+  ].join("\r\n");
+
+const importStatement = (csv) =>
+  app.request("POST", "/api/admin/reconciliation/statements", {
+    role: "admin",
+    headers: { "Content-Type": "text/csv" },
+    body: csv,
+  });
+
+before(async () => {
+  app = await startTestApp();
+  ({ parseCsv, toCsv } = require("../utils/csv"));
+});
+
+after(() => app.close());
+
+test("parses quoted CSV fields", () => {
+  const rows = parseCsv(
+    'Id,Note,Amount\r\n1,"Paid, ""in full""",7.00\r\n\r\n2,"two\nlines",3\n',
+  );
+
+  assert.deepEqual(rows, [
+    { Id: "1", Note: 'Paid, "in full"', Amount: "7.00" },
+    { Id: "2", Note: "two\nlines", Amount: "3" },
+  ]);
+  assert.deepEqual(
+    rows.map((row) => row.lineNumber),
+    [2, 4],
+  );
+});
+
+test("CSV cells that look like formulas are written as text", () => {
+  const csv = toCsv(
+    ["detail", "amount"],
+    [
+      { detail: '=HYPERLINK("http://x")', amount: -7 },
+      { detail: "+1", amount: "-7" },
+      { detail: "@SUM(A1)", amount: null },
+      { detail: "\tx", amount: 7 },
+      { detail: "a-b", amount: 7 },
+    ],
+  );
+
+  assert.deepEqual(parseCsv(csv), [
+    { detail: '\'=HYPERLINK("http://x")', amount: "-7" },
+    { detail: "'+1", amount: "'-7" },
+    { detail: "'@SUM(A1)", amount: "" },
+    { detail: "'\tx", amount: "7" },
+    { detail: "a-b", amount: "7" },
+  ]);
+});
+
+test("reports unmatched payments, missing lines and amount differences", async () => {
+  const matched = await pay("FT-1001");
+  const missing = await pay("FT-1002");
+  const short = await pay("FT-1003");
+  const unpaid = await createOrder();
+
+  const imported = await importStatement(
+    statement([
+      `FT-1001,${matched.externalId},${time},SUCCESSFUL,PAYMENT,231886123456,7.00,USD`,
+      `FT-1003,${short.externalId},${time},SUCCESSFUL,PAYMENT,231886123456,6.00,USD`,
+      `FT-1004,${unpaid.externalId},${time},SUCCESSFUL,PAYMENT,231886123456,7.00,USD`,
+      `FT-1005,,${time},SUCCESSFUL,PAYMENT,231777000000,"1,200.00",LRD`,
+      `FT-1006,,${time},FAILED,PAYMENT,231886123456,7.00,USD`,
+      `FT-1007,,${time},SUCCESSFUL,TRANSFER,231886123456,-50.00,USD`,
+      `FT-1008,,yesterday,SUCCESSFUL,PAYMENT,231886123456,7.00,USD`,
+    ]),
+  );
+
+  assert.equal(imported.status, 200);
+  assert.equal(imported.body.imported, 4);
+  assert.equal(imported.body.skipped, 2);
+  assert.deepEqual(imported.body.errors, [
+    { line: 8, message: "Invalid date" },
+  ]);
+  assert.deepEqual(imported.body.dates, [today]);
+
+  const res = await app.request("GET", `/api/admin/reconciliation/${today}`, {
+    role: "support",
+  });
+
+  assert.equal(res.status, 200);
+  assert.deepEqual(res.body.statement, {
+    lines: 4,
+    totals: { USD: 20, LRD: 1200 },
+  });
+  assert.deepEqual(res.body.orders, { paid: 3, totals: { USD: 21 } });
+  assert.equal(res.body.matched, 2);
+  assert.deepEqual(res.body.counts, {
+    unmatched_payment: 2,
+    missing_from_statement: 1,
+    amount_mismatch: 1,
+  });
+
+  const byType = (type) =>
+    res.body.exceptions
+      .filter((entry) => entry.type === type)
+      .map((entry) => [entry.financialTransactionId, entry.detail]);
+
+  assert.deepEqual(byType("unmatched_payment"), [
+    ["FT-1004", "Order is PENDING"],
+    ["FT-1005", "No matching order"],
+  ]);
+  assert.deepEqual(byType("amount_mismatch"), [["FT-1003", "amount 6 != 7"]]);
+  assert.deepEqual(byType("missing_from_statement"), [
+    ["FT-1002", "Marked paid but not on the statement"],
+  ]);
+  assert.equal(
+    res.body.exceptions.find((e) => e.type === "missing_from_statement")
+      .referenceId,
+    missing.referenceId,
+  );
+
+  const csv = await app.request(
+    "GET",
+    `/api/admin/reconciliation/${today}/exceptions.csv`,
+    { role: "admin" },
+  );
+  assert.equal(csv.status, 200);
+  assert.match(csv.headers.get("content-type"), /^text\/csv/);
+  assert.match(
+    csv.headers.get("content-disposition"),
+    new RegExp(`reconciliation-exceptions-${today}\\.csv`),
+  );
+  const rows = parseCsv(csv.body);
+  assert.equal(rows.length, 4);
+  assert.deepEqual(rows[1], {
+    type: "unmatched_payment",
+    financialTransactionId: "FT-1004",
+    externalId: unpaid.externalId,
+    referenceId: unpaid.referenceId,
+    transactedAt: `${today}T12:00:00.000Z`,
+    statementAmount: "7",
+    orderAmount: "7",
+    currency: "USD",
+    orderStatus: "PENDING",
+    detail: "Order is PENDING",
+  });
+
+  // Importing the same statement again does not duplicate its lines
+  await importStatement(
+    statement([
+      `FT-1001,${matched.externalId},${time},SUCCESSFUL,PAYMENT,231886123456,7.00,USD`,
+    ]),
+  );
+  const again = await app.request("GET", `/api/admin/reconciliation/${today}`, {
+    role: "admin",
+  });
+  assert.equal(again.body.statement.lines, 4);
+});
+
+test("validates statements and dates", async () => {
+  const missingColumns = await importStatement("Id,Amount\r\nFT-1,7.00");
+  assert.equal(missingColumns.status, 400);
+  assert.match(missingColumns.body.message, /missing columns: date/);
+
+  const json = await app.request(
+    "POST",
+    "/api/admin/reconciliation/statements",
+    { role: "admin", body: { csv: "Id" } },
+  );
+  assert.equal(json.status, 400);
+
+  const badDate = await app.request(
+    "GET",
+    "/api/admin/reconciliation/2026-02-30",
+    {
+      role: "admin",
+    },
+  );
+  assert.equal(badDate.status, 400);
+
+  const support = await app.request(
+    "POST",
+    "/api/admin/reconciliation/statements",
+    { role: "support", headers: { "Content-Type": "text/csv" }, body: "Id" },
+  );
+  assert.equal(support.status, 403);
+});
@@ -0,0 +1,89 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp } = require("./helpers/testApp");
+
+let app;
+
+function seedOrder(referenceId, paymentStatus) {
+  app.supabase.seed("orders", [
+    {
+      reference_id: referenceId,
+      external_id: `ORDER-${referenceId}`,
+      amount: 45,
+      currency: "USD",
+      payment_status: paymentStatus,
+    },
+  ]);
+}
+
+const orderStatus = (referenceId) =>
+  app.supabase.rows("orders").find((o) => o.reference_id === referenceId)
+    .payment_status;
+
+before(async () => {
+  app = await startTestApp();
+});
+
+after(() => app.close());
+
+test("requires staff or the order's own status token", async () => {
+  const res = await app.request("GET", "/api/momo/status/ref-any");
+  assert.equal(res.status, 401);
+});
+
+test("answers from the database when the order is already final", async () => {
+  seedOrder("ref-db", "SUCCESSFUL");
+  app.momo.transactions.set("ref-db", { status: "FAILED" });
+
+  const res = await app.request("GET", "/api/momo/status/ref-db", {
+    role: "support",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "database");
+  assert.equal(res.body.status, "SUCCESSFUL");
+  assert.equal(orderStatus("ref-db"), "SUCCESSFUL");
+});
+
+test("asks the MoMo API when the order is still pending", async () => {
+  seedOrder("ref-api", "PENDING");
+  app.momo.transactions.set("ref-api", {
+    financialTransactionId: "555",
+    externalId: "ORDER-ref-api",
+    amount: "45",
+    currency: "USD",
+    status: "SUCCESSFUL",
+  });
+
+  const res = await app.request("GET", "/api/momo/status/ref-api", {
+    role: "admin",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "momo_api");
+  assert.equal(res.body.status, "SUCCESSFUL");
+  assert.equal(orderStatus("ref-api"), "SUCCESSFUL");
+});
+
+test("falls back to the cache when the MoMo API has no record", async () => {
+  seedOrder("ref-cache", "PENDING");
+  await app.store.set("ref-cache", {
+    referenceId: "ref-cache",
+    status: "PENDING",
+  });
+
+  const res = await app.request("GET", "/api/momo/status/ref-cache", {
+    role: "admin",
+  });
+
+  assert.equal(res.status, 200);
+  assert.equal(res.body.source, "cache");
+  assert.equal(res.body.status, "PENDING");
+});
+
+test("returns 404 when no source knows the transaction", async () => {
+  const res = await app.request("GET", "/api/momo/status/ref-unknown", {
+    role: "admin",
+  });
+  assert.equal(res.status, 404);
+});
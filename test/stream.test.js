@@ -0,0 +1,153 @@
+const { test, before, after } = require("node:test");
+const assert = require("node:assert/strict");
+const { startTestApp, API_KEYS } = require("./helpers/testApp");
+
+let app;
+let ordersRepository;
+let notifyListeners;
+let listenerCount;
+let count = 0;
+
+/**
+ * Create an order through /pay; returns its reference ID and status token
+ */
+async function createOrder() {
+  count += 1;
+  const res = await app.request("POST", "/api/momo/pay", {
+    body: {
+      phone: "0886123456",
+      externalId: `ORDER-STREAM-${count}`,
+      items: [{ id: "demo-palm-oil-1gal", quantity: 1 }],
+      userInfo: { firstName: "Jane", email: "jane@example.com" },
+      deliveryInfo: { deliveryAddress: "Broad Street" },
+    },
+  });
+  assert.equal(res.status, 200);
+  return res.body;
+}
+
+// Status events in a finished stream
+const events = (body) =>
+  body
+    .split("\n\n")
+    .filter((chunk) => chunk.startsWith("event: status"))
+    .map((chunk) => JSON.parse(chunk.split("data: ")[1]));
+
+const setStatus = (referenceId, status) => {
+  app.supabase.tables
+    .get("orders")
+    .find((o) => o.reference_id === referenceId).payment_status = status;
+};
+
+before(async () => {
+  app = await startTestApp();
+  ordersRepository = require("../repositories/orders");
+  ({ notifyListeners, listenerCount } = require("../MoMoCallbackHandler"));
+});
+
+after(() => app.close());
+
+test("closes once the payment is settled, including refunds", async () => {
+  for (const status of ["SUCCESSFUL", "REFUNDED", "PARTIALLY_REFUNDED"]) {
+    const { referenceId } = await createOrder();
+    setStatus(referenceId, status);
+
+    const res = await app.request("GET", `/api/momo/stream/${referenceId}`, {
+      role: "support",
+    });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(
+      events(res.body).map((event) => event.status),
+      [status],
+    );
+  }
+});
+
+test("an update pushed while the status is read is not lost", async () => {
+  const { referenceId } = await createOrder();
+
+  // MTN's callback lands between the lookup and the subscription
+  const findByReference = ordersRepository.findByReference;
+  ordersRepository.findByReference = async (...args) => {
+    const order = await findByReference(...args);
+    notifyListeners({ referenceId, status: "SUCCESSFUL" });
+    return order;
+  };
+
+  let res;
+  try {
+    res = await app.request("GET", `/api/momo/stream/${referenceId}`, {
+      role: "support",
+    });
+  } finally {
+    ordersRepository.findByReference = findByReference;
+  }
+
+  assert.deepEqual(
+    events(res.body).map((event) => event.status),
+    ["PENDING", "SUCCESSFUL"],
+  );
+});
+
+test("a client that leaves while the status is read stops listening", async () => {
+  const { referenceId } = await createOrder();
+  const listeners = listenerCount();
+
+  // Hold the lookup until the client has gone
+  let lookupStarted;
+  const started = new Promise((resolve) => (lookupStarted = resolve));
+  let finishLookup;
+  const lookup = new Promise((resolve) => (finishLookup = resolve));
+  const findByReference = ordersRepository.findByReference;
+  ordersRepository.findByReference = async (...args) => {
+    lookupStarted();
+    await lookup;
+    return findByReference(...args);
+  };
+
+  const controller = new AbortController();
+  try {
+    const request = app
+      .request("GET", `/api/momo/stream/${referenceId}`, {
+        role: "support",
+        signal: controller.signal,
+      })
+      .catch((error) => error);
+    await started;
+    controller.abort();
+    assert.equal((await request).name, "AbortError");
+    // Let the server see the disconnect
+    await new Promise((resolve) => setTimeout(resolve, 50));
+  } finally {
+    finishLookup();
+    ordersRepository.findByReference = findByReference;
+  }
+  await new Promise((resolve) => setImmediate(resolve));
+
+  assert.equal(listenerCount(), listeners);
+});
+
+test("?token= accepts status tokens only", async () => {
+  const { referenceId, statusToken } = await createOrder();
+  setStatus(referenceId, "FAILED");
+  const url = `/api/momo/stream/${referenceId}?token=`;
+
+  const withStatusToken = await app.request("GET", url + statusToken);
+  assert.equal(withStatusToken.status, 200);
+  assert.equal(events(withStatusToken.body)[0].status, "FAILED");
+
+  // API keys and JWTs without an order must be sent as headers
+  const withApiKey = await app.request("GET", url + API_KEYS.admin);
+  assert.equal(withApiKey.status, 401);
+
+  const jwt = require("../utils/jwt");
+  const supportToken = jwt.sign({ role: "support" }, "test-jwt-secret", 60);
+  const withSupportJwt = await app.request("GET", url + supportToken);
+  assert.equal(withSupportJwt.status, 401);
+
+  const asHeader = await app.request("GET", `/api/momo/stream/${referenceId}`, {
+    headers: { Authorization: `Bearer ${supportToken}` },
+  });
+  assert.equal(asHeader.status, 200);
+});
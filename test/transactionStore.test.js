@@ -0,0 +1,127 @@
+const { test, after } = require("node:test");
+const assert = require("node:assert/strict");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+const { createFakeSupabase } = require("./helpers/fakeSupabase");
+const { createMemoryStore } = require("../utils/transactionStore/memoryStore");
+const { createFileStore } = require("../utils/transactionStore/fileStore");
+const {
+  createSupabaseStore,
+} = require("../utils/transactionStore/supabaseStore");
+
+const dir = fs.mkdtempSync(path.join(os.tmpdir(), "transaction-store-"));
+after(() => fs.rmSync(dir, { recursive: true, force: true }));
+
+let files = 0;
+const tempFile = () => path.join(dir, `store-${++files}.json`);
+
+const BACKENDS = {
+  memory: (options) => createMemoryStore(options),
+  file: (options) => createFileStore({ file: tempFile(), ...options }),
+  supabase: (options) =>
+    createSupabaseStore({
+      supabase: createFakeSupabase({
+        unique: { transaction_cache: ["reference_id"] },
+      }),
+      ...options,
+    }),
+};
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+for (const [name, create] of Object.entries(BACKENDS)) {
+  test(`${name}: stores, lists and deletes transactions`, async () => {
+    const store = create({ ttlMs: 60 * 1000 });
+
+    await store.set("ref-1", { referenceId: "ref-1", status: "PENDING" });
+    await store.set("ref-2", { referenceId: "ref-2", status: "SUCCESSFUL" });
+
+    assert.deepEqual(await store.get("ref-1"), {
+      referenceId: "ref-1",
+      status: "PENDING",
+    });
+    assert.equal(await store.get("missing"), null);
+    assert.deepEqual(
+      (await store.values()).map((tx) => tx.referenceId).sort(),
+      ["ref-1", "ref-2"],
+    );
+
+    await store.delete("ref-1");
+    assert.equal(await store.get("ref-1"), null);
+  });
+
+  test(`${name}: returns copies, not shared objects`, async () => {
+    const store = create({ ttlMs: 60 * 1000 });
+    const value = { referenceId: "ref-copy", status: "PENDING" };
+
+    await store.set("ref-copy", value);
+    value.status = "FAILED";
+    (await store.get("ref-copy")).status = "FAILED";
+
+    assert.equal((await store.get("ref-copy")).status, "PENDING");
+  });
+
+  test(`${name}: expires entries after the TTL`, async () => {
+    const store = create({ ttlMs: 20 });
+
+    await store.set("ref-ttl", { referenceId: "ref-ttl" });
+    await sleep(40);
+
+    assert.equal(await store.get("ref-ttl"), null);
+    assert.deepEqual(await store.values(), []);
+    assert.equal(await store.evictExpired(), 1);
+    assert.equal(await store.evictExpired(), 0);
+  });
+
+  test(`${name}: update is atomic under concurrent writers`, async () => {
+    const store = create({ ttlMs: 60 * 1000 });
+
+    await Promise.all(
+      Array.from({ length: 5 }, () =>
+        store.update("ref-count", (current) => ({
+          count: (current?.count || 0) + 1,
+        })),
+      ),
+    );
+
+    assert.equal((await store.get("ref-count")).count, 5);
+  });
+
+  test(`${name}: update leaves the entry alone when the updater returns undefined`, async () => {
+    const store = create({ ttlMs: 60 * 1000 });
+    await store.set("ref-keep", { status: "SUCCESSFUL" });
+
+    const result = await store.update("ref-keep", () => undefined);
+
+    assert.equal(result, null);
+    assert.deepEqual(await store.get("ref-keep"), { status: "SUCCESSFUL" });
+  });
+}
+
+test("file: survives a restart and is shared between instances", async () => {
+  const file = tempFile();
+  const first = createFileStore({ file, ttlMs: 60 * 1000 });
+  const second = createFileStore({ file, ttlMs: 60 * 1000 });
+
+  await first.set("ref-shared", { status: "PENDING" });
+  assert.deepEqual(await second.get("ref-shared"), { status: "PENDING" });
+
+  await second.update("ref-shared", (tx) => ({ ...tx, status: "SUCCESSFUL" }));
+  const restarted = createFileStore({ file, ttlMs: 60 * 1000 });
+  assert.deepEqual(await restarted.get("ref-shared"), { status: "SUCCESSFUL" });
+});
+
+test("file: breaks a stale lock left by a crashed process", async () => {
+  const file = tempFile();
+  const store = createFileStore({ file, ttlMs: 60 * 1000 });
+  const lockFile = `${file}.lock`;
+
+  fs.writeFileSync(lockFile, "");
+  const stale = new Date(Date.now() - 60 * 1000);
+  fs.utimesSync(lockFile, stale, stale);
+
+  await store.set("ref-lock", { status: "PENDING" });
+  assert.deepEqual(await store.get("ref-lock"), { status: "PENDING" });
+  assert.equal(fs.existsSync(lockFile), false);
+});
@@ -0,0 +1,101 @@
+/**
+ * Parse CSV text (RFC 4180: quoted fields, "" escapes, CRLF or LF)
+ * @param {string} text - CSV with a header row
+ * @returns {object[]} One object per data row, keyed by header; rows that
+ *   are entirely empty are skipped. Each object has a non-enumerable
+ *   `lineNumber` (1-based, header is line 1) for error messages.
+ */
+function parseCsv(text) {
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+
+  const endField = () => {
+    record.push(field);
+    field = "";
+  };
+  const endRecord = () => {
+    endField();
+    records.push({ values: record, line: recordLine });
+    record = [];
+    recordLine = line;
+  };
+
+  const input = String(text || "").replace(/^\uFEFF/, "");
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        if (char === "\n") line++;
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      endField();
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      line++;
+      endRecord();
+    } else {
+      field += char;
+    }
+  }
+  if (field || record.length > 0) {
+    endRecord();
+  }
+
+  const [header, ...rows] = records.filter(({ values }) =>
+    values.some((value) => value.trim() !== ""),
+  );
+  if (!header) {
+    return [];
+  }
+
+  const names = header.values.map((name) => name.trim());
+  return rows.map(({ values, line: lineNumber }) => {
+    const row = Object.fromEntries(
+      names.map((name, index) => [name, (values[index] ?? "").trim()]),
+    );
+    Object.defineProperty(row, "lineNumber", { value: lineNumber });
+    return row;
+  });
+}
+
+// Leading characters spreadsheets read as the start of a formula
+const FORMULA_START = /^[=+\-@\t\r]/;
+
+/**
+ * Format rows as CSV
+ * Text that starts like a formula is prefixed with ' so spreadsheets show
+ * it rather than run it (numbers are written as they are).
+ * @param {string[]} columns - Header row, also the keys read from each row
+ * @param {object[]} rows
+ * @returns {string} CSV with CRLF line endings
+ */
+function toCsv(columns, rows) {
+  const escape = (value) => {
+    let text = value === null || value === undefined ? "" : String(value);
+    if (typeof value !== "number" && FORMULA_START.test(text)) {
+      text = `'${text}`;
+    }
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+  };
+
+  return (
+    [columns, ...rows.map((row) => columns.map((column) => row[column]))]
+      .map((values) => values.map(escape).join(","))
+      .join("\r\n") + "\r\n"
+  );
+}
+
+module.exports = { parseCsv, toCsv };
@@ -0,0 +1,230 @@
+const crypto = require("crypto");
+const supabase = require("../config/database");
+const { logger } = require("./logger");
+
+const log = logger.child({ module: "idempotency" });
+
+// In-memory fallback (used when Supabase is not connected)
+const memoryStore = new Map();
+
+// Keys are kept for 24 hours, long enough to cover client retries
+const KEY_TTL_MS = 24 * 60 * 60 * 1000;
+
+// A key still in_progress after this long belongs to a request that died
+// (crash or restart) and may be taken over by a retry
+const IN_PROGRESS_TIMEOUT_MS = 5 * 60 * 1000;
+
+/**
+ * Serialize a value with sorted object keys so that two bodies with the
+ * same content always produce the same hash
+ */
+function stableStringify(value) {
+  if (Array.isArray(value)) {
+    return `[${value.map(stableStringify).join(",")}]`;
+  }
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .filter((key) => value[key] !== undefined)
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+/**
+ * Hash a request body for comparison against a stored key
+ * @param {object} body - Request body
+ * @returns {string} sha256 hex digest
+ */
+function hashRequest(body) {
+  return crypto
+    .createHash("sha256")
+    .update(stableStringify(body || {}))
+    .digest("hex");
+}
+
+function isExpired(record) {
+  return Date.now() - new Date(record.createdAt).getTime() > KEY_TTL_MS;
+}
+
+/**
+ * Expired, or abandoned while in progress
+ */
+function isReclaimable(record) {
+  const age = Date.now() - new Date(record.createdAt).getTime();
+  return (
+    age > KEY_TTL_MS ||
+    (record.status === "in_progress" && age > IN_PROGRESS_TIMEOUT_MS)
+  );
+}
+
+function fromRow(row) {
+  return {
+    key: row.key,
+    requestHash: row.request_hash,
+    status: row.status,
+    responseStatus: row.response_status,
+    responseBody: row.response_body,
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Look up an idempotency record
+ * @param {string} key - Idempotency key
+ * @returns {object|null} { key, requestHash, status, responseStatus, responseBody, createdAt }
+ */
+async function getRecord(key) {
+  let record = null;
+
+  if (supabase) {
+    const { data, error } = await supabase
+      .from("idempotency_keys")
+      .select("*")
+      .eq("key", key)
+      .maybeSingle();
+
+    if (error) {
+      log.error("Idempotency lookup failed", { idempotencyKey: key, error });
+    } else if (data) {
+      record = fromRow(data);
+    }
+  } else {
+    record = memoryStore.get(key) || null;
+  }
+
+  // Expired keys are taken over by the next reserve()
+  return record && !isExpired(record) ? record : null;
+}
+
+/**
+ * Reserve a key before processing a request
+ * An expired key, or one left in_progress by a request that never finished,
+ * is taken over instead of blocking the key until it expires.
+ * @param {string} key - Idempotency key
+ * @param {string} requestHash - Hash of the request body
+ * @returns {boolean} true if the key was reserved, false if it is held by
+ *   another request
+ */
+async function reserve(key, requestHash) {
+  const record = {
+    key,
+    requestHash,
+    status: "in_progress",
+    responseStatus: null,
+    responseBody: null,
+    createdAt: new Date().toISOString(),
+  };
+
+  if (supabase) {
+    const { error } = await supabase.from("idempotency_keys").insert({
+      key,
+      request_hash: requestHash,
+      status: record.status,
+      created_at: record.createdAt,
+    });
+
+    if (error) {
+      // Unique violation - the key exists; take it over only if it is
+      // expired or abandoned (one conditional update, so only one retry wins)
+      if (error.code === "23505") {
+        return reclaim(key, record);
+      }
+      throw error;
+    }
+    return true;
+  }
+
+  const existing = memoryStore.get(key);
+  if (existing && !isReclaimable(existing)) {
+    return false;
+  }
+  memoryStore.set(key, record);
+  return true;
+}
+
+/**
+ * Take over an existing key that is expired or abandoned
+ * @returns {boolean} true if the key was taken over
+ */
+async function reclaim(key, record) {
+  const now = Date.now();
+  const expiredBefore = new Date(now - KEY_TTL_MS).toISOString();
+  const abandonedBefore = new Date(now - IN_PROGRESS_TIMEOUT_MS).toISOString();
+
+  const { data, error } = await supabase
+    .from("idempotency_keys")
+    .update({
+      request_hash: record.requestHash,
+      status: record.status,
+      response_status: null,
+      response_body: null,
+      created_at: record.createdAt,
+    })
+    .eq("key", key)
+    .lt("created_at", abandonedBefore)
+    .or(`status.eq.in_progress,created_at.lt.${expiredBefore}`)
+    .select("key");
+
+  if (error) throw error;
+  if (data.length > 0) {
+    log.info("Reclaimed idempotency key", { idempotencyKey: key });
+  }
+  return data.length > 0;
+}
+
+/**
+ * Store the final response for a reserved key so it can be replayed
+ */
+async function complete(key, responseStatus, responseBody) {
+  if (supabase) {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .update({
+        status: "completed",
+        response_status: responseStatus,
+        response_body: responseBody,
+      })
+      .eq("key", key);
+
+    if (error) {
+      log.error("Idempotency save failed", { idempotencyKey: key, error });
+    }
+    return;
+  }
+
+  const record = memoryStore.get(key);
+  if (record) {
+    record.status = "completed";
+    record.responseStatus = responseStatus;
+    record.responseBody = responseBody;
+  }
+}
+
+/**
+ * Release a key so the request can be retried (e.g. after a failure)
+ */
+async function release(key) {
+  if (supabase) {
+    const { error } = await supabase
+      .from("idempotency_keys")
+      .delete()
+      .eq("key", key);
+
+    if (error) {
+      log.error("Idempotency release failed", { idempotencyKey: key, error });
+    }
+    return;
+  }
+
+  memoryStore.delete(key);
+}
+
+module.exports = {
+  hashRequest,
+  getRecord,
+  reserve,
+  complete,
+  release,
+};
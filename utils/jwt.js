@@ -0,0 +1,70 @@
+const crypto = require("crypto");
+
+/**
+ * Minimal HS256 JSON Web Token helpers
+ */
+
+function sign(payload, secret, expiresInSeconds) {
+  const header = { alg: "HS256", typ: "JWT" };
+  const now = Math.floor(Date.now() / 1000);
+  const body = { iat: now, ...payload };
+  if (expiresInSeconds) {
+    body.exp = now + expiresInSeconds;
+  }
+
+  const encodedHeader = Buffer.from(JSON.stringify(header)).toString(
+    "base64url",
+  );
+  const encodedBody = Buffer.from(JSON.stringify(body)).toString("base64url");
+  const signature = crypto
+    .createHmac("sha256", secret)
+    .update(`${encodedHeader}.${encodedBody}`)
+    .digest("base64url");
+
+  return `${encodedHeader}.${encodedBody}.${signature}`;
+}
+
+/**
+ * Verify a token and return its payload
+ * @returns {object|null} Payload, or null if the token is invalid or expired
+ */
+function verify(token, secret) {
+  const parts = String(token).split(".");
+  if (parts.length !== 3) {
+    return null;
+  }
+
+  const [encodedHeader, encodedBody, signature] = parts;
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(`${encodedHeader}.${encodedBody}`)
+    .digest();
+  const actual = Buffer.from(signature, "base64url");
+
+  if (
+    actual.length !== expected.length ||
+    !crypto.timingSafeEqual(actual, expected)
+  ) {
+    return null;
+  }
+
+  try {
+    const header = JSON.parse(Buffer.from(encodedHeader, "base64url"));
+    if (header.alg !== "HS256") {
+      return null;
+    }
+
+    const payload = JSON.parse(Buffer.from(encodedBody, "base64url"));
+    if (payload.exp && Math.floor(Date.now() / 1000) >= payload.exp) {
+      return null;
+    }
+    return payload;
+  } catch (error) {
+    return null;
+  }
+}
+
+module.exports = {
+  sign,
+  verify,
+};
@@ -0,0 +1,305 @@
+/**
+ * Structured Logger
+ *
+ * Writes one JSON object per line:
+ *
+ *   {"time":"...","level":"info","msg":"Payment requested",
+ *    "correlationId":"...","referenceId":"...","phone":"*********456"}
+ *
+ * - Levels are debug, info, warn and error; entries below LOG_LEVEL
+ *   (config/logging.config.js) are dropped
+ * - Every entry carries the correlation ID of the request (or job) it was
+ *   written in, so one payment can be followed from /pay through the MoMo
+ *   calls to its callback (see middleware/requestContext.js)
+ * - Customer data and credentials are masked before anything is written:
+ *   fields named like phone numbers, emails, names and addresses, tokens,
+ *   keys and secrets, plus MSISDNs, email addresses, bearer tokens and JWTs
+ *   found inside any string
+ */
+
+const { AsyncLocalStorage } = require("async_hooks");
+const { LOG_LEVELS, LOG_LEVEL } = require("../config/logging.config");
+
+const LEVEL_RANK = Object.fromEntries(
+  LOG_LEVELS.map((level, index) => [level, index]),
+);
+
+// Objects nested deeper than this are written as "[Object]"
+const MAX_DEPTH = 8;
+
+// Field names (lower case, without "_" and "-") and how their values are
+// masked
+const PHONE_FIELDS = new Set([
+  "phone",
+  "phoneno",
+  "msisdn",
+  "partyid",
+  "payerphone",
+  "customerphone",
+  "formattedphone",
+]);
+const EMAIL_FIELDS = new Set(["email", "customeremail"]);
+const NAME_FIELDS = new Set([
+  "firstname",
+  "lastname",
+  "fullname",
+  "givenname",
+  "familyname",
+  "customername",
+  "customerfirstname",
+  "customerlastname",
+  "payername",
+  "registeredname",
+]);
+const REDACTED_FIELDS = new Set([
+  "address",
+  "deliveryaddress",
+  "customerkey",
+  "authorization",
+  "cookie",
+  "setcookie",
+  "password",
+  "signature",
+  "xmomosignature",
+]);
+// Any field ending in one of these (statusToken, x-api-key, apiKey,
+// callbackTokenHash, MOMO_CALLBACK_SECRET, ...)
+const REDACTED_SUFFIXES = [
+  "token",
+  "tokenhash",
+  "apikey",
+  "subscriptionkey",
+  "secret",
+];
+
+const REDACTED = "[REDACTED]";
+
+// Liberian MSISDNs, international (231...) or national (0...), not part of
+// a longer identifier
+const MSISDN_PATTERN = /(?<![\w-])(?:\+?231|0)\d{8,9}(?![\w-])/g;
+const EMAIL_PATTERN =
+  /([A-Za-z0-9._%+-])[A-Za-z0-9._%+-]*@([A-Za-z0-9-]+(?:\.[A-Za-z0-9-]+)+)/g;
+const AUTH_PATTERN = /\b(Bearer|Basic)\s+[A-Za-z0-9._~+/=-]+/gi;
+const JWT_PATTERN = /\beyJ[\w-]+\.[\w-]+\.[\w-]+/g;
+const URL_TOKEN_PATTERN = /([?&](?:token|access_token)=)[^&\s"]+/gi;
+
+/**
+ * Keep the last 3 digits of a phone number
+ */
+function maskPhone(value) {
+  const phone = String(value);
+  return phone.length <= 3
+    ? "*".repeat(phone.length)
+    : "*".repeat(phone.length - 3) + phone.slice(-3);
+}
+
+/**
+ * Keep the first letter of the mailbox and the domain
+ */
+function maskEmail(value) {
+  const email = String(value);
+  const at = email.lastIndexOf("@");
+  return at < 1 ? REDACTED : `${email[0]}***${email.slice(at)}`;
+}
+
+/**
+ * Keep the first letter of a name
+ */
+function maskName(value) {
+  const name = String(value).trim();
+  return name ? `${name[0]}***` : name;
+}
+
+/**
+ * Mask customer data and credentials found inside free text
+ */
+function redactText(text) {
+  return text
+    .replace(AUTH_PATTERN, `$1 ${REDACTED}`)
+    .replace(JWT_PATTERN, REDACTED)
+    .replace(URL_TOKEN_PATTERN, `$1${REDACTED}`)
+    .replace(EMAIL_PATTERN, "$1***@$2")
+    .replace(MSISDN_PATTERN, maskPhone);
+}
+
+function fieldMasker(key) {
+  const name = String(key).toLowerCase().replace(/[_-]/g, "");
+  if (PHONE_FIELDS.has(name)) {
+    return maskPhone;
+  }
+  if (EMAIL_FIELDS.has(name)) {
+    return maskEmail;
+  }
+  if (NAME_FIELDS.has(name)) {
+    return maskName;
+  }
+  if (
+    REDACTED_FIELDS.has(name) ||
+    REDACTED_SUFFIXES.some((suffix) => name.endsWith(suffix))
+  ) {
+    return () => REDACTED;
+  }
+  return null;
+}
+
+/**
+ * Error fields worth logging (axios errors carry MoMo's response)
+ */
+function serializeError(error) {
+  return {
+    name: error.name,
+    message: error.message,
+    ...(error.code ? { code: error.code } : {}),
+    ...(error.response
+      ? { status: error.response.status, response: error.response.data }
+      : {}),
+    ...(error.statusCode ? { statusCode: error.statusCode } : {}),
+    stack: error.stack,
+  };
+}
+
+/**
+ * Copy of `value` with customer data and credentials masked
+ * @param {*} value - Anything JSON can hold, plus Errors and Dates
+ * @returns {*}
+ */
+function redact(value, depth = 0, seen = new WeakSet()) {
+  if (typeof value === "string") {
+    return redactText(value);
+  }
+  if (value === null || typeof value !== "object") {
+    return value;
+  }
+  if (value instanceof Date) {
+    return value.toISOString();
+  }
+  if (seen.has(value)) {
+    return "[Circular]";
+  }
+  if (depth >= MAX_DEPTH) {
+    return Array.isArray(value) ? "[Array]" : "[Object]";
+  }
+
+  seen.add(value);
+  const source = value instanceof Error ? serializeError(value) : value;
+  let copy;
+  if (Array.isArray(source)) {
+    copy = source.map((item) => redact(item, depth + 1, seen));
+  } else {
+    copy = {};
+    for (const [key, item] of Object.entries(source)) {
+      const mask = fieldMasker(key);
+      copy[key] =
+        mask && item !== null && item !== undefined && item !== ""
+          ? typeof item === "object"
+            ? REDACTED
+            : mask(item)
+          : redact(item, depth + 1, seen);
+    }
+  }
+  seen.delete(value);
+  return copy;
+}
+
+// Correlation ID of the request or job being handled
+const context = new AsyncLocalStorage();
+
+/**
+ * Run `fn` with a correlation ID; everything it logs (including after
+ * awaits) carries that ID
+ */
+function runWithCorrelationId(correlationId, fn) {
+  return context.run({ correlationId }, fn);
+}
+
+function getCorrelationId() {
+  return context.getStore()?.correlationId || null;
+}
+
+/**
+ * Switch the current request to another correlation ID, e.g. a callback
+ * taking the ID of the /pay request that started its payment
+ */
+function setCorrelationId(correlationId) {
+  const store = context.getStore();
+  if (store && correlationId) {
+    store.correlationId = correlationId;
+  }
+}
+
+/**
+ * Create a logger
+ * @param {object} [options]
+ * @param {string} [options.level] - Lowest level written (default LOG_LEVEL)
+ * @param {object} [options.bindings] - Fields added to every entry
+ * @param {Function} [options.write] - Receives each JSON line (default
+ *   stdout)
+ * @returns {object} { debug, info, warn, error, child, isLevelEnabled }
+ */
+function createLogger({
+  level = LOG_LEVEL,
+  bindings = {},
+  write = (line) => process.stdout.write(`${line}\n`),
+} = {}) {
+  const threshold = LEVEL_RANK[level] ?? LEVEL_RANK.info;
+
+  const isLevelEnabled = (entryLevel) => LEVEL_RANK[entryLevel] >= threshold;
+
+  /**
+   * @param {string} entryLevel
+   * @param {string} message - Short, constant description of the event
+   * @param {object|Error} [fields] - Details (an Error is logged as `error`)
+   */
+  function log(entryLevel, message, fields = {}) {
+    if (!isLevelEnabled(entryLevel)) {
+      return;
+    }
+
+    const details = fields instanceof Error ? { error: fields } : fields;
+    const correlationId = getCorrelationId();
+    const entry = {
+      time: new Date().toISOString(),
+      level: entryLevel,
+      msg: redactText(String(message)),
+      ...(correlationId ? { correlationId } : {}),
+      ...redact({ ...bindings, ...details }),
+    };
+
+    try {
+      write(JSON.stringify(entry));
+    } catch (error) {
+      // Never let logging break a payment
+    }
+  }
+
+  return {
+    debug: (message, fields) => log("debug", message, fields),
+    info: (message, fields) => log("info", message, fields),
+    warn: (message, fields) => log("warn", message, fields),
+    error: (message, fields) => log("error", message, fields),
+    isLevelEnabled,
+
+    /**
+     * Logger that adds `fields` to every entry (e.g. { module: "callback" })
+     */
+    child(fields) {
+      return createLogger({
+        level,
+        bindings: { ...bindings, ...fields },
+        write,
+      });
+    },
+  };
+}
+
+// Logger used across the app
+const logger = createLogger();
+
+module.exports = {
+  logger,
+  createLogger,
+  redact,
+  runWithCorrelationId,
+  getCorrelationId,
+  setCorrelationId,
+};
@@ -1,37 +1,171 @@
 /**
- * Format phone number to Liberian MSISDN format
+ * Liberian Numbering Plan
+ *
+ * Parses phone numbers as customers type them (local "0886 123 456",
+ * "+231 (0)88 612 3456", "00231886123456", ...) into a structured result:
+ * the MSISDN MTN expects (231 + national number), display formats and the
+ * operator that owns the prefix. Only MTN (Lonestar Cell) numbers can pay
+ * with MTN Mobile Money.
+ */
+
+const COUNTRY_CODE = "231";
+
+// National number prefixes (after the 0 trunk prefix) by operator
+const NUMBERING_PLAN = [
+  { prefix: "88", carrier: "MTN", type: "mobile", length: 9 },
+  { prefix: "55", carrier: "MTN", type: "mobile", length: 9 },
+  { prefix: "77", carrier: "ORANGE", type: "mobile", length: 9 },
+  { prefix: "78", carrier: "ORANGE", type: "mobile", length: 9 },
+  { prefix: "2", carrier: "LIBTELCO", type: "fixed", length: 8 },
+];
+
+const CARRIER_NAMES = {
+  MTN: "MTN (Lonestar Cell)",
+  ORANGE: "Orange",
+  LIBTELCO: "Libtelco",
+};
+
+// Operators whose numbers can pay with MTN Mobile Money
+const MOMO_CARRIERS = ["MTN"];
+
+// Prefixes as dialled locally, for error messages
+const dialPrefixes = (predicate) =>
+  NUMBERING_PLAN.filter(predicate).map((entry) => `0${entry.prefix}`);
+const MOBILE_PREFIXES = dialPrefixes((entry) => entry.type === "mobile");
+
+// "MTN", not "MTN (Lonestar Cell)"
+const shortName = (carrier) => CARRIER_NAMES[carrier].split(" (")[0];
+
+// "088, 055 or 077"
+const orList = (words) =>
+  words.length > 1
+    ? `${words.slice(0, -1).join(", ")} or ${words.at(-1)}`
+    : words.join("");
+
+const article = (word) => (/^(?:[AEIOU]|MTN)/.test(word) ? "an" : "a");
+
+function failure(code, error) {
+  return { success: false, code, error };
+}
+
+/**
+ * National number without the country code or trunk prefix
+ * @returns {string|null} null when the number is international but not
+ *   Liberian
+ */
+function nationalNumber(phone) {
+  let digits = String(phone).replace(/\D/g, ""); // digits only
+
+  // 00 is the international call prefix, as + is
+  const international = /^\s*\+/.test(phone) || digits.startsWith("00");
+  digits = digits.replace(/^00/, "");
+
+  if (digits.startsWith(COUNTRY_CODE) && digits.length > 10) {
+    digits = digits.slice(COUNTRY_CODE.length);
+  } else if (international) {
+    return null;
+  }
+
+  // Trunk prefix, also written "+231 (0)88..."
+  return digits.replace(/^0/, "");
+}
+
+/**
+ * Parse a Liberian phone number
  * @param {string} phone - Raw phone number
- * @returns {object} { success: boolean, phone?: string, error?: string }
+ * @returns {object} { success: true, phone, national, international,
+ *   carrier, carrierName, type, momo } or { success: false, code, error }
+ *   where phone is the MSISDN (231 + national number) and momo tells
+ *   whether the number can pay with MTN Mobile Money
  */
 function formatLiberianPhone(phone) {
   if (!phone) {
-    return {
-      success: false,
-      error: "Phone number is required",
-    };
+    return failure("PHONE_REQUIRED", "Phone number is required");
   }
 
-  // Format phone number
-  let formattedPhone = phone.replace(/\D/g, ""); // digits only
-  formattedPhone = formattedPhone.replace(/^\+/, "").replace(/^0+/, "");
-  if (!formattedPhone.startsWith("231")) {
-    formattedPhone = "231" + formattedPhone;
+  const national = nationalNumber(phone);
+  if (national === null) {
+    return failure(
+      "NOT_LIBERIAN",
+      `${phone} is not a Liberian number. Use a +231 number.`,
+    );
   }
 
-  // Liberia numbers must be 12 digits (231 + 9-digit number)
-  if (formattedPhone.length !== 12) {
-    return {
-      success: false,
-      error: `Invalid Liberia MSISDN: ${formattedPhone}. Must be 12 digits (231 + 9-digit number)`,
-    };
+  const plan = NUMBERING_PLAN.find((entry) =>
+    national.startsWith(entry.prefix),
+  );
+  if (!plan) {
+    return failure(
+      "UNKNOWN_PREFIX",
+      `Invalid Liberia MSISDN: ${COUNTRY_CODE}${national}. Mobile numbers start ${MOBILE_PREFIXES.join(", ")}`,
+    );
   }
+  if (national.length !== plan.length) {
+    return failure(
+      "INVALID_LENGTH",
+      `Invalid Liberia MSISDN: ${COUNTRY_CODE}${national}. Must be ${COUNTRY_CODE.length + plan.length} digits (231 + ${plan.length}-digit number)`,
+    );
+  }
+
+  // e.g. 0886 123 456, or 022 123 456 for a landline
+  const split = plan.length - 6;
+  const groups = [
+    national.slice(0, split),
+    national.slice(split, split + 3),
+    national.slice(split + 3),
+  ];
 
   return {
     success: true,
-    phone: formattedPhone,
+    phone: COUNTRY_CODE + national,
+    national: `0${groups.join(" ")}`,
+    international: `+${COUNTRY_CODE} ${groups.join(" ")}`,
+    carrier: plan.carrier,
+    carrierName: CARRIER_NAMES[plan.carrier],
+    type: plan.type,
+    momo: MOMO_CARRIERS.includes(plan.carrier),
   };
 }
 
+/**
+ * Parse a phone number that must belong to one of the given operators
+ * @param {string} phone - Raw phone number
+ * @param {string[]} carriers - Accepted operators, e.g. ["MTN"]
+ * @param {string} service - What needs the number, for the error message
+ * @returns {object} As formatLiberianPhone; other operators' numbers fail
+ *   with code UNSUPPORTED_CARRIER and the carrier
+ */
+function formatPhoneForCarriers(phone, carriers, service) {
+  const result = formatLiberianPhone(phone);
+  if (!result.success || carriers.includes(result.carrier)) {
+    return result;
+  }
+
+  const kind = `${shortName(result.carrier)} ${result.type === "fixed" ? "landline" : "number"}`;
+  const accepted = orList(carriers.map(shortName));
+  const prefixes = dialPrefixes((entry) => carriers.includes(entry.carrier));
+  return {
+    ...failure(
+      "UNSUPPORTED_CARRIER",
+      `${result.national} is ${article(kind)} ${kind}. ${service} needs ${article(accepted)} ${accepted} number starting ${orList(prefixes)}.`,
+    ),
+    carrier: result.carrier,
+  };
+}
+
+/**
+ * Parse a phone number that must be able to pay with MTN Mobile Money
+ * @param {string} phone - Raw phone number
+ * @returns {object} As formatLiberianPhone; other operators' numbers fail
+ *   with code UNSUPPORTED_CARRIER and the carrier
+ */
+function formatMomoPhone(phone) {
+  return formatPhoneForCarriers(phone, MOMO_CARRIERS, "MTN Mobile Money");
+}
+
 module.exports = {
+  NUMBERING_PLAN,
   formatLiberianPhone,
+  formatPhoneForCarriers,
+  formatMomoPhone,
 };
@@ -1,4 +0,0 @@
-// In-memory cache for quick lookups
-const pendingTransactions = new Map();
-
-module.exports = pendingTransactions;
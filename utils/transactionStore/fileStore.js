@@ -0,0 +1,159 @@
+const fs = require("fs");
+const path = require("path");
+const { logger } = require("../logger");
+
+const log = logger.child({ module: "transaction-store" });
+
+// A lock older than this is assumed to belong to a crashed process
+const LOCK_STALE_MS = 10 * 1000;
+const LOCK_TIMEOUT_MS = 5 * 1000;
+const LOCK_RETRY_MS = 15;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Transaction store backed by a local JSON file
+ *
+ * The file holds { referenceId: { value, expiresAt } }. Writes take an
+ * exclusive lock file and replace the data file atomically (write to a
+ * temporary file, then rename), so several processes on the same host can
+ * share one store and readers never see a partial write.
+ */
+function createFileStore({ ttlMs, file }) {
+  const lockFile = `${file}.lock`;
+
+  async function read() {
+    let text;
+    try {
+      text = await fs.promises.readFile(file, "utf8");
+    } catch (error) {
+      if (error.code === "ENOENT") return {};
+      throw error;
+    }
+
+    try {
+      return JSON.parse(text);
+    } catch (error) {
+      log.error("Transaction store file is corrupt, starting empty", {
+        file,
+        error,
+      });
+      return {};
+    }
+  }
+
+  async function write(entries) {
+    const tempFile = `${file}.${process.pid}.tmp`;
+    await fs.promises.writeFile(tempFile, JSON.stringify(entries));
+    await fs.promises.rename(tempFile, file);
+  }
+
+  async function acquireLock() {
+    const deadline = Date.now() + LOCK_TIMEOUT_MS;
+
+    for (;;) {
+      try {
+        const handle = await fs.promises.open(lockFile, "wx");
+        await handle.close();
+        return;
+      } catch (error) {
+        if (error.code !== "EEXIST") throw error;
+      }
+
+      try {
+        const { mtimeMs } = await fs.promises.stat(lockFile);
+        if (Date.now() - mtimeMs > LOCK_STALE_MS) {
+          await fs.promises.unlink(lockFile);
+          continue;
+        }
+      } catch (error) {
+        if (error.code !== "ENOENT") throw error;
+        continue; // Released between open and stat
+      }
+
+      if (Date.now() > deadline) {
+        throw new Error(`Timed out waiting for lock on ${file}`);
+      }
+      await sleep(LOCK_RETRY_MS);
+    }
+  }
+
+  /**
+   * Read, modify and write the file while holding the lock
+   * @param {Function} mutate - (entries) => result; return false to skip the write
+   */
+  async function withLock(mutate) {
+    await fs.promises.mkdir(path.dirname(file), { recursive: true });
+    await acquireLock();
+    try {
+      const entries = await read();
+      const result = mutate(entries);
+      if (result !== false) {
+        await write(entries);
+      }
+      return result;
+    } finally {
+      await fs.promises.unlink(lockFile).catch(() => {});
+    }
+  }
+
+  const live = (entry) => entry && entry.expiresAt > Date.now();
+
+  return {
+    name: "file",
+
+    async get(referenceId) {
+      const entry = (await read())[referenceId];
+      return live(entry) ? entry.value : null;
+    },
+
+    async set(referenceId, value) {
+      await withLock((entries) => {
+        entries[referenceId] = { value, expiresAt: Date.now() + ttlMs };
+      });
+    },
+
+    async update(referenceId, updater) {
+      let next = null;
+      await withLock((entries) => {
+        const entry = entries[referenceId];
+        next = updater(live(entry) ? entry.value : null);
+        if (next === undefined) {
+          next = null;
+          return false;
+        }
+        entries[referenceId] = { value: next, expiresAt: Date.now() + ttlMs };
+      });
+      return next;
+    },
+
+    async delete(referenceId) {
+      await withLock((entries) => {
+        if (!(referenceId in entries)) return false;
+        delete entries[referenceId];
+      });
+    },
+
+    async values() {
+      return Object.values(await read())
+        .filter(live)
+        .map((entry) => entry.value);
+    },
+
+    async evictExpired() {
+      let evicted = 0;
+      await withLock((entries) => {
+        for (const [referenceId, entry] of Object.entries(entries)) {
+          if (!live(entry)) {
+            delete entries[referenceId];
+            evicted += 1;
+          }
+        }
+        if (evicted === 0) return false;
+      });
+      return evicted;
+    },
+  };
+}
+
+module.exports = { createFileStore };
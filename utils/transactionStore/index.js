@@ -0,0 +1,195 @@
+/**
+ * Transaction Store
+ *
+ * Short-lived state of each payment by reference ID (status, amounts,
+ * customer details) for fast lookups and for offline mode, where it is the
+ * only record of a payment. Entries expire TRANSACTION_STORE_TTL_MS after
+ * their last update.
+ *
+ * Backends (TRANSACTION_STORE):
+ *   memory   - in-process, lost on restart
+ *   file     - local JSON file, survives restarts, shared by processes on
+ *              the same host
+ *   supabase - `transaction_cache` table, shared by all instances
+ *
+ * Every method is async. Reads and plain writes are a cache: a backend
+ * error is logged and the call degrades (get returns null, values returns
+ * []). update() is used to claim state transitions, so its errors throw.
+ */
+
+const supabase = require("../../config/database");
+const {
+  TRANSACTION_STORE,
+  TRANSACTION_STORE_FILE,
+  TRANSACTION_STORE_TTL_MS,
+  TRANSACTION_STORE_SWEEP_INTERVAL_MS,
+} = require("../../config/transactionStore.config");
+const { createMemoryStore } = require("./memoryStore");
+const { createFileStore } = require("./fileStore");
+const { createSupabaseStore } = require("./supabaseStore");
+const { logger } = require("../logger");
+
+const log = logger.child({ module: "transaction-store" });
+
+const BACKEND_FACTORIES = {
+  memory: createMemoryStore,
+  file: createFileStore,
+  supabase: createSupabaseStore,
+};
+
+let backend = null;
+let intervalHandle = null;
+
+/**
+ * Create a store backend
+ * @param {string} name - "memory", "file" or "supabase"
+ * @param {object} [options] - { ttlMs, file, supabase }
+ * @returns {object} { name, get, set, update, delete, values, evictExpired }
+ */
+function createTransactionStore(name, options = {}) {
+  const factory = BACKEND_FACTORIES[name];
+  if (!factory) {
+    throw new Error(`Unknown transaction store "${name}"`);
+  }
+
+  return factory({
+    ttlMs: TRANSACTION_STORE_TTL_MS,
+    file: TRANSACTION_STORE_FILE,
+    supabase,
+    ...options,
+  });
+}
+
+/**
+ * Get the configured backend (created on first use)
+ */
+function getBackend() {
+  if (!backend) {
+    let name = TRANSACTION_STORE;
+    if (name === "supabase" && !supabase) {
+      log.error(
+        "TRANSACTION_STORE=supabase but Supabase is not connected, using memory",
+      );
+      name = "memory";
+    }
+    backend = createTransactionStore(name);
+  }
+  return backend;
+}
+
+/**
+ * Get a transaction
+ * @returns {object|null} Stored transaction, or null if missing or expired
+ */
+async function get(referenceId) {
+  try {
+    return await getBackend().get(referenceId);
+  } catch (error) {
+    log.error("Transaction store read failed", { referenceId, error });
+    return null;
+  }
+}
+
+/**
+ * Store a transaction (resets its TTL)
+ */
+async function set(referenceId, value) {
+  try {
+    await getBackend().set(referenceId, value);
+  } catch (error) {
+    log.error("Transaction store write failed", { referenceId, error });
+  }
+}
+
+/**
+ * Atomically read, modify and write a transaction
+ * @param {string} referenceId
+ * @param {Function} updater - (current | null) => next value, or undefined
+ *   to leave the entry unchanged
+ * @returns {object|null} The value written, or null if nothing was written
+ */
+async function update(referenceId, updater) {
+  return getBackend().update(referenceId, updater);
+}
+
+/**
+ * Remove a transaction
+ */
+async function remove(referenceId) {
+  try {
+    await getBackend().delete(referenceId);
+  } catch (error) {
+    log.error("Transaction store delete failed", { referenceId, error });
+  }
+}
+
+/**
+ * All unexpired transactions
+ * @returns {Array} Stored transactions
+ */
+async function values() {
+  try {
+    return await getBackend().values();
+  } catch (error) {
+    log.error("Transaction store read failed", { error });
+    return [];
+  }
+}
+
+/**
+ * Remove expired entries
+ * @returns {number} Number of entries removed
+ */
+async function evictExpired() {
+  try {
+    const evicted = await getBackend().evictExpired();
+    if (evicted > 0) {
+      log.info("Evicted expired transactions", { evicted });
+    }
+    return evicted;
+  } catch (error) {
+    log.error("Transaction store eviction failed", { error });
+    return 0;
+  }
+}
+
+/**
+ * Start sweeping expired entries on an interval
+ */
+function startEviction() {
+  if (intervalHandle) {
+    return;
+  }
+
+  log.info("Transaction store eviction started", {
+    backend: getBackend().name,
+    ttlMs: TRANSACTION_STORE_TTL_MS,
+  });
+  intervalHandle = setInterval(
+    evictExpired,
+    TRANSACTION_STORE_SWEEP_INTERVAL_MS,
+  );
+  intervalHandle.unref();
+}
+
+/**
+ * Stop the eviction sweep
+ */
+function stopEviction() {
+  if (intervalHandle) {
+    clearInterval(intervalHandle);
+    intervalHandle = null;
+  }
+}
+
+module.exports = {
+  createTransactionStore,
+  get,
+  set,
+  update,
+  delete: remove,
+  values,
+  evictExpired,
+  startEviction,
+  stopEviction,
+};
@@ -0,0 +1,61 @@
+/**
+ * In-process transaction store
+ * Entries are lost on restart and not visible to other processes.
+ */
+function createMemoryStore({ ttlMs }) {
+  // referenceId -> { json, expiresAt }
+  const entries = new Map();
+
+  // Values are kept serialized so callers never share a mutable object,
+  // matching the file and Supabase backends
+  const live = (entry) => entry && entry.expiresAt > Date.now();
+
+  return {
+    name: "memory",
+
+    async get(referenceId) {
+      const entry = entries.get(referenceId);
+      return live(entry) ? JSON.parse(entry.json) : null;
+    },
+
+    async set(referenceId, value) {
+      entries.set(referenceId, {
+        json: JSON.stringify(value),
+        expiresAt: Date.now() + ttlMs,
+      });
+    },
+
+    async update(referenceId, updater) {
+      const entry = entries.get(referenceId);
+      const next = updater(live(entry) ? JSON.parse(entry.json) : null);
+      if (next === undefined) {
+        return null;
+      }
+      await this.set(referenceId, next);
+      return next;
+    },
+
+    async delete(referenceId) {
+      entries.delete(referenceId);
+    },
+
+    async values() {
+      return Array.from(entries.values())
+        .filter(live)
+        .map((entry) => JSON.parse(entry.json));
+    },
+
+    async evictExpired() {
+      let evicted = 0;
+      for (const [referenceId, entry] of entries) {
+        if (!live(entry)) {
+          entries.delete(referenceId);
+          evicted += 1;
+        }
+      }
+      return evicted;
+    },
+  };
+}
+
+module.exports = { createMemoryStore };
@@ -0,0 +1,130 @@
+// Attempts for an update that keeps losing the race to another writer
+const MAX_UPDATE_ATTEMPTS = 5;
+
+/**
+ * Transaction store backed by the `transaction_cache` table
+ * Shared by every instance connected to the same project.
+ */
+function createSupabaseStore({ ttlMs, supabase }) {
+  const expiry = () => new Date(Date.now() + ttlMs).toISOString();
+
+  async function getRow(referenceId) {
+    const { data, error } = await supabase
+      .from("transaction_cache")
+      .select("data, version")
+      .eq("reference_id", referenceId)
+      .gt("expires_at", new Date().toISOString())
+      .maybeSingle();
+
+    if (error) throw error;
+    return data;
+  }
+
+  return {
+    name: "supabase",
+
+    async get(referenceId) {
+      const row = await getRow(referenceId);
+      return row ? row.data : null;
+    },
+
+    async set(referenceId, value) {
+      const { error } = await supabase.from("transaction_cache").upsert(
+        {
+          reference_id: referenceId,
+          data: value,
+          version: Date.now(),
+          expires_at: expiry(),
+          updated_at: new Date().toISOString(),
+        },
+        { onConflict: "reference_id" },
+      );
+
+      if (error) throw error;
+    },
+
+    /**
+     * Optimistic read-modify-write: the row is only written if its version
+     * is unchanged since it was read, otherwise the update is retried
+     */
+    async update(referenceId, updater) {
+      for (let attempt = 0; attempt < MAX_UPDATE_ATTEMPTS; attempt++) {
+        const row = await getRow(referenceId);
+        const next = updater(row ? row.data : null);
+        if (next === undefined) {
+          return null;
+        }
+
+        if (!row) {
+          const { error } = await supabase.from("transaction_cache").insert({
+            reference_id: referenceId,
+            data: next,
+            version: Date.now(),
+            expires_at: expiry(),
+            updated_at: new Date().toISOString(),
+          });
+
+          if (!error) return next;
+          // Unique violation - created concurrently (or an expired row is
+          // still present), so remove expired leftovers and retry
+          if (error.code !== "23505") throw error;
+          await this.evictExpired();
+          continue;
+        }
+
+        const { data, error } = await supabase
+          .from("transaction_cache")
+          .update({
+            data: next,
+            version: row.version + 1,
+            expires_at: expiry(),
+            updated_at: new Date().toISOString(),
+          })
+          .eq("reference_id", referenceId)
+          .eq("version", row.version)
+          .select("reference_id");
+
+        if (error) throw error;
+        if (data.length > 0) return next;
+      }
+
+      throw new Error(
+        `Transaction ${referenceId} is being updated concurrently`,
+      );
+    },
+
+    async delete(referenceId) {
+      const { error } = await supabase
+        .from("transaction_cache")
+        .delete()
+        .eq("reference_id", referenceId);
+
+      if (error) throw error;
+    },
+
+    async values() {
+      const { data, error } = await supabase
+        .from("transaction_cache")
+        .select("data")
+        .gt("expires_at", new Date().toISOString())
+        .order("updated_at", { ascending: true })
+        .limit(1000);
+
+      if (error) throw error;
+      return data.map((row) => row.data);
+    },
+
+    async evictExpired() {
+      const { data, error } = await supabase
+        .from("transaction_cache")
+        .delete()
+        .lt("expires_at", new Date().toISOString())
+        .select("reference_id");
+
+      if (error) throw error;
+      return data.length;
+    },
+  };
+}
+
+module.exports = { createSupabaseStore };